@@ -0,0 +1,379 @@
+#!/usr/bin/env node
+/**
+ * Borderellen Converter - Command Line Converter
+ * Converts a folder of broker files without a browser, for scheduled month-end runs on a server.
+ * Loads the browser app's own processing scripts (detectBrokerType → GenericBrokerParser →
+ * applyMappingToData → executeFormula → validation), so a file gives the same output in both.
+ * Template, file mappings and lookup tables are the JSON files exported from the app.
+ *
+ * Usage:
+ *   node cli/borderellen-cli.js --input <folder> --template <template.json> [options]
+ *
+ * Options:
+ *   --mappings <path>   Exported file mapping JSON, or a folder of them (repeatable).
+ *                       The built-in broker mappings are always available.
+ *   --lookups <path>    Exported lookup table JSON, or a folder of them (repeatable)
+ *   --output <folder>   Output folder (default: the input folder)
+ *   --format <format>   xlsx, json or both (default: both)
+ *   --user <name>       Name recorded in the log (default: the system user)
+ *   --date-order <order>
+ *                       dmy or mdy: day/month order of dates such as 03/04/2024 in broker files (default: dmy)
+ *   --verbose           Also write the processing scripts' progress messages to the log
+ *
+ * Exit codes: 0 all files converted, 1 invalid arguments or input, 2 some files failed or were not recognized
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const { parseArgs } = require('util');
+const { File } = require('buffer');
+
+const ROOT = path.join(__dirname, '..');
+
+// Browser scripts of the processing pipeline, in index.html load order (PDF.js is loaded on first use)
+const PIPELINE_SCRIPTS = [
+    'src/lib/xlsx.full.min.js',
+    'src/js/storageManager.js',
+    'src/js/textFileReader.js',
+    'src/js/pdfTableExtractor.js',
+    'src/js/excelCacheManager.js',
+    'src/js/dataPatternAnalyzer.js',
+    'src/js/genericParser.js',
+    'src/js/builtInFileMappings.js',
+    'src/js/fileFingerprint.js',
+    'src/js/calculationEngine.js',
+    'src/js/valueCoercion.js',
+    'src/js/validationRules.js',
+    'src/js/reconciliation.js',
+    'src/js/templateExport.js',
+    'src/js/brokerParsers.js'
+];
+
+const FORMATS = ['xlsx', 'json', 'both'];
+
+const DATE_ORDERS = ['dmy', 'mdy'];
+
+const USAGE = `Usage: node cli/borderellen-cli.js --input <folder> --template <template.json> [--mappings <path>]... [--lookups <path>]...
+       [--output <folder>] [--format xlsx|json|both] [--user <name>] [--date-order dmy|mdy] [--verbose]`;
+
+// ========== LOG ==========
+
+const logLines = [];
+
+/**
+ * Write a line to the log file and the terminal
+ * @param {string} message - Log message
+ * @param {boolean} quiet - Only write to the log file
+ */
+function log(message, quiet = false) {
+    logLines.push(`${new Date().toISOString()}  ${message}`);
+    if (!quiet) {
+        process.stdout.write(`${message}\n`);
+    }
+}
+
+/**
+ * Route the console output of the processing scripts to the log file
+ * Warnings and errors are always kept, progress messages only with --verbose
+ * @param {boolean} verbose - Keep progress messages
+ */
+function captureConsole(verbose) {
+    const format = (args) => args.map(arg => typeof arg === 'string' ? arg : JSON.stringify(arg)).join(' ');
+
+    console.log = (...args) => { if (verbose) log(`  [debug] ${format(args)}`, true); };
+    console.info = console.log;
+    console.warn = (...args) => log(`  [warning] ${format(args)}`, true);
+    console.error = (...args) => log(`  [error] ${format(args)}`, true);
+}
+
+// ========== SETUP ==========
+
+/**
+ * Run a browser script in the shared global scope, as a script tag does in the app
+ * @param {string} filename - Script path
+ */
+function runScript(filename) {
+    vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+}
+
+/**
+ * Load the browser pipeline scripts; they share one global scope, as script tags do in the app.
+ * Libraries the scripts load on first use (PDF.js) come from src/lib through window.loadLibraryScript
+ */
+function loadPipeline() {
+    globalThis.window = globalThis;
+    window.loadLibraryScript = script => runScript(path.join(ROOT, 'src', 'lib', script));
+
+    PIPELINE_SCRIPTS.forEach(script => runScript(path.join(ROOT, script)));
+}
+
+/**
+ * List the JSON files of a path: the file itself, or the .json files of a folder
+ * @param {string} target - File or folder
+ * @returns {Array} File paths
+ */
+function listJsonFiles(target) {
+    if (!fs.existsSync(target)) {
+        throw new Error(`Not found: ${target}`);
+    }
+    if (!fs.statSync(target).isDirectory()) {
+        return [target];
+    }
+    return fs.readdirSync(target)
+        .filter(name => name.toLowerCase().endsWith('.json'))
+        .sort()
+        .map(name => path.join(target, name));
+}
+
+/**
+ * Read a file from disk as a File, the form the browser modules expect
+ * @param {string} filePath - File path
+ * @returns {File} File object
+ */
+function readFileFromDisk(filePath) {
+    return new File([fs.readFileSync(filePath)], path.basename(filePath), {
+        lastModified: fs.statSync(filePath).mtimeMs
+    });
+}
+
+/**
+ * Load exported JSON files with one of the app's JSON loaders (loadTemplateFromJSON etc.)
+ * @param {Array} files - File paths
+ * @param {Function} loader - Loader returning { success, error, ... }
+ * @param {string} property - Property of the loader result holding the object
+ * @param {string} kind - Kind of object, for error messages
+ * @returns {Promise<Array>} Loaded objects
+ */
+async function loadJsonFiles(files, loader, property, kind) {
+    const loaded = [];
+    for (const filePath of files) {
+        const result = await loader(readFileFromDisk(filePath));
+        if (!result.success) {
+            throw new Error(`Invalid ${kind} ${filePath}: ${result.error}`);
+        }
+        loaded.push(result[property]);
+    }
+    return loaded;
+}
+
+/**
+ * Set the template, file mappings and lookup tables the pipeline reads from the app state
+ * @param {Object} options - Command line options
+ * @returns {Promise<Object>} { template, mappings, lookupTables }
+ */
+async function loadConfiguration(options) {
+    const [template] = await loadJsonFiles([options.template], window.loadTemplateFromJSON, 'template', 'template');
+
+    // Exported mappings get a fresh ID on import; the CLI keeps the original, like the processing history does
+    const userMappings = (await loadJsonFiles(options.mappings.flatMap(listJsonFiles), window.loadFileMappingFromJSON, 'mapping', 'file mapping'))
+        .map(mapping => ({ ...mapping, id: mapping.originalId || mapping.id }));
+    const mappings = [...userMappings, ...window.BUILT_IN_FILE_MAPPINGS];
+
+    const lookupTables = await loadJsonFiles(options.lookups.flatMap(listJsonFiles), window.loadLookupTableFromJSON, 'table', 'lookup table');
+
+    window.borderellenTemplate = template;
+    window.appSettings = { userName: options.user, importDateOrder: options['date-order'] };
+    window.loadAllFileMappings = async () => mappings;
+    window.registerLookupTables(lookupTables);
+
+    return { template, mappings: userMappings, lookupTables };
+}
+
+// ========== CONVERSION ==========
+
+/**
+ * Convert one broker file
+ * @param {string} filePath - Broker file
+ * @returns {Promise<Object>} { name, success, records, result, error }
+ */
+async function convertFile(filePath) {
+    const file = readFileFromDisk(filePath);
+    const fileData = { file, name: file.name, skipHistory: true };
+
+    try {
+        const result = await window.processBrokerFile(fileData);
+
+        if (!result.success) {
+            const candidates = (result.candidates || []).slice(0, 3)
+                .map(candidate => `${candidate.name} (${Math.round(candidate.confidence * 100)}%)`);
+            return {
+                name: file.name,
+                success: false,
+                records: [],
+                error: result.needsTemplate ?
+                    `No file mapping matches this file${candidates.length > 0 ? `; closest: ${candidates.join(', ')}` : ''}` :
+                    result.error
+            };
+        }
+
+        return {
+            name: file.name,
+            success: true,
+            records: result.data.map(record => ({ ...record, _sourceFile: file.name })),
+            result
+        };
+    } finally {
+        window.ExcelCacheManager.clearCache(file);
+    }
+}
+
+/**
+ * Log the outcome of a file: mapping and version, records, issues and reconciliation
+ * @param {Object} converted - Result of convertFile
+ */
+function logFileResult(converted) {
+    if (!converted.success) {
+        log(`✗ ${converted.name}: ${converted.error}`);
+        return;
+    }
+
+    const { brokerInfo, issues, reconciliation } = converted.result;
+    const mapping = brokerInfo.template;
+    const matchedBy = brokerInfo.matchMethod === 'content' ? `content, ${Math.round(brokerInfo.confidence * 100)}%` : 'filename';
+
+    log(`✓ ${converted.name}: ${converted.records.length} records - ${brokerInfo.name}${mapping?.version ? ` v${mapping.version}` : ''} (${matchedBy})`);
+    if (issues.rows > 0) {
+        log(`    ${issues.rows} records with issues - ${window.describeIssueSummary(issues).split('\n').join(', ')}`);
+    }
+    if (reconciliation && reconciliation.status !== 'none') {
+        log(`    Control totals: ${reconciliation.status === 'fail' ? 'do not match - ' : ''}${window.describeReconciliation(reconciliation)}`);
+    }
+}
+
+/**
+ * Write the combined output of all converted files
+ * @param {Array} rows - Records of all files
+ * @param {Object} template - Output template
+ * @param {Object} options - Command line options
+ * @param {string} timestamp - Timestamp for the file names
+ * @returns {Array} Written file paths
+ */
+function writeOutput(rows, template, options, timestamp) {
+    const written = [];
+
+    if (options.format !== 'json') {
+        const wb = window.buildTemplateExportWorkbook(rows, template, window.appSettings);
+        const filePath = path.join(options.output, `Borderellen_Combined_${timestamp}.xlsx`);
+        fs.writeFileSync(filePath, window.XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' }));
+        written.push(filePath);
+    }
+
+    if (options.format !== 'xlsx') {
+        const filePath = path.join(options.output, `Borderellen_Combined_${timestamp}.json`);
+        fs.writeFileSync(filePath, JSON.stringify(window.toExportRecords(rows), null, 2));
+        written.push(filePath);
+    }
+
+    return written;
+}
+
+// ========== MAIN ==========
+
+/**
+ * Parse and check the command line
+ * @returns {Object} Options
+ */
+function parseOptions() {
+    const { values } = parseArgs({
+        options: {
+            input: { type: 'string' },
+            template: { type: 'string' },
+            mappings: { type: 'string', multiple: true, default: [] },
+            lookups: { type: 'string', multiple: true, default: [] },
+            output: { type: 'string' },
+            format: { type: 'string', default: 'both' },
+            user: { type: 'string', default: os.userInfo().username },
+            'date-order': { type: 'string', default: 'dmy' },
+            verbose: { type: 'boolean', default: false },
+            help: { type: 'boolean', default: false }
+        }
+    });
+
+    if (values.help) {
+        process.stdout.write(`${USAGE}\n`);
+        process.exit(0);
+    }
+    if (!values.input || !values.template) {
+        throw new Error('--input and --template are required');
+    }
+    if (!fs.existsSync(values.input) || !fs.statSync(values.input).isDirectory()) {
+        throw new Error(`Input folder not found: ${values.input}`);
+    }
+    if (!FORMATS.includes(values.format)) {
+        throw new Error(`Unknown format "${values.format}", expected ${FORMATS.join(', ')}`);
+    }
+    if (!DATE_ORDERS.includes(values['date-order'])) {
+        throw new Error(`Unknown date order "${values['date-order']}", expected ${DATE_ORDERS.join(', ')}`);
+    }
+
+    return { ...values, output: values.output || values.input };
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseOptions();
+    } catch (error) {
+        process.stderr.write(`${error.message}\n${USAGE}\n`);
+        return 1;
+    }
+
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
+    const logPath = path.join(options.output, `Borderellen_Combined_${timestamp}.log`);
+    fs.mkdirSync(options.output, { recursive: true });
+
+    try {
+        captureConsole(options.verbose);
+        loadPipeline();
+        const { template, mappings, lookupTables } = await loadConfiguration(options);
+
+        log(`Template: ${template.name} (${template.columns.length} columns)`);
+        log(`File mappings: ${mappings.length} exported, ${window.BUILT_IN_FILE_MAPPINGS.length} built-in; lookup tables: ${lookupTables.length}`);
+        log(`User: ${options.user}`);
+
+        // Every file the app reads: spreadsheets (.xlsx, .xls, .ods, ...) and text exports
+        const extensions = [...window.ExcelCacheManager.SPREADSHEET_EXTENSIONS, ...window.TEXT_FILE_EXTENSIONS, ...window.PDF_FILE_EXTENSIONS];
+        const files = fs.readdirSync(options.input)
+            .filter(name => extensions.includes(path.extname(name).toLowerCase()) && !name.startsWith('~$'))
+            .sort();
+        if (files.length === 0) {
+            log(`No broker files (${extensions.join(', ')}) in ${options.input}`);
+            return 1;
+        }
+        log(`Converting ${files.length} files from ${options.input}`);
+
+        const results = [];
+        for (const name of files) {
+            const converted = await convertFile(path.join(options.input, name));
+            logFileResult(converted);
+            results.push(converted);
+        }
+
+        const converted = results.filter(result => result.success);
+        const rows = converted.flatMap(result => result.records);
+        log(`${converted.length} of ${results.length} files converted, ${rows.length} records`);
+
+        if (rows.length > 0) {
+            writeOutput(rows, template, options, timestamp).forEach(filePath => log(`Written: ${filePath}`));
+        }
+
+        return converted.length === results.length ? 0 : 2;
+    } catch (error) {
+        log(`Conversion stopped: ${error.message}`);
+        return 1;
+    } finally {
+        fs.writeFileSync(logPath, `${logLines.join('\n')}\n`);
+        process.stdout.write(`Log: ${logPath}\n`);
+    }
+}
+
+// The tests load the pipeline the same way (see test/helpers/pipeline.js)
+if (require.main === module) {
+    main().then(code => process.exit(code));
+}
+
+module.exports = { PIPELINE_SCRIPTS, loadPipeline };
@@ -11,7 +11,11 @@ let appSettings = {
     userEmail: '',
     userSignature: '',
     downloadFolder: '',
-    downloadFolderHandle: null
+    downloadFolderHandle: null,
+    exportDateFormat: 'dd-mm-yyyy',
+    exportNumberFormat: '#,##0.00',
+    exportExtraColumns: true,
+    importDateOrder: 'dmy'
 };
 
 // Broker mapping state
@@ -33,13 +37,15 @@ window.fileMappingContext = {
 
 /**
  * Save current file-mapping context
+ * @param {boolean} readOnly - True for built-in mappings, which are saved as a new copy instead of updated
  */
-function saveFileMappingContext(fileData, templateId, templateName) {
+function saveFileMappingContext(fileData, templateId, templateName, readOnly = false) {
     window.fileMappingContext = {
         fileId: fileData.id,
         fileName: fileData.name,
         mappingTemplateId: templateId,
         mappingName: templateName,
+        mappingReadOnly: readOnly,
         isActive: true,
         lastUpdated: new Date().toISOString()
     };
@@ -138,7 +144,7 @@ function updateFileMappingContextBanner() {
                         <strong style="color: #00bcd4;">Active Mapping Context</strong><br>
                         <span style="font-size: 14px;">File: <strong>${window.fileMappingContext.fileName}</strong></span><br>
                         <span style="font-size: 14px;">Template: <strong>${window.fileMappingContext.mappingName || 'Unsaved'}</strong></span>
-                        <span style="font-size: 12px; color: #888; margin-left: 8px;">(${window.fileMappingContext.mappingTemplateId ? 'Saved' : 'Not saved yet'})</span>
+                        <span style="font-size: 12px; color: #888; margin-left: 8px;">(${window.fileMappingContext.mappingReadOnly ? 'Built-in, save as new template to edit' : window.fileMappingContext.mappingTemplateId ? 'Saved' : 'Not saved yet'})</span>
                     </div>
                     <button class="btn btn-secondary" onclick="clearFileMappingContext()" style="padding: 8px 16px;">
                         Clear Context
@@ -163,12 +169,12 @@ function updateMappingButtons() {
 
     if (!saveBtn || !updateBtn) return;
 
-    if (window.fileMappingContext.isActive && window.fileMappingContext.mappingTemplateId) {
-        // Context exists with saved template - show Update button
+    if (window.fileMappingContext.isActive && window.fileMappingContext.mappingTemplateId && !window.fileMappingContext.mappingReadOnly) {
+        // Context exists with saved (editable) template - show Update button
         saveBtn.style.display = 'none';
         updateBtn.style.display = 'inline-block';
     } else {
-        // No context or unsaved - show Save button
+        // No context, unsaved or built-in template - show Save button
         saveBtn.style.display = 'inline-block';
         updateBtn.style.display = 'none';
     }
@@ -231,6 +237,12 @@ async function editFileMappingFromTable(templateId, templateName) {
                 matchingFile = window.uploadedFiles.find(f => f.name.toLowerCase().includes(keyword));
             }
 
+            // Try filename pattern match (built-in templates)
+            if (!matchingFile && template.matchingPattern) {
+                const pattern = new RegExp(template.matchingPattern, 'i');
+                matchingFile = window.uploadedFiles.find(f => pattern.test(f.name));
+            }
+
             // Try source name match
             if (!matchingFile && template.sourceName) {
                 matchingFile = window.uploadedFiles.find(f =>
@@ -251,6 +263,11 @@ async function editFileMappingFromTable(templateId, templateName) {
 
             // Store pattern analysis if available BEFORE loading columns
             if (template.parsingConfig) {
+                // Text files are shown the way the mapping reads them
+                if (template.parsingConfig.textFormat) {
+                    await ExcelCacheManager.getWorkbook(matchingFile.file, template.parsingConfig.textFormat);
+                }
+
                 window.currentPatternAnalysis = {
                     dataSection: {
                         headerRowIndex: template.parsingConfig.headerRow,
@@ -266,19 +283,24 @@ async function editFileMappingFromTable(templateId, templateName) {
                     } : null,
                     suggestedHeaderRow: template.parsingConfig.headerRow,
                     autoFooterKeyword: template.parsingConfig.footerRowKeyword || template.parsingConfig.footerKeyword,
+                    sheetSelection: template.parsingConfig.sheetSelection || null,
+                    rowProcessing: template.parsingConfig.rowProcessing || null,
+                    sourceParsingConfig: template.parsingConfig,
                     confidence: 1.0
                 };
             }
 
             // Update file's broker info to link to this template
             matchingFile.broker = {
-                type: 'custom',
+                ...matchingFile.broker,
+                type: template.readOnly ? 'built-in' : 'custom',
                 name: template.name,
+                template: template,
                 templateId: template.id
             };
 
             // Save context
-            saveFileMappingContext(matchingFile, template.id, template.name);
+            saveFileMappingContext(matchingFile, template.id, template.name, !!template.readOnly);
 
             // Load the file's columns LAST (this will use the restored pattern analysis)
             await loadSourceColumns(matchingFile.id);
@@ -293,7 +315,9 @@ async function editFileMappingFromTable(templateId, templateName) {
             }
 
             // Show success message
-            alert(`Editing template "${templateName}".\n\nFile: ${matchingFile.name}\n\nMake your changes and click "Update Template" to save.`);
+            alert(template.readOnly ?
+                `"${templateName}" is a built-in template and cannot be changed.\n\nFile: ${matchingFile.name}\n\nMake your changes and click "Save New Template" to save them as an editable copy.` :
+                `Editing template "${templateName}".\n\nFile: ${matchingFile.name}\n\nMake your changes and click "Update Template" to save.`);
 
         } else {
             // No file found: Prompt user to upload
@@ -329,6 +353,7 @@ function showMainSection() {
     document.getElementById('new-template-section').style.display = 'none';
     document.getElementById('edit-template-section').style.display = 'none';
     document.getElementById('column-config-section').style.display = 'none';
+    document.getElementById('validation-rules-section').style.display = 'none';
 }
 
 function showNewTemplateSection() {
@@ -336,6 +361,7 @@ function showNewTemplateSection() {
     document.getElementById('new-template-section').style.display = 'block';
     document.getElementById('edit-template-section').style.display = 'none';
     document.getElementById('column-config-section').style.display = 'none';
+    document.getElementById('validation-rules-section').style.display = 'none';
 }
 
 function showEditTemplateSection() {
@@ -343,9 +369,11 @@ function showEditTemplateSection() {
     document.getElementById('new-template-section').style.display = 'none';
     document.getElementById('edit-template-section').style.display = 'block';
     document.getElementById('column-config-section').style.display = 'block';
+    document.getElementById('validation-rules-section').style.display = 'block';
 
     updateTemplateForm();
     updateTemplateDisplay();
+    updateValidationRulesDisplay();
     if (typeof updateActiveTemplateDisplay === 'function') {
         updateActiveTemplateDisplay();
     }
@@ -354,129 +382,32 @@ function showEditTemplateSection() {
 // ========== BROKER MAPPING FUNCTIONS ==========
 
 /**
- * Apply automatic mapping for known broker types based on their predefined column mappings
+ * Apply the column mapping of the file mapping detected for this file (built-in or keyword-matched)
  * @param {string} fileId - ID of the selected file
  */
 function applyAutoMappingForBrokerType(fileId) {
     const fileData = window.uploadedFiles?.find(f => f.id == fileId);
-    if (!fileData || !fileData.broker || fileData.broker.type !== 'built-in') {
-        console.log('File not found or not a built-in broker type, skipping auto-mapping');
+    const columnMapping = fileData?.broker?.template?.columnMapping;
+    if (!columnMapping) {
+        console.log('File not found or no file mapping detected, skipping auto-mapping');
         return;
     }
 
-    const brokerType = fileData.broker.parser;
-    console.log(`Applying auto-mapping for ${brokerType} broker type`);
-
-    // Clear existing mapping first
-    window.currentMapping = {};
-
-    // Get broker-specific mappings
-    const brokerMappings = getBrokerAutoMapping(brokerType, fileData.name);
+    console.log(`Applying column mapping of "${fileData.broker.name}"`);
 
-    // Apply the mappings
-    Object.assign(window.currentMapping, brokerMappings);
+    // Replace any existing mapping with the file mapping's own
+    window.currentMapping = { ...columnMapping };
 
     console.log('Auto-mapping applied:', window.currentMapping);
 }
 
-/**
- * Get predefined column mappings for specific broker types
- * @param {string} brokerType - The broker type (AON, VGA, BCI, Voogt)
- * @param {string} filename - Original filename for data extraction
- * @returns {Object} Column mapping object
- */
-function getBrokerAutoMapping(brokerType, filename) {
-    const mappings = {};
-
-    switch (brokerType) {
-        case 'AON': {
-            // Extract period from filename
-            const aonMatch = filename.match(/(\d{2}-\d{4})/);
-            const aonPeriod = aonMatch ? aonMatch[1] : '';
-
-            mappings['Makelaar'] = 'FIXED:AON';
-            mappings['Boekingsperiode'] = `FIXED:${aonPeriod}`;
-            mappings['Valuta'] = 'FIXED:EUR';
-            mappings['Polisnr makelaar'] = 'PolisNr';
-            mappings['Verzekerde'] = 'Verzekerde';
-            mappings['Branche'] = 'Branche';
-            mappings['Netto'] = 'Netto';
-            mappings['Boekdatum tp'] = 'BoekDtm';
-            mappings['FactuurDtm'] = 'FactuurDtm';
-            mappings['FactuurNr'] = 'FactuurNr';
-            mappings['Tekenjaar'] = 'Tekenjaar';
-            mappings['Boekingsreden'] = 'FactuurTekst';
-            break;
-        }
-
-        case 'VGA': {
-            // Extract period and code from filename
-            const vgaMatch = filename.match(/^VGA (\d{2}-\d{4}) (A\d{3})\.xlsx$/i);
-            const vgaPeriod = vgaMatch ? vgaMatch[1] : '';
-            const vgaCode = vgaMatch ? vgaMatch[2] : '';
-
-            mappings['Makelaar'] = `FIXED:VGA ${vgaCode}`;
-            mappings['Boekingsperiode'] = `FIXED:${vgaPeriod}`;
-            mappings['Valuta'] = 'FIXED:EUR';
-            mappings['Polisnr makelaar'] = 'Polisnummer';
-            mappings['Verzekerde'] = 'Naam verzekeringnemer';
-            mappings['FactuurNr'] = 'Factuurnummer';
-            mappings['Branche'] = 'Branche';
-            mappings['Bruto'] = 'Bruto premie EB';
-            mappings['Netto'] = 'Netto Maatschappij EB';
-            break;
-        }
-
-        case 'BCI': {
-            // Extract period from filename
-            const bciMatch = filename.match(/^BCI (\d{4}-Q[1-4])\.xlsx$/i);
-            const bciPeriod = bciMatch ? bciMatch[1] : '';
-
-            mappings['Makelaar'] = 'FIXED:BCI';
-            mappings['Boekingsperiode'] = `FIXED:${bciPeriod}`;
-            mappings['Valuta'] = 'FIXED:EUR';
-            // Note: BCI uses complex two-row parsing, so these are conceptual mappings
-            // The actual parsing is handled in BCIParser.parse()
-            mappings['Polisnr makelaar'] = 'FIXED:From multi-row pattern (XXXX.XX.XX.XXXX)';
-            mappings['Branche'] = 'FIXED:From multi-row pattern (text after policy)';
-            mappings['Verzekerde'] = 'FIXED:From row 2, column 1';
-            mappings['FactuurNr'] = 'FIXED:From row 2, column 2';
-            mappings['Provisie'] = 'FIXED:From row 1, column 4';
-            mappings['Netto'] = 'FIXED:From row 1, column 7';
-            mappings['Bruto'] = 'FIXED:From row 2, column 5';
-            break;
-        }
-
-        case 'Voogt': {
-            // Extract period from filename
-            const voogtMatch = filename.match(/^Voogt (\d{2}) (\d{4})\.xlsx$/i);
-            const voogtPeriod = voogtMatch ? `${voogtMatch[1]} ${voogtMatch[2]}` : '';
-
-            mappings['Makelaar'] = 'FIXED:Voogt';
-            mappings['Boekingsperiode'] = `FIXED:${voogtPeriod}`;
-            mappings['Valuta'] = 'FIXED:EUR';
-            // Note: Voogt uses position-based parsing, so these are conceptual mappings
-            mappings['Polisnr makelaar'] = 'FIXED:Column E (position 4)';
-            mappings['Verzekerde'] = 'FIXED:Column J (position 9)';
-            mappings['Netto'] = 'FIXED:Column N (position 13)';
-            mappings['Provisie'] = 'FIXED:Column P (position 15)';
-            mappings['Bruto'] = 'FIXED:Column S (position 18)';
-            break;
-        }
-
-        default:
-            console.log(`No auto-mapping defined for broker type: ${brokerType}`);
-    }
-
-    return mappings;
-}
-
 function updateMappingFileSelector() {
     const selector = document.getElementById('mapping-file-selector');
     selector.innerHTML = '<option value="">Select a file to map...</option>';
 
     if (window.uploadedFiles && window.uploadedFiles.length > 0) {
-        window.uploadedFiles.forEach(fileData => {
+        // Files still being processed can be mapped once they are done
+        window.uploadedFiles.filter(fileData => !fileData.processing).forEach(fileData => {
             const option = document.createElement('option');
             option.value = fileData.id;
             option.textContent = `${fileData.name} (${fileData.broker.name})`;
@@ -503,8 +434,8 @@ async function loadSourceColumns(fileId) {
     // Clear old context first - will be restored below if this file has a saved template
     clearFileMappingContext();
 
-    // Check if this file has a saved template and restore the context
-    if (fileData.broker && fileData.broker.type === 'custom' && fileData.broker.templateId) {
+    // Check if this file has a saved (or built-in) template and restore the context
+    if (fileData.broker && fileData.broker.templateId) {
         console.log(`File has saved template: ${fileData.broker.name} (ID: ${fileData.broker.templateId})`);
 
         // Load the template to restore mappings
@@ -514,13 +445,18 @@ async function loadSourceColumns(fileId) {
 
             if (template) {
                 // Restore the file mapping context
-                saveFileMappingContext(fileData, template.id, template.name);
+                saveFileMappingContext(fileData, template.id, template.name, !!template.readOnly);
 
                 // Restore the column mapping
                 window.currentMapping = { ...template.columnMapping };
 
                 // CRITICAL: Restore pattern analysis from saved parsing config
                 if (template.parsingConfig) {
+                    // Text files are shown the way the mapping reads them
+                    if (template.parsingConfig.textFormat) {
+                        await ExcelCacheManager.getWorkbook(fileData.file, template.parsingConfig.textFormat);
+                    }
+
                     window.currentPatternAnalysis = {
                         dataSection: {
                             headerRowIndex: template.parsingConfig.headerRow,
@@ -535,7 +471,11 @@ async function loadSourceColumns(fileId) {
                             footerKeyword: template.parsingConfig.footerRowKeyword || template.parsingConfig.footerKeyword
                         } : null,
                         suggestedHeaderRow: template.parsingConfig.headerRow,
-                        autoFooterKeyword: template.parsingConfig.footerRowKeyword || template.parsingConfig.footerKeyword
+                        autoFooterKeyword: template.parsingConfig.footerRowKeyword || template.parsingConfig.footerKeyword,
+                        sheetSelection: template.parsingConfig.sheetSelection || null,
+                        rowProcessing: template.parsingConfig.rowProcessing || null,
+                        sourceParsingConfig: template.parsingConfig,
+                        confidence: 1.0
                     };
                     console.log(`Restored pattern analysis from template:`, window.currentPatternAnalysis);
                 }
@@ -563,8 +503,7 @@ async function loadSourceColumns(fileId) {
     const container = document.getElementById('source-columns');
 
     try {
-        if (fileData.file.type === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' ||
-            fileData.file.name.endsWith('.xlsx')) {
+        if (ExcelCacheManager.isReadableFile(fileData.file)) {
 
             // Show loading message
             container.innerHTML = '<div style="text-align: center; padding: 32px; color: #888;"><p>Analyzing file structure...</p></div>';
@@ -599,7 +538,7 @@ async function loadSourceColumns(fileId) {
             }
 
         } else {
-            container.innerHTML = '<div style="text-align: center; padding: 32px; color: #888;"><p>PDF files require manual processing</p></div>';
+            container.innerHTML = '<div style="text-align: center; padding: 32px; color: #888;"><p>This file type cannot be read</p></div>';
         }
     } catch (error) {
         console.error('Error loading source columns:', error);
@@ -613,7 +552,9 @@ async function loadSourceColumns(fileId) {
 async function loadSourceColumnsFromAnalysis(file, patternAnalysis, container) {
     try {
         const workbook = await ExcelCacheManager.getWorkbook(file);
-        const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+        const sheetSelection = GenericParser.sheetSelectionFromAnalysis(patternAnalysis);
+        const selectedSheets = GenericParser.resolveSheetNames(workbook, sheetSelection);
+        const worksheet = workbook.Sheets[selectedSheets[0]];
         const range = XLSX.utils.decode_range(worksheet['!ref']);
 
                 // Extract headers from detected start cell and column range
@@ -676,7 +617,7 @@ async function loadSourceColumnsFromAnalysis(file, patternAnalysis, container) {
                 // Build header info with optional footer keyword
                 let headerInfo = '';
                 if (isMultiRowHeader) {
-                    headerInfo = `Header Range: ${patternAnalysis.manualSelection.headerRange} (${headerRows} rows), Processing: ${headerRows} rows per record, Data starts: ${XLSX.utils.encode_col(startCol)}${headerRowIndex + headerRows}`;
+                    headerInfo = `Header Range: ${patternAnalysis.manualSelection.headerRange} (${headerRows} rows), Processing: ${GenericParser.rowProcessingFromAnalysis(patternAnalysis).rowsPerRecord || 1} rows per record, Data starts: ${XLSX.utils.encode_col(startCol)}${headerRowIndex + headerRows}`;
                     if (patternAnalysis.manualSelection.footerKeyword) {
                         headerInfo += `<br>Footer Keyword: "${patternAnalysis.manualSelection.footerKeyword}"`;
                     }
@@ -688,6 +629,39 @@ async function loadSourceColumnsFromAnalysis(file, patternAnalysis, container) {
                     }
                 }
 
+                // Multi-row records and saved parsing rules: field names come from the parser
+                // (line prefixes, split fields and position-based column names)
+                if (patternAnalysis.rowProcessing?.type === 'multi-row' || patternAnalysis.sourceParsingConfig) {
+                    const recordParser = new GenericParser(GenericParser.configFromAnalysis(patternAnalysis));
+                    headers.splice(0, headers.length, ...await recordParser.getFieldNames(worksheet));
+                    if (patternAnalysis.sourceParsingConfig) {
+                        headerInfo += `<br>Parsing rules: from the saved template (${escapeHtml(patternAnalysis.sourceParsingConfig.dataStartMethod || 'skip-rows')})`;
+                    }
+                    if (patternAnalysis.rowProcessing?.type === 'multi-row') {
+                        headerInfo += `<br>Records: ${describeMultiRowRecords(patternAnalysis.rowProcessing)}`;
+                    }
+                } else if (!isMultiRowHeader) {
+                    const dataStart = patternAnalysis.dataSection.dataStartIndex ?? headerRowIndex + 1;
+                    const dataEnd = patternAnalysis.suggestedDataEnd ?? range.e.r;
+                    const multiRowPattern = DataPatternAnalyzer.detectMultiRowPattern(worksheet, { start: dataStart, length: dataEnd - dataStart + 1 });
+                    if (multiRowPattern) {
+                        headerInfo += `<br>⚠️ Records appear to span 2 rows - use "Multi-row records" to combine them`;
+                    }
+                }
+
+                // Only mention sheets when the workbook has more than one
+                if (workbook.SheetNames.length > 1) {
+                    headerInfo += `<br>Sheet: ${describeSheetSelection(sheetSelection)} (${selectedSheets.map(name => escapeHtml(name)).join(', ')})`;
+                }
+
+                // Text files: how the lines were split into columns (adjustable in Manual Header & Footer Selection)
+                if (workbook.textFormat) {
+                    headerInfo += `<br>Read as: ${escapeHtml(window.describeTextFormat(workbook.textFormat))}`;
+                }
+                if (workbook.pdfLayout) {
+                    headerInfo += `<br>Read as: ${escapeHtml(window.describePdfLayout(workbook.pdfLayout))}`;
+                }
+
                 const structureType = isMultiRowHeader ? 'Manual Header & Footer Selection' : 'Automatic Header & Footer Detection';
 
                 const confidenceInfo = `
@@ -698,7 +672,10 @@ async function loadSourceColumnsFromAnalysis(file, patternAnalysis, container) {
                                 ${headerInfo}<br>
                                 Confidence: ${Math.round(patternAnalysis.confidence * 100)}%
                             </div>
-                            <button class="btn btn-secondary" onclick="showManualHeaderSelection()" style="margin-left: 12px;">Manual select header & footer</button>
+                            <div style="display: flex; flex-direction: column; gap: 6px; margin-left: 12px;">
+                                <button class="btn btn-secondary" onclick="showManualHeaderSelection()">Manual select header & footer</button>
+                                <button class="btn btn-secondary" onclick="showMultiRowRecordConfig()">Multi-row records</button>
+                            </div>
                         </div>
                     </div>
                 `;
@@ -706,8 +683,8 @@ async function loadSourceColumnsFromAnalysis(file, patternAnalysis, container) {
                 container.innerHTML = confidenceInfo;
                 displaySourceColumns(headers);
 
-                // Trigger auto-mapping for high-confidence detections
-                if (patternAnalysis.confidence > 0.7) {
+                // Trigger auto-mapping for high-confidence detections (a restored template or resumed session keeps its own mapping)
+                if (patternAnalysis.confidence > 0.7 && !patternAnalysis.sourceParsingConfig && !window.currentMappingFile?.resumingMapping) {
                     console.log('High confidence detection - triggering auto-mapping');
                     setTimeout(() => {
                         generateAutoMappingSuggestions();
@@ -1075,7 +1052,7 @@ async function saveBrokerTemplate() {
 
     try {
         // Create parsing config with auto-detected skip rules
-        const parsingConfig = {
+        let parsingConfig = {
             dataStartMethod: 'skip-rows',
             skipRows: 0,
             skipColumns: 0,
@@ -1127,6 +1104,28 @@ async function saveBrokerTemplate() {
             console.log(`Start cell detected: ${analysis.startCell || 'A1'}`);
         }
 
+        // Parsing rules restored from a saved template are kept unless the header was re-selected
+        if (window.currentPatternAnalysis?.sourceParsingConfig) {
+            const { id, name, columnMapping, ...restoredConfig } = GenericParser.configFromAnalysis(window.currentPatternAnalysis);
+            parsingConfig = restoredConfig;
+        }
+
+        // Remember which sheet(s) to read; without a selection the first sheet is used
+        if (window.currentPatternAnalysis?.sheetSelection) {
+            parsingConfig.sheetSelection = { ...window.currentPatternAnalysis.sheetSelection };
+        }
+
+        // Record configuration from the File Mapping tab (multi-row, or cleared back to one row per record)
+        if (window.currentPatternAnalysis?.rowProcessing?.type) {
+            parsingConfig.rowProcessing = { ...window.currentPatternAnalysis.rowProcessing };
+        }
+
+        // Text files: keep how the file was read (encoding, delimiter, column breaks)
+        const mappingWorkbook = await ExcelCacheManager.getWorkbook(window.currentMappingFile.file);
+        if (mappingWorkbook.textFormat) {
+            parsingConfig.textFormat = { ...mappingWorkbook.textFormat };
+        }
+
         // Create file mapping object (unified format)
         const fileMapping = {
             id: `mapping-${Date.now()}`,
@@ -1138,6 +1137,7 @@ async function saveBrokerTemplate() {
             filePattern: window.currentMappingFile.name,
             parsingConfig: parsingConfig,
             columnMapping: { ...window.currentMapping },
+            fingerprint: await captureMappingFingerprint(parsingConfig),
             created: new Date().toISOString(),
             lastModified: new Date().toISOString(),
             version: '1.0',
@@ -1194,6 +1194,22 @@ async function saveBrokerTemplate() {
     }
 }
 
+/**
+ * Capture the content fingerprint of the current mapping file (headers, labels, sheet names)
+ * so files of this broker are recognized even when renamed
+ * @param {Object} parsingConfig - Parsing configuration of the mapping
+ * @returns {Promise<Object|null>} Fingerprint, or null when it could not be captured
+ */
+async function captureMappingFingerprint(parsingConfig) {
+    try {
+        const workbook = await ExcelCacheManager.getWorkbook(window.currentMappingFile.file);
+        return await FileFingerprint.capture(workbook, parsingConfig);
+    } catch (error) {
+        console.warn('Could not capture file fingerprint:', error);
+        return null;
+    }
+}
+
 /**
  * Update existing broker template
  */
@@ -1219,16 +1235,21 @@ async function updateBrokerTemplate() {
             return;
         }
 
+        if (existingTemplate.readOnly) {
+            alert(`"${existingTemplate.name}" is a built-in template and cannot be changed.\n\nUse "Save New Template" to save your changes as an editable copy.`);
+            return;
+        }
+
         const confirmUpdate = confirm(
             `Update template "${existingTemplate.name}"?\n\n` +
-            `This will overwrite the existing template with your current mappings.\n\n` +
+            `Your current mappings become the new version; v${existingTemplate.version || '1.0'} is kept in the version history.\n\n` +
             `Current mappings: ${Object.keys(window.currentMapping).length} columns`
         );
 
         if (!confirmUpdate) return;
 
         // Create parsing config with auto-detected skip rules
-        const parsingConfig = {
+        let parsingConfig = {
             dataStartMethod: 'skip-rows',
             skipRows: 0,
             skipColumns: 0,
@@ -1261,11 +1282,34 @@ async function updateBrokerTemplate() {
             }
         }
 
+        // Parsing rules restored from a saved template are kept unless the header was re-selected
+        if (window.currentPatternAnalysis?.sourceParsingConfig) {
+            const { id, name, columnMapping, ...restoredConfig } = GenericParser.configFromAnalysis(window.currentPatternAnalysis);
+            parsingConfig = restoredConfig;
+        }
+
+        // Remember which sheet(s) to read; without a selection the first sheet is used
+        if (window.currentPatternAnalysis?.sheetSelection) {
+            parsingConfig.sheetSelection = { ...window.currentPatternAnalysis.sheetSelection };
+        }
+
+        // Record configuration from the File Mapping tab (multi-row, or cleared back to one row per record)
+        if (window.currentPatternAnalysis?.rowProcessing?.type) {
+            parsingConfig.rowProcessing = { ...window.currentPatternAnalysis.rowProcessing };
+        }
+
+        // Text files: keep how the file was read (encoding, delimiter, column breaks)
+        const mappingWorkbook = await ExcelCacheManager.getWorkbook(window.currentMappingFile.file);
+        if (mappingWorkbook.textFormat) {
+            parsingConfig.textFormat = { ...mappingWorkbook.textFormat };
+        }
+
         // Update the template
         const updatedTemplate = {
             ...existingTemplate,
             parsingConfig: parsingConfig,
             columnMapping: { ...window.currentMapping },
+            fingerprint: await captureMappingFingerprint(parsingConfig) || existingTemplate.fingerprint || null,
             lastModified: new Date().toISOString(),
             metadata: {
                 ...existingTemplate.metadata,
@@ -1276,17 +1320,25 @@ async function updateBrokerTemplate() {
             }
         };
 
+        // Earlier deliveries attached as samples must still produce their approved output
+        if (!await window.checkMappingRegressions(updatedTemplate)) {
+            return;
+        }
+
         // Save to unified file mappings store
         const saved = await window.saveFileMapping(updatedTemplate);
         if (!saved) {
             throw new Error('Failed to update template in database');
         }
 
+        // Saving assigns the new version number
+        const savedTemplate = (await window.loadAllFileMappings()).find(t => t.id === updatedTemplate.id) || updatedTemplate;
+
         // Also export as JSON file for backup
-        await window.exportFileMappingAsJSON(updatedTemplate, null, appSettings);
+        await window.exportFileMappingAsJSON(savedTemplate, null, appSettings);
 
         // Show success message
-        alert(`Template "${existingTemplate.name}" updated successfully!\n\nUpdated in database and downloaded as JSON file for backup.`);
+        alert(`Template "${existingTemplate.name}" updated to v${savedTemplate.version || '1.0'}!\n\nUpdated in database and downloaded as JSON file for backup.`);
 
         // Update context with new timestamp
         saveFileMappingContext(window.currentMappingFile, updatedTemplate.id, updatedTemplate.name);
@@ -1383,163 +1435,6 @@ async function handleBrokerTemplateImport(event) {
 }
 
 
-/**
- * Apply mapping configuration to sample data
- * @param {Array} sampleData - Raw data from Excel
- * @param {Object} mapping - Current mapping configuration
- * @returns {Array} Mapped data
- */
-function applyMappingToData(sampleData, mapping) {
-    return sampleData.map(row => {
-        const mappedRow = {};
-
-        // Apply each mapping rule
-        Object.keys(mapping).forEach(targetField => {
-            const mappingRule = mapping[targetField];
-
-            if (mappingRule.startsWith('FIXED:')) {
-                // Fixed value mapping
-                mappedRow[targetField] = mappingRule.substring(6);
-            } else if (mappingRule.startsWith('CALC:')) {
-                // Calculation mapping
-                const formula = mappingRule.substring(5);
-                console.log(`Executing CALC formula for ${targetField}:`, formula);
-                console.log('Available row keys:', Object.keys(row));
-
-                try {
-                    if (typeof window.executeFormula !== 'function') {
-                        console.error('window.executeFormula function not found!');
-                        mappedRow[targetField] = '';
-                        return;
-                    }
-                    const result = window.executeFormula(formula, row);
-                    console.log(`CALC result for ${targetField}:`, result);
-                    mappedRow[targetField] = result;
-                } catch (error) {
-                    console.error(`Error executing formula for ${targetField}:`, error);
-                    mappedRow[targetField] = '';
-                }
-            } else {
-                // Column mapping - handle undefined/null but preserve falsy values like 0
-                let value = row[mappingRule];
-
-                // If direct mapping fails, try normalized header matching (handle line breaks)
-                if (value === undefined) {
-                    const normalizedMappingRule = mappingRule.replace(/[\r\n\t]/g, ' ').replace(/\s+/g, ' ').trim();
-
-                    // Find matching key in row data with normalized comparison
-                    const matchingKey = Object.keys(row).find(key => {
-                        const normalizedKey = key.replace(/[\r\n\t]/g, ' ').replace(/\s+/g, ' ').trim();
-                        return normalizedKey === normalizedMappingRule;
-                    });
-
-                    if (matchingKey) {
-                        value = row[matchingKey];
-                        console.log(`Normalized header mapping: "${mappingRule}" -> "${matchingKey}" = ${value}`);
-                    }
-                }
-
-                if (value !== undefined && value !== null) {
-                    // Check if this looks like an Excel date number and the target field is date-related
-                    if (isExcelDate(value) && isDateField(targetField)) {
-                        value = formatExcelDate(value);
-                    }
-                    mappedRow[targetField] = value;
-                } else {
-                    mappedRow[targetField] = '';
-                }
-            }
-        });
-
-        return mappedRow;
-    });
-}
-
-/**
- * Check if a value looks like an Excel date serial number
- * @param {any} value - Value to check
- * @returns {boolean} True if looks like Excel date
- */
-function isExcelDate(value) {
-    // Excel dates are numbers between reasonable bounds
-    // Excel epoch starts 1900-01-01 (serial 1) to future dates
-    return typeof value === 'number' && value > 0 && value < 100000;
-}
-
-/**
- * Check if a field name indicates it should contain date data
- * @param {string} fieldName - Field name to check
- * @returns {boolean} True if field is date-related
- */
-function isDateField(fieldName) {
-    const dateFieldPatterns = [
-        /datum/i,
-        /date/i,
-        /van$/i,
-        /tot$/i,
-        /periode/i,
-        /dtm$/i
-    ];
-
-    return dateFieldPatterns.some(pattern => pattern.test(fieldName));
-}
-
-/**
- * Format Excel date serial number to readable date string
- * @param {number} excelDate - Excel serial date number
- * @returns {string} Formatted date string
- */
-function formatExcelDate(excelDate) {
-    try {
-        // Excel epoch starts at 1900-01-01 but has a leap year bug
-        // JavaScript Date constructor works with milliseconds
-        const excelEpoch = new Date(1900, 0, 1);
-        const msPerDay = 24 * 60 * 60 * 1000;
-
-        // Adjust for Excel's leap year bug (it thinks 1900 was a leap year)
-        let adjustedDate = excelDate;
-        if (excelDate > 59) adjustedDate -= 1;
-
-        const jsDate = new Date(excelEpoch.getTime() + (adjustedDate - 1) * msPerDay);
-
-        // Return formatted date (DD-MM-YYYY)
-        return jsDate.toLocaleDateString('nl-NL', {
-            day: '2-digit',
-            month: '2-digit',
-            year: 'numeric'
-        });
-    } catch (error) {
-        console.warn('Failed to convert Excel date:', excelDate, error);
-        return excelDate.toString(); // Fallback to original value
-    }
-}
-
-/**
- * Filter data based on broker-specific rules for preview
- * @param {Array} rawData - Raw Excel data
- * @param {String} brokerType - Broker type (AON, VGA, BCI, Voogt)
- * @returns {Array} Filtered data
- */
-function filterDataForPreview(rawData, brokerType) {
-    switch (brokerType) {
-        case 'AON':
-            return rawData.filter(row => row.PolisNr || row.Verzekerde);
-        case 'VGA':
-            return rawData.filter(row =>
-                row.Soort !== 'Total' &&
-                row.Soort !== 'Totaal' &&
-                (row.Polisnummer || row['Naam verzekeringnemer'])
-            );
-        case 'BCI':
-        case 'Voogt':
-            // These have complex parsing - just return raw data for preview
-            return rawData;
-        default:
-            return rawData;
-    }
-}
-
-
 /**
  * Display mapping summary
  * @param {Object} mapping - Mapping configuration
@@ -1739,175 +1634,7 @@ async function downloadExcelToPreferredFolder(workbook, filename) {
 
 // ========== RESULTS TAB FUNCTIONS ==========
 
-/**
- * Set up event listeners for Results tab buttons
- */
-function setupResultsTabListeners() {
-    const downloadExcelBtn = document.getElementById('download-excel-btn');
-    const exportJsonBtn = document.getElementById('export-json-btn');
-    const refreshDataBtn = document.getElementById('refresh-data-btn');
-    const searchRecords = document.getElementById('search-records');
-
-    console.log('Setting up Results tab event listeners...');
-    console.log('downloadExcelBtn found:', !!downloadExcelBtn);
-    console.log('exportJsonBtn found:', !!exportJsonBtn);
-
-    // Remove existing listeners to avoid duplicates
-    if (downloadExcelBtn) {
-        console.log('Adding click listener to download Excel button');
-        downloadExcelBtn.removeEventListener('click', downloadCombinedExcel);
-        downloadExcelBtn.addEventListener('click', downloadCombinedExcel);
-    } else {
-        console.error('download-excel-btn not found!');
-    }
-
-    if (exportJsonBtn) {
-        console.log('Adding click listener to export JSON button');
-        exportJsonBtn.removeEventListener('click', exportCombinedJSON);
-        exportJsonBtn.addEventListener('click', exportCombinedJSON);
-    } else {
-        console.error('export-json-btn not found!');
-    }
-
-    if (refreshDataBtn) {
-        console.log('Adding click listener to refresh button');
-        refreshDataBtn.removeEventListener('click', updateResultsTab);
-        refreshDataBtn.addEventListener('click', updateResultsTab);
-    } else {
-        console.error('refresh-data-btn not found!');
-    }
-
-    // Search functionality
-    if (searchRecords) {
-        console.log('Adding input listener to search field');
-        searchRecords.removeEventListener('input', handleSearchInput);
-        searchRecords.addEventListener('input', handleSearchInput);
-    } else {
-        console.error('search-records not found!');
-    }
-}
-
-/**
- * Handle search input for filtering table rows
- */
-function handleSearchInput(e) {
-    const searchTerm = e.target.value.toLowerCase();
-    const tableRows = document.querySelectorAll('#results-table-body tr');
-
-    tableRows.forEach(row => {
-        const text = row.textContent.toLowerCase();
-        if (text.includes(searchTerm)) {
-            row.style.display = '';
-        } else {
-            row.style.display = 'none';
-        }
-    });
-}
-
-/**
- * Download combined data as Excel file
- */
-async function downloadCombinedExcel() {
-    console.log('downloadCombinedExcel called');
-    console.log('currentCombinedData:', window.currentCombinedData?.length);
-    console.log('appSettings:', appSettings);
-
-    if (!window.currentCombinedData || window.currentCombinedData.length === 0) {
-        alert('No processed data available for download.');
-        return;
-    }
-
-    try {
-        // Define the 22-column template order
-        const columnOrder = [
-            'Makelaar', 'Boekingsperiode', 'Polisnr makelaar', 'Verzekerde', 'Branche',
-            'Periode van', 'Periode tot', 'Valuta', 'Bruto', 'Provisie%',
-            'Provisie', 'Tekencom%', 'Tekencom', 'Netto', 'BAB',
-            'Land', 'Aandeel Allianz', 'Tekenjaar', 'Boekdatum tp', 'FactuurDtm',
-            'FactuurNr', 'Boekingsreden'
-        ];
-
-        // Clean data for export and ensure all 22 columns are present
-        const exportData = window.currentCombinedData.map(row => {
-            const cleanRow = {};
-
-            // First, add all columns in the correct order
-            columnOrder.forEach(columnName => {
-                cleanRow[columnName] = row[columnName] || '';
-            });
-
-            // Then add any additional columns that aren't internal fields
-            Object.keys(row).forEach(key => {
-                if (!key.startsWith('_') && !columnOrder.includes(key)) {
-                    cleanRow[key] = row[key];
-                }
-            });
-
-            return cleanRow;
-        });
-
-        // Create Excel workbook
-        const wb = XLSX.utils.book_new();
-        const ws = XLSX.utils.json_to_sheet(exportData);
-
-        // Add worksheet
-        XLSX.utils.book_append_sheet(wb, ws, 'Processed Data');
-
-        // Generate filename with timestamp
-        const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
-        const filename = `Borderellen_Combined_${timestamp}.xlsx`;
-
-        // Download to preferred folder or fallback to browser download
-        const success = await downloadExcelToPreferredFolder(wb, filename);
-
-        if (success) {
-            alert(`Downloaded ${exportData.length} records successfully`);
-        }
-
-    } catch (error) {
-        console.error('Error downloading Excel:', error);
-        alert(`Failed to download Excel file: ${error.message}`);
-    }
-}
-
-/**
- * Export combined data as JSON file
- */
-async function exportCombinedJSON() {
-    if (!window.currentCombinedData || window.currentCombinedData.length === 0) {
-        alert('No processed data available for export.');
-        return;
-    }
-
-    try {
-        // Clean data for export
-        const exportData = window.currentCombinedData.map(row => {
-            const cleanRow = {};
-            Object.keys(row).forEach(key => {
-                if (!key.startsWith('_')) {
-                    cleanRow[key] = row[key];
-                }
-            });
-            return cleanRow;
-        });
-
-        const dataStr = JSON.stringify(exportData, null, 2);
-        const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
-        const filename = `Borderellen_Combined_${timestamp}.json`;
-
-        // Create blob and download to preferred folder or fallback to browser download
-        const blob = new Blob([dataStr], { type: 'application/json' });
-        const success = await downloadToPreferredFolder(blob, filename, 'application/json');
-
-        if (success) {
-            alert(`Exported ${exportData.length} records successfully`);
-        }
-
-    } catch (error) {
-        console.error('Error exporting JSON:', error);
-        alert(`Failed to export JSON file: ${error.message}`);
-    }
-}
+// Results tab display, filtering and export live in resultsManager.js
 
 // ========== AUTO-NAVIGATION FUNCTIONS ==========
 
@@ -1942,10 +1669,12 @@ function autoSelectFileInMappingTab() {
         return; // Don't override existing selection
     }
 
+    // Files still being processed are not in the selector yet
+    const files = window.uploadedFiles.filter(f => !f.processing);
     let fileToSelect = null;
 
     // Priority 1: Parse errors or failed files (highest priority)
-    fileToSelect = window.uploadedFiles.find(f =>
+    fileToSelect = files.find(f =>
         f.statusClass === 'status-error' ||
         f.status.toLowerCase().includes('error') ||
         f.status.toLowerCase().includes('failed')
@@ -1953,7 +1682,7 @@ function autoSelectFileInMappingTab() {
 
     // Priority 2: Unknown formats that need templates
     if (!fileToSelect) {
-        fileToSelect = window.uploadedFiles.find(f =>
+        fileToSelect = files.find(f =>
             f.broker.type === 'Unknown' ||
             f.status.includes('Create Template')
         );
@@ -1961,7 +1690,7 @@ function autoSelectFileInMappingTab() {
 
     // Priority 3: Files with warnings or no valid records
     if (!fileToSelect) {
-        fileToSelect = window.uploadedFiles.find(f =>
+        fileToSelect = files.find(f =>
             f.statusClass === 'status-warning' ||
             f.status.includes('No Valid Records') ||
             f.recordCount === 0
@@ -1970,7 +1699,7 @@ function autoSelectFileInMappingTab() {
 
     // Priority 4: Successfully parsed files that could benefit from mapping validation
     if (!fileToSelect) {
-        fileToSelect = window.uploadedFiles.find(f =>
+        fileToSelect = files.find(f =>
             f.broker.type === 'built-in' &&
             f.statusClass === 'status-success' &&
             f.recordCount > 0
@@ -1979,7 +1708,7 @@ function autoSelectFileInMappingTab() {
 
     // Priority 5: Any remaining file (fallback)
     if (!fileToSelect) {
-        fileToSelect = window.uploadedFiles[0];
+        fileToSelect = files[0];
     }
 
     if (fileToSelect) {
@@ -2062,7 +1791,7 @@ document.addEventListener('DOMContentLoaded', function() {
 
                 // Try to restore context first
                 setTimeout(async () => {
-                    const contextRestored = await restoreFileMappingContext();
+                    const contextRestored = await window.resumeSessionMapping() || await restoreFileMappingContext();
 
                     // Only auto-select if context wasn't restored
                     if (!contextRestored) {
@@ -2083,6 +1812,12 @@ document.addEventListener('DOMContentLoaded', function() {
                 setupResultsTabListeners();
             }
 
+            // Initialize history tab when switched to
+            if (tabId === 'history') {
+                setupHistoryTabListeners();
+                loadAndDisplayHistory();
+            }
+
             // Initialize email tab when switched to
             if (tabId === 'email') {
                 // Ensure the correct data source is selected and analyzed
@@ -2098,6 +1833,9 @@ document.addEventListener('DOMContentLoaded', function() {
                         }
                     }, 100);
                 }
+
+                // Show the outstanding data requests, with their status from the current files
+                window.displayDataRequests();
             }
         });
     });
@@ -2107,6 +1845,10 @@ document.addEventListener('DOMContentLoaded', function() {
     initIndexedDB().then(async () => {
         console.log('IndexedDB initialized successfully');
 
+        // Built-in broker file mappings (AON, VGA, BCI, Voogt) ship as read-only defaults
+        if (typeof window.seedBuiltInFileMappings === 'function') {
+            await window.seedBuiltInFileMappings();
+        }
 
         console.log('Loading default template...');
         if (typeof loadDefaultTemplate === 'function') {
@@ -2126,6 +1868,11 @@ document.addEventListener('DOMContentLoaded', function() {
             console.error('loadSettings function not found');
         }
 
+        // Load lookup tables so LOOKUP() works in CALC: formulas
+        if (typeof window.loadAndDisplayLookupTables === 'function') {
+            await window.loadAndDisplayLookupTables();
+        }
+
         // Update displays after loading
         if (typeof updateTemplateSelector === 'function') {
             updateTemplateSelector();
@@ -2146,6 +1893,9 @@ document.addEventListener('DOMContentLoaded', function() {
 
         // Auto-navigate to Upload tab if template is already active
         autoNavigateOnStart();
+
+        // Offer to continue where the previous session left off
+        window.offerSessionResume();
     }).catch(error => {
         console.error('Failed to initialize IndexedDB:', error);
         alert('Database initialization failed. Some features may not work properly.');
@@ -2164,6 +1914,8 @@ document.addEventListener('DOMContentLoaded', function() {
     const browseTemplateBtn = document.getElementById('browse-template-btn');
     const createManualBtn = document.getElementById('create-manual-btn');
     const addColumnBtn = document.getElementById('add-column-btn');
+    const addRuleBtn = document.getElementById('add-rule-btn');
+    const addSuggestedRulesBtn = document.getElementById('add-suggested-rules-btn');
     const saveTemplateBtn = document.getElementById('save-template-btn');
     const exportTemplateBtn = document.getElementById('export-template-btn');
 
@@ -2303,6 +2055,8 @@ document.addEventListener('DOMContentLoaded', function() {
 
     // Template management event listeners
     addColumnBtn.addEventListener('click', addTemplateColumn);
+    addRuleBtn.addEventListener('click', addValidationRule);
+    addSuggestedRulesBtn.addEventListener('click', addSuggestedValidationRules);
     saveTemplateBtn.addEventListener('click', saveTemplate);
     exportTemplateBtn.addEventListener('click', exportTemplate);
 
@@ -2350,6 +2104,14 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     }
 
+    // Lookup table buttons
+    const lookupTableFileInput = document.getElementById('lookup-table-file-input');
+    const lookupTableJsonInput = document.getElementById('lookup-table-json-input');
+    document.getElementById('import-lookup-table-btn').addEventListener('click', () => lookupTableFileInput.click());
+    document.getElementById('import-lookup-json-btn').addEventListener('click', () => lookupTableJsonInput.click());
+    lookupTableFileInput.addEventListener('change', importLookupTableFromSpreadsheet);
+    lookupTableJsonInput.addEventListener('change', importLookupTableFromJSON);
+
     // Broker template import file input
     const brokerTemplateFileInput = document.getElementById('broker-template-file-input');
     brokerTemplateFileInput.addEventListener('change', handleBrokerTemplateImport);
@@ -2428,6 +2190,40 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     });
 
+    // File mapping version history modal
+    document.getElementById('close-mapping-history-modal').addEventListener('click', hideMappingHistoryModal);
+    document.getElementById('close-mapping-history-btn').addEventListener('click', hideMappingHistoryModal);
+    document.getElementById('mapping-history-modal').addEventListener('click', (e) => {
+        if (e.target.id === 'mapping-history-modal') {
+            hideMappingHistoryModal();
+        }
+    });
+
+    // Working sessions modal
+    document.getElementById('sessions-btn').addEventListener('click', () => showSessionsModal());
+    document.getElementById('close-sessions-modal').addEventListener('click', hideSessionsModal);
+    document.getElementById('close-sessions-btn').addEventListener('click', hideSessionsModal);
+    document.getElementById('rename-session-btn').addEventListener('click', renameCurrentSession);
+    document.getElementById('new-session-btn').addEventListener('click', startNewSessionWithUI);
+    document.getElementById('sessions-modal').addEventListener('click', (e) => {
+        if (e.target.id === 'sessions-modal') {
+            hideSessionsModal();
+        }
+    });
+
+    // File mapping regression tests modal
+    const mappingSampleFileInput = document.getElementById('mapping-sample-file-input');
+    document.getElementById('close-mapping-tests-modal').addEventListener('click', hideMappingTestsModal);
+    document.getElementById('close-mapping-tests-btn').addEventListener('click', hideMappingTestsModal);
+    document.getElementById('mapping-tests-run-btn').addEventListener('click', runMappingTestsFromModal);
+    document.getElementById('mapping-tests-add-btn').addEventListener('click', () => mappingSampleFileInput.click());
+    mappingSampleFileInput.addEventListener('change', addMappingSampleFromFile);
+    document.getElementById('mapping-tests-modal').addEventListener('click', (e) => {
+        if (e.target.id === 'mapping-tests-modal') {
+            hideMappingTestsModal();
+        }
+    });
+
     // Initialize template builder
 
     // Initialize email brokers tab functionality
@@ -2437,7 +2233,6 @@ document.addEventListener('DOMContentLoaded', function() {
 
     // Export functions globally for cross-module access
     window.previewFileData = previewFileData;
-    window.applyMappingToData = applyMappingToData;
     window.saveBrokerTemplate = saveBrokerTemplate;
     window.handleBrokerTemplateImport = handleBrokerTemplateImport;
     window.processFileWithTemplate = processFileWithTemplate;
@@ -2470,6 +2265,8 @@ async function processFileWithTemplate() {
 
         // Use the existing processing logic from preview functionality
         let processedData;
+        let reconciliation = null;
+        let run = null;
         let detection; // Declare detection variable in function scope
 
         // Always use template detection for "Process with Template" to ensure we use saved templates
@@ -2490,10 +2287,13 @@ async function processFileWithTemplate() {
 
             // Detect template using the same logic as automatic upload
             console.log('Process with Template: Calling detectBrokerType...');
-            detection = await window.detectBrokerType(window.currentMappingFile.file.name);
+            detection = await window.detectBrokerType(
+                window.currentMappingFile.file.name,
+                await ExcelCacheManager.getWorkbook(window.currentMappingFile.file)
+            );
             console.log('Process with Template: Template detection result:', detection);
 
-            if (detection && detection.type === 'custom' && detection.template) {
+            if (detection && (detection.type === 'custom' || detection.type === 'built-in') && detection.template) {
                 // Use the same broker parser flow as automatic upload
                 console.log('Process with Template: Using saved template:', detection.template.name);
                 console.log('Process with Template: Calling processBrokerFile...');
@@ -2509,6 +2309,8 @@ async function processFileWithTemplate() {
                 // Check if processing was successful (match fileManager.js structure)
                 if (result.success) {
                     processedData = result.data;
+                    reconciliation = result.reconciliation;
+                    run = result.run;
                     console.log('Process with Template: Processed data length:', processedData ? processedData.length : 0);
 
                     if (!processedData || processedData.length === 0) {
@@ -2533,10 +2335,25 @@ async function processFileWithTemplate() {
 
         // Update the current file with processed data (match fileManager.js pattern)
         window.currentMappingFile.parsedData = processedData;
+        window.assignRowKeys(window.currentMappingFile);
         window.currentMappingFile.recordCount = processedData.length;
         window.currentMappingFile.status = 'Processed with Template';
         window.currentMappingFile.statusClass = 'status-success';
 
+        const issues = window.summarizeIssues(processedData);
+        if (issues.rows > 0) {
+            window.currentMappingFile.status += ` - ${issues.rows} rows with issues`;
+        }
+        window.currentMappingFile.reconciliation = reconciliation;
+        if (reconciliation?.status === 'fail') {
+            window.currentMappingFile.status += ' - totals do not match';
+        }
+        window.currentMappingFile.runId = run?.id || null;
+        window.currentMappingFile.contentHash = run?.contentHash || null;
+        window.currentMappingFile.mappingVersion = detection.template.version || null;
+        const duplicates = await window.checkFileForDuplicates(window.currentMappingFile);
+        processedData = window.currentMappingFile.parsedData;
+
         // Update broker info to indicate template usage
         if (window.currentMappingFile.broker) {
             window.currentMappingFile.broker.name = `${window.currentMappingFile.broker.name} (Template)`;
@@ -2562,6 +2379,7 @@ async function processFileWithTemplate() {
             processedData: processedData,
             mapping: { ...detection.template.columnMapping },
             templateUsed: detection.template.name,
+            mappingVersion: detection.template.version || null,
             processedAt: new Date().toISOString()
         };
 
@@ -2572,7 +2390,8 @@ async function processFileWithTemplate() {
             updateFilesDisplay();
         }
 
-        // Switch to results tab to show results
+        // Switch to results tab to show results (of the current files, not a re-opened run)
+        window.resultsHistoryRun = null;
         const resultsTab = document.querySelector('[data-tab="results"]');
         if (resultsTab) {
             resultsTab.click();
@@ -2583,7 +2402,10 @@ async function processFileWithTemplate() {
             }
         }
 
-        alert(`File processed successfully with template! ${processedData.length} records processed.`);
+        alert(`File processed successfully with template! ${processedData.length} records processed.` +
+            (issues.rows > 0 ? `\n\n${issues.rows} records have values that do not match the template column types or break its validation rules. They are highlighted in the Results tab.` : '') +
+            (reconciliation?.status === 'fail' ? `\n\nThe extracted rows do not add up to the totals in the file: ${window.describeReconciliation(reconciliation)}` : '') +
+            (duplicates ? `\n\n${duplicates.count} records were delivered before. Choose to skip, keep or replace them in the Results tab.` : ''));
 
     } catch (error) {
         console.error('Error processing file:', error);
@@ -2591,20 +2413,6 @@ async function processFileWithTemplate() {
     }
 }
 
-/**
- * Helper function to get broker parser by type
- */
-function getBrokerParser(brokerType) {
-    const parsers = {
-        'AON': window.AONParser,
-        'VGA': window.VGAParser,
-        'BCI': window.BCIParser,
-        'Voogt': window.VoogtParser
-    };
-
-    return parsers[brokerType] || null;
-}
-
 /**
  * Escape HTML to prevent XSS
  */
@@ -0,0 +1,284 @@
+/**
+ * Borderellen Converter - Built-in File Mappings
+ * Default file mappings for the AON, VGA, BCI and Voogt borderellen, expressed in the same
+ * JSON format as user-created mappings and processed by GenericBrokerParser
+ */
+
+// Bump builtInRevision when a built-in mapping changes so stored copies are refreshed on startup
+const BUILT_IN_FILE_MAPPINGS = [
+    {
+        id: 'builtin-aon',
+        name: 'AON B550',
+        matchingKeyword: '',
+        matchingPattern: '^AON B550 (\\d{2}-\\d{4})\\.(xlsx|xls|ods)$',
+        creationMethod: 'built-in',
+        readOnly: true,
+        builtInRevision: 3,
+        sourceType: 'AON',
+        sourceName: 'AON B550',
+        filePattern: 'AON B550 MM-YYYY.xlsx',
+        fingerprint: {
+            headers: ['PolisNr', 'Verzekerde', 'Branche', 'PeriodeVan', 'PeriodeTot', 'Bruto', 'ProvisiePercentage', 'Provisie',
+                'TekencomPercentage', 'Tekencom', 'Netto', 'BAB', 'Land', 'AandeelAllianz', 'Tekenjaar', 'BoekDtm',
+                'FactuurDtm', 'FactuurNr', 'FactuurTekst'],
+            labels: [],
+            sheetNames: []
+        },
+        parsingConfig: {
+            dataStartMethod: 'skip-rows',
+            skipRows: 1,
+            skipColumns: 0,
+            headerRow: 0,
+            rowFilters: [
+                { type: 'require-any', fields: ['PolisNr', 'Verzekerde'] }
+            ]
+        },
+        columnMapping: {
+            'Makelaar': 'FIXED:AON',
+            'Boekingsperiode': 'CALC:REGEX(Filename, "(\\d{2}-\\d{4})")',
+            'Polisnr makelaar': 'PolisNr',
+            'Verzekerde': 'Verzekerde',
+            'Branche': 'Branche',
+            'Periode van': 'PeriodeVan',
+            'Periode tot': 'PeriodeTot',
+            'Valuta': 'FIXED:EUR',
+            'Bruto': 'Bruto',
+            'Provisie%': 'ProvisiePercentage',
+            'Provisie': 'Provisie',
+            'Tekencom%': 'TekencomPercentage',
+            'Tekencom': 'Tekencom',
+            'Netto': 'Netto',
+            'BAB': 'BAB',
+            'Land': 'Land',
+            'Aandeel Allianz': 'AandeelAllianz',
+            'Tekenjaar': 'Tekenjaar',
+            'Boekdatum tp': 'BoekDtm',
+            'FactuurDtm': 'FactuurDtm',
+            'FactuurNr': 'FactuurNr',
+            'Boekingsreden': 'FactuurTekst'
+        },
+        created: '2025-01-01T00:00:00.000Z',
+        lastModified: '2025-01-01T00:00:00.000Z',
+        version: '1.0',
+        metadata: {
+            description: 'AON B550 export: one header row, one record per row'
+        }
+    },
+    {
+        id: 'builtin-vga',
+        name: 'VGA',
+        matchingKeyword: '',
+        matchingPattern: '^VGA (\\d{2}-\\d{4}) (A\\d{3})\\.(xlsx|xls|ods)$',
+        creationMethod: 'built-in',
+        readOnly: true,
+        builtInRevision: 4,
+        sourceType: 'VGA',
+        sourceName: 'VGA',
+        filePattern: 'VGA MM-YYYY A999.xlsx',
+        fingerprint: {
+            headers: ['Soort', 'Polisnummer', 'Naam verzekeringnemer', 'Branche', 'PeriodeVan', 'PeriodeTot', 'Bruto premie EB',
+                'Provisie', 'Netto Maatschappij EB', 'Factuurnummer', 'BoekDtm'],
+            labels: [],
+            sheetNames: []
+        },
+        parsingConfig: {
+            dataStartMethod: 'skip-rows',
+            skipRows: 1,
+            skipColumns: 0,
+            headerRow: 0,
+            rowFilters: [
+                // Exclude summary rows
+                { type: 'exclude-values', field: 'Soort', values: ['Total', 'Totaal'] },
+                { type: 'require-any', fields: ['Polisnummer', 'Naam verzekeringnemer'] }
+            ]
+        },
+        columnMapping: {
+            'Makelaar': 'CALC:"VGA " & REGEX(Filename, "^[Vv][Gg][Aa] \\d{2}-\\d{4} ([Aa]\\d{3})")',
+            'Boekingsperiode': 'CALC:REGEX(Filename, "(\\d{2}-\\d{4})")',
+            'Polisnr makelaar': 'Polisnummer',
+            'Verzekerde': 'Naam verzekeringnemer',
+            'Branche': 'Branche',
+            'Periode van': 'PeriodeVan',
+            'Periode tot': 'PeriodeTot',
+            'Valuta': 'FIXED:EUR',
+            'Bruto': 'Bruto premie EB',
+            'Provisie%': 'ProvisiePercentage',
+            'Provisie': 'Provisie',
+            'Tekencom%': 'TekencomPercentage',
+            'Tekencom': 'Tekencom',
+            'Netto': 'Netto Maatschappij EB',
+            'BAB': 'BAB',
+            'Land': 'Land',
+            'Aandeel Allianz': 'AandeelAllianz',
+            'Tekenjaar': 'Tekenjaar',
+            'Boekdatum tp': 'BoekDtm',
+            'FactuurDtm': 'FactuurDtm',
+            'FactuurNr': 'Factuurnummer',
+            'Boekingsreden': 'FactuurTekst'
+        },
+        created: '2025-01-01T00:00:00.000Z',
+        lastModified: '2025-01-01T00:00:00.000Z',
+        version: '1.0',
+        metadata: {
+            description: 'VGA export per agency code: one header row, total rows excluded'
+        }
+    },
+    {
+        id: 'builtin-bci',
+        name: 'BCI',
+        matchingKeyword: '',
+        matchingPattern: '^BCI (\\d{4})-Q([1-4])\\.(xlsx|xls|ods)$',
+        creationMethod: 'built-in',
+        readOnly: true,
+        builtInRevision: 3,
+        sourceType: 'BCI',
+        sourceName: 'BCI',
+        filePattern: 'BCI YYYY-Q9.xlsx',
+        // No header row: the title and the column labels above the policies identify the statement
+        fingerprint: {
+            headers: [],
+            labels: [
+                { cell: 'A1', text: 'BCI Verzekeringen - kwartaaloverzicht' },
+                { cell: 'A3', text: 'Polis / Verzekerde' },
+                { cell: 'B3', text: 'Factuurnr' },
+                { cell: 'D3', text: 'Provisie' },
+                { cell: 'E3', text: 'Premie' },
+                { cell: 'G3', text: 'Netto' }
+            ],
+            sheetNames: []
+        },
+        parsingConfig: {
+            // Data starts at the first policy number (XXXX.XX.XX.XXXX with optional suffix) in column A
+            dataStartMethod: 'find-pattern',
+            patternConfig: {
+                pattern: '^\\s*\\d{4}\\.\\w{1,3}\\.\\d{2}\\.\\d{4}(\\w*)'
+            },
+            skipColumns: 0,
+            endColumn: 9,
+            headerRow: -1,
+            rowProcessing: {
+                type: 'multi-row',
+                rowsPerRecord: 2,
+                lines: [
+                    {
+                        // "XXXX.XX.XX.XXXX[suffix] BRANCHE" holds both the policy number and the branch
+                        pattern: '^(\\d{4}\\.\\w{1,3}\\.\\d{2}\\.\\d{4}\\w*)\\s+(.+)$',
+                        groups: ['Polisnr', 'Branche']
+                    },
+                    { prefix: 'Row2_' }
+                ],
+                stopCondition: {
+                    type: 'pattern-mismatch',
+                    pattern: '^(\\d{4}\\.\\w{1,3}\\.\\d{2}\\.\\d{4}\\w*)\\s+(.+)$'
+                }
+            }
+        },
+        columnMapping: {
+            'Makelaar': 'FIXED:BCI',
+            'Boekingsperiode': 'CALC:REGEX(Filename, "(\\d{4}-[Qq][1-4])")',
+            'Polisnr makelaar': 'Polisnr',
+            'Verzekerde': 'Row2_Column1',
+            'Branche': 'Branche',
+            'Periode van': 'FIXED:',
+            'Periode tot': 'FIXED:',
+            'Valuta': 'FIXED:EUR',
+            'Bruto': 'Row2_Column5',
+            'Provisie%': 'FIXED:',
+            'Provisie': 'Column4',
+            'Tekencom%': 'FIXED:',
+            'Tekencom': 'FIXED:',
+            'Netto': 'Column7',
+            'BAB': 'FIXED:',
+            'Land': 'FIXED:',
+            'Aandeel Allianz': 'FIXED:',
+            'Tekenjaar': 'FIXED:',
+            'Boekdatum tp': 'FIXED:',
+            'FactuurDtm': 'FIXED:',
+            'FactuurNr': 'Row2_Column2',
+            'Boekingsreden': 'FIXED:'
+        },
+        created: '2025-01-01T00:00:00.000Z',
+        lastModified: '2025-01-01T00:00:00.000Z',
+        version: '1.0',
+        metadata: {
+            description: 'BCI quarterly statement: no header row, two rows per record'
+        }
+    },
+    {
+        id: 'builtin-voogt',
+        name: 'Voogt',
+        matchingKeyword: '',
+        matchingPattern: '^Voogt (\\d{2}) (\\d{4})\\.(xlsx|xls|ods)$',
+        creationMethod: 'built-in',
+        readOnly: true,
+        builtInRevision: 4,
+        sourceType: 'Voogt',
+        sourceName: 'Voogt',
+        filePattern: 'Voogt MM YYYY.xlsx',
+        // Columns are read by position, but the file has a header row above the data
+        fingerprint: {
+            headers: ['Datum', 'Polisnummer', 'Verzekerde', 'Branche', 'Netto', 'Provisie', 'Bruto'],
+            labels: [{ cell: 'A1', text: 'Voogt Assurantien - maandoverzicht' }],
+            sheetNames: []
+        },
+        parsingConfig: {
+            // Data starts at the first booking date (dd-mm-yyyy text or Excel serial) in column A,
+            // or else at the first policy number (AB...) in column C
+            dataStartMethod: 'find-pattern',
+            patternConfig: {
+                pattern: '^(\\d{2}-\\d{2}-\\d{4}|\\d{5})$',
+                fallback: { column: 2, pattern: '^AB\\d+' }
+            },
+            skipColumns: 0,
+            headerRow: -1,
+            // Cells are read as displayed and trimmed; amounts are text such as "1.234,56" or "-"
+            cellValues: 'formatted',
+            numberFields: ['Column15', 'Column17', 'Column20'],
+            // Data ends at the first "Totaal"/"Total" row, in any case
+            stopAtTotalRow: true,
+            rowProcessing: {
+                type: 'single',
+                stopCondition: {
+                    type: 'pattern-mismatch',
+                    pattern: '^(\\d{2}-\\d{2}-\\d{4}|\\d{5})$'
+                }
+            },
+            rowFilters: [
+                { type: 'require-any', fields: ['Column6', 'Column11', 'Column15'] }
+            ]
+        },
+        columnMapping: {
+            'Makelaar': 'FIXED:Voogt',
+            'Boekingsperiode': 'CALC:REGEX(Filename, "(\\d{2} \\d{4})")',
+            'Polisnr makelaar': 'Column6',
+            'Verzekerde': 'Column11',
+            'Branche': 'Column12',
+            'Periode van': 'FIXED:',
+            'Periode tot': 'FIXED:',
+            'Valuta': 'FIXED:EUR',
+            'Bruto': 'Column20',
+            'Provisie%': 'FIXED:',
+            'Provisie': 'Column17',
+            'Tekencom%': 'FIXED:',
+            'Tekencom': 'FIXED:',
+            'Netto': 'Column15',
+            'BAB': 'FIXED:',
+            'Land': 'FIXED:',
+            'Aandeel Allianz': 'FIXED:',
+            'Tekenjaar': 'FIXED:',
+            'Boekdatum tp': 'Column1',
+            'FactuurDtm': 'FIXED:',
+            'FactuurNr': 'FIXED:',
+            'Boekingsreden': 'FIXED:'
+        },
+        created: '2025-01-01T00:00:00.000Z',
+        lastModified: '2025-01-01T00:00:00.000Z',
+        version: '1.0',
+        metadata: {
+            description: 'Voogt monthly statement: position-based columns, data rows start with a booking date'
+        }
+    }
+];
+
+// Export globally for cross-module access
+window.BUILT_IN_FILE_MAPPINGS = BUILT_IN_FILE_MAPPINGS;
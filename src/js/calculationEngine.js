@@ -19,46 +19,30 @@ const VALID_FUNCTIONS = new Set([
     'ROUND', 'ABS', 'MIN', 'MAX', 'CEILING', 'FLOOR',
 
     // Logic Functions
-    'IF', 'AND', 'OR', 'NOT'
-]);
-
-/**
- * Bulletproof function detection - no more sketchy includes('(') hacks!
- * @param {string} text - Text to check
- * @returns {boolean} True if it's a valid function call
- */
-function isValidFunction(text) {
-    if (!text || typeof text !== 'string') return false;
+    'IF', 'AND', 'OR', 'NOT',
 
-    const functionMatch = text.match(/^([A-Z]+)\(/);
-    if (!functionMatch) return false;
+    // Date Functions
+    'DATE', 'YEAR', 'MONTH', 'DAY', 'EOMONTH', 'EDATE',
+    'DATEDIF', 'TODAY', 'DATEVALUE', 'TEXT',
 
-    const functionName = functionMatch[1];
-    return VALID_FUNCTIONS.has(functionName);
-}
-
-/**
- * Extract function name from function call
- * @param {string} text - Function call like "LEFT(text, 5)"
- * @returns {string|null} Function name or null
- */
-function extractFunctionName(text) {
-    const match = text.match(/^([A-Z]+)\(/);
-    return match ? match[1] : null;
-}
+    // Lookup Functions
+    'LOOKUP'
+]);
 
 /**
- * Check if text is a parenthetical expression (not a function)
- * @param {string} text - Text to check
- * @returns {boolean} True if it's like "(A + B)" not "FUNC(A, B)"
+ * Check if a name refers to a supported function
+ * Function names are uppercase only, so column names like "Text (EUR)" or "Date (boeking)" stay columns
+ * @param {string} name - Candidate function name
+ * @returns {boolean} True if it's a registered function
  */
-function isParenthetical(text) {
-    if (!text || typeof text !== 'string') return false;
-    return text.startsWith('(') && text.endsWith(')') && !isValidFunction(text);
+function isValidFunction(name) {
+    if (!name || typeof name !== 'string') return false;
+    return /^[A-Z]+$/.test(name) && VALID_FUNCTIONS.has(name);
 }
 
 /**
- * Smart operand resolution - handles functions, parentheses, columns, and numbers
+ * Smart operand resolution - handles columns, numbers and literals
+ * Functions and parenthesised expressions are resolved by the expression parser
  * @param {string} operand - The operand to resolve
  * @param {Object} rowData - Data context
  * @returns {any} Resolved value
@@ -68,33 +52,18 @@ function resolveOperand(operand, rowData) {
 
     const trimmed = operand.trim();
 
-    // 1. Valid function call
-    if (isValidFunction(trimmed)) {
-        console.log(`Resolving function: ${trimmed}`);
-        return executeFormula(trimmed, rowData);
-    }
-
-    // 2. Parenthetical expression like (A + B)
-    if (isParenthetical(trimmed)) {
-        console.log(`Resolving parenthetical: ${trimmed}`);
-        return executeFormula(trimmed.slice(1, -1), rowData);
-    }
-
-    // 3. Column reference
+    // 1. Column reference
     if (rowData.hasOwnProperty(trimmed)) {
-        console.log(`Resolving column: ${trimmed} = ${rowData[trimmed]}`);
         return rowData[trimmed];
     }
 
-    // 4. Number (including European format)
+    // 2. Number (including European format)
     const numberValue = parseEuropeanNumber(trimmed);
     if (!isNaN(numberValue)) {
-        console.log(`Resolving number: ${trimmed} = ${numberValue}`);
         return numberValue;
     }
 
-    // 5. Fallback - treat as literal string
-    console.log(`Resolving literal: ${trimmed}`);
+    // 3. Fallback - treat as literal string
     return trimmed;
 }
 
@@ -114,175 +83,656 @@ function parseEuropeanNumber(value) {
 }
 
 /**
- * Parse formula into segments using bracket-counting approach
- * Handles nested functions and complex expressions properly
- * @param {string} formula - The formula to parse
- * @returns {Array} Array of segments (functions, operators, operands)
+ * Strict numeric conversion used for comparisons
+ * Unlike parseEuropeanNumber, "12A" or "2024-01" are NOT numbers here
+ * @param {any} value - Value to convert
+ * @returns {number} Number or NaN
+ */
+function toStrictNumber(value) {
+    if (typeof value === 'number') return value;
+    if (value instanceof Date) return dateToExcelSerial(value);
+    if (typeof value !== 'string') return NaN;
+
+    const cleaned = value.trim().replace(/\./g, '').replace(',', '.');
+    return /^[+-]?(\d+\.?\d*|\.\d+)$/.test(cleaned) ? parseFloat(cleaned) : NaN;
+}
+
+// ========== DATE HELPERS ==========
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Day number (days since Unix epoch) of a local date, immune to DST shifts
+ * @param {Date} date - Date to convert
+ * @returns {number} Whole day number
  */
-function parseFormulaSegments(formula) {
-    const segments = [];
-    let current = '';
-    let bracketCount = 0;
-    let inQuotes = false;
-    let quoteChar = '';
+function toDayNumber(date) {
+    return Math.round(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / MS_PER_DAY);
+}
 
-    console.log('SEGMENT PARSING:', formula);
+/**
+ * Convert an Excel serial (1900 date system) to a local date
+ * Excel wrongly treats 1900 as a leap year, so serials before 1 March 1900 are shifted by one
+ * @param {number} serial - Excel serial number
+ * @returns {Date} Local date at midnight
+ */
+function excelSerialToDate(serial) {
+    const days = Math.floor(serial);
+    if (days < 60) return new Date(1899, 11, 31 + days);
+    if (days === 60) return new Date(1900, 1, 28); // Non-existent 29-02-1900
+    return new Date(1899, 11, 30 + days);
+}
+
+/**
+ * Convert a date to an Excel serial (1900 date system)
+ * @param {Date} date - Date to convert
+ * @returns {number} Excel serial number
+ */
+function dateToExcelSerial(date) {
+    const serial = toDayNumber(date) - toDayNumber(new Date(1899, 11, 30));
+    return serial < 61 ? serial - 1 : serial;
+}
+
+/**
+ * Build a date from components, rejecting overflow like 31-02-2024
+ * @returns {Date|null} Date or null when invalid
+ */
+function buildValidDate(year, month, day) {
+    if (year < 100) year += 2000;
+    const date = new Date(year, month - 1, day);
+    return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+}
+
+/**
+ * Convert any supported date representation to a Date
+ * Accepts Date objects, Excel serials, dd-mm-yyyy (also / and . separators) and ISO yyyy-mm-dd
+ * @param {any} value - Value to convert
+ * @returns {Date|null} Date or null when the value is not a date
+ */
+function toDate(value) {
+    if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+    if (typeof value === 'number') return value > 0 ? excelSerialToDate(value) : null;
+    if (typeof value !== 'string') return null;
+
+    const text = value.trim();
+    let match;
+
+    // Dutch notation: dd-mm-yyyy, dd/mm/yyyy, dd.mm.yyyy (2-digit years become 20xx)
+    if ((match = text.match(/^(\d{1,2})[-\/.](\d{1,2})[-\/.](\d{2}|\d{4})$/))) {
+        return buildValidDate(parseInt(match[3], 10), parseInt(match[2], 10), parseInt(match[1], 10));
+    }
+
+    // ISO notation: yyyy-mm-dd with optional time part
+    if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})([T ][\d:.]+Z?)?$/))) {
+        return buildValidDate(parseInt(match[1], 10), parseInt(match[2], 10), parseInt(match[3], 10));
+    }
+
+    // Excel serial stored as text
+    if (/^\d+(\.\d+)?$/.test(text)) {
+        return toDate(parseFloat(text));
+    }
+
+    return null;
+}
+
+/**
+ * Format a date using Excel-style format codes
+ * Supports d, dd, ddd, dddd, m, mm, mmm, mmmm, yy, yyyy (and Dutch jj/jjjj); other text is kept
+ * @param {Date} date - Date to format
+ * @param {string} format - Format like "dd-mm-yyyy" or "mm-jjjj"
+ * @returns {string} Formatted date
+ */
+function formatDate(date, format = 'dd-mm-yyyy') {
+    const pad = (number) => number.toString().padStart(2, '0');
+
+    return format.replace(/yyyy|jjjj|yy|jj|mmmm|mmm|mm|m|dddd|ddd|dd|d/gi, (token) => {
+        switch (token.toLowerCase()) {
+            case 'yyyy':
+            case 'jjjj': return date.getFullYear().toString();
+            case 'yy':
+            case 'jj': return date.getFullYear().toString().slice(-2);
+            case 'mmmm': return date.toLocaleDateString('nl-NL', { month: 'long' });
+            case 'mmm': return date.toLocaleDateString('nl-NL', { month: 'short' }).replace('.', '');
+            case 'mm': return pad(date.getMonth() + 1);
+            case 'm': return (date.getMonth() + 1).toString();
+            case 'dddd': return date.toLocaleDateString('nl-NL', { weekday: 'long' });
+            case 'ddd': return date.toLocaleDateString('nl-NL', { weekday: 'short' }).replace('.', '');
+            case 'dd': return pad(date.getDate());
+            default: return date.getDate().toString();
+        }
+    });
+}
+
+/**
+ * Add months the way Excel's EDATE does (day is clamped to the end of the target month)
+ * @param {Date} date - Start date
+ * @param {number} months - Months to add (may be negative)
+ * @returns {Date} Shifted date
+ */
+function addMonths(date, months) {
+    const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+    const daysInTarget = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+    target.setDate(Math.min(date.getDate(), daysInTarget));
+    return target;
+}
+
+/**
+ * Difference between two dates in the given unit (Excel DATEDIF)
+ * @param {Date} start - Start date
+ * @param {Date} end - End date (must not be before start)
+ * @param {string} unit - Y, M, D, MD, YM or YD
+ * @returns {number|string} Difference, or '' for invalid input
+ */
+function dateDifference(start, end, unit) {
+    if (start > end) return '';
+
+    let months = (end.getFullYear() - start.getFullYear()) * 12 + end.getMonth() - start.getMonth();
+    if (end.getDate() < start.getDate()) months--;
+
+    switch (unit.toUpperCase()) {
+        case 'Y': return Math.floor(months / 12);
+        case 'M': return months;
+        case 'D': return toDayNumber(end) - toDayNumber(start);
+        case 'YM': return months % 12;
+        case 'MD': {
+            if (end.getDate() >= start.getDate()) return end.getDate() - start.getDate();
+            const daysInPreviousMonth = new Date(end.getFullYear(), end.getMonth(), 0).getDate();
+            return daysInPreviousMonth - start.getDate() + end.getDate();
+        }
+        case 'YD': {
+            let shifted = new Date(end.getFullYear(), start.getMonth(), start.getDate());
+            if (shifted > end) shifted = new Date(end.getFullYear() - 1, start.getMonth(), start.getDate());
+            return toDayNumber(end) - toDayNumber(shifted);
+        }
+        default:
+            console.warn('Unknown DATEDIF unit:', unit);
+            return '';
+    }
+}
+
+// ========== LOOKUP TABLES ==========
+
+/**
+ * In-memory lookup tables, keyed by lowercase table name
+ * Formulas run synchronously per row, so tables are loaded from IndexedDB up front
+ * and registered here (see lookupTableManager.js)
+ */
+const lookupTableRegistry = new Map();
+
+/**
+ * Normalise a lookup key: trimmed, case-insensitive text
+ * @param {any} value - Key value
+ * @returns {string} Normalised key
+ */
+function normalizeLookupKey(value) {
+    return toText(value).trim().toLowerCase();
+}
+
+/**
+ * Replace the registered lookup tables
+ * @param {Array} tables - Lookup tables ({ name, keyColumn, valueColumn, rows })
+ */
+function registerLookupTables(tables) {
+    lookupTableRegistry.clear();
+
+    (tables || []).forEach(table => {
+        const index = new Map();
+        table.rows.forEach(row => {
+            const key = normalizeLookupKey(row[table.keyColumn]);
+            // First occurrence wins, like VLOOKUP
+            if (key && !index.has(key)) {
+                index.set(key, row);
+            }
+        });
+        lookupTableRegistry.set(table.name.trim().toLowerCase(), { table, index });
+    });
+
+    console.log(`Registered ${lookupTableRegistry.size} lookup tables for formulas`);
+}
+
+/**
+ * Look up a key in a registered table
+ * @param {string} tableName - Lookup table name
+ * @param {any} key - Key to find
+ * @param {string} column - Optional result column (defaults to the table's value column)
+ * @returns {any} Found value or undefined
+ */
+function lookupValue(tableName, key, column) {
+    const entry = lookupTableRegistry.get(toText(tableName).trim().toLowerCase());
+    if (!entry) {
+        console.warn(`LOOKUP: table "${tableName}" not found`);
+        return undefined;
+    }
+
+    const row = entry.index.get(normalizeLookupKey(key));
+    if (!row) return undefined;
+
+    const resultColumn = column || entry.table.valueColumn;
+    return row[resultColumn];
+}
+
+// ========== TOKENIZER ==========
+
+/**
+ * Operator aliases - everything is normalised to a single canonical symbol
+ */
+const OPERATOR_ALIASES = {
+    '×': '*', '÷': '/', '≠': '!=', '<>': '!=', '==': '='
+};
+
+/**
+ * Split a formula into tokens
+ *
+ * Operand text runs until the next operator, parenthesis or quote, so column
+ * names with spaces or symbols ("Periode van", "Provisie%") stay one token.
+ * Commas and semicolons only separate arguments inside a function call;
+ * anywhere else they belong to the operand (European decimals like 0,5).
+ *
+ * @param {string} formula - Formula text
+ * @returns {Array} Token list
+ */
+function tokenizeFormula(formula) {
+    const tokens = [];
+    const parenStack = [];
+    let buffer = '';
+
+    const flush = () => {
+        const text = buffer.trim();
+        if (text) {
+            tokens.push({ type: 'operand', value: text });
+        }
+        buffer = '';
+    };
 
     for (let i = 0; i < formula.length; i++) {
         const char = formula[i];
+        const next = formula[i + 1];
 
-        // Handle quotes
-        if (!inQuotes && (char === '"' || char === "'")) {
-            inQuotes = true;
-            quoteChar = char;
-            current += char;
-        } else if (inQuotes && char === quoteChar) {
-            inQuotes = false;
-            current += char;
-        } else if (!inQuotes && char === '(') {
-            bracketCount++;
-            current += char;
-        } else if (!inQuotes && char === ')') {
-            bracketCount--;
-            current += char;
-
-            // When bracket count hits 0, we have a complete segment
-            if (bracketCount === 0 && current.trim()) {
-                segments.push(current.trim());
-                current = '';
+        // String literals (only when not in the middle of an operand, so "Klant's" stays a name)
+        if ((char === '"' || char === "'") && !buffer.trim()) {
+            const end = formula.indexOf(char, i + 1);
+            if (end === -1) {
+                throw new Error(`Unterminated string starting at position ${i + 1}`);
             }
-        } else if (!inQuotes && bracketCount === 0 && /[+\-×÷\/\*><=]/.test(char)) {
-            // Operator at top level - complete current segment and add operator
-            if (current.trim()) {
-                segments.push(current.trim());
-                current = '';
+            buffer = '';
+            tokens.push({ type: 'string', value: formula.slice(i + 1, end) });
+            i = end;
+            continue;
+        }
+
+        // Explicit column reference: [Netto-premie]
+        if (char === '[' && !buffer.trim()) {
+            const end = formula.indexOf(']', i + 1);
+            if (end === -1) {
+                throw new Error(`Missing "]" for column reference at position ${i + 1}`);
             }
+            buffer = '';
+            tokens.push({ type: 'column', value: formula.slice(i + 1, end).trim() });
+            i = end;
+            continue;
+        }
 
-            // Handle multi-character operators
-            if ((char === '>' || char === '<' || char === '!' || char === '=') && i < formula.length - 1) {
-                const nextChar = formula[i + 1];
-                if (nextChar === '=' || (char === '!' && nextChar === '=')) {
-                    segments.push(char + nextChar);
-                    i++; // Skip next character
-                    continue;
+        if (char === '(') {
+            const name = buffer.trim();
+            if (!name) {
+                tokens.push({ type: 'lparen' });
+                parenStack.push('group');
+            } else if (isValidFunction(name) && !/\s$/.test(buffer)) {
+                // A function name is directly followed by "(": "TEXT (EUR)" is a column name
+                buffer = '';
+                tokens.push({ type: 'function', value: name });
+                parenStack.push('function');
+            } else {
+                // Parentheses inside a column name, e.g. "Bruto (EUR)"
+                let depth = 0;
+                let j = i;
+                for (; j < formula.length; j++) {
+                    if (formula[j] === '(') depth++;
+                    if (formula[j] === ')') depth--;
+                    if (depth === 0) break;
+                }
+                if (depth !== 0) {
+                    throw new Error(`Missing ")" after "${name}"`);
                 }
+                buffer += formula.slice(i, j + 1);
+                i = j;
             }
+            continue;
+        }
 
-            segments.push(char);
-        } else {
-            current += char;
+        if (char === ')') {
+            flush();
+            if (parenStack.length === 0) {
+                throw new Error(`Unexpected ")" at position ${i + 1}`);
+            }
+            parenStack.pop();
+            tokens.push({ type: 'rparen' });
+            continue;
         }
+
+        if ((char === ',' || char === ';') && parenStack[parenStack.length - 1] === 'function') {
+            flush();
+            tokens.push({ type: 'separator' });
+            continue;
+        }
+
+        // Two-character operators
+        const pair = char + (next || '');
+        if (['>=', '<=', '<>', '!=', '=='].includes(pair)) {
+            flush();
+            tokens.push({ type: 'operator', value: OPERATOR_ALIASES[pair] || pair });
+            i++;
+            continue;
+        }
+
+        if ('+-*/×÷&=≠<>'.includes(char)) {
+            flush();
+            tokens.push({ type: 'operator', value: OPERATOR_ALIASES[char] || char });
+            continue;
+        }
+
+        buffer += char;
     }
 
-    // Add any remaining content
-    if (current.trim()) {
-        segments.push(current.trim());
+    flush();
+
+    if (parenStack.length > 0) {
+        throw new Error('Missing ")" at end of formula');
     }
 
-    console.log('PARSED SEGMENTS:', segments);
-    return segments;
+    return tokens;
 }
 
+// ========== PARSER ==========
+
 /**
- * Formula Parser and Calculator Engine
- * Executes CALC: formulas during data processing
+ * Operator precedence levels (lowest first), matching Excel:
+ * comparison < concatenation (&) < additive < multiplicative < unary minus
  */
-function executeFormula(formula, rowData) {
-    try {
-        console.log('executeFormula called with:', formula);
-
-        // Use segment parsing to determine formula type
-        const segments = parseFormulaSegments(formula);
-
-        // Single segment - could be function call, column reference, or literal
-        if (segments.length === 1) {
-            const segment = segments[0];
-
-            // Check if it's a single function call
-            const functionMatch = segment.match(/^([A-Z]+)\((.+)\)$/);
-            if (functionMatch) {
-                const functionName = functionMatch[1];
-                const parameters = parseParameters(functionMatch[2]);
-                console.log(`Single function call: ${functionName} with params:`, parameters);
-                return executeFunction(functionName, parameters, rowData);
+const PRECEDENCE_LEVELS = [
+    ['=', '!=', '<', '>', '<=', '>='],
+    ['&'],
+    ['+', '-'],
+    ['*', '/']
+];
+
+// Parsed formulas are cached because the same formula runs for every row
+const parsedFormulaCache = new Map();
+
+/**
+ * Parse a formula into an expression tree (AST)
+ * Throws an Error with a readable message on syntax errors
+ * @param {string} formula - Formula text (without CALC: prefix)
+ * @returns {Object} Root AST node
+ */
+function parseFormula(formula) {
+    if (parsedFormulaCache.has(formula)) {
+        return parsedFormulaCache.get(formula);
+    }
+
+    const tokens = tokenizeFormula(formula);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const describe = (token) => token ? (token.value !== undefined ? `"${token.value}"` : token.type) : 'end of formula';
+
+    const parseLevel = (level) => {
+        if (level >= PRECEDENCE_LEVELS.length) {
+            return parseUnary();
+        }
+
+        let left = parseLevel(level + 1);
+        while (peek() && peek().type === 'operator' && PRECEDENCE_LEVELS[level].includes(peek().value)) {
+            const operator = tokens[position++].value;
+            const right = parseLevel(level + 1);
+            left = { type: 'binary', operator, left, right };
+        }
+        return left;
+    };
+
+    const parseUnary = () => {
+        const token = peek();
+        if (token && token.type === 'operator' && (token.value === '-' || token.value === '+')) {
+            position++;
+            return { type: 'unary', operator: token.value, operand: parseUnary() };
+        }
+        return parsePrimary();
+    };
+
+    const parsePrimary = () => {
+        const token = tokens[position++];
+        if (!token) {
+            throw new Error('Unexpected end of formula');
+        }
+
+        switch (token.type) {
+            case 'string':
+                return { type: 'literal', value: token.value };
+
+            case 'column':
+                return { type: 'column', name: token.value };
+
+            case 'operand':
+                return { type: 'operand', text: token.value };
+
+            case 'lparen': {
+                const expression = parseLevel(0);
+                expect('rparen');
+                return expression;
+            }
+
+            case 'function': {
+                const args = [];
+                if (peek() && peek().type === 'rparen') {
+                    position++;
+                    return { type: 'call', name: token.value, args };
+                }
+                while (true) {
+                    // Empty argument, e.g. FIND("x", Naam, )
+                    if (peek() && (peek().type === 'separator' || peek().type === 'rparen')) {
+                        args.push({ type: 'literal', value: '' });
+                    } else {
+                        args.push(parseLevel(0));
+                    }
+                    const separator = tokens[position++];
+                    if (separator && separator.type === 'rparen') break;
+                    if (!separator || separator.type !== 'separator') {
+                        throw new Error(`Expected "," or ")" in ${token.value}() but found ${describe(separator)}`);
+                    }
+                }
+                return { type: 'call', name: token.value, args };
             }
 
-            // Direct column reference or literal
-            return rowData[segment] || segment;
+            default:
+                throw new Error(`Unexpected ${describe(token)}`);
         }
+    };
 
-        // Multiple segments - mathematical expression
-        if (segments.length > 1) {
-            console.log('Multi-segment expression detected, using executeBasicFormula');
-            return executeBasicFormula(formula, rowData);
+    const expect = (type) => {
+        const token = tokens[position++];
+        if (!token || token.type !== type) {
+            throw new Error(`Expected ")" but found ${describe(token)}`);
         }
+    };
 
-        // Fallback
-        return rowData[formula] || '';
-    } catch (error) {
-        console.warn('Formula execution error:', error, 'Formula:', formula);
-        return '';
+    if (tokens.length === 0) {
+        throw new Error('Formula is empty');
     }
+
+    const ast = parseLevel(0);
+    if (position < tokens.length) {
+        throw new Error(`Unexpected ${describe(tokens[position])} - missing operator?`);
+    }
+
+    parsedFormulaCache.set(formula, ast);
+    return ast;
 }
 
+// ========== EVALUATOR ==========
+
 /**
- * Parse function parameters handling nested functions and quoted strings
+ * Convert a value to a number for arithmetic (non-numeric values count as 0)
+ * @param {any} value - Value to convert
+ * @returns {number} Numeric value
  */
-function parseParameters(paramString) {
-    const params = [];
-    let current = '';
-    let depth = 0;
-    let inQuotes = false;
-    let quoteChar = '';
-
-    for (let i = 0; i < paramString.length; i++) {
-        const char = paramString[i];
-
-        if (!inQuotes && (char === '"' || char === "'")) {
-            inQuotes = true;
-            quoteChar = char;
-            current += char;
-        } else if (inQuotes && char === quoteChar) {
-            inQuotes = false;
-            current += char;
-        } else if (!inQuotes && char === '(') {
-            depth++;
-            current += char;
-        } else if (!inQuotes && char === ')') {
-            depth--;
-            current += char;
-        } else if (!inQuotes && (char === ',' || char === ';') && depth === 0) {
-            params.push(current.trim());
-            current = '';
-        } else {
-            current += char;
-        }
+function toArithmeticNumber(value) {
+    if (value instanceof Date) return dateToExcelSerial(value);
+    const number = parseEuropeanNumber(value);
+    return isNaN(number) ? 0 : number;
+}
+
+/**
+ * Convert a value to text for concatenation and text functions
+ * @param {any} value - Value to convert
+ * @returns {string} Text value
+ */
+function toText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return formatDate(value);
+    return value.toString();
+}
+
+/**
+ * Truthiness rules shared by IF, AND, OR, NOT
+ * @param {any} value - Evaluated condition
+ * @returns {boolean} True if the condition holds
+ */
+function isTruthy(value) {
+    return !!value && value !== '' && value !== '0' && value !== 0;
+}
+
+/**
+ * Compare two values - numerically when both sides are numbers, otherwise as text
+ * An empty cell compared with a number counts as 0
+ * @param {string} operator - Comparison operator
+ * @param {any} left - Left value
+ * @param {any} right - Right value
+ * @returns {boolean} Comparison result
+ */
+function compareValues(operator, left, right) {
+    const isBlank = (value) => value === '' || value === null || value === undefined;
+
+    // A date compared with a date string ("01-01-2024") compares as dates
+    if (left instanceof Date && !(right instanceof Date)) right = toDate(right) || right;
+    if (right instanceof Date && !(left instanceof Date)) left = toDate(left) || left;
+
+    let leftNumber = toStrictNumber(left);
+    let rightNumber = toStrictNumber(right);
+
+    if (isNaN(leftNumber) && isBlank(left) && !isNaN(rightNumber)) leftNumber = 0;
+    if (isNaN(rightNumber) && isBlank(right) && !isNaN(leftNumber)) rightNumber = 0;
+
+    let a, b;
+    if (!isNaN(leftNumber) && !isNaN(rightNumber)) {
+        a = leftNumber;
+        b = rightNumber;
+    } else {
+        a = toText(left);
+        b = toText(right);
     }
 
-    if (current.trim()) {
-        params.push(current.trim());
+    switch (operator) {
+        case '=': return a === b;
+        case '!=': return a !== b;
+        case '>': return a > b;
+        case '<': return a < b;
+        case '>=': return a >= b;
+        case '<=': return a <= b;
+        default: return false;
     }
+}
+
+/**
+ * Evaluate an AST node against a data row
+ * @param {Object} node - AST node from parseFormula
+ * @param {Object} rowData - Data context
+ * @returns {any} Evaluated value
+ */
+function evaluateNode(node, rowData) {
+    switch (node.type) {
+        case 'literal':
+            return node.value;
+
+        case 'column':
+            return rowData.hasOwnProperty(node.name) ? rowData[node.name] : '';
+
+        case 'operand':
+            return resolveOperand(node.text, rowData);
+
+        case 'call':
+            return executeFunction(node.name, node.args, rowData);
 
-    return params;
+        case 'unary': {
+            const value = toArithmeticNumber(evaluateNode(node.operand, rowData));
+            return node.operator === '-' ? -value : value;
+        }
+
+        case 'binary': {
+            const left = evaluateNode(node.left, rowData);
+            const right = evaluateNode(node.right, rowData);
+
+            switch (node.operator) {
+                case '+': return toArithmeticNumber(left) + toArithmeticNumber(right);
+                case '-': return toArithmeticNumber(left) - toArithmeticNumber(right);
+                case '*': return toArithmeticNumber(left) * toArithmeticNumber(right);
+                case '/': {
+                    const divisor = toArithmeticNumber(right);
+                    return divisor !== 0 ? toArithmeticNumber(left) / divisor : 0;
+                }
+                case '&': return toText(left) + toText(right);
+                default: return compareValues(node.operator, left, right);
+            }
+        }
+
+        default:
+            throw new Error(`Unknown expression node: ${node.type}`);
+    }
+}
+
+/**
+ * Formula Parser and Calculator Engine
+ * Executes CALC: formulas during data processing
+ */
+function executeFormula(formula, rowData) {
+    try {
+        const ast = parseFormula(formula);
+
+        // Single operand - direct column reference or literal text (kept as-is, no number conversion)
+        if (ast.type === 'operand') {
+            return rowData.hasOwnProperty(ast.text) ? rowData[ast.text] : ast.text;
+        }
+
+        const result = evaluateNode(ast, rowData);
+
+        // Dates leave the engine in the same dd-mm-yyyy notation as converted Excel dates
+        if (result instanceof Date) {
+            return formatDate(result);
+        }
+
+        // Arithmetic results are rounded to 4 decimals to hide floating point noise
+        if (typeof result === 'number' && (ast.type === 'binary' || ast.type === 'unary')) {
+            return parseFloat(result.toFixed(4));
+        }
+
+        return result;
+    } catch (error) {
+        console.warn('Formula execution error:', error, 'Formula:', formula);
+        return '';
+    }
 }
 
 /**
  * Execute specific function with parameters
+ * @param {string} functionName - Function name from VALID_FUNCTIONS
+ * @param {Array} parameters - Argument AST nodes (evaluated lazily, so IF only runs the chosen branch)
+ * @param {Object} rowData - Data context
+ * @returns {any} Function result
  */
 function executeFunction(functionName, parameters, rowData) {
     const getValue = (param) => {
-        console.log(`getValue called with param: "${param}"`);
-
-        // Remove quotes from string literals
-        if ((param.startsWith('"') && param.endsWith('"')) ||
-            (param.startsWith("'") && param.endsWith("'"))) {
-            const literalValue = param.slice(1, -1);
-            console.log(`Returning literal value: "${literalValue}"`);
-            return literalValue;
-        }
-
-        // Use bulletproof operand resolution for everything else
-        return resolveOperand(param, rowData);
+        if (!param) return '';
+        const value = evaluateNode(param, rowData);
+        return value === null || value === undefined ? '' : value;
     };
 
     const getNumericValue = (param) => {
@@ -291,33 +741,37 @@ function executeFunction(functionName, parameters, rowData) {
         return isNaN(num) ? 0 : num;
     };
 
+    const getText = (param) => toText(getValue(param));
+
+    const getDate = (param) => toDate(getValue(param));
+
     switch (functionName.toUpperCase()) {
         // Text Extraction Functions
         case 'LEFT':
-            const leftText = getValue(parameters[0]).toString();
+            const leftText = getText(parameters[0]);
             const leftCount = getNumericValue(parameters[1]);
             return leftText.substring(0, leftCount);
 
         case 'RIGHT':
-            const rightText = getValue(parameters[0]).toString();
+            const rightText = getText(parameters[0]);
             const rightCount = getNumericValue(parameters[1]);
             return rightText.substring(Math.max(0, rightText.length - rightCount));
 
         case 'MID':
-            const midText = getValue(parameters[0]).toString();
+            const midText = getText(parameters[0]);
             const start = (getNumericValue(parameters[1]) || 1) - 1; // Convert to 0-based
             const length = getNumericValue(parameters[2]) || 1;
             return midText.substring(start, start + length);
 
         case 'FIND':
-            const searchText = getValue(parameters[0]).toString();
-            const targetText = getValue(parameters[1]).toString();
+            const searchText = getText(parameters[0]);
+            const targetText = getText(parameters[1]);
             const startPos = parameters[2] ? (getNumericValue(parameters[2]) || 1) - 1 : 0; // Convert to 0-based
             const foundIndex = targetText.indexOf(searchText, startPos);
             return foundIndex >= 0 ? foundIndex + 1 : 0; // Convert back to 1-based, 0 if not found
 
         case 'REGEX':
-            const regexText = getValue(parameters[0]).toString();
+            const regexText = getText(parameters[0]);
             let pattern = getValue(parameters[1]);
             const group = getNumericValue(parameters[2]) || 1;
             try {
@@ -332,7 +786,7 @@ function executeFunction(functionName, parameters, rowData) {
             }
 
         case 'SPLIT':
-            const splitText = getValue(parameters[0]).toString();
+            const splitText = getText(parameters[0]);
             const delimiter = getValue(parameters[1]);
             const index = (getNumericValue(parameters[2]) || 1) - 1; // Convert to 0-based
             const parts = splitText.split(delimiter);
@@ -340,41 +794,41 @@ function executeFunction(functionName, parameters, rowData) {
 
         // Text Manipulation Functions
         case 'TRIM':
-            return getValue(parameters[0]).toString().trim();
+            return getText(parameters[0]).trim();
 
         case 'UPPER':
-            return getValue(parameters[0]).toString().toUpperCase();
+            return getText(parameters[0]).toUpperCase();
 
         case 'LOWER':
-            return getValue(parameters[0]).toString().toLowerCase();
+            return getText(parameters[0]).toLowerCase();
 
         case 'REPLACE':
-            const replaceText = getValue(parameters[0]).toString();
+            const replaceText = getText(parameters[0]);
             const findText = getValue(parameters[1]);
             const replaceWith = getValue(parameters[2]);
             return replaceText.replace(new RegExp(findText, 'g'), replaceWith);
 
         case 'CONCAT':
-            return parameters.map(p => getValue(p).toString()).join('');
+            return parameters.map(p => getText(p)).join('');
 
         // Text Analysis Functions
         case 'CONTAINS':
-            const containsText = getValue(parameters[0]).toString();
+            const containsText = getText(parameters[0]);
             const searchFor = getValue(parameters[1]);
             return containsText.includes(searchFor);
 
         case 'STARTSWITH':
-            const startsText = getValue(parameters[0]).toString();
+            const startsText = getText(parameters[0]);
             const prefix = getValue(parameters[1]);
             return startsText.startsWith(prefix);
 
         case 'ENDSWITH':
-            const endsText = getValue(parameters[0]).toString();
+            const endsText = getText(parameters[0]);
             const suffix = getValue(parameters[1]);
             return endsText.endsWith(suffix);
 
         case 'LENGTH':
-            return getValue(parameters[0]).toString().length;
+            return getText(parameters[0]).length;
 
         case 'ISEMPTY':
             const value = getValue(parameters[0]);
@@ -405,13 +859,7 @@ function executeFunction(functionName, parameters, rowData) {
 
         // Logic Functions
         case 'IF':
-            const condition = parameters[0];
-            const trueValue = parameters[1];
-            const falseValue = parameters[2];
-
-            // Use bulletproof formula execution for condition evaluation
-            const conditionResult = executeFormula(condition, rowData);
-            return conditionResult ? getValue(trueValue) : getValue(falseValue);
+            return evaluateCondition(parameters[0], rowData) ? getValue(parameters[1]) : getValue(parameters[2]);
 
         case 'AND':
             return parameters.every(p => evaluateCondition(p, rowData));
@@ -422,6 +870,57 @@ function executeFunction(functionName, parameters, rowData) {
         case 'NOT':
             return !evaluateCondition(parameters[0], rowData);
 
+        // Date Functions (date results are formatted as dd-mm-yyyy when leaving the engine)
+        case 'DATE':
+            // Month/day overflow rolls over like Excel: DATE(2024, 13, 1) is 01-01-2025
+            const dateYear = getNumericValue(parameters[0]);
+            return dateYear ? new Date(dateYear, getNumericValue(parameters[1]) - 1, getNumericValue(parameters[2])) : '';
+
+        case 'YEAR':
+            const yearDate = getDate(parameters[0]);
+            return yearDate ? yearDate.getFullYear() : '';
+
+        case 'MONTH':
+            const monthDate = getDate(parameters[0]);
+            return monthDate ? monthDate.getMonth() + 1 : '';
+
+        case 'DAY':
+            const dayDate = getDate(parameters[0]);
+            return dayDate ? dayDate.getDate() : '';
+
+        case 'EOMONTH':
+            const eoDate = getDate(parameters[0]);
+            const eoMonths = getNumericValue(parameters[1]);
+            return eoDate ? new Date(eoDate.getFullYear(), eoDate.getMonth() + eoMonths + 1, 0) : '';
+
+        case 'EDATE':
+            const eDate = getDate(parameters[0]);
+            return eDate ? addMonths(eDate, getNumericValue(parameters[1])) : '';
+
+        case 'DATEDIF':
+            const difStart = getDate(parameters[0]);
+            const difEnd = getDate(parameters[1]);
+            return difStart && difEnd ? dateDifference(difStart, difEnd, getText(parameters[2]) || 'D') : '';
+
+        case 'TODAY':
+            const now = new Date();
+            return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+        case 'DATEVALUE':
+            return getDate(parameters[0]) || '';
+
+        case 'TEXT':
+            const textFormat = getText(parameters[1]) || 'dd-mm-yyyy';
+            const textDate = /[dmyj]/i.test(textFormat) ? getDate(parameters[0]) : null;
+            return textDate ? formatDate(textDate, textFormat) : getText(parameters[0]);
+
+        // Lookup Functions: LOOKUP(table, key, default[, column])
+        case 'LOOKUP':
+            const lookupResult = lookupValue(getText(parameters[0]), getValue(parameters[1]), getText(parameters[3]));
+            return lookupResult !== undefined && lookupResult !== null && lookupResult !== ''
+                ? lookupResult
+                : getValue(parameters[2]);
+
         default:
             console.warn('Unknown function:', functionName);
             return '';
@@ -429,109 +928,28 @@ function executeFunction(functionName, parameters, rowData) {
 }
 
 /**
- * Evaluate logical conditions for IF, AND, OR functions
+ * Evaluate logical conditions for IF, AND, OR, NOT functions
+ * @param {string|Object} condition - Condition text or already parsed AST node
+ * @param {Object} rowData - Data context
+ * @returns {boolean} Condition result
  */
 function evaluateCondition(condition, rowData) {
     try {
-        // Handle comparison operators
-        if (condition.includes(' = ')) {
-            const [left, right] = condition.split(' = ');
-            return getValue(left.trim(), rowData) == getValue(right.trim(), rowData);
-        }
-        if (condition.includes(' ≠ ')) {
-            const [left, right] = condition.split(' ≠ ');
-            return getValue(left.trim(), rowData) != getValue(right.trim(), rowData);
-        }
-        if (condition.includes(' > ')) {
-            const [left, right] = condition.split(' > ');
-            return parseFloat(getValue(left.trim(), rowData)) > parseFloat(getValue(right.trim(), rowData));
-        }
-        if (condition.includes(' < ')) {
-            const [left, right] = condition.split(' < ');
-            return parseFloat(getValue(left.trim(), rowData)) < parseFloat(getValue(right.trim(), rowData));
-        }
-
-        // Handle function calls in conditions
-        if (condition.includes('(')) {
-            return executeFormula(condition, rowData);
-        }
-
-        // Simple truthiness test
-        const value = getValue(condition, rowData);
-        return value && value !== '' && value !== '0' && value !== 0;
+        if (!condition) return false;
+        const node = typeof condition === 'string' ? parseFormula(condition) : condition;
+        return isTruthy(evaluateNode(node, rowData));
     } catch (error) {
         console.warn('Condition evaluation error:', error);
         return false;
     }
 }
 
-
-/**
- * Execute mathematical expressions with proper multi-operand support
- * Handles: A + B + C, (A + B) * C, FUNC(x) + Y, etc.
- */
-function executeBasicFormula(formula, rowData) {
-    console.log('executeBasicFormula called with:', formula);
-    console.log('rowData:', rowData);
-
-    // Use our new bracket-counting segment parser
-    const segments = parseFormulaSegments(formula);
-    console.log('Formula segments:', segments);
-
-    if (segments.length === 0) return '';
-    if (segments.length === 1) {
-        // Single operand - resolve and return
-        const result = resolveOperand(segments[0], rowData);
-        const numResult = parseEuropeanNumber(result);
-        return isNaN(numResult) ? result : numResult;
-    }
-
-    // Evaluate the segmented expression (left-to-right)
-    let result = resolveOperand(segments[0], rowData);
-    result = parseEuropeanNumber(result);
-    if (isNaN(result)) result = 0;
-
-    for (let i = 1; i < segments.length; i += 2) {
-        const operator = segments[i];
-        const operand = segments[i + 1];
-
-        if (!operand) break;
-
-        const operandResolved = resolveOperand(operand, rowData);
-        let operandValue = parseEuropeanNumber(operandResolved);
-        if (isNaN(operandValue)) operandValue = 0;
-
-        switch (operator) {
-            case '+': result += operandValue; break;
-            case '-': result -= operandValue; break;
-            case '×':
-            case '*': result *= operandValue; break;
-            case '÷':
-            case '/': result = operandValue !== 0 ? result / operandValue : 0; break;
-            case '>': return result > operandValue;
-            case '<': return result < operandValue;
-            case '>=': return result >= operandValue;
-            case '<=': return result <= operandValue;
-            case '=':
-            case '==': return result == operandValue;
-            case '!=':
-            case '≠': return result != operandValue;
-        }
-    }
-
-    console.log('Expression result:', result);
-
-    // Return appropriate type
-    if (typeof result === 'boolean') {
-        return result;
-    } else if (typeof result === 'number') {
-        return parseFloat(result.toFixed(4));
-    } else {
-        return result;
-    }
-}
-
-
-
 // Export functions globally for cross-module access
-window.executeFormula = executeFormula;
\ No newline at end of file
+window.executeFormula = executeFormula;
+window.parseFormula = parseFormula;
+window.isValidFunction = isValidFunction;
+window.registerLookupTables = registerLookupTables;
+window.toDate = toDate;
+window.dateToExcelSerial = dateToExcelSerial;
+window.buildValidDate = buildValidDate;
+window.formatDate = formatDate;
\ No newline at end of file
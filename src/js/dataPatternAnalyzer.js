@@ -43,17 +43,19 @@ class DataPatternAnalyzer {
     /**
      * Analyzes a file (uses centralized Excel cache for consistency)
      * @param {File} file - File object to analyze
+     * @param {string} sheetName - Sheet to analyze (defaults to first sheet)
      * @returns {Promise<Object>} Analysis results
      */
-    static async analyzeFile(file) {
+    static async analyzeFile(file, sheetName = null) {
         try {
             // Use centralized cache to ensure same compacted state as execution
             const workbook = await ExcelCacheManager.getWorkbook(file);
-            const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+            const analyzedSheetName = sheetName || workbook.SheetNames[0];
+            const worksheet = await ExcelCacheManager.getSheet(file, analyzedSheetName);
             const analysis = this.analyzeSheet(worksheet);
 
             analysis.filename = file.name;
-            analysis.sheetName = workbook.SheetNames[0];
+            analysis.sheetName = analyzedSheetName;
             analysis.analyzedAt = new Date().toISOString();
 
             return analysis;
@@ -0,0 +1,362 @@
+/**
+ * Borderellen Converter - Data Request Tracker
+ * Keeps every missing data email sent to a broker (broker, contact, date, missing columns and the
+ * attachment) with a status and a due date, and generates reminders that refer to the original
+ * request. Requests whose rows are in the current files follow the returned data: when a completed
+ * file is imported (see returnFileImport.js) they become partially received or complete.
+ */
+
+// Status of a request, in order
+const DATA_REQUEST_STATUSES = {
+    sent: 'Sent',
+    awaiting: 'Awaiting Response',
+    partial: 'Partially Received',
+    complete: 'Complete'
+};
+
+// Days the broker gets to return the completed file
+const DATA_REQUEST_DUE_DAYS = 14;
+
+// Default reminder email, editable in the Email Template Configuration ({subject} is the subject of the request;
+// {request_date}, {missing_values} and {missing_columns} describe the request)
+const DEFAULT_REMINDER_SUBJECT = 'Herinnering: {subject}';
+
+const DEFAULT_REMINDER_BODY_TEMPLATE = `Geachte heer/mevrouw {contact_last_name},
+
+Op {request_date} hebben wij u gevraagd de ontbrekende gegevens in uw borderellen bestand {filename} met {total_rows} boekingen aan te vullen.
+Wij hebben deze gegevens nog niet volledig ontvangen: er ontbreken nog {missing_values} waarden in de kolommen {missing_columns}.
+
+Bijgevoegd is het bestand met de boekingen waarvan nog gegevens ontbreken. Gelieve de rood gemarkeerde cellen aan te vullen en het bestand aan ons te retourneren.
+
+Bedankt voor uw medewerking.
+
+Met vriendelijke groet,
+
+{user_signature}`;
+
+// ========== RECORDING ==========
+
+/**
+ * Record a missing data email that was generated for a broker
+ * @param {Object} broker - Broker analysis object from missingDataAnalysis
+ * @param {Object} contact - Contact the email was addressed to
+ * @param {string} subject - Email subject
+ * @param {Object} email - Result of createAndDownloadEMLFileFromTemplate { messageId, attachmentFilename }
+ * @param {Blob} attachment - Excel attachment
+ * @returns {Promise<Object>} Stored request
+ */
+async function recordDataRequest(broker, contact, subject, email, attachment) {
+    const createdAt = new Date();
+    const dueDate = new Date(createdAt.getTime() + DATA_REQUEST_DUE_DAYS * 24 * 60 * 60 * 1000);
+    const missingColumns = broker.missingColumns
+        .filter(column => column.filledCount < column.totalCount)
+        .map(column => ({ columnName: column.columnName, missing: column.totalCount - column.filledCount }));
+
+    const request = {
+        id: `request-${createdAt.getTime()}-${Math.random().toString(36).slice(2, 8)}`,
+        brokerName: broker.brokerName,
+        contact: { firstName: contact.firstName, lastName: contact.lastName, email: contact.email },
+        createdAt: createdAt.toISOString(),
+        createdBy: window.appSettings?.userName || 'User',
+        subject: subject,
+        filename: broker.emailFilename || broker.filename,
+        totalRows: broker.totalRows,
+        missingColumns: missingColumns,
+        missingCount: missingColumns.reduce((sum, column) => sum + column.missing, 0),
+        openCount: null, // Missing values still open, once known from an import
+        rowKeys: broker.rows.map(row => row._rowKey).filter(Boolean),
+        messageId: email.messageId,
+        attachment: attachment,
+        attachmentFilename: email.attachmentFilename,
+        status: 'awaiting',
+        dueDate: dueDate.toISOString().slice(0, 10),
+        reminders: []
+    };
+
+    await window.saveDataRequest(request);
+    console.log(`Data request recorded for ${request.brokerName}: ${request.missingCount} missing values, due ${request.dueDate}`);
+    await displayDataRequests();
+    return request;
+}
+
+// ========== STATUS ==========
+
+/**
+ * The records of a request in the current files
+ * @param {Object} request - Data request
+ * @returns {Array|null} Records, or null when the request's rows are not in the current files
+ */
+function findDataRequestRecords(request) {
+    const rowKeys = new Set(request.rowKeys || []);
+    if (rowKeys.size === 0) return null;
+
+    const records = window.uploadedFiles
+        .filter(fileData => fileData.statusClass === 'status-success')
+        .flatMap(fileData => fileData.parsedData)
+        .filter(record => rowKeys.has(record._rowKey));
+    return records.length > 0 ? records : null;
+}
+
+/**
+ * The columns of a request that a record still misses
+ * @param {Object} request - Data request
+ * @param {Object} record - Record
+ * @returns {Array} Column names
+ */
+function getOpenColumns(request, record) {
+    return request.missingColumns
+        .map(column => column.columnName)
+        .filter(column => record[column] === undefined || record[column] === null || record[column] === '');
+}
+
+/**
+ * Count the missing values of a request that are still open in the current files
+ * @param {Object} request - Data request
+ * @returns {number|null} Open missing values, or null when the request's rows are not in the current files
+ */
+function countOpenMissingValues(request) {
+    const records = findDataRequestRecords(request);
+    return records ? records.reduce((sum, record) => sum + getOpenColumns(request, record).length, 0) : null;
+}
+
+/**
+ * Update the status of open requests from the current files: requests whose missing values have
+ * (partly) been filled in become partially received or complete
+ * @returns {Promise<number>} Number of requests updated
+ */
+async function updateDataRequestStatuses() {
+    const requests = await window.loadDataRequests();
+    let updated = 0;
+
+    for (const request of requests) {
+        if (request.status === 'complete') continue;
+
+        const openCount = countOpenMissingValues(request);
+        if (openCount === null || openCount === request.openCount) continue;
+
+        request.openCount = openCount;
+        if (openCount === 0) {
+            request.status = 'complete';
+        } else if (openCount < request.missingCount) {
+            request.status = 'partial';
+        }
+        request.statusUpdatedAt = new Date().toISOString();
+
+        await window.saveDataRequest(request);
+        updated++;
+    }
+
+    if (updated > 0) {
+        console.log(`Updated the status of ${updated} data request(s) from the current files`);
+    }
+    return updated;
+}
+
+/**
+ * Whether a request is past its due date without being complete
+ * @param {Object} request - Data request
+ * @returns {boolean} True when overdue
+ */
+function isDataRequestOverdue(request) {
+    return request.status !== 'complete' && !!request.dueDate && request.dueDate < new Date().toISOString().slice(0, 10);
+}
+
+// ========== REQUESTS LIST ==========
+
+/**
+ * Show the data requests in the Email Recipients tab, with their status updated from the current files
+ */
+async function displayDataRequests() {
+    const tableBody = document.getElementById('data-requests-table-body');
+    if (!tableBody) return;
+
+    await updateDataRequestStatuses();
+
+    const showCompleted = document.getElementById('show-completed-requests').checked;
+    const allRequests = await window.loadDataRequests();
+    const requests = allRequests.filter(request => showCompleted || request.status !== 'complete');
+
+    const open = allRequests.filter(request => request.status !== 'complete');
+    document.getElementById('data-requests-summary').textContent =
+        `${open.length} open, ${open.filter(isDataRequestOverdue).length} overdue, ${allRequests.length - open.length} complete`;
+
+    if (requests.length === 0) {
+        tableBody.innerHTML = `<tr><td colspan="8" style="text-align: center; color: #888; padding: 24px;">${allRequests.length === 0 ? 'No data requests yet. Requests are kept when emails are generated.' : 'No open data requests.'}</td></tr>`;
+        return;
+    }
+
+    tableBody.innerHTML = requests.map(request => {
+        const overdue = isDataRequestOverdue(request);
+        const lastReminder = request.reminders[request.reminders.length - 1];
+        const missingColumns = request.missingColumns.map(column => `${column.columnName} (${column.missing})`).join(', ');
+
+        return `
+            <tr>
+                <td><strong>${escapeHtml(request.brokerName)}</strong><br><small style="color: #888;">${escapeHtml(request.filename || '')}</small></td>
+                <td>${escapeHtml(`${request.contact.firstName} ${request.contact.lastName}`)}<br><small style="color: #888;">${escapeHtml(request.contact.email)}</small></td>
+                <td style="white-space: nowrap;">${new Date(request.createdAt).toLocaleDateString()}<br><small style="color: #888;">${escapeHtml(request.createdBy)}</small></td>
+                <td style="max-width: 260px; word-wrap: break-word;" title="${window.escapeAttribute(missingColumns)}">
+                    ${request.openCount !== null ? `${request.openCount} of ${request.missingCount} open` : `${request.missingCount} missing`}
+                    <br><small style="color: #888;">${escapeHtml(missingColumns)}</small>
+                </td>
+                <td>
+                    <input type="date" class="form-input" style="width: auto; padding: 4px;${overdue ? ' border-color: #f44336; color: #f44336;' : ''}"
+                           value="${request.dueDate || ''}" onchange="setDataRequestDueDate('${request.id}', this.value)" title="${overdue ? 'Overdue' : 'Due date'}">
+                </td>
+                <td>
+                    <select class="form-input" style="width: auto; padding: 4px;" onchange="setDataRequestStatus('${request.id}', this.value)">
+                        ${Object.entries(DATA_REQUEST_STATUSES).map(([status, label]) =>
+                            `<option value="${status}" ${request.status === status ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                </td>
+                <td>${request.reminders.length}${lastReminder ? `<br><small style="color: #888;">${new Date(lastReminder.sentAt).toLocaleDateString()}</small>` : ''}</td>
+                <td><div style="display: flex; gap: 4px; flex-wrap: wrap;">
+                    ${request.status !== 'complete' ? `<button class="btn" style="padding: 4px 8px; font-size: 12px;" onclick="generateDataRequestReminder('${request.id}')">Reminder</button>` : ''}
+                    <button class="btn btn-secondary" style="padding: 4px 8px; font-size: 12px;" onclick="downloadDataRequestAttachment('${request.id}')">Attachment</button>
+                    <button class="btn btn-secondary" style="padding: 4px 8px; font-size: 12px;" onclick="deleteDataRequestWithUI('${request.id}')">Delete</button>
+                </div></td>
+            </tr>
+        `;
+    }).join('');
+}
+
+/**
+ * Find a stored data request
+ * @param {string} requestId - Request ID
+ * @returns {Promise<Object|undefined>} Request
+ */
+async function findDataRequest(requestId) {
+    return (await window.loadDataRequests()).find(request => request.id === requestId);
+}
+
+/**
+ * Change the status of a request by hand
+ * @param {string} requestId - Request ID
+ * @param {string} status - Status (see DATA_REQUEST_STATUSES)
+ */
+async function setDataRequestStatus(requestId, status) {
+    const request = await findDataRequest(requestId);
+    if (!request) return;
+
+    request.status = status;
+    request.statusUpdatedAt = new Date().toISOString();
+    await window.saveDataRequest(request);
+    await displayDataRequests();
+}
+
+/**
+ * Change the due date of a request
+ * @param {string} requestId - Request ID
+ * @param {string} dueDate - Due date (yyyy-mm-dd)
+ */
+async function setDataRequestDueDate(requestId, dueDate) {
+    const request = await findDataRequest(requestId);
+    if (!request) return;
+
+    request.dueDate = dueDate || null;
+    await window.saveDataRequest(request);
+    await displayDataRequests();
+}
+
+// ========== REMINDERS ==========
+
+/**
+ * Generate a reminder EML for a request: a reply to the original email, with the configured reminder
+ * text. The original attachment is sent again; once some of the values have been returned, a new
+ * attachment with only the rows that still miss values
+ * @param {string} requestId - Request ID
+ */
+async function generateDataRequestReminder(requestId) {
+    const request = await findDataRequest(requestId);
+    if (!request) return;
+
+    if (!window.appSettings.userEmail || window.appSettings.userEmail.trim() === '') {
+        alert('User email address is not configured. Please set it in Settings.');
+        return;
+    }
+
+    // Values filled in since the request are not asked for again
+    const openCount = countOpenMissingValues(request) ?? request.openCount ?? request.missingCount;
+    const subject = (window.appSettings.reminderSubject || DEFAULT_REMINDER_SUBJECT).replace(/\{subject\}/g, request.subject);
+    const bodyTemplate = (window.appSettings.reminderBodyTemplate || DEFAULT_REMINDER_BODY_TEMPLATE)
+        .replace(/\{request_date\}/g, new Date(request.createdAt).toLocaleDateString('nl-NL'))
+        .replace(/\{missing_values\}/g, openCount)
+        .replace(/\{missing_columns\}/g, request.missingColumns.map(column => column.columnName).join(', '));
+
+    try {
+        let attachment = request.attachment;
+        const records = findDataRequestRecords(request);
+        if (records && openCount < request.missingCount) {
+            const broker = { brokerName: request.brokerName, rows: records.filter(record => getOpenColumns(request, record).length > 0) };
+            attachment = await window.createExcelAttachmentForBroker(broker, window.getBrokerDataForExcel(broker));
+        }
+
+        const email = await window.createAndDownloadEMLFileFromTemplate(
+            request.contact.email,
+            subject,
+            bodyTemplate,
+            request.contact.firstName,
+            request.contact.lastName,
+            request.filename,
+            request.totalRows,
+            null,
+            window.appSettings.userSignature || window.appSettings.userName || 'User',
+            attachment,
+            { inReplyTo: request.messageId, fileLabel: 'Herinnering' }
+        );
+
+        if (!email.success) return;
+
+        request.reminders.push({ sentAt: new Date().toISOString(), messageId: email.messageId, openCount });
+        if (request.status === 'sent') {
+            request.status = 'awaiting';
+        }
+        await window.saveDataRequest(request);
+        await displayDataRequests();
+    } catch (error) {
+        console.error('Error generating reminder for broker:', request.brokerName, error);
+        alert(`Error generating reminder for ${request.brokerName}: ${error.message}`);
+    }
+}
+
+/**
+ * Download the attachment that was sent with a request
+ * @param {string} requestId - Request ID
+ */
+async function downloadDataRequestAttachment(requestId) {
+    const request = await findDataRequest(requestId);
+    if (!request || !request.attachment) {
+        alert('The attachment of this request is not available.');
+        return;
+    }
+
+    await window.downloadToPreferredFolder(request.attachment, request.attachmentFilename,
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+}
+
+/**
+ * Delete a request after confirmation
+ * @param {string} requestId - Request ID
+ */
+async function deleteDataRequestWithUI(requestId) {
+    const request = await findDataRequest(requestId);
+    if (!request) return;
+
+    if (!confirm(`Delete the data request to ${request.brokerName} of ${new Date(request.createdAt).toLocaleDateString()}?`)) {
+        return;
+    }
+
+    await window.deleteDataRequest(requestId);
+    await displayDataRequests();
+}
+
+// Export functions globally for cross-module access
+window.DEFAULT_REMINDER_SUBJECT = DEFAULT_REMINDER_SUBJECT;
+window.DEFAULT_REMINDER_BODY_TEMPLATE = DEFAULT_REMINDER_BODY_TEMPLATE;
+window.recordDataRequest = recordDataRequest;
+window.displayDataRequests = displayDataRequests;
+window.setDataRequestStatus = setDataRequestStatus;
+window.setDataRequestDueDate = setDataRequestDueDate;
+window.generateDataRequestReminder = generateDataRequestReminder;
+window.downloadDataRequestAttachment = downloadDataRequestAttachment;
+window.deleteDataRequestWithUI = deleteDataRequestWithUI;
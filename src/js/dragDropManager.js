@@ -28,6 +28,9 @@ function handleDragEnd(e) {
 function updateTemplateDropZones() {
     const container = document.getElementById('template-drop-zones');
 
+    // The mapping in progress is saved in the working session
+    window.scheduleSessionSave();
+
     if (!window.currentTemplateId || !window.borderellenTemplate || !window.borderellenTemplate.columns || window.borderellenTemplate.columns.length === 0) {
         container.innerHTML = '<div style="text-align: center; padding: 32px; color: #888;"><p>No template selected. Please select a template in Tab 1.</p></div>';
 
@@ -132,10 +135,13 @@ async function updateProcessButtonState() {
     if (window.currentMappingFile && window.currentMappingFile.file) {
         try {
             console.log('Detecting template for file:', window.currentMappingFile.file.name);
-            const detection = await window.detectBrokerType(window.currentMappingFile.file.name);
+            const detection = await window.detectBrokerType(
+                window.currentMappingFile.file.name,
+                await ExcelCacheManager.getWorkbook(window.currentMappingFile.file)
+            );
             console.log('Template detection result:', detection);
 
-            if (detection && detection.type === 'custom' && detection.template) {
+            if (detection && (detection.type === 'custom' || detection.type === 'built-in') && detection.template) {
                 // Template exists - enable button
                 console.log('Template found, enabling button:', detection.template.name);
                 processBtn.disabled = false;
@@ -363,8 +369,7 @@ async function loadSourceColumns(fileId) {
     const container = document.getElementById('source-columns');
 
     try {
-        if (fileData.file.type === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' ||
-            fileData.file.name.endsWith('.xlsx')) {
+        if (ExcelCacheManager.isReadableFile(fileData.file)) {
 
             // Show loading message
             container.innerHTML = '<div style="text-align: center; padding: 32px; color: #888;"><p>Analyzing file structure...</p></div>';
@@ -399,7 +404,7 @@ async function loadSourceColumns(fileId) {
             }
 
         } else {
-            container.innerHTML = '<div style="text-align: center; padding: 32px; color: #888;"><p>PDF files require manual processing</p></div>';
+            container.innerHTML = '<div style="text-align: center; padding: 32px; color: #888;"><p>This file type cannot be read</p></div>';
         }
     } catch (error) {
         console.error('Error loading source columns:', error);
@@ -413,7 +418,9 @@ async function loadSourceColumns(fileId) {
 async function loadSourceColumnsFromAnalysis(file, patternAnalysis, container) {
     try {
         const workbook = await ExcelCacheManager.getWorkbook(file);
-        const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+        const sheetSelection = GenericParser.sheetSelectionFromAnalysis(patternAnalysis);
+        const selectedSheets = GenericParser.resolveSheetNames(workbook, sheetSelection);
+        const worksheet = workbook.Sheets[selectedSheets[0]];
                 const range = XLSX.utils.decode_range(worksheet['!ref']);
 
                 // Extract headers from detected start cell and column range
@@ -474,7 +481,7 @@ async function loadSourceColumnsFromAnalysis(file, patternAnalysis, container) {
                 // Build header info with optional footer keyword
                 let headerInfo = '';
                 if (isMultiRowHeader) {
-                    headerInfo = `Header Range: ${patternAnalysis.manualSelection.headerRange} (${headerRows} rows), Processing: ${headerRows} rows per record, Data starts: ${XLSX.utils.encode_col(startCol)}${headerRowIndex + headerRows}`;
+                    headerInfo = `Header Range: ${patternAnalysis.manualSelection.headerRange} (${headerRows} rows), Processing: ${GenericParser.rowProcessingFromAnalysis(patternAnalysis).rowsPerRecord || 1} rows per record, Data starts: ${XLSX.utils.encode_col(startCol)}${headerRowIndex + headerRows}`;
                     if (patternAnalysis.manualSelection.footerKeyword) {
                         headerInfo += `<br>Footer Keyword: "${patternAnalysis.manualSelection.footerKeyword}"`;
                     }
@@ -486,6 +493,39 @@ async function loadSourceColumnsFromAnalysis(file, patternAnalysis, container) {
                     }
                 }
 
+                // Multi-row records and saved parsing rules: field names come from the parser
+                // (line prefixes, split fields and position-based column names)
+                if (patternAnalysis.rowProcessing?.type === 'multi-row' || patternAnalysis.sourceParsingConfig) {
+                    const recordParser = new GenericParser(GenericParser.configFromAnalysis(patternAnalysis));
+                    headers.splice(0, headers.length, ...await recordParser.getFieldNames(worksheet));
+                    if (patternAnalysis.sourceParsingConfig) {
+                        headerInfo += `<br>Parsing rules: from the saved template (${escapeHtml(patternAnalysis.sourceParsingConfig.dataStartMethod || 'skip-rows')})`;
+                    }
+                    if (patternAnalysis.rowProcessing?.type === 'multi-row') {
+                        headerInfo += `<br>Records: ${window.describeMultiRowRecords(patternAnalysis.rowProcessing)}`;
+                    }
+                } else if (!isMultiRowHeader) {
+                    const dataStart = patternAnalysis.dataSection.dataStartIndex ?? headerRowIndex + 1;
+                    const dataEnd = patternAnalysis.suggestedDataEnd ?? range.e.r;
+                    const multiRowPattern = DataPatternAnalyzer.detectMultiRowPattern(worksheet, { start: dataStart, length: dataEnd - dataStart + 1 });
+                    if (multiRowPattern) {
+                        headerInfo += `<br>⚠️ Records appear to span 2 rows - use "Multi-row records" to combine them`;
+                    }
+                }
+
+                // Only mention sheets when the workbook has more than one
+                if (workbook.SheetNames.length > 1) {
+                    headerInfo += `<br>Sheet: ${window.describeSheetSelection(sheetSelection)} (${selectedSheets.map(name => escapeHtml(name)).join(', ')})`;
+                }
+
+                // Text files: how the lines were split into columns (adjustable in Manual Header & Footer Selection)
+                if (workbook.textFormat) {
+                    headerInfo += `<br>Read as: ${escapeHtml(window.describeTextFormat(workbook.textFormat))}`;
+                }
+                if (workbook.pdfLayout) {
+                    headerInfo += `<br>Read as: ${escapeHtml(window.describePdfLayout(workbook.pdfLayout))}`;
+                }
+
                 const structureType = isMultiRowHeader ? 'Manual Header & Footer Selection' : 'Automatic Header & Footer Detection';
 
                 const confidenceInfo = `
@@ -496,7 +536,10 @@ async function loadSourceColumnsFromAnalysis(file, patternAnalysis, container) {
                                 ${headerInfo}<br>
                                 Confidence: ${Math.round(patternAnalysis.confidence * 100)}%
                             </div>
-                            <button class="btn btn-secondary" onclick="window.showManualHeaderSelection()" style="margin-left: 12px;">Manual select header & footer</button>
+                            <div style="display: flex; flex-direction: column; gap: 6px; margin-left: 12px;">
+                                <button class="btn btn-secondary" onclick="window.showManualHeaderSelection()">Manual select header & footer</button>
+                                <button class="btn btn-secondary" onclick="window.showMultiRowRecordConfig()">Multi-row records</button>
+                            </div>
                         </div>
                     </div>
                 `;
@@ -505,7 +548,7 @@ async function loadSourceColumnsFromAnalysis(file, patternAnalysis, container) {
                 displaySourceColumns(headers);
 
                 // Trigger auto-mapping for high-confidence detections
-                if (patternAnalysis.confidence > 0.7) {
+                if (patternAnalysis.confidence > 0.7 && !patternAnalysis.sourceParsingConfig) {
                     console.log('High confidence detection - triggering auto-mapping');
                     setTimeout(() => {
                         window.generateAutoMappingSuggestions();
@@ -572,6 +615,22 @@ function displaySourceColumns(headers) {
 
     columnsContainer.appendChild(filenameColumn);
 
+    // Virtual sheet column: name of the worksheet each record was read from
+    const sheetColumn = document.createElement('div');
+    sheetColumn.className = 'column-item filename-column';
+    sheetColumn.draggable = true;
+    sheetColumn.setAttribute('data-column-name', '_sheet');
+
+    sheetColumn.innerHTML = `
+        <strong>📑 _sheet</strong>
+        <span style="color: #888;">(text)</span>
+    `;
+
+    sheetColumn.addEventListener('dragstart', handleDragStart);
+    sheetColumn.addEventListener('dragend', handleDragEnd);
+
+    columnsContainer.appendChild(sheetColumn);
+
     // Add regular source columns
     headers.forEach(header => {
         const columnItem = document.createElement('div');
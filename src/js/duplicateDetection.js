@@ -0,0 +1,309 @@
+/**
+ * Borderellen Converter - Duplicate Detection
+ * Finds records that were delivered before, in another file of this session or in an earlier
+ * processing run, using the record key of the active template (e.g. Polisnr makelaar + Periode van + FactuurNr).
+ * A file whose content is identical to an earlier delivery is a duplicate as a whole.
+ */
+
+// Record keys of history runs whose stored keys were made with other key columns, per run and key
+const historyKeyCache = new Map();
+
+// ========== RECORD KEYS ==========
+
+/**
+ * Columns that together identify a record, in template column order
+ * @param {Object} template - Output template
+ * @returns {Array} Column names (empty when the template has no record key)
+ */
+function getRecordKeyColumns(template) {
+    const keyColumns = template?.recordKey || [];
+    return (template?.columns || []).map(column => column.name).filter(name => keyColumns.includes(name));
+}
+
+/**
+ * Build the key of a record: key values are compared case-insensitively and without surrounding spaces
+ * @param {Object} record - Record
+ * @param {Array} keyColumns - Record key columns
+ * @returns {string|null} Key, or null when all key values are empty (such a record cannot be matched)
+ */
+function buildRecordKey(record, keyColumns) {
+    const values = keyColumns.map(column => {
+        const value = record[column];
+        return value === undefined || value === null ? '' : value.toString().trim().toLowerCase();
+    });
+    return values.some(value => value !== '') ? values.join('|') : null;
+}
+
+/**
+ * Unique keys of a set of records
+ * @param {Array} records - Records
+ * @param {Array} keyColumns - Record key columns
+ * @returns {Set} Keys
+ */
+function buildRecordKeySet(records, keyColumns) {
+    const keys = new Set();
+    records.forEach(record => {
+        const key = buildRecordKey(record, keyColumns);
+        if (key) keys.add(key);
+    });
+    return keys;
+}
+
+/**
+ * Keys of a history run for the given key columns; runs keep the keys they were recorded with,
+ * other key columns require the run's records (without the ones a later delivery replaced)
+ * @param {Object} run - Run metadata
+ * @param {Array} keyColumns - Record key columns
+ * @returns {Promise<Set>} Keys
+ */
+async function getRunKeySet(run, keyColumns) {
+    if (JSON.stringify(run.recordKeyColumns || []) === JSON.stringify(keyColumns)) {
+        return new Set(run.recordKeys || []);
+    }
+
+    const cacheKey = `${run.id}|${keyColumns.join('|')}`;
+    if (!historyKeyCache.has(cacheKey)) {
+        const records = await window.loadProcessingRunRecords(run.id);
+        historyKeyCache.set(cacheKey, buildRecordKeySet((records || []).filter(record => !record._supersededBy), keyColumns));
+    }
+    return historyKeyCache.get(cacheKey);
+}
+
+// ========== DETECTION ==========
+
+/**
+ * Check a processed file against the other files of this session and against earlier runs
+ * Duplicate records get a _duplicateOf marker (shown in the Results tab), the file gets a
+ * duplicates summary and its status mentions the number of duplicates
+ * @param {Object} fileData - Processed file with parsedData, runId and contentHash
+ * @returns {Promise<Object|null>} { count, sources, resolution } or null when nothing was found
+ */
+async function checkFileForDuplicates(fileData) {
+    const records = fileData.parsedData || [];
+    fileData.duplicates = null;
+    if (records.length === 0) return null;
+
+    const keyColumns = getRecordKeyColumns(window.borderellenTemplate);
+    const sources = [];
+
+    // Other files of this session come first: they are the most likely re-delivery
+    const sessionFiles = (window.uploadedFiles || []).filter(f =>
+        f.id !== fileData.id && f.parsedData && f.parsedData.length > 0 && f.statusClass === 'status-success'
+    );
+    sessionFiles.forEach(file => {
+        sources.push({
+            type: 'session',
+            id: file.id,
+            name: file.name,
+            sameContent: !!fileData.contentHash && file.contentHash === fileData.contentHash,
+            keys: keyColumns.length > 0 ? buildRecordKeySet(file.parsedData, keyColumns) : new Set()
+        });
+    });
+
+    // Earlier runs, newest first; runs of this session and replaced runs are left out
+    const runs = await window.loadProcessingRuns();
+    for (const run of runs) {
+        if (window.isSessionRun(run.id) || run.supersededBy) continue;
+
+        const sameContent = !!fileData.contentHash && run.contentHash === fileData.contentHash;
+        if (!sameContent && keyColumns.length === 0) continue;
+
+        sources.push({
+            type: 'history',
+            id: run.id,
+            name: run.fileName,
+            processedAt: run.processedAt,
+            sameContent,
+            keys: keyColumns.length > 0 ? await getRunKeySet(run, keyColumns) : new Set()
+        });
+    }
+
+    // Mark each record with the first earlier delivery that contains it
+    const counts = new Map();
+    fileData.parsedData = records.map(record => {
+        const key = keyColumns.length > 0 ? buildRecordKey(record, keyColumns) : null;
+        const source = sources.find(s => s.sameContent || (key && s.keys.has(key)));
+
+        const { _duplicateOf, ...rest } = record;
+        if (!source) return rest;
+
+        counts.set(source, (counts.get(source) || 0) + 1);
+        return { ...rest, _duplicateOf: describeDuplicateSource(source) };
+    });
+
+    const matched = sources.filter(source => counts.has(source));
+    if (matched.length === 0) return null;
+
+    fileData.duplicates = {
+        count: fileData.parsedData.filter(record => record._duplicateOf).length,
+        sources: matched.map(source => ({
+            type: source.type,
+            id: source.id,
+            name: source.name,
+            processedAt: source.processedAt || null,
+            sameContent: source.sameContent,
+            count: counts.get(source)
+        })),
+        keyColumns,
+        resolution: null
+    };
+    fileData.status += ` - ${fileData.duplicates.count} duplicates`;
+
+    console.log(`${fileData.name}: ${fileData.duplicates.count} records delivered before`, fileData.duplicates.sources);
+    return fileData.duplicates;
+}
+
+/**
+ * Describe where a duplicate was delivered before
+ * @param {Object} source - Duplicate source
+ * @returns {string} Description, e.g. "AON B550 01-2024.xlsx (processed 12-02-2024)"
+ */
+function describeDuplicateSource(source) {
+    const when = source.type === 'session' ? 'this session' : `processed ${window.formatDate(new Date(source.processedAt))}`;
+    return `${source.name} (${source.sameContent ? 'identical file, ' : ''}${when})`;
+}
+
+// ========== RESOLUTION ==========
+
+/**
+ * Resolve the duplicates of a file
+ * - skip: drop the duplicate records from this file, the earlier version stays
+ * - keep: keep both versions, the duplicates stay marked
+ * - replace: this file replaces the matching records of the earlier deliveries; they are removed
+ *   from other files of this session and marked as replaced in the runs of the processing history.
+ *   An earlier delivery is replaced as a whole only when none of its records is left
+ * @param {number} fileId - ID of the file with duplicates
+ * @param {string} resolution - 'skip', 'keep' or 'replace'
+ */
+async function resolveDuplicates(fileId, resolution) {
+    const fileData = window.uploadedFiles.find(f => f.id === fileId);
+    if (!fileData?.duplicates || !['skip', 'keep', 'replace'].includes(resolution)) return;
+
+    const { sources, keyColumns } = fileData.duplicates;
+
+    if (resolution === 'skip') {
+        fileData.parsedData = fileData.parsedData.filter(record => !record._duplicateOf);
+        fileData.recordCount = fileData.parsedData.length;
+    }
+
+    if (resolution === 'replace') {
+        const keys = buildRecordKeySet(fileData.parsedData, keyColumns);
+
+        for (const source of sources) {
+            const isReplaced = record => source.sameContent || keys.has(buildRecordKey(record, keyColumns));
+
+            if (source.type === 'session') {
+                const earlierFile = window.uploadedFiles.find(f => f.id === source.id);
+                if (!earlierFile) continue;
+
+                const replacedCount = earlierFile.parsedData.filter(isReplaced).length;
+                earlierFile.parsedData = earlierFile.parsedData.filter(record => !isReplaced(record));
+                earlierFile.recordCount = earlierFile.parsedData.length;
+                earlierFile.status = earlierFile.parsedData.length === 0 ?
+                    `Replaced by ${fileData.name}` :
+                    `${earlierFile.status.replace(/ - \d+ records replaced by .*$/, '')} - ${replacedCount} records replaced by ${fileData.name}`;
+                if (earlierFile.parsedData.length === 0) earlierFile.statusClass = 'status-warning';
+
+                if (earlierFile.runId) await supersedeRunRecords(earlierFile.runId, isReplaced, fileData);
+            } else {
+                await supersedeRunRecords(source.id, isReplaced, fileData);
+            }
+        }
+
+        fileData.parsedData = fileData.parsedData.map(({ _duplicateOf, ...record }) => record);
+    }
+
+    fileData.duplicates.resolution = resolution;
+    fileData.status = fileData.status.replace(/ - \d+ duplicates.*$/, '') + ` - duplicates ${resolution === 'skip' ? 'skipped' : resolution === 'keep' ? 'kept' : 'replaced'}`;
+
+    await saveFileRun(fileData, { duplicateResolution: resolution });
+
+    if (typeof updateFilesDisplay === 'function') updateFilesDisplay();
+    if (typeof updateResultsTab === 'function' && !window.resultsHistoryRun) updateResultsTab();
+}
+
+/**
+ * Mark the records of an earlier run that a later delivery replaces. The run keeps them (audit trail),
+ * but they no longer count as delivered; the run is replaced as a whole once none of its records is left
+ * @param {string} runId - Run ID
+ * @param {Function} isReplaced - Returns true for a record the later delivery replaces
+ * @param {Object} fileData - The later delivery (session file)
+ */
+async function supersedeRunRecords(runId, isReplaced, fileData) {
+    const run = (await window.loadProcessingRuns()).find(r => r.id === runId);
+    const records = run ? await window.loadProcessingRunRecords(runId) : null;
+    if (!records) return;
+
+    const updated = records.map(record =>
+        !record._supersededBy && isReplaced(record) ? { ...record, _supersededBy: fileData.name } : record
+    );
+    const remaining = updated.filter(record => !record._supersededBy);
+
+    await window.saveProcessingRun({
+        ...run,
+        recordKeys: [...buildRecordKeySet(remaining, run.recordKeyColumns || [])],
+        replacedRecordCount: updated.length - remaining.length,
+        ...(remaining.length === 0 ? { supersededBy: fileData.runId || fileData.name, supersededAt: new Date().toISOString() } : {})
+    }, updated);
+
+    [...historyKeyCache.keys()].filter(key => key.startsWith(`${runId}|`)).forEach(key => historyKeyCache.delete(key));
+}
+
+/**
+ * Save the current records of a session file in its run, so the history keeps what was finally produced;
+ * records a later delivery replaced stay in the run, marked as replaced
+ * @param {Object} fileData - Session file with runId
+ * @param {Object} changes - Additional run metadata
+ */
+async function saveFileRun(fileData, changes) {
+    if (!fileData.runId) return;
+
+    const run = (await window.loadProcessingRuns()).find(r => r.id === fileData.runId);
+    if (!run) return;
+
+    const replaced = ((await window.loadProcessingRunRecords(run.id)) || []).filter(record => record._supersededBy);
+
+    await window.saveProcessingRun({
+        ...run,
+        ...changes,
+        recordCount: fileData.parsedData.length + replaced.length,
+        recordKeys: [...buildRecordKeySet(fileData.parsedData, run.recordKeyColumns || [])]
+    }, [...fileData.parsedData, ...replaced]);
+}
+
+/**
+ * Render the duplicate summary of a file with the skip/keep/replace choice
+ * @param {Object} fileData - File with duplicates summary
+ * @returns {string} HTML, empty when the file has no duplicates
+ */
+function renderDuplicateControls(fileData) {
+    const duplicates = fileData.duplicates;
+    if (!duplicates) return '';
+
+    const description = duplicates.sources.map(source => `${source.count} in ${describeDuplicateSource(source)}`).join('\n');
+
+    if (duplicates.resolution) {
+        return `<small style="margin-left: 8px; color: #888;" title="${window.escapeAttribute(description)}">Duplicates ${duplicates.resolution === 'skip' ? 'skipped' : duplicates.resolution === 'keep' ? 'kept' : 'replaced'}</small>`;
+    }
+
+    const button = (resolution, label, title) =>
+        `<button class="btn btn-secondary" style="padding: 2px 6px; font-size: 11px; margin-left: 4px;" title="${title}" onclick="resolveDuplicates(${fileData.id}, '${resolution}')">${label}</button>`;
+
+    return `
+        <span style="margin-left: 8px; white-space: nowrap;">
+            <small style="color: #ff9800;" title="${window.escapeAttribute(description)}">⧉ ${duplicates.count} delivered before</small>
+            ${button('skip', 'Skip', 'Drop these records, keep the earlier version')}
+            ${button('keep', 'Keep', 'Keep both versions')}
+            ${button('replace', 'Replace', 'Use these records instead of the earlier version')}
+        </span>
+    `;
+}
+
+// Export functions globally for cross-module access
+window.getRecordKeyColumns = getRecordKeyColumns;
+window.buildRecordKey = buildRecordKey;
+window.buildRecordKeySet = buildRecordKeySet;
+window.checkFileForDuplicates = checkFileForDuplicates;
+window.resolveDuplicates = resolveDuplicates;
+window.saveFileRun = saveFileRun;
+window.renderDuplicateControls = renderDuplicateControls;
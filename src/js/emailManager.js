@@ -92,6 +92,26 @@ function initializeEmailBrokersTab() {
     skipFilenameAssignments.addEventListener('click', skipFilenameAssignmentProcess);
     confirmFilenameAssignments.addEventListener('click', confirmFilenameAssignmentProcess);
 
+    // Completed files returned by brokers
+    const importReturnFileBtn = document.getElementById('import-return-file-btn');
+    const returnFileInput = document.getElementById('return-file-input');
+
+    importReturnFileBtn.addEventListener('click', () => returnFileInput.click());
+    returnFileInput.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) {
+            await window.importCompletedFile(file);
+        }
+    });
+    document.getElementById('close-return-import-modal').addEventListener('click', window.hideReturnImportModal);
+    document.getElementById('cancel-return-import-btn').addEventListener('click', window.hideReturnImportModal);
+    document.getElementById('apply-return-import-btn').addEventListener('click', window.applyReturnImport);
+
+    // Outstanding data requests
+    document.getElementById('refresh-data-requests-btn').addEventListener('click', window.displayDataRequests);
+    document.getElementById('show-completed-requests').addEventListener('change', window.displayDataRequests);
+
     // Initialize with current results data if available and "Use current Results data" is selected
     setTimeout(() => {
         if (useResultsData.checked && window.currentCombinedData && window.currentCombinedData.length > 0) {
@@ -525,6 +545,16 @@ async function generateAllEmails() {
     // Alert removed - user already sees downloads
 }
 
+/**
+ * Whether the analysis runs on files uploaded in this tab instead of the Results data.
+ * Those rows are not in the dataset, so their emails are not tracked and their completed
+ * files cannot be imported: the attachments have no row key column
+ * @returns {boolean} True when "Upload new files" is selected
+ */
+function isUploadDataSource() {
+    return document.getElementById('use-upload-data')?.checked || false;
+}
+
 /**
  * Generate single email for a broker
  */
@@ -543,7 +573,7 @@ async function generateSingleEmail(broker, contact, subject, bodyTemplate) {
         const excelBlob = await createExcelAttachmentForBroker(broker, brokerData);
 
         // Generate and download EML with Excel attachment
-        await createAndDownloadEMLFileFromTemplate(
+        const email = await createAndDownloadEMLFileFromTemplate(
             contact.email,
             subject,
             bodyTemplate,
@@ -556,6 +586,11 @@ async function generateSingleEmail(broker, contact, subject, bodyTemplate) {
             excelBlob // Pass Excel attachment
         );
 
+        // Keep the request, to follow up on it in the Outstanding Requests list
+        if (email.success && !isUploadDataSource()) {
+            await window.recordDataRequest(broker, contact, subject, email, excelBlob);
+        }
+
         // Small delay between emails to avoid overwhelming the system
         await new Promise(resolve => setTimeout(resolve, 1000));
 
@@ -789,10 +824,16 @@ function confirmFilenameAssignmentProcess() {
 
 // ========== EXCEL GENERATION ==========
 
+// Fill of the required cells the broker needs to complete in the email attachment (light red)
+const ATTACHMENT_MISSING_FILL = 'FFFFC7CE';
+
+// Text columns with at most this many recurring values get a dropdown in the email attachment
+const ATTACHMENT_LIST_MAX_VALUES = 20;
+
 /**
  * Extract broker data for Excel attachment
  * @param {Object} broker - Broker analysis object from missingDataAnalysis
- * @returns {Array} Array of row objects with all 22 columns
+ * @returns {Array} Array of row objects with all template columns, and the row key of Results records
  */
 function getBrokerDataForExcel(broker) {
     if (!broker.rows || broker.rows.length === 0) {
@@ -806,18 +847,85 @@ function getBrokerDataForExcel(broker) {
         return [];
     }
 
-    // Ensure all rows have all 22 columns
+    // Ensure all rows have all template columns, plus the row key to merge the completed file back
+    // (rows of files uploaded in this tab have none, see isUploadDataSource)
     return broker.rows.map(row => {
         const completeRow = {};
         templateColumns.forEach(col => {
             completeRow[col.name] = row[col.name] !== undefined ? row[col.name] : '';
         });
+        if (row._rowKey) {
+            completeRow[window.RETURN_ROW_KEY_HEADER] = row._rowKey;
+        }
         return completeRow;
     });
 }
 
 /**
- * Create Excel attachment for broker with highlighted missing fields
+ * Data validation for a column of the email attachment, derived from the template column type:
+ * numbers and dates are checked, text columns with a short list of recurring values get a dropdown
+ * @param {Object} column - Template column { name, type }
+ * @param {Array} rows - Records the dropdown values are taken from
+ * @returns {Object|null} ExcelJS data validation, or null when the column accepts any text
+ */
+function getAttachmentValidation(column, rows) {
+    if (column.type === 'number') {
+        return {
+            type: 'decimal',
+            operator: 'between',
+            formulae: [-1e12, 1e12],
+            allowBlank: true,
+            showErrorMessage: true,
+            errorTitle: column.name,
+            error: 'Enter a number, without currency symbol.'
+        };
+    }
+
+    if (column.type === 'date') {
+        return {
+            type: 'date',
+            operator: 'between',
+            formulae: [new Date(Date.UTC(1900, 0, 1)), new Date(Date.UTC(2099, 11, 31))],
+            allowBlank: true,
+            showErrorMessage: true,
+            errorTitle: column.name,
+            error: `Enter a date (${window.appSettings?.exportDateFormat || 'dd-mm-yyyy'}).`
+        };
+    }
+
+    // Recurring values (codes, currencies, product names) are offered as a dropdown; other values stay allowed
+    const counts = new Map();
+    rows.forEach(row => {
+        const value = row[column.name];
+        if (value !== undefined && value !== null && String(value).trim() !== '') {
+            const text = String(value).trim();
+            counts.set(text, (counts.get(text) || 0) + 1);
+        }
+    });
+
+    const values = [...counts.keys()].sort();
+    const occurrences = [...counts.values()].reduce((sum, count) => sum + count, 0);
+    const list = values.join(',');
+    if (values.length < 2 || values.length > ATTACHMENT_LIST_MAX_VALUES || occurrences < values.length * 2 ||
+        list.length > 255 || values.some(value => /[,"]/.test(value))) {
+        return null;
+    }
+
+    return {
+        type: 'list',
+        formulae: [`"${list}"`],
+        allowBlank: true,
+        showErrorMessage: true,
+        errorStyle: 'warning',
+        errorTitle: column.name,
+        error: 'This value is not in the list. Keep it anyway?'
+    };
+}
+
+/**
+ * Create Excel attachment for broker: only the empty required cells are highlighted, a summary sheet
+ * counts them per column, cells are validated by column type, and the sheet is protected so only the
+ * highlighted cells can be filled in and the returned file can be imported (see returnFileImport.js)
  * @param {Object} broker - Broker analysis object
  * @param {Array} brokerData - Complete data rows for this broker
  * @returns {Promise<Blob>} Excel file as blob
@@ -825,24 +933,69 @@ function getBrokerDataForExcel(broker) {
 async function createExcelAttachmentForBroker(broker, brokerData) {
     try {
         const templateColumns = window.borderellenTemplate?.columns || [];
-        const requiredColumns = templateColumns.filter(col => col.required);
+        const settings = window.appSettings || {};
+        const isEmpty = value => value === undefined || value === null || value === '';
 
         // Create workbook using ExcelJS
         const workbook = new ExcelJS.Workbook();
 
         // Add Data sheet (instructions removed as they're in the email)
-        const dataSheet = workbook.addWorksheet('Data - ' + broker.brokerName.substring(0, 20));
-
-        // Set up columns with headers
-        dataSheet.columns = templateColumns.map(col => ({
-            header: col.name,
-            key: col.name,
+        const dataSheetName = 'Data - ' + broker.brokerName.substring(0, 20);
+        const dataSheet = workbook.addWorksheet(dataSheetName);
+
+        // Set up columns with headers; the hidden row key column comes last, when the rows have keys
+        const hasRowKeys = brokerData.some(row => row[window.RETURN_ROW_KEY_HEADER]);
+        const headers = templateColumns.map(col => col.name);
+        dataSheet.columns = (hasRowKeys ? [...headers, window.RETURN_ROW_KEY_HEADER] : headers).map(name => ({
+            header: name,
+            key: name,
             width: 15 // Will auto-size later
         }));
+        dataSheet.getRow(1).font = { bold: true };
+
+        // Dropdown values come from all records of the analyzed data source, not only this broker's
+        const sourceRows = isUploadDataSource() ?
+            window.emailUploadedFiles.flatMap(file => file.data) :
+            window.currentCombinedData || brokerData;
+        const validations = templateColumns.map(col => getAttachmentValidation(col, sourceRows));
+        const missingCounts = templateColumns.map(() => 0);
 
-        // Add data rows
+        // Add data rows: typed cells like the Results export, so the date and number validations apply
         brokerData.forEach(row => {
-            dataSheet.addRow(row);
+            const dataRow = dataSheet.addRow([]);
+
+            templateColumns.forEach((col, colIndex) => {
+                const cell = dataRow.getCell(colIndex + 1);
+                const value = row[col.name];
+                const exportCell = window.createExportCell(value, { type: col.type || 'text', format: col.format || '' }, settings);
+                if (exportCell) {
+                    cell.value = exportCell.v;
+                    if (exportCell.z) cell.numFmt = exportCell.z;
+                } else if (col.type === 'date') {
+                    cell.numFmt = col.format || settings.exportDateFormat || 'dd-mm-yyyy';
+                }
+
+                if (validations[colIndex]) {
+                    cell.dataValidation = validations[colIndex];
+                }
+
+                // Only the highlighted missing values can be filled in; everything else stays as delivered
+                const missing = isEmpty(value) && col.required;
+                cell.protection = { locked: !missing };
+
+                if (missing) {
+                    missingCounts[colIndex]++;
+                    cell.fill = {
+                        type: 'pattern',
+                        pattern: 'solid',
+                        fgColor: { argb: ATTACHMENT_MISSING_FILL }
+                    };
+                }
+            });
+
+            if (hasRowKeys) {
+                dataRow.getCell(templateColumns.length + 1).value = row[window.RETURN_ROW_KEY_HEADER] || '';
+            }
         });
 
         // Auto-size columns based on content
@@ -855,24 +1008,51 @@ async function createExcelAttachmentForBroker(broker, brokerData) {
             column.width = Math.min(maxLength + 2, 50);
         });
 
-        // Apply yellow highlighting to required columns (entire column)
-        templateColumns.forEach((col, colIndex) => {
-            const isRequired = requiredColumns.find(req => req.name === col.name);
+        // The row key matches the returned file to the dataset (see returnFileImport.js)
+        if (hasRowKeys) {
+            dataSheet.getColumn(window.RETURN_ROW_KEY_HEADER).hidden = true;
+        }
 
-            if (isRequired) {
-                const column = dataSheet.getColumn(colIndex + 1);
-                column.eachCell({ includeEmpty: true }, (cell, rowNumber) => {
-                    cell.fill = {
-                        type: 'pattern',
-                        pattern: 'solid',
-                        fgColor: { argb: 'FFFFF3CD' } // Light yellow
-                    };
-                });
+        // Freeze header row
+        dataSheet.views = [{ state: 'frozen', xSplit: 0, ySplit: 1 }];
+
+        // Only the missing values can be changed; columns can still be resized and filtered
+        await dataSheet.protect('', {
+            selectLockedCells: true,
+            selectUnlockedCells: true,
+            formatColumns: true,
+            autoFilter: true
+        });
+
+        // Summary sheet: missing values per required column
+        const summarySheet = workbook.addWorksheet('Summary');
+        summarySheet.columns = [
+            { header: 'Column', key: 'column', width: 30 },
+            { header: 'Missing', key: 'missing', width: 12 },
+            { header: 'Filled', key: 'filled', width: 12 },
+            { header: 'Total Rows', key: 'total', width: 12 },
+            { header: 'Complete', key: 'complete', width: 12 }
+        ];
+        summarySheet.getRow(1).font = { bold: true };
+
+        templateColumns.forEach((col, colIndex) => {
+            if (!col.required) return;
+            const summaryRow = summarySheet.addRow({
+                column: col.name,
+                missing: missingCounts[colIndex],
+                filled: brokerData.length - missingCounts[colIndex],
+                total: brokerData.length,
+                complete: brokerData.length > 0 ? (brokerData.length - missingCounts[colIndex]) / brokerData.length : 1
+            });
+            if (missingCounts[colIndex] > 0) {
+                summaryRow.getCell('missing').fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: ATTACHMENT_MISSING_FILL } };
             }
         });
+        summarySheet.getColumn('complete').numFmt = '0%';
 
-        // Freeze header row
-        dataSheet.views = [{ state: 'frozen', xSplit: 0, ySplit: 1 }];
+        const totalMissing = missingCounts.reduce((sum, count) => sum + count, 0);
+        summarySheet.addRow([]);
+        summarySheet.addRow([`${totalMissing} missing values. Fill in the red cells on sheet "${dataSheetName}" and return this file.`]);
 
         // Generate Excel buffer
         const buffer = await workbook.xlsx.writeBuffer();
@@ -908,8 +1088,10 @@ function blobToBase64(blob) {
 
 /**
  * Create and download EML file using email template with placeholders
+ * @param {Object} emailOptions - { inReplyTo: Message-ID of the email this one follows up, fileLabel: part of the EML filename }
+ * @returns {Promise<Object>} { success, messageId, attachmentFilename }
  */
-async function createAndDownloadEMLFileFromTemplate(toEmail, subject, bodyTemplate, contactFirstName, contactLastName, filename, totalRows, missingColumns, userSignature, excelAttachment = null) {
+async function createAndDownloadEMLFileFromTemplate(toEmail, subject, bodyTemplate, contactFirstName, contactLastName, filename, totalRows, missingColumns, userSignature, excelAttachment = null, emailOptions = {}) {
     // Process template with placeholders
     const htmlEmailBody = processEmailTemplate(bodyTemplate, {
         contact_email: toEmail,
@@ -925,20 +1107,27 @@ async function createAndDownloadEMLFileFromTemplate(toEmail, subject, bodyTempla
     const brokerName = filename.split(/[._]/)[0] || 'Email';
     const now = new Date();
     const timestamp = now.toISOString().slice(0, 19).replace(/[:.]/g, '-');
-    const emlFilename = `${brokerName}_OntbrekendeData_${timestamp}.eml`;
+    const emlFilename = `${brokerName}_${emailOptions.fileLabel || 'OntbrekendeData'}_${timestamp}.eml`;
+
+    // Message-ID lets a reminder refer to this email, so mail clients show them as one conversation
+    const messageId = `<${Date.now()}.${Math.random().toString(36).substring(2)}@borderellenconverter.nl>`;
+    const threadHeaders = emailOptions.inReplyTo ?
+        `\nIn-Reply-To: ${emailOptions.inReplyTo}\nReferences: ${emailOptions.inReplyTo}` : '';
 
     let emlContent;
+    let attachmentFilename = null;
 
     if (excelAttachment) {
         // MIME multipart structure with attachment
         const boundary = `----=_Part_${Date.now()}_${Math.random().toString(36).substring(2)}`;
         const base64Excel = await blobToBase64(excelAttachment);
-        const attachmentFilename = `${brokerName}_Borderel_ToComplete_${timestamp}.xlsx`;
+        attachmentFilename = `${brokerName}_Borderel_ToComplete_${timestamp}.xlsx`;
 
         emlContent = `To: ${toEmail}
 From: ${window.appSettings.userEmail || 'noreply@borderellenconverter.nl'}
 Subject: ${subject}
 Date: ${new Date().toUTCString()}
+Message-ID: ${messageId}${threadHeaders}
 MIME-Version: 1.0
 Content-Type: multipart/mixed; boundary="${boundary}"
 
@@ -963,6 +1152,7 @@ ${base64Excel}
 From: ${window.appSettings.userEmail || 'noreply@borderellenconverter.nl'}
 Subject: ${subject}
 Date: ${new Date().toUTCString()}
+Message-ID: ${messageId}${threadHeaders}
 MIME-Version: 1.0
 Content-Type: text/html; charset=UTF-8
 Content-Transfer-Encoding: 8bit
@@ -979,6 +1169,8 @@ ${htmlEmailBody}`;
     if (success) {
         console.log(`EML file created: ${emlFilename}${excelAttachment ? ' with Excel attachment' : ''}. Please open manually from your downloads folder.`);
     }
+
+    return { success, messageId, attachmentFilename };
 }
 
 /**
@@ -1179,6 +1371,8 @@ async function saveEmailTemplate() {
     try {
         const subject = document.getElementById('email-subject').value;
         const body = document.getElementById('email-body-template').value;
+        const reminderSubject = document.getElementById('reminder-subject').value;
+        const reminderBody = document.getElementById('reminder-body-template').value;
 
         // Direct IndexedDB save without going through complex folder handling
         if (!window.db) await window.initIndexedDB();
@@ -1200,9 +1394,24 @@ async function saveEmailTemplate() {
             request.onerror = () => reject(request.error);
         });
 
+        // Save reminder subject and body template
+        await new Promise((resolve, reject) => {
+            const request = store.put({ key: 'reminderSubject', value: reminderSubject });
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+
+        await new Promise((resolve, reject) => {
+            const request = store.put({ key: 'reminderBodyTemplate', value: reminderBody });
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+
         // Update local appSettings
         window.appSettings.emailSubject = subject;
         window.appSettings.emailBodyTemplate = body;
+        window.appSettings.reminderSubject = reminderSubject;
+        window.appSettings.reminderBodyTemplate = reminderBody;
 
         alert('Email template saved successfully!');
         console.log('Email template saved directly to IndexedDB');
@@ -1242,11 +1451,15 @@ Met vriendelijke groet,
         // Update UI
         document.getElementById('email-subject').value = defaultSubject;
         document.getElementById('email-body-template').value = defaultBody;
+        document.getElementById('reminder-subject').value = window.DEFAULT_REMINDER_SUBJECT;
+        document.getElementById('reminder-body-template').value = window.DEFAULT_REMINDER_BODY_TEMPLATE;
 
         // Save to IndexedDB immediately
         try {
             window.appSettings.emailSubject = defaultSubject;
             window.appSettings.emailBodyTemplate = defaultBody;
+            window.appSettings.reminderSubject = window.DEFAULT_REMINDER_SUBJECT;
+            window.appSettings.reminderBodyTemplate = window.DEFAULT_REMINDER_BODY_TEMPLATE;
 
             const success = await window.saveSettings(window.appSettings);
             if (success) {
@@ -1294,6 +1507,16 @@ function loadEmailTemplate() {
     } else {
         console.log('❌ Did not set body - emailBodyTemplate exists:', !!window.appSettings.emailBodyTemplate, 'element:', !!bodyEl);
     }
+
+    // Reminders use the default text until one is saved
+    const reminderSubjectEl = document.getElementById('reminder-subject');
+    const reminderBodyEl = document.getElementById('reminder-body-template');
+    if (reminderSubjectEl) {
+        reminderSubjectEl.value = window.appSettings.reminderSubject || window.DEFAULT_REMINDER_SUBJECT;
+    }
+    if (reminderBodyEl) {
+        reminderBodyEl.value = window.appSettings.reminderBodyTemplate || window.DEFAULT_REMINDER_BODY_TEMPLATE;
+    }
 }
 
 // ========== GLOBAL EXPORTS ==========
@@ -1307,4 +1530,8 @@ window.confirmBrokerContact = confirmBrokerContact;
 window.closeFilenameAssignmentModal = closeFilenameAssignmentModal;
 window.skipFilenameAssignmentProcess = skipFilenameAssignmentProcess;
 window.confirmFilenameAssignmentProcess = confirmFilenameAssignmentProcess;
-window.loadEmailTemplate = loadEmailTemplate;
\ No newline at end of file
+window.loadEmailTemplate = loadEmailTemplate;
+window.createAndDownloadEMLFileFromTemplate = createAndDownloadEMLFileFromTemplate;
+window.getBrokerDataForExcel = getBrokerDataForExcel;
+window.createExcelAttachmentForBroker = createExcelAttachmentForBroker;
+window.analyzeCurrentResultsData = analyzeCurrentResultsData;
\ No newline at end of file
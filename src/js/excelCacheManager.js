@@ -9,24 +9,54 @@
  * - Consistent compacted worksheet state across all consumers
  * - Multi-file support with isolated cache entries
  * - Performance optimization through single-read caching
+ * - Every spreadsheet format SheetJS reads (.xlsx, .xls, .ods, ...), with dates in one date system
+ * - CSV, TSV and fixed-width text files read into the same worksheet model (see textFileReader.js)
+ * - Tables of text-based PDF files rebuilt into the same worksheet model (see pdfTableExtractor.js)
  */
 class ExcelCacheManager {
     // WeakMap automatically garbage collects when File objects are released
     static cache = new WeakMap();
 
+    // Spreadsheet formats read with SheetJS
+    static SPREADSHEET_EXTENSIONS = ['.xlsx', '.xlsm', '.xlsb', '.xls', '.ods', '.fods'];
+    static SPREADSHEET_TYPES = [
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'application/vnd.ms-excel',
+        'application/vnd.oasis.opendocument.spreadsheet'
+    ];
+
+    // Days between the 1900 and 1904 date systems (serial 0 in 1904 = serial 1462 in 1900)
+    static DATE_1904_OFFSET = 1462;
+
+    /**
+     * Whether a file can be read into a workbook (spreadsheet, text export or PDF)
+     * @param {File} file - Uploaded file
+     * @returns {boolean} True for spreadsheets (.xlsx, .xls, .ods, ...), .csv, .tsv, .txt and .pdf files
+     */
+    static isReadableFile(file) {
+        const name = file.name.toLowerCase();
+        return this.SPREADSHEET_TYPES.includes(file.type) ||
+            this.SPREADSHEET_EXTENSIONS.some(ext => name.endsWith(ext)) ||
+            window.isTextFile(file.name) || window.isPdfFile(file.name);
+    }
+
     /**
      * Reads and caches an Excel file with consistent processing
      * @param {File} file - Excel file to read
+     * @param {Object} textFormat - For text files: how to read them (e.g. the parsingConfig.textFormat of a
+     *                              file mapping); a cached workbook read another way is read again
      * @returns {Promise<Object>} XLSX workbook object (compacted)
      */
-    static async getWorkbook(file) {
-        // Check if already cached
-        if (this.cache.has(file)) {
-            return this.cache.get(file);
+    static async getWorkbook(file, textFormat = null) {
+        // Check if already cached; a text file is read again when asked for another text format
+        const cached = this.cache.get(file);
+        const textFormatChanged = !!textFormat && !!cached?.textFormat && !this._isSameTextFormat(cached.textFormat, textFormat);
+        if (cached && !textFormatChanged) {
+            return cached;
         }
 
         try {
-            const workbook = await this._readExcelFile(file);
+            const workbook = await this._readExcelFile(file, textFormat);
 
             // Cache the processed workbook
             this.cache.set(file, workbook);
@@ -38,6 +68,15 @@ class ExcelCacheManager {
         }
     }
 
+    /**
+     * Caches a workbook read elsewhere (by a processing worker), so the page does not read the file again
+     * @param {File} file - File the workbook was read from
+     * @param {Object} workbook - XLSX workbook object (compacted)
+     */
+    static cacheWorkbook(file, workbook) {
+        this.cache.set(file, workbook);
+    }
+
     /**
      * Gets a specific worksheet from cached workbook
      * @param {File} file - Excel file
@@ -85,58 +124,102 @@ class ExcelCacheManager {
         return this.cache.has(file);
     }
 
+    /**
+     * Whether two text formats read a file the same way
+     * @param {Object} current - Text format of the cached workbook
+     * @param {Object} requested - Requested text format (may set only some properties)
+     * @returns {boolean} True when every requested property matches
+     * @private
+     */
+    static _isSameTextFormat(current, requested) {
+        return Object.keys(requested).every(key => JSON.stringify(current[key]) === JSON.stringify(requested[key]));
+    }
+
     /**
      * Internal method to read Excel file with consistent processing
      * This replaces the scattered XLSX.read() calls throughout the codebase
      * @param {File} file - Excel file to read
+     * @param {Object} textFormat - For text files: how to read them, detected when not given
      * @returns {Promise<Object>} XLSX workbook object
      * @private
      */
-    static _readExcelFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-
-            reader.onload = (e) => {
-                try {
-                    // Read workbook with consistent options
-                    const workbook = XLSX.read(e.target.result, {
-                        type: 'binary',
-                        cellFormula: false  // Read calculated values instead of formulas
-                    });
-
-                    // Apply consistent compaction to all worksheets
-                    workbook.SheetNames.forEach(sheetName => {
-                        const originalSheet = workbook.Sheets[sheetName];
-                        const compactedSheet = this._removeEmptyRowsFromWorksheet(originalSheet);
-
-                        // Log compaction details for debugging
-                        if (originalSheet['!ref'] && compactedSheet['!ref']) {
-                            const originalRange = XLSX.utils.decode_range(originalSheet['!ref']);
-                            const compactedRange = XLSX.utils.decode_range(compactedSheet['!ref']);
-                            const originalRows = originalRange.e.r + 1;
-                            const compactedRows = compactedRange.e.r + 1;
-                            const removedRows = originalRows - compactedRows;
-
-                            if (removedRows > 0) {
-                                console.log(`[ExcelCacheManager] Compacted worksheet "${sheetName}": ${originalRows} rows → ${compactedRows} rows (removed ${removedRows} empty rows)`);
-                            }
-                        }
-
-                        workbook.Sheets[sheetName] = compactedSheet;
-                    });
-
-                    resolve(workbook);
-                } catch (error) {
-                    reject(new Error(`Failed to parse Excel file: ${error.message}`));
+    static async _readExcelFile(file, textFormat = null) {
+        // file.arrayBuffer() works for browser File objects and for Node.js File/Blob objects alike
+        const data = await file.arrayBuffer().catch(() => {
+            throw new Error('Failed to read file');
+        });
+
+        try {
+            // Text exports are split into cells by textFileReader, PDF tables are rebuilt by pdfTableExtractor,
+            // spreadsheets are read with consistent options
+            let workbook;
+            if (window.isTextFile(file.name)) {
+                workbook = window.readTextWorkbook(new Uint8Array(data), file.name, textFormat);
+            } else if (window.isPdfFile(file.name)) {
+                workbook = await window.readPdfWorkbook(new Uint8Array(data));
+            } else {
+                workbook = XLSX.read(new Uint8Array(data), {
+                    type: 'array',
+                    cellFormula: false, // Read calculated values instead of formulas
+                    cellNF: true        // Keep number formats, to recognize date cells
+                });
+            }
+            this._convertDate1904(workbook);
+
+            // Apply consistent compaction to all worksheets
+            workbook.SheetNames.forEach(sheetName => {
+                const originalSheet = workbook.Sheets[sheetName];
+                const compactedSheet = this._removeEmptyRowsFromWorksheet(originalSheet);
+
+                // Log compaction details for debugging
+                if (originalSheet['!ref'] && compactedSheet['!ref']) {
+                    const originalRange = XLSX.utils.decode_range(originalSheet['!ref']);
+                    const compactedRange = XLSX.utils.decode_range(compactedSheet['!ref']);
+                    const originalRows = originalRange.e.r + 1;
+                    const compactedRows = compactedRange.e.r + 1;
+                    const removedRows = originalRows - compactedRows;
+
+                    if (removedRows > 0) {
+                        console.log(`[ExcelCacheManager] Compacted worksheet "${sheetName}": ${originalRows} rows → ${compactedRows} rows (removed ${removedRows} empty rows)`);
+                    }
                 }
-            };
 
-            reader.onerror = () => {
-                reject(new Error('Failed to read file'));
-            };
+                workbook.Sheets[sheetName] = compactedSheet;
+            });
+
+            return workbook;
+        } catch (error) {
+            const kind = window.isTextFile(file.name) ? 'text' : window.isPdfFile(file.name) ? 'PDF' : 'Excel';
+            throw new Error(`Failed to parse ${kind} file: ${error.message}`);
+        }
+    }
+
+    /**
+     * Converts the date cells of a workbook saved in the 1904 date system (Excel for Mac) to the
+     * 1900 system, so every consumer can read date serials the same way; the displayed text
+     * (cell.w) is already correct and stays as it is
+     * @param {Object} workbook - XLSX workbook object
+     * @private
+     */
+    static _convertDate1904(workbook) {
+        if (!workbook.Workbook?.WBProps?.date1904) {
+            return;
+        }
 
-            reader.readAsBinaryString(file);
+        let converted = 0;
+        workbook.SheetNames.forEach(sheetName => {
+            const worksheet = workbook.Sheets[sheetName];
+            Object.keys(worksheet).forEach(address => {
+                const cell = worksheet[address];
+                if (!address.startsWith('!') && cell.t === 'n' && cell.z && XLSX.SSF.is_date(cell.z)) {
+                    cell.v += this.DATE_1904_OFFSET;
+                    converted++;
+                }
+            });
         });
+
+        workbook.Workbook.WBProps.date1904 = false;
+        console.log(`[ExcelCacheManager] Converted ${converted} date cells from the 1904 date system`);
     }
 
     /**
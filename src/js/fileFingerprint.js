@@ -0,0 +1,242 @@
+/**
+ * Borderellen Converter - File Fingerprint
+ * Recognizes broker files by their content (header names, label cells, sheet names)
+ * so a renamed file can still be matched to its file mapping
+ */
+
+class FileFingerprint {
+    // Only the top of each sheet is scanned: headers and labels live there
+    static SCAN_ROWS = 50;
+    static SCAN_COLUMNS = 50;
+
+    // Minimum confidence for a mapping to be suggested, and for it to be applied without confirmation
+    static SUGGEST_CONFIDENCE = 0.3;
+    static ACCEPT_CONFIDENCE = 0.8;
+    static ACCEPT_MARGIN = 0.15;
+
+    // Number of headers and labels needed before a match can reach full confidence
+    static MIN_EVIDENCE = 3;
+
+    /**
+     * Normalizes text for comparison: line breaks and repeated whitespace collapsed, lower case
+     * @param {*} value - Cell value or text
+     * @returns {string} Normalized text
+     */
+    static normalize(value) {
+        return value.toString().replace(/[\r\n\t]/g, ' ').replace(/\s+/g, ' ').trim().toLowerCase();
+    }
+
+    /**
+     * Default sheet names carry no information about the broker
+     * @param {string} sheetName - Sheet name
+     * @returns {boolean} True for names like "Sheet1" or "Blad1"
+     */
+    static isGenericSheetName(sheetName) {
+        return /^(sheet|blad|tabelle|feuil|hoja)\s*\d*$/i.test(sheetName.trim());
+    }
+
+    /**
+     * Position-based field names (Column5, Row2_ColB) are not real headers
+     * @param {string} fieldName - Field name
+     * @returns {boolean} True for generated field names
+     */
+    static isPositionalFieldName(fieldName) {
+        return /^(Row\d+_)?Col(umn)?\s?[A-Z0-9]+$/i.test(fieldName) || fieldName === 'Filename' || fieldName === '_sheet';
+    }
+
+    /**
+     * Collects the text found at the top of every sheet of a workbook
+     * @param {Object} workbook - XLSX workbook object
+     * @returns {Object} Workbook fingerprint { sheetNames, texts }
+     */
+    static fromWorkbook(workbook) {
+        const texts = new Set();
+
+        workbook.SheetNames.forEach(sheetName => {
+            const worksheet = workbook.Sheets[sheetName];
+            if (!worksheet || !worksheet['!ref']) return;
+
+            const range = XLSX.utils.decode_range(worksheet['!ref']);
+            const lastRow = Math.min(range.e.r, range.s.r + this.SCAN_ROWS - 1);
+            const lastCol = Math.min(range.e.c, range.s.c + this.SCAN_COLUMNS - 1);
+
+            for (let row = range.s.r; row <= lastRow; row++) {
+                for (let col = range.s.c; col <= lastCol; col++) {
+                    const cell = worksheet[XLSX.utils.encode_cell({ r: row, c: col })];
+                    if (cell && typeof cell.v === 'string' && cell.v.trim() !== '') {
+                        texts.add(this.normalize(cell.v));
+                    }
+                }
+            }
+        });
+
+        return {
+            sheetNames: workbook.SheetNames.map(name => this.normalize(name)),
+            texts: texts
+        };
+    }
+
+    /**
+     * Captures the fingerprint stored with a file mapping: header names, label cells above the data
+     * and non-generic sheet names of the file the mapping was created from
+     * @param {Object} workbook - XLSX workbook object
+     * @param {Object} parsingConfig - Parsing configuration of the mapping
+     * @returns {Promise<Object>} Mapping fingerprint { headers, labels, sheetNames }
+     */
+    static async capture(workbook, parsingConfig) {
+        const parser = new GenericBrokerParser({ ...parsingConfig, columnMapping: {} });
+        const sheetNames = GenericBrokerParser.resolveSheetNames(workbook, parser.config.sheetSelection);
+        const worksheet = workbook.Sheets[sheetNames[0]];
+
+        const fingerprint = {
+            headers: [],
+            labels: [],
+            sheetNames: sheetNames.filter(name => !this.isGenericSheetName(name))
+        };
+
+        if (!worksheet || !worksheet['!ref']) {
+            return fingerprint;
+        }
+
+        const fieldNames = await parser.getFieldNames(worksheet);
+        fingerprint.headers = [...new Set(fieldNames.filter(name => name && !this.isPositionalFieldName(name)))];
+
+        // Text cells above the header (or above the data when there is no header) are fixed labels,
+        // such as the broker name or report title
+        const dataStartInfo = await parser.determineDataStart(worksheet);
+        const headerRow = dataStartInfo.headerRow !== null && dataStartInfo.headerRow !== undefined && dataStartInfo.headerRow >= 0 ?
+            dataStartInfo.headerRow :
+            dataStartInfo.dataStartRow;
+        const range = XLSX.utils.decode_range(worksheet['!ref']);
+        const lastCol = Math.min(range.e.c, range.s.c + this.SCAN_COLUMNS - 1);
+
+        for (let row = range.s.r; row < Math.min(headerRow, this.SCAN_ROWS); row++) {
+            for (let col = range.s.c; col <= lastCol; col++) {
+                const cellAddress = XLSX.utils.encode_cell({ r: row, c: col });
+                const cell = worksheet[cellAddress];
+                // Labels are short texts; dates, amounts and long remarks change per delivery
+                if (cell && typeof cell.v === 'string' && cell.v.trim().length > 2 && cell.v.trim().length <= 60 && !/\d{2,}/.test(cell.v)) {
+                    fingerprint.labels.push({ cell: cellAddress, text: cell.v.trim() });
+                }
+            }
+        }
+        fingerprint.labels = fingerprint.labels.slice(0, 10);
+
+        return fingerprint;
+    }
+
+    /**
+     * Gets the fingerprint of a mapping (captured on save, shipped with the built-in mappings); mappings
+     * saved without one are recognized by the source columns their column mapping refers to, provided
+     * the file has a header row
+     * @param {Object} mapping - File mapping
+     * @returns {Object} Mapping fingerprint { headers, labels, sheetNames }
+     */
+    static forMapping(mapping) {
+        if (mapping.fingerprint) {
+            return mapping.fingerprint;
+        }
+
+        // Without a header row the source names come from the parser (e.g. multi-row groups), not the file
+        const headerRow = mapping.parsingConfig?.headerRow;
+        if (headerRow === -1 || mapping.parsingConfig?.rowProcessing?.type === 'multi-row') {
+            return { headers: [], labels: [], sheetNames: [] };
+        }
+
+        const headers = Object.values(mapping.columnMapping || {})
+            .filter(rule => typeof rule === 'string' && rule !== '' && !rule.startsWith('FIXED:') && !rule.startsWith('CALC:'))
+            .filter(rule => !this.isPositionalFieldName(rule));
+
+        return { headers: [...new Set(headers)], labels: [], sheetNames: [] };
+    }
+
+    /**
+     * Scores how well a workbook matches a file mapping
+     * @param {Object} workbookFingerprint - Result of fromWorkbook()
+     * @param {Object} mapping - File mapping
+     * @returns {Object|null} { confidence, details } or null when the mapping has nothing to compare
+     */
+    static score(workbookFingerprint, mapping) {
+        const fingerprint = this.forMapping(mapping);
+        const components = [];
+        const details = {};
+
+        const headers = (fingerprint.headers || []).map(header => this.normalize(header));
+        if (headers.length > 0) {
+            const matched = headers.filter(header => workbookFingerprint.texts.has(header)).length;
+            details.headers = { matched, total: headers.length };
+            components.push({ weight: 0.7, score: matched / headers.length });
+        }
+
+        const labels = (fingerprint.labels || []).map(label => this.normalize(label.text));
+        if (labels.length > 0) {
+            const matched = labels.filter(label => workbookFingerprint.texts.has(label)).length;
+            details.labels = { matched, total: labels.length };
+            components.push({ weight: 0.2, score: matched / labels.length });
+        }
+
+        // Sheet names only support a match; they never identify a broker on their own
+        if (components.length === 0) {
+            return null;
+        }
+
+        const sheetNames = (fingerprint.sheetNames || []).map(name => this.normalize(name));
+        if (sheetNames.length > 0) {
+            const matched = sheetNames.filter(name => workbookFingerprint.sheetNames.includes(name)).length;
+            details.sheetNames = { matched, total: sheetNames.length };
+            components.push({ weight: 0.1, score: matched / sheetNames.length });
+        }
+
+        const totalWeight = components.reduce((sum, component) => sum + component.weight, 0);
+        // A couple of headers or labels is weak evidence: common names like "Polisnummer" appear in many files
+        const evidenceCount = headers.length + labels.length;
+        const confidence = components.reduce((sum, component) => sum + component.weight * component.score, 0) / totalWeight *
+            Math.min(1, evidenceCount / this.MIN_EVIDENCE);
+
+        return { confidence: Math.round(confidence * 100) / 100, details };
+    }
+
+    /**
+     * Scores every mapping against a workbook
+     * @param {Object} workbook - XLSX workbook object
+     * @param {Array} mappings - File mappings to score
+     * @returns {Array} Candidates { mapping, confidence, details }, best match first
+     */
+    static rankMappings(workbook, mappings) {
+        const workbookFingerprint = this.fromWorkbook(workbook);
+
+        return mappings
+            .map(mapping => ({ mapping, ...this.score(workbookFingerprint, mapping) }))
+            .filter(candidate => candidate.confidence >= this.SUGGEST_CONFIDENCE)
+            .sort((a, b) => b.confidence - a.confidence);
+    }
+
+    /**
+     * Whether the best candidate is certain enough to apply without asking the user
+     * @param {Array} candidates - Ranked candidates from rankMappings()
+     * @returns {boolean} True when the best match is confident and clearly ahead of the next one
+     */
+    static isConfidentMatch(candidates) {
+        if (candidates.length === 0 || candidates[0].confidence < this.ACCEPT_CONFIDENCE) {
+            return false;
+        }
+
+        return candidates.length === 1 || candidates[0].confidence - candidates[1].confidence >= this.ACCEPT_MARGIN;
+    }
+
+    /**
+     * Describes the evidence behind a match for display
+     * @param {Object} details - Score details
+     * @returns {string} Description, e.g. "18/19 headers, 1/1 labels"
+     */
+    static describe(details) {
+        const parts = [];
+        if (details?.headers) parts.push(`${details.headers.matched}/${details.headers.total} headers`);
+        if (details?.labels) parts.push(`${details.labels.matched}/${details.labels.total} labels`);
+        if (details?.sheetNames) parts.push(`${details.sheetNames.matched}/${details.sheetNames.total} sheet names`);
+        return parts.join(', ');
+    }
+}
+
+// Export globally for cross-module access
+window.FileFingerprint = FileFingerprint;
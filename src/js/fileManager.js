@@ -16,7 +16,8 @@ const brokerColors = {
     'custom': '#2d5f2f',
     'Unknown': '#4d1a00',
     'Error': '#f44336',
-    'PDF': '#666'
+    'PDF': '#666',
+    'Processing': '#00606b'
 };
 
 /**
@@ -33,147 +34,186 @@ function formatFileSize(bytes) {
 }
 
 /**
- * Process Excel file to get basic record count (fallback for unknown formats)
- * @param {File} file - Excel file to process
- * @returns {Promise<number>} Number of records
+ * Add file to upload table; the row shows the processing progress until the file is parsed
+ * @param {File} file - File to add
  */
-async function processExcelFile(file) {
+async function addFileToTable(file) {
+    const fileData = {
+        id: ++fileIdCounter,
+        file: file,
+        name: file.name,
+        broker: { type: 'Processing', name: 'Processing...', color: brokerColors['Processing'] },
+        size: formatFileSize(file.size),
+        status: window.PROCESSING_STEPS.queued,
+        statusClass: 'status-processing',
+        processing: true, // Still in the processing pool; the row can only be cancelled
+        progress: 0, // Share of the processing steps done
+        recordCount: '-',
+        parsedData: [], // Store the parsed data
+        reconciliation: null, // Comparison with the broker's footer/subtotal rows
+        runId: null, // Processing history entry of this file
+        mappingVersion: null, // Version of the file mapping that produced the records
+        contentHash: null,
+        duplicates: null, // Records delivered before, see checkFileForDuplicates
+        selectedTemplateId: null, // Will be set if template was auto-applied
+        patternAnalysis: null // Will store the analysis result for reuse
+    };
+
+    window.uploadedFiles.push(fileData);
+    updateFilesDisplay();
+
+    // Reading, analysis, parsing and mapping run in the processing pool, several files at a time
+    let processed;
     try {
-        const workbook = await ExcelCacheManager.getWorkbook(file);
-        const firstSheetName = workbook.SheetNames[0];
-        const worksheet = workbook.Sheets[firstSheetName];
-        const jsonData = XLSX.utils.sheet_to_json(worksheet);
-        return jsonData.length;
+        processed = await window.processFileInPool(fileData.id, file, step => showFileProgress(fileData, step));
     } catch (error) {
-        console.error('Error processing Excel file:', error);
-        return 0;
+        processed = { error };
     }
+
+    // Cancelled files leave the table, so they can be uploaded again
+    if (!processed) {
+        window.uploadedFiles = window.uploadedFiles.filter(f => f !== fileData);
+        updateFilesDisplay();
+        return;
+    }
+
+    fileData.processing = false;
+    if (processed.workbook) {
+        ExcelCacheManager.cacheWorkbook(file, processed.workbook);
+    }
+    await applyProcessingOutcome(fileData, processed);
+
+    // Records delivered before (in another file of this session or an earlier run) are marked for the user to resolve
+    if (fileData.statusClass === 'status-success') {
+        await window.checkFileForDuplicates(fileData);
+    }
+
+    updateFilesDisplay();
 }
 
 /**
- * Add file to upload table with proper broker parsing
- * @param {File} file - File to add
+ * Show the processing step of a file in its row of the upload table
+ * @param {Object} fileData - File in the upload table
+ * @param {string} step - Processing step (see PROCESSING_STEPS)
  */
-async function addFileToTable(file) {
-    const fileId = ++fileIdCounter;
-
-    // Process file using enhanced broker detection and parsing
-    let recordCount = '-';
-    let status = 'Processing...';
-    let statusClass = 'status-warning';
-    let parsedData = [];
-    let brokerInfo = null;
-    let patternAnalysis = null;
-
-    if (file.type === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' ||
-        file.name.endsWith('.xlsx')) {
-        try {
-            // FLOW 1: First check if this is a built-in parser (no analysis needed)
-            const detection = await detectBrokerType(file.name);
-            console.log('Initial detection for', file.name, ':', detection);
-
-            let patternAnalysis = null;
-            let tempFileData = { file: file, name: file.name };
-
-            if (detection.type === 'built-in') {
-                console.log('FLOW 1: Using built-in parser:', detection.parser);
-            } else if (detection.type === 'custom') {
-                console.log('FLOW 2: Using keyword-matched custom template:', detection.name);
-                // Template already found via keyword matching in detectBrokerType
-            } else {
-                // FLOW 3: Unknown format - run pattern analysis for potential template creation
-                console.log('FLOW 3: Running pattern analysis for unknown format:', file.name);
-                patternAnalysis = await DataPatternAnalyzer.analyzeFile(file);
-                console.log('Pattern analysis completed:', patternAnalysis);
+function showFileProgress(fileData, step) {
+    const steps = Object.keys(window.PROCESSING_STEPS);
+    fileData.status = window.PROCESSING_STEPS[step] || step;
+    fileData.progress = Math.max(0, steps.indexOf(step)) / steps.length;
+
+    const cell = document.getElementById(`file-status-${fileData.id}`);
+    if (cell) {
+        cell.innerHTML = renderFileProgress(fileData.status, fileData.progress);
+    }
+}
 
-                tempFileData.patternAnalysis = patternAnalysis;
-            }
+/**
+ * Render the status of a file being processed
+ * @param {string} status - Status text
+ * @param {number} fraction - Share of the processing steps done (0-1)
+ * @returns {string} HTML
+ */
+function renderFileProgress(status, fraction) {
+    return `
+        <span class="status-indicator status-processing"></span>
+        ${escapeHtml(status)}...
+        <div class="progress-bar" style="margin-top: 4px; max-width: 160px;">
+            <div class="progress-fill" style="width: ${Math.round(fraction * 100)}%;"></div>
+        </div>
+    `;
+}
 
-            // Template matching is now handled directly in detectBrokerType via keywords
-
-            // Use enhanced broker processing that checks custom templates too
-            const result = await processBrokerFile(tempFileData);
-
-            if (result.success) {
-                parsedData = result.data;
-                // Use actual parsed data length, not just the reported recordCount
-                recordCount = parsedData ? parsedData.length : 0;
-                brokerInfo = {
-                    ...result.brokerInfo,
-                    color: brokerColors[result.brokerInfo.type] || brokerColors[result.brokerInfo.parser] || brokerColors['Unknown']
-                };
-                status = recordCount > 0 ? 'Parsed Successfully' : 'No Valid Records';
-                statusClass = recordCount > 0 ? 'status-success' : 'status-warning';
-
-                // Mark if auto-applied template was used
-                if (detection.type === 'custom') {
-                    status = `Auto-processed with ${detection.name}`;
-                    brokerInfo.name = detection.name;
-                }
-            } else if (result.needsTemplate) {
-                // Check if this was supposed to be a template-linked file
-                if (detection.type === 'custom') {
-                    console.error(`Template processing failed for ${detection.name}:`, result.error);
-                    brokerInfo = { type: 'Error', name: 'Template Error', color: brokerColors['Error'] };
-                    status = `Template Error: ${detection.name}`;
-                    statusClass = 'status-error';
-                    recordCount = 0;
-                } else {
-                    // Genuinely unknown format that needs template creation
-                    brokerInfo = { type: 'Unknown', name: 'Unknown Format', color: brokerColors['Unknown'] };
-                    recordCount = await processExcelFile(file);
-                    status = 'Create Template';
-                    statusClass = 'status-warning';
-                }
-            } else {
-                brokerInfo = { type: 'Error', name: 'Parse Error', color: brokerColors['Error'] };
-                recordCount = 0;
-                status = `Parse Error: ${result.error}`;
-                statusClass = 'status-error';
-            }
-        } catch (error) {
-            console.error('Error processing file:', error);
-            brokerInfo = { type: 'Error', name: 'Error', color: brokerColors['Error'] };
-            status = `Error: ${error.message}`;
-            statusClass = 'status-error';
-            recordCount = 0;
-        }
-    } else if (file.type === 'application/pdf') {
-        brokerInfo = { type: 'PDF', name: 'PDF File', color: brokerColors['PDF'] };
-        status = 'PDF - Manual Processing Required';
-        statusClass = 'status-warning';
+/**
+ * Set status, source type and records of a processed file
+ * @param {Object} fileData - File in the upload table
+ * @param {Object} processed - Result of processFileInPool ({ outcome }) or { error } when processing failed
+ */
+async function applyProcessingOutcome(fileData, processed) {
+    let recordCount = 0;
+    let status;
+    let statusClass = 'status-warning';
+    let brokerInfo;
+
+    if (processed.error) {
+        console.error('Error processing file:', processed.error);
+        fileData.broker = { type: 'Error', name: 'Error', color: brokerColors['Error'] };
+        fileData.status = `Error: ${processed.error.message}`;
+        fileData.statusClass = 'status-error';
+        fileData.recordCount = 0;
+        return;
     }
 
-    // Fallback broker info if not set
-    if (!brokerInfo) {
-        brokerInfo = { type: 'Unknown', name: 'Unknown', color: brokerColors['Unknown'] };
-    }
+    const { detection, patternAnalysis, result, rowCount } = processed.outcome;
+
+    if (result.success) {
+        fileData.parsedData = result.data;
+        // Row keys match the brokers' completed return files to these records, also in the recorded run
+        window.assignRowKeys(fileData);
+        // Use actual parsed data length, not just the reported recordCount
+        recordCount = result.data ? result.data.length : 0;
+        brokerInfo = {
+            ...result.brokerInfo,
+            color: brokerColors[result.brokerInfo.type] || brokerColors[result.brokerInfo.parser] || brokerColors['Unknown']
+        };
+        status = recordCount > 0 ? 'Parsed Successfully' : 'No Valid Records';
+        statusClass = recordCount > 0 ? 'status-success' : 'status-warning';
+
+        // Mark if auto-applied template was used
+        if (detection.matchMethod === 'content') {
+            status = `Recognized by content: ${detection.name} (${Math.round(detection.confidence * 100)}%)`;
+            brokerInfo.name = detection.name;
+        } else if (detection.type === 'custom') {
+            status = `Auto-processed with ${detection.name}`;
+            brokerInfo.name = detection.name;
+        }
 
-    const fileData = {
-        id: fileId,
-        file: file,
-        name: file.name,
-        broker: brokerInfo,
-        size: formatFileSize(file.size),
-        status: status,
-        statusClass: statusClass,
-        recordCount: recordCount,
-        parsedData: parsedData, // Store the parsed data
-        selectedTemplateId: null, // Will be set if template was auto-applied
-        patternAnalysis: null // Will store the analysis result for reuse
-    };
+        // Values that do not match the template column types are highlighted in the Results tab
+        if (result.issues.rows > 0) {
+            status += ` - ${result.issues.rows} rows with issues`;
+        }
 
-    // Store pattern analysis for reuse if Excel file was processed
-    if (file.type === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' ||
-        file.name.endsWith('.xlsx')) {
-        // Pattern analysis was computed above, store it in fileData
-        fileData.patternAnalysis = patternAnalysis;
+        // Sums that differ from the broker's own totals point at dropped or double-counted rows
+        fileData.reconciliation = result.reconciliation;
+        if (result.reconciliation?.status === 'fail') {
+            status += ' - totals do not match';
+        }
+        fileData.mappingVersion = result.brokerInfo.template?.version || null;
+
+        // Keep the run in the processing history (audit trail and re-download)
+        const run = await window.recordProcessingRun(fileData, detection, result.data, result.issues, result.reconciliation);
+        fileData.runId = run?.id || null;
+        fileData.contentHash = run?.contentHash || null;
+    } else if (result.needsTemplate) {
+        // Check if this was supposed to be a template-linked file
+        if (detection.type === 'custom') {
+            console.error(`Template processing failed for ${detection.name}:`, result.error);
+            brokerInfo = { type: 'Error', name: 'Template Error', color: brokerColors['Error'] };
+            status = `Template Error: ${detection.name}`;
+            statusClass = 'status-error';
+        } else if (result.candidates.length > 0) {
+            // Content resembles one or more mappings, but not clearly enough to apply one unasked
+            const best = result.candidates[0];
+            brokerInfo = { type: 'Unknown', name: 'Unknown Format', color: brokerColors['Unknown'], candidates: result.candidates };
+            recordCount = rowCount;
+            status = `Confirm Mapping (best match: ${best.name}, ${Math.round(best.confidence * 100)}%)`;
+        } else {
+            // Genuinely unknown format that needs template creation
+            brokerInfo = { type: 'Unknown', name: 'Unknown Format', color: brokerColors['Unknown'] };
+            recordCount = rowCount;
+            status = 'Create Template';
+        }
+    } else {
+        brokerInfo = { type: 'Error', name: 'Parse Error', color: brokerColors['Error'] };
+        status = `Parse Error: ${result.error}`;
+        statusClass = 'status-error';
     }
 
-    // Template associations are now handled via keyword matching in detectBrokerType
-
-    window.uploadedFiles.push(fileData);
-    updateFilesDisplay();
+    fileData.broker = brokerInfo;
+    fileData.status = status;
+    fileData.statusClass = statusClass;
+    fileData.recordCount = recordCount;
+    // Pattern analysis is reused by the Broker Mapping tab
+    fileData.patternAnalysis = patternAnalysis;
 }
 
 /**
@@ -184,6 +224,13 @@ function updateFilesDisplay() {
     const filesTableContainer = document.getElementById('files-table-container');
     const filesTableBody = document.getElementById('files-table-body');
 
+    // Every change to the files is saved in the working session
+    window.scheduleSessionSave();
+
+    // Cancel is offered while files are being processed
+    document.getElementById('cancel-processing-btn').style.display =
+        window.uploadedFiles.some(f => f.processing) ? 'inline-block' : 'none';
+
     if (window.uploadedFiles.length === 0) {
         noFilesMessage.style.display = 'block';
         filesTableContainer.style.display = 'none';
@@ -200,24 +247,32 @@ function updateFilesDisplay() {
         row.innerHTML = `
             <td>${fileData.name}</td>
             <td>
-                <span style="background: ${fileData.broker.color}; padding: 4px 8px; border-radius: 4px; font-size: 12px;">
+                <span style="background: ${fileData.broker.color}; padding: 4px 8px; border-radius: 4px; font-size: 12px;"
+                      title="${fileData.broker.matchMethod === 'content' ? `Recognized by content (${Math.round(fileData.broker.confidence * 100)}%)` : ''}">
                     ${fileData.broker.name}
                 </span>
+                ${fileData.mappingVersion ? `<small style="margin-left: 4px; color: #888;" title="File mapping version used">v${escapeHtml(fileData.mappingVersion)}</small>` : ''}
             </td>
             <td>${fileData.size}</td>
-            <td>
-                <span class="status-indicator ${fileData.statusClass}"></span>
-                ${fileData.status}
+            <td id="file-status-${fileData.id}">
+                ${fileData.processing ? renderFileProgress(fileData.status, fileData.progress) : `
+                    <span class="status-indicator ${fileData.statusClass}"></span>
+                    ${fileData.status}
+                    ${window.renderReconciliationBadge(fileData.reconciliation)}
+                    ${window.renderDuplicateControls(fileData)}
+                `}
             </td>
             <td>${fileData.recordCount}</td>
             <td>
-                ${fileData.broker.type === 'Unknown' ?
+                ${fileData.processing ?
+                    `<button class="btn btn-secondary" style="padding: 4px 8px; font-size: 12px;" onclick="removeFile(${fileData.id})">Cancel</button>` :
+                fileData.broker.type === 'Unknown' ?
                     `<select class="form-input" style="max-width: 150px; font-size: 12px;" onchange="selectTemplateForFile(${fileData.id}, this.value)" id="template-selector-${fileData.id}">
-                        <option value="">Select Template...</option>
+                        <option value="">${fileData.broker.candidates?.length ? 'Confirm Template...' : 'Select Template...'}</option>
                     </select>` :
                     `<button class="btn btn-secondary" style="padding: 4px 8px; font-size: 12px;" onclick="previewFile(${fileData.id})">Preview</button>`
                 }
-                <button class="btn btn-secondary" style="padding: 4px 8px; font-size: 12px; margin-left: 4px;" onclick="removeFile(${fileData.id})">Remove</button>
+                ${fileData.processing ? '' : `<button class="btn btn-secondary" style="padding: 4px 8px; font-size: 12px; margin-left: 4px;" onclick="removeFile(${fileData.id})">Remove</button>`}
             </td>
         `;
         filesTableBody.appendChild(row);
@@ -249,13 +304,35 @@ async function populateTemplateDropdowns() {
                         selector.remove(1);
                     }
 
+                    // Content matches first, best match on top, so the user only has to confirm
+                    const candidates = fileData.broker.candidates || [];
+                    if (candidates.length > 0) {
+                        const suggestedGroup = document.createElement('optgroup');
+                        suggestedGroup.label = 'Suggested (content match)';
+                        candidates.forEach(candidate => {
+                            const template = allTemplates.find(t => t.id === candidate.mappingId);
+                            if (!template) return;
+
+                            const option = document.createElement('option');
+                            option.value = `${template.source}:${template.id}`;
+                            option.textContent = `${template.name} - ${Math.round(candidate.confidence * 100)}% match`;
+                            option.title = candidate.evidence;
+                            suggestedGroup.appendChild(option);
+                        });
+                        selector.appendChild(suggestedGroup);
+                    }
+
                     // Add template options
-                    allTemplates.forEach(template => {
+                    const otherTemplates = allTemplates.filter(t => !candidates.some(candidate => candidate.mappingId === t.id));
+                    const allGroup = document.createElement('optgroup');
+                    allGroup.label = candidates.length > 0 ? 'Other templates' : 'All templates';
+                    otherTemplates.forEach(template => {
                         const option = document.createElement('option');
                         option.value = `${template.source}:${template.id}`;
                         option.textContent = `${template.name} (${template.source})`;
-                        selector.appendChild(option);
+                        allGroup.appendChild(option);
                     });
+                    selector.appendChild(allGroup);
 
                     // Set selected value if file has associated template
                     if (fileData.selectedTemplateId) {
@@ -327,13 +404,27 @@ async function selectTemplateForFile(fileId, templateValue) {
         if (result.success) {
             // Update file with processed results
             fileData.parsedData = result.data;
+            window.assignRowKeys(fileData);
             fileData.recordCount = result.recordCount;
             fileData.status = `Processed with ${template.name}`;
             fileData.statusClass = 'status-success';
+            if (result.issues.rows > 0) {
+                fileData.status += ` - ${result.issues.rows} rows with issues`;
+            }
+            fileData.reconciliation = result.reconciliation;
+            if (result.reconciliation?.status === 'fail') {
+                fileData.status += ' - totals do not match';
+            }
+            fileData.runId = result.run?.id || null;
+            fileData.contentHash = result.run?.contentHash || null;
+            fileData.mappingVersion = template.version || null;
+            await window.checkFileForDuplicates(fileData);
             fileData.broker = {
                 ...fileData.broker,
                 type: 'custom-template',
-                name: template.name
+                name: template.name,
+                template: template,
+                templateId: template.id
             };
 
             // Suggest adding keyword to template if it doesn't have one
@@ -361,6 +452,11 @@ async function selectTemplateForFile(fileId, templateValue) {
  */
 async function suggestKeywordForTemplate(filename, template) {
     try {
+        // Built-in templates match on their filename pattern and cannot be changed
+        if (template.readOnly) {
+            return;
+        }
+
         // Skip if template already has a keyword
         if (template.matchingKeyword && template.matchingKeyword.trim() !== '') {
             console.log(`Template "${template.name}" already has keyword: "${template.matchingKeyword}"`);
@@ -423,14 +519,26 @@ function extractKeywordFromFilename(filename) {
 
 
 /**
- * Remove file from upload list
+ * Remove file from upload list; a file still being processed is cancelled
  * @param {number} fileId - File ID to remove
  */
 function removeFile(fileId) {
+    if (window.uploadedFiles.some(f => f.id === fileId && f.processing)) {
+        window.cancelProcessing(fileId);
+    }
     window.uploadedFiles = window.uploadedFiles.filter(f => f.id !== fileId);
     updateFilesDisplay();
 }
 
+/**
+ * Cancel the processing of all files still being processed and remove them from the upload list
+ */
+function cancelFileProcessing() {
+    window.cancelProcessing();
+    window.uploadedFiles = window.uploadedFiles.filter(f => !f.processing);
+    updateFilesDisplay();
+}
+
 /**
  * Preview file data using the main preview modal
  * @param {number} fileId - File ID to preview
@@ -482,11 +590,22 @@ function clearAllFiles() {
     if (window.uploadedFiles.length === 0) return;
 
     if (confirm(`Remove all ${window.uploadedFiles.length} uploaded files?`)) {
+        window.cancelProcessing();
         window.uploadedFiles = [];
         updateFilesDisplay();
     }
 }
 
+/**
+ * Replace the uploaded files with the files of a resumed working session
+ * @param {Array} files - fileData objects with their File restored
+ */
+function restoreUploadedFiles(files) {
+    window.uploadedFiles = files;
+    fileIdCounter = Math.max(fileIdCounter, ...files.map(f => f.id));
+    updateFilesDisplay();
+}
+
 /**
  * Handle file uploads (drag & drop or file input)
  * @param {FileList} files - Files to process
@@ -496,9 +615,8 @@ async function handleFiles(files) {
 
     // First validate all files
     Array.from(files).forEach(file => {
-        const validTypes = ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-                          'application/vnd.ms-excel', 'application/pdf'];
-        const validExtensions = ['.xlsx', '.xls', '.pdf'];
+        const validTypes = [...ExcelCacheManager.SPREADSHEET_TYPES, 'application/pdf', 'text/csv', 'text/tab-separated-values'];
+        const validExtensions = [...ExcelCacheManager.SPREADSHEET_EXTENSIONS, '.pdf', ...window.TEXT_FILE_EXTENSIONS];
 
         if (validTypes.includes(file.type) || validExtensions.some(ext => file.name.toLowerCase().endsWith(ext))) {
             // Check if file already exists
@@ -508,14 +626,12 @@ async function handleFiles(files) {
                 alert(`File "${file.name}" is already uploaded.`);
             }
         } else {
-            alert(`File "${file.name}" is not a supported format. Please upload Excel (.xlsx) or PDF files.`);
+            alert(`File "${file.name}" is not a supported format. Please upload Excel (.xlsx, .xls), OpenDocument (.ods), CSV/TSV, text (.txt) or PDF files.`);
         }
     });
 
-    // Process files sequentially and wait for all to complete
-    for (const file of filesToProcess) {
-        await addFileToTable(file);
-    }
+    // Files are processed in parallel by the processing pool; wait for all to complete
+    await Promise.all(filesToProcess.map(file => addFileToTable(file)));
 
     // Auto-navigate based on processing results (only if files were actually processed)
     if (filesToProcess.length > 0) {
@@ -600,6 +716,9 @@ function initializeFileUpload() {
     // Clear all button
     clearAllBtn.addEventListener('click', clearAllFiles);
 
+    // Cancel processing button
+    document.getElementById('cancel-processing-btn').addEventListener('click', cancelFileProcessing);
+
     // File input change
     fileInput.addEventListener('change', (e) => {
         handleFiles(e.target.files);
@@ -656,6 +775,38 @@ async function loadKeywordManagement() {
             const hasKeyword = keyword.trim() !== '';
             const formattedDate = template.lastModified || template.created || 'Unknown';
 
+            // Built-in mappings are read-only: they match on their filename pattern and can only be exported or copied
+            if (template.readOnly) {
+                return `
+                <tr>
+                    <td>${template.name}</td>
+                    <td style="font-size: 12px; color: #888;" title="Filename pattern">${escapeHtml(template.matchingPattern || '')}</td>
+                    <td>
+                        <span class="template-type-badge template-type-built-in">Built-in</span>
+                    </td>
+                    <td style="font-size: 12px; color: #888;">
+                        ${new Date(formattedDate).toLocaleDateString()}
+                    </td>
+                    <td>
+                        <div style="display: flex; gap: 4px; flex-wrap: wrap;">
+                            <button class="btn btn-secondary edit-mapping-btn"
+                                    style="padding: 4px 8px; font-size: 12px; background-color: #007bff; border-color: #007bff;"
+                                    data-template-id="${template.id}"
+                                    data-template-name="${encodeURIComponent(template.name)}"
+                                    title="Open in the mapping tab; save changes as a new template">
+                                View Mapping
+                            </button>
+                            <button class="btn btn-secondary"
+                                    style="padding: 4px 8px; font-size: 12px;"
+                                    onclick="exportFileMappingFromTable('${template.id}')">
+                                Export JSON
+                            </button>
+                        </div>
+                    </td>
+                </tr>
+            `;
+            }
+
             return `
                 <tr>
                     <td>${template.name}</td>
@@ -681,6 +832,7 @@ async function loadKeywordManagement() {
                     </td>
                     <td style="font-size: 12px; color: #888;">
                         ${new Date(formattedDate).toLocaleDateString()}
+                        <small style="margin-left: 4px;">v${escapeHtml(template.version || '1.0')}</small>
                     </td>
                     <td>
                         <div style="display: flex; gap: 4px; flex-wrap: wrap;">
@@ -695,6 +847,23 @@ async function loadKeywordManagement() {
                                     data-template-name="${encodeURIComponent(template.name || 'Unnamed Template')}">
                                 Edit Mapping
                             </button>
+                            <button class="btn btn-secondary"
+                                    style="padding: 4px 8px; font-size: 12px;"
+                                    onclick="exportFileMappingFromTable('${template.id}')">
+                                Export JSON
+                            </button>
+                            <button class="btn btn-secondary"
+                                    style="padding: 4px 8px; font-size: 12px;"
+                                    onclick="showMappingHistory('${template.id}')"
+                                    title="Earlier versions of this mapping: compare and restore">
+                                History
+                            </button>
+                            <button class="btn btn-secondary"
+                                    style="padding: 4px 8px; font-size: 12px;"
+                                    onclick="showMappingTests('${template.id}')"
+                                    title="Sample files with approved output, checked before every change to this mapping">
+                                Tests
+                            </button>
                             <button class="btn btn-secondary delete-template-btn"
                                     style="padding: 4px 8px; font-size: 12px; background-color: #d32f2f; border-color: #d32f2f;"
                                     data-template-id="${template.id || ''}"
@@ -776,6 +945,11 @@ async function saveTemplateKeyword(templateId, source) {
             return;
         }
 
+        if (template.readOnly) {
+            alert(`"${template.name}" is a built-in template and cannot be changed.`);
+            return;
+        }
+
         // Check for duplicate keywords (if keyword is provided and changed)
         if (newKeyword && newKeyword !== template.matchingKeyword) {
             const duplicateKeyword = allMappings.find(t =>
@@ -838,6 +1012,11 @@ async function deleteFileMappingWithUI(templateId, source, templateName) {
             return;
         }
 
+        if (source === 'built-in') {
+            alert(`"${templateName}" is a built-in template and cannot be deleted.`);
+            return;
+        }
+
         // Simple confirmation - it's just an IndexedDB entry, not critical data
         const confirmed = confirm(
             `Delete file mapping "${templateName}"?\n\n` +
@@ -865,6 +1044,27 @@ async function deleteFileMappingWithUI(templateId, source, templateName) {
     }
 }
 
+/**
+ * Export a file mapping from the management table as JSON
+ * @param {string} templateId - File mapping ID to export
+ */
+async function exportFileMappingFromTable(templateId) {
+    try {
+        const allMappings = await window.loadAllFileMappings();
+        const template = allMappings.find(t => t.id === templateId);
+
+        if (!template) {
+            alert('Template not found');
+            return;
+        }
+
+        await window.exportFileMappingAsJSON(template, null, window.appSettings);
+    } catch (error) {
+        console.error('Error exporting file mapping:', error);
+        alert(`Error exporting file mapping: ${error.message}`);
+    }
+}
+
 // ========== DOWNLOAD HELPER FUNCTIONS ==========
 
 /**
@@ -990,9 +1190,11 @@ async function downloadExcelToPreferredFolder(workbook, filename) {
 
 // Export essential functions to window for cross-module access
 window.initializeFileUpload = initializeFileUpload;
+window.restoreUploadedFiles = restoreUploadedFiles;
 window.loadKeywordManagement = loadKeywordManagement;
 window.saveTemplateKeyword = saveTemplateKeyword;
 window.deleteFileMappingWithUI = deleteFileMappingWithUI;
+window.exportFileMappingFromTable = exportFileMappingFromTable;
 window.extractKeywordFromFilename = extractKeywordFromFilename;
 window.downloadToPreferredFolder = downloadToPreferredFolder;
 window.downloadExcelToPreferredFolder = downloadExcelToPreferredFolder;
\ No newline at end of file
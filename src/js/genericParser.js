@@ -4,8 +4,13 @@
  */
 
 class GenericBrokerParser {
+    // Label of a broker's own total row ("Totaal", "Subtotaal", "Eindtotaal", "Total")
+    static TOTAL_ROW_PATTERN = /(totaal|total)\b/i;
+
     constructor(config) {
         this.config = this.validateConfig(config);
+        // Footer and subtotal rows of the last parse() call, see reconcileControlTotals()
+        this.controlTotals = null;
         console.log('Generic parser initialized with config:', this.config);
     }
 
@@ -17,6 +22,12 @@ class GenericBrokerParser {
     getCellValue(cell) {
         if (!cell) return null;
 
+        // Mappings that read cells as displayed get the trimmed text, see parsingConfig.cellValues
+        if (this.config.cellValues === 'formatted') {
+            const text = (cell.w !== undefined ? cell.w : cell.v ?? '').toString().trim();
+            return text === '' ? null : text;
+        }
+
         // Debug logging for formulas only
         if (cell.f) {
             console.log('Formula cell found:', {
@@ -72,9 +83,9 @@ class GenericBrokerParser {
             skipColumns: 0,
             endColumn: null,
             headerRow: null,
+            sheetSelection: { method: 'first', value: null },
             rowProcessing: {
-                type: 'single',
-                multiRowConfig: null
+                type: 'single'
             },
             rowFilters: [],
             dataValidation: [],
@@ -94,30 +105,28 @@ class GenericBrokerParser {
     async parse(workbook, filename) {
         console.log(`Generic parser processing: ${filename}`);
 
-        const worksheet = workbook.Sheets[workbook.SheetNames[0]];
-        const range = XLSX.utils.decode_range(worksheet['!ref']);
-
-        // Step 1: Determine data start location (row and column boundaries)
-        const dataStartInfo = await this.determineDataStart(worksheet);
-        console.log(`Data start info:`, dataStartInfo);
+        const sheetNames = GenericBrokerParser.resolveSheetNames(workbook, this.config.sheetSelection);
+        console.log(`Sheets selected:`, sheetNames);
 
-        // Step 2: Get header information using detected boundaries
-        const headers = this.extractHeaders(worksheet, dataStartInfo);
-        console.log(`Headers:`, headers);
+        // Footer and subtotal rows are not data, but they are kept as the broker's control totals
+        this.controlTotals = { footers: [], subtotals: [] };
 
-        // Step 3: Extract raw data based on processing type
-        let rawData;
-        const processingType = this.config.rowProcessing?.type || 'single';
-        const isMultiRowHeaders = (this.config.headerRows || 1) > 1;
-
-        // Use multi-row processing if either explicitly set OR if multi-row headers detected
-        if (processingType === 'multi-row' || isMultiRowHeaders) {
-            console.log(`Using multi-row data processing: ${this.config.headerRows || 1} rows per record`);
-            rawData = this.extractSingleRowData(worksheet, dataStartInfo, headers, filename);
-        } else {
-            rawData = this.extractSingleRowData(worksheet, dataStartInfo, headers, filename);
+        // Steps 1-3 run per sheet; sheets with the same layout are concatenated
+        const rawData = [];
+        for (const sheetName of sheetNames) {
+            const footerCount = this.controlTotals.footers.length;
+            const sheetData = this.applyNumberFields(await this.extractSheetData(workbook.Sheets[sheetName], filename));
+            sheetData.forEach(row => {
+                row._sheet = sheetName;
+                rawData.push(row);
+            });
+            this.controlTotals.footers.slice(footerCount).forEach(footer => {
+                footer._sheet = sheetName;
+            });
+            console.log(`Sheet "${sheetName}": ${sheetData.length} raw records`);
         }
 
+        this.controlTotals.footers = this.applyNumberFields(this.controlTotals.footers);
         console.log(`Extracted ${rawData.length} raw records`);
 
         // Step 4: Apply row filters
@@ -136,11 +145,72 @@ class GenericBrokerParser {
         }
         console.log(`Final mapped data: ${mappedData.length} records`);
 
-        // Step 6: Apply data validation
-        const validatedData = this.applyDataValidation(mappedData);
-        console.log(`After validation: ${validatedData.length} records`);
+        // Step 6: Apply data validation (failing rows are kept, with issues)
+        return this.applyDataValidation(mappedData);
+    }
 
-        return validatedData;
+    /**
+     * Extracts raw records from a single worksheet (steps 1-3 of parse)
+     * @param {Object} worksheet - XLSX worksheet object
+     * @param {String} filename - Original filename, added to every record
+     * @returns {Array} Raw data array
+     */
+    async extractSheetData(worksheet, filename) {
+        if (!worksheet || !worksheet['!ref']) {
+            return [];
+        }
+
+        // Step 1: Determine data start location (row and column boundaries)
+        const dataStartInfo = await this.determineDataStart(worksheet);
+        console.log(`Data start info:`, dataStartInfo);
+
+        // Step 2: Get header information using detected boundaries
+        const headers = this.extractHeaders(worksheet, dataStartInfo);
+        console.log(`Headers:`, headers);
+
+        // Step 3: Extract raw data based on processing type
+        const rowsPerRecord = this.getRowsPerRecord();
+        if (rowsPerRecord > 1) {
+            console.log(`Using multi-row data processing: ${rowsPerRecord} rows per record`);
+            return this.extractMultiRowData(worksheet, dataStartInfo, headers, filename);
+        }
+
+        return this.extractSingleRowData(worksheet, dataStartInfo, headers, filename);
+    }
+
+    /**
+     * Number of physical rows that make up one record
+     * Only an explicit multi-row configuration spans rows; the number of header rows does not
+     * @returns {Number} Rows per record (1 for single-row processing)
+     */
+    getRowsPerRecord() {
+        const rowProcessing = this.config.rowProcessing || {};
+        if (rowProcessing.type === 'multi-row') {
+            return Math.max(1, parseInt(rowProcessing.rowsPerRecord, 10) || 1);
+        }
+        return 1;
+    }
+
+    /**
+     * Gets the source field names records will have, without reading any data rows
+     * Used by the mapping tab so prefixed multi-row fields can be mapped
+     * @param {Object} worksheet - XLSX worksheet object
+     * @returns {Array} Field names in record order
+     */
+    async getFieldNames(worksheet) {
+        const dataStartInfo = await this.determineDataStart(worksheet);
+        const headers = this.extractHeaders(worksheet, dataStartInfo);
+
+        if (this.getRowsPerRecord() <= 1) {
+            return headers;
+        }
+
+        const range = XLSX.utils.decode_range(worksheet['!ref']);
+        const startCol = dataStartInfo.startColumn || range.s.c;
+        const endCol = dataStartInfo.endColumn || range.e.c;
+
+        return this.getLineFieldNames(headers, startCol, endCol)
+            .flatMap(line => [...line.groupFields, ...line.columnFields]);
     }
 
     /**
@@ -217,21 +287,47 @@ class GenericBrokerParser {
      * @returns {Number} Row index where pattern is found
      */
     findPatternStart(worksheet) {
-        const range = XLSX.utils.decode_range(worksheet['!ref']);
         const pattern = this.config.patternConfig?.pattern;
 
         if (!pattern) return 0;
 
+        const row = this.findFirstMatchingRow(worksheet, pattern, 0);
+        if (row !== -1) return row;
+
+        // No row matches: look for a second pattern in another column, e.g. { column: 2, pattern: '^AB\\d+' }
+        const fallback = this.config.patternConfig.fallback;
+        if (fallback && fallback.pattern) {
+            const fallbackRow = this.findFirstMatchingRow(worksheet, fallback.pattern, fallback.column || 0);
+            if (fallbackRow !== -1) {
+                console.log(`Data start found at row ${fallbackRow} using fallback pattern ${fallback.pattern}`);
+                return fallbackRow;
+            }
+        }
+
+        return 0;
+    }
+
+    /**
+     * Finds the first row whose cell in the given column matches a pattern
+     * @param {Object} worksheet - XLSX worksheet object
+     * @param {String} pattern - Regular expression source
+     * @param {Number} column - Column index to check
+     * @returns {Number} Row index, or -1 when no row matches
+     */
+    findFirstMatchingRow(worksheet, pattern, column) {
+        const range = XLSX.utils.decode_range(worksheet['!ref']);
+        const regex = new RegExp(pattern);
+
         for (let row = range.s.r; row <= range.e.r; row++) {
-            const cellAddress = XLSX.utils.encode_cell({ r: row, c: 0 });
+            const cellAddress = XLSX.utils.encode_cell({ r: row, c: column });
             const cell = worksheet[cellAddress];
 
-            if (cell && cell.v && new RegExp(pattern).test(cell.v.toString())) {
+            if (cell && cell.v && regex.test(cell.v.toString())) {
                 return row;
             }
         }
 
-        return 0;
+        return -1;
     }
 
     /**
@@ -335,121 +431,55 @@ class GenericBrokerParser {
         const range = XLSX.utils.decode_range(worksheet['!ref']);
 
         // Use detected boundaries
-        const headerRows = this.config.headerRows || 1;
         const baseDataStart = dataStartInfo.dataStartRow;
         const startCol = dataStartInfo.startColumn || range.s.c;
         const endCol = dataStartInfo.endColumn || range.e.c;
-        const isMultiRowData = headerRows > 1;
-
-        console.log(`Extracting data from rows ${baseDataStart}-${range.e.r}, columns ${startCol}-${endCol}, multi-row processing: ${isMultiRowData ? headerRows + ' rows per record' : 'single row per record'}`);
-
-        if (isMultiRowData) {
-            // Multi-row data processing: N rows = 1 record
-            for (let row = baseDataStart; row <= range.e.r; row += headerRows) {
-                // Check for footer keyword in any row of this multi-row record
-                let foundFooterKeyword = false;
-                if (this.config.footerRowKeyword) {
-                    for (let rowOffset = 0; rowOffset < headerRows && !foundFooterKeyword; rowOffset++) {
-                        const currentRow = row + rowOffset;
-                        if (currentRow > range.e.r) break;
-
-                        for (let col = startCol; col <= endCol; col++) {
-                            const cellAddress = XLSX.utils.encode_cell({ r: currentRow, c: col });
-                            const cell = worksheet[cellAddress];
-                            if (cell && cell.v && cell.v.toString().includes(this.config.footerRowKeyword)) {
-                                console.log(`Footer keyword "${this.config.footerRowKeyword}" found at ${cellAddress}, stopping multi-row processing`);
-                                foundFooterKeyword = true;
-                                break;
-                            }
-                        }
-                    }
-                }
-
-                if (foundFooterKeyword) {
-                    console.log(`Stopped processing at row ${row} due to footer keyword`);
-                    break;
-                }
-
-                const recordData = {};
-                let hasData = false;
-                let headerIndex = 0;
-
-                // Process each row in the multi-row record
-                for (let rowOffset = 0; rowOffset < headerRows; rowOffset++) {
-                    const currentRow = row + rowOffset;
-                    if (currentRow > range.e.r) break;
-
-                    // Process each column in this row
-                    for (let col = startCol; col <= endCol; col++) {
-                        const cellAddress = XLSX.utils.encode_cell({ r: currentRow, c: col });
-                        const cell = worksheet[cellAddress];
-                        const value = this.getCellValue(cell);
+        const stopCondition = this.config.rowProcessing?.stopCondition;
 
-                        // Map to header using sequential index across all rows
-                        const headerName = headers[headerIndex] || `Row${rowOffset + 1}_Col${col + 1}`;
-                        recordData[headerName] = value;
-                        headerIndex++;
+        console.log(`Extracting data from rows ${baseDataStart}-${range.e.r}, columns ${startCol}-${endCol}, single row per record`);
 
-                        if (value !== null && value !== '') {
-                            hasData = true;
-                        }
-                    }
-                }
+        const fieldNames = [];
+        for (let col = startCol; col <= endCol; col++) {
+            fieldNames.push(headers[col - startCol] || `Column${col + 1}`);
+        }
 
-                if (hasData) {
-                    recordData.__rowIndex = row;
-                    recordData.__multiRowRecord = true;
-                    recordData.__recordRows = headerRows;
-                    recordData.Filename = filename;
-                    data.push(recordData);
-                }
+        for (let row = baseDataStart; row <= range.e.r; row++) {
+            // Check for footer keyword in this row
+            if (this.rowContainsFooterKeyword(worksheet, row, startCol, endCol)) {
+                console.log(`Stopped processing at row ${row} due to footer keyword`);
+                this.captureFooterRow(worksheet, row, startCol, fieldNames);
+                break;
             }
-        } else {
-            // Single row data processing (existing behavior)
-            for (let row = baseDataStart; row <= range.e.r; row++) {
-                // Check for footer keyword in this row
-                if (this.config.footerRowKeyword) {
-                    let foundFooterKeyword = false;
-                    for (let col = startCol; col <= endCol; col++) {
-                        const cellAddress = XLSX.utils.encode_cell({ r: row, c: col });
-                        const cell = worksheet[cellAddress];
-                        if (cell && cell.v && cell.v.toString().includes(this.config.footerRowKeyword)) {
-                            console.log(`Footer keyword "${this.config.footerRowKeyword}" found at ${cellAddress}, stopping single-row processing`);
-                            foundFooterKeyword = true;
-                            break;
-                        }
-                    }
 
-                    if (foundFooterKeyword) {
-                        console.log(`Stopped processing at row ${row} due to footer keyword`);
-                        break;
-                    }
+            if (stopCondition && stopCondition.pattern && this.checkStopCondition(worksheet, row, stopCondition, startCol)) {
+                console.log(`Stopped processing at row ${row}: first cell no longer matches ${stopCondition.pattern}`);
+                if (this.rowContainsTotalLabel(worksheet, row, startCol, endCol)) {
+                    this.captureFooterRow(worksheet, row, startCol, fieldNames);
                 }
+                break;
+            }
 
-                const rowData = {};
-                let hasData = false;
+            const rowData = {};
+            let hasData = false;
 
-                // Only read columns within detected boundaries
-                for (let col = startCol; col <= endCol; col++) {
-                    const cellAddress = XLSX.utils.encode_cell({ r: row, c: col });
-                    const cell = worksheet[cellAddress];
-                    const value = this.getCellValue(cell);
+            // Only read columns within detected boundaries
+            for (let col = startCol; col <= endCol; col++) {
+                const cellAddress = XLSX.utils.encode_cell({ r: row, c: col });
+                const cell = worksheet[cellAddress];
+                const value = this.getCellValue(cell);
 
-                    // Map to header using relative position within detected range
-                    const headerIndex = col - startCol;
-                    const headerName = headers[headerIndex] || `Column${col + 1}`;
-                    rowData[headerName] = value;
+                // Map to header using relative position within detected range
+                rowData[fieldNames[col - startCol]] = value;
 
-                    if (value !== null && value !== '') {
-                        hasData = true;
-                    }
+                if (value !== null && value !== '') {
+                    hasData = true;
                 }
+            }
 
-                if (hasData) {
-                    rowData.__rowIndex = row;
-                    rowData.Filename = filename;
-                    data.push(rowData);
-                }
+            if (hasData) {
+                rowData.__rowIndex = row;
+                rowData.Filename = filename;
+                data.push(rowData);
             }
         }
 
@@ -457,79 +487,99 @@ class GenericBrokerParser {
     }
 
     /**
-     * Extracts data using multi-row processing (like BCI format)
+     * Extracts data using multi-row processing: N physical rows form one record
+     * rowProcessing config:
+     * {
+     *   type: 'multi-row',
+     *   rowsPerRecord: 2,
+     *   lines: [{ prefix: 'L1_', pattern: '^(\\S+)\\s+(.+)$', groups: ['Polisnr', 'Branche'] }, { prefix: 'L2_' }],
+     *   stopCondition: { type: 'pattern-mismatch', pattern: '^\\d{4}\\.' }
+     * }
+     * Each line's fields get the line prefix; pattern groups split the first cell of that line into extra fields
      * @param {Object} worksheet - XLSX worksheet object
      * @param {Object} dataStartInfo - Data start information with column ranges
-     * @param {Object} range - Sheet range
-     * @returns {Array} Array of combined row objects
+     * @param {Array} headers - Column headers (one header row shared by all lines, or one header row per line)
+     * @param {String} filename - Original filename
+     * @returns {Array} Array of combined record objects
      */
-    extractMultiRowData(worksheet, dataStartInfo, range) {
+    extractMultiRowData(worksheet, dataStartInfo, headers, filename) {
         const data = [];
-        const multiConfig = this.config.rowProcessing.multiRowConfig;
+        const range = XLSX.utils.decode_range(worksheet['!ref']);
+        const rowsPerRecord = this.getRowsPerRecord();
+        const stopCondition = this.config.rowProcessing?.stopCondition;
 
-        if (!multiConfig) {
-            console.warn('Multi-row processing requested but no configuration provided');
-            return [];
-        }
+        const startCol = dataStartInfo.startColumn || range.s.c;
+        const endCol = dataStartInfo.endColumn || range.e.c;
+        const lines = this.getLineFieldNames(headers, startCol, endCol);
 
-        const rowCount = multiConfig.rowCount || 2;
-        const rowStep = multiConfig.rowStep || rowCount;
+        console.log(`Extracting data from rows ${dataStartInfo.dataStartRow}-${range.e.r}, columns ${startCol}-${endCol}, ${rowsPerRecord} rows per record`);
+
+        for (let row = dataStartInfo.dataStartRow; row <= range.e.r; row += rowsPerRecord) {
+            // Check for footer keyword in any row of this multi-row record
+            let footerRow = null;
+            for (let rowOffset = 0; rowOffset < rowsPerRecord && row + rowOffset <= range.e.r; rowOffset++) {
+                if (this.rowContainsFooterKeyword(worksheet, row + rowOffset, startCol, endCol)) {
+                    footerRow = row + rowOffset;
+                    break;
+                }
+            }
 
-        for (let row = dataStartInfo.dataStartRow; row <= range.e.r; row += rowStep) {
-            // Check stop condition if configured
-            if (multiConfig.stopCondition && this.checkStopCondition(worksheet, row, multiConfig.stopCondition)) {
+            if (footerRow !== null) {
+                console.log(`Stopped processing at row ${row} due to footer keyword`);
+                // A total row has one line; its amounts line up with the columns of the record's first line
+                this.captureFooterRow(worksheet, footerRow, startCol, lines[0].columnFields);
                 break;
             }
 
-            const combinedData = {};
-            let hasValidData = false;
+            // Check stop condition if configured (first cell of the record's first line)
+            if (stopCondition && stopCondition.pattern && this.checkStopCondition(worksheet, row, stopCondition, startCol)) {
+                console.log(`Stopped processing at row ${row}: first cell no longer matches ${stopCondition.pattern}`);
+                if (this.rowContainsTotalLabel(worksheet, row, startCol, endCol)) {
+                    this.captureFooterRow(worksheet, row, startCol, lines[0].columnFields);
+                }
+                break;
+            }
+
+            const recordData = {};
+            let hasData = false;
 
-            // Process each row in the group
-            for (let rowOffset = 0; rowOffset < rowCount; rowOffset++) {
+            // Process each row in the multi-row record
+            for (let rowOffset = 0; rowOffset < rowsPerRecord; rowOffset++) {
                 const currentRow = row + rowOffset;
                 if (currentRow > range.e.r) break;
 
-                const rowConfig = multiConfig.fieldMapping[`row${rowOffset + 1}`];
-                if (!rowConfig) continue;
+                const line = lines[rowOffset];
 
-                // Extract pattern-based fields (like BCI policy number parsing)
-                if (rowConfig.pattern) {
-                    const cellAddress = XLSX.utils.encode_cell({ r: currentRow, c: 0 });
-                    const cell = worksheet[cellAddress];
+                // Split the line's first cell into named fields (e.g. "1234.AB.01.0001 AUTO" → policy + branche)
+                if (line.pattern) {
+                    const firstCell = worksheet[XLSX.utils.encode_cell({ r: currentRow, c: startCol })];
+                    const match = firstCell && firstCell.v !== undefined && firstCell.v !== null ?
+                        firstCell.v.toString().trim().match(line.pattern) : null;
 
-                    if (cell && cell.v) {
-                        const match = cell.v.toString().match(new RegExp(rowConfig.pattern));
-                        if (match && rowConfig.groups) {
-                            rowConfig.groups.forEach((groupName, index) => {
-                                if (groupName && match[index + 1]) {
-                                    combinedData[groupName] = match[index + 1];
-                                    hasValidData = true;
-                                }
-                            });
-                        }
-                    }
+                    line.groupFields.forEach((fieldName, index) => {
+                        recordData[fieldName] = match && match[index + 1] !== undefined ? match[index + 1].trim() : null;
+                    });
                 }
 
-                // Extract column-based fields
-                if (rowConfig.columns) {
-                    rowConfig.columns.forEach((fieldName, colOffset) => {
-                        if (fieldName) {
-                            const cellAddress = XLSX.utils.encode_cell({ r: currentRow, c: colOffset });
-                            const cell = worksheet[cellAddress];
-                            const value = this.getCellValue(cell);
-
-                            combinedData[fieldName] = value;
-                            if (value !== null && value !== '') {
-                                hasValidData = true;
-                            }
-                        }
-                    });
+                // Process each column in this row
+                for (let col = startCol; col <= endCol; col++) {
+                    const cellAddress = XLSX.utils.encode_cell({ r: currentRow, c: col });
+                    const value = this.getCellValue(worksheet[cellAddress]);
+
+                    recordData[line.columnFields[col - startCol]] = value;
+
+                    if (value !== null && value !== '') {
+                        hasData = true;
+                    }
                 }
             }
 
-            if (hasValidData) {
-                combinedData.__rowIndex = row;
-                data.push(combinedData);
+            if (hasData) {
+                recordData.__rowIndex = row;
+                recordData.__multiRowRecord = true;
+                recordData.__recordRows = rowsPerRecord;
+                recordData.Filename = filename;
+                data.push(recordData);
             }
         }
 
@@ -537,15 +587,131 @@ class GenericBrokerParser {
     }
 
     /**
-     * Checks if stop condition is met for multi-row processing
+     * Works out the field names for every line of a multi-row record
+     * With one header row per line (multi-row header selection) each line uses its own headers;
+     * with a single header row all lines share it and lines 2..N get a prefix (default "Row2_") to tell them apart
+     * @param {Array} headers - Extracted headers
+     * @param {Number} startCol - First column of the table
+     * @param {Number} endCol - Last column of the table
+     * @returns {Array} Per line: { prefix, pattern, groupFields, columnFields }
+     */
+    getLineFieldNames(headers, startCol, endCol) {
+        const rowsPerRecord = this.getRowsPerRecord();
+        const columnCount = endCol - startCol + 1;
+        const lineConfigs = this.config.rowProcessing?.lines || [];
+        const hasHeaderPerLine = headers.length >= columnCount * rowsPerRecord;
+
+        return Array.from({ length: rowsPerRecord }, (_, lineIndex) => {
+            const lineConfig = lineConfigs[lineIndex] || {};
+            const prefix = typeof lineConfig.prefix === 'string' ?
+                lineConfig.prefix :
+                (hasHeaderPerLine || lineIndex === 0 ? '' : `Row${lineIndex + 1}_`);
+
+            const columnFields = [];
+            for (let col = startCol; col <= endCol; col++) {
+                const headerIndex = (hasHeaderPerLine ? lineIndex * columnCount : 0) + (col - startCol);
+                const header = headers[headerIndex] || `Row${lineIndex + 1}_Col${XLSX.utils.encode_col(col)}`;
+                columnFields.push(prefix + header);
+            }
+
+            let pattern = null;
+            if (lineConfig.pattern) {
+                try {
+                    pattern = new RegExp(lineConfig.pattern);
+                } catch (error) {
+                    console.warn(`Invalid pattern for record line ${lineIndex + 1}: ${error.message}`);
+                }
+            }
+
+            return {
+                prefix,
+                pattern,
+                groupFields: pattern ? (lineConfig.groups || []).filter(group => group).map(group => prefix + group) : [],
+                columnFields
+            };
+        });
+    }
+
+    /**
+     * Checks whether a row contains the configured footer keyword (in any case)
+     * With stopAtTotalRow set, any row labelled as a total row is a footer as well
+     * @param {Object} worksheet - XLSX worksheet object
+     * @param {Number} row - Row index
+     * @param {Number} startCol - First column to check
+     * @param {Number} endCol - Last column to check
+     * @returns {Boolean} True if the footer keyword was found
+     */
+    rowContainsFooterKeyword(worksheet, row, startCol, endCol) {
+        if (this.config.stopAtTotalRow && this.rowContainsTotalLabel(worksheet, row, startCol, endCol)) {
+            console.log(`Total row found at row ${row}`);
+            return true;
+        }
+
+        if (!this.config.footerRowKeyword) return false;
+
+        const keyword = this.config.footerRowKeyword.toString().toLowerCase();
+        for (let col = startCol; col <= endCol; col++) {
+            const cellAddress = XLSX.utils.encode_cell({ r: row, c: col });
+            const cell = worksheet[cellAddress];
+            if (cell && cell.v && cell.v.toString().toLowerCase().includes(keyword)) {
+                console.log(`Footer keyword "${this.config.footerRowKeyword}" found at ${cellAddress}`);
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Checks whether a row is labelled as a total row, e.g. a "Totaal" row that ends the data
+     * without a footer keyword being configured
+     * @param {Object} worksheet - XLSX worksheet object
+     * @param {Number} row - Row index
+     * @param {Number} startCol - First column to check
+     * @param {Number} endCol - Last column to check
+     * @returns {Boolean} True if a text cell of the row carries a total label
+     */
+    rowContainsTotalLabel(worksheet, row, startCol, endCol) {
+        for (let col = startCol; col <= endCol; col++) {
+            const cell = worksheet[XLSX.utils.encode_cell({ r: row, c: col })];
+            if (cell && typeof cell.v === 'string' && GenericBrokerParser.TOTAL_ROW_PATTERN.test(cell.v)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Keeps the values of a footer row as control totals for reconciliation
+     * @param {Object} worksheet - XLSX worksheet object
+     * @param {Number} row - Row index of the footer
+     * @param {Number} startCol - First column of the table
+     * @param {Array} fieldNames - Field name per column, as used for the data rows
+     */
+    captureFooterRow(worksheet, row, startCol, fieldNames) {
+        if (!this.controlTotals) return;
+
+        const footer = { __rowIndex: row };
+        fieldNames.forEach((fieldName, index) => {
+            footer[fieldName] = this.getCellValue(worksheet[XLSX.utils.encode_cell({ r: row, c: startCol + index })]);
+        });
+
+        console.log(`Control totals captured from footer row ${row}`);
+        this.controlTotals.footers.push(footer);
+    }
+
+    /**
+     * Checks if the stop condition is met (single-row and multi-row processing)
      * @param {Object} worksheet - XLSX worksheet object
      * @param {Number} row - Current row index
      * @param {Object} stopCondition - Stop condition configuration
+     * @param {Number} column - Column holding the value to check
      * @returns {Boolean} True if processing should stop
      */
-    checkStopCondition(worksheet, row, stopCondition) {
+    checkStopCondition(worksheet, row, stopCondition, column = 0) {
         if (stopCondition.type === 'pattern-mismatch') {
-            const cellAddress = XLSX.utils.encode_cell({ r: row, c: 0 });
+            const cellAddress = XLSX.utils.encode_cell({ r: row, c: column });
             const cell = worksheet[cellAddress];
 
             if (!cell || !cell.v) return true;
@@ -557,6 +723,52 @@ class GenericBrokerParser {
         return false;
     }
 
+    /**
+     * Converts the configured number fields (parsingConfig.numberFields) from text to numbers
+     * Used with formatted cell values, where amounts arrive as "1.234,56", "1234.56" or "-"
+     * @param {Array} data - Raw data array
+     * @returns {Array} Data array with numeric number fields
+     */
+    applyNumberFields(data) {
+        const numberFields = this.config.numberFields || [];
+        if (numberFields.length === 0) return data;
+
+        return data.map(row => {
+            const converted = { ...row };
+            numberFields.forEach(field => {
+                if (field in converted) {
+                    converted[field] = GenericBrokerParser.parseNumber(converted[field]);
+                }
+            });
+            return converted;
+        });
+    }
+
+    /**
+     * Parses a number written in European (1.234,56 or 1234,56) or plain (1234.56) notation
+     * A dot followed by three or more digits is a thousands separator
+     * @param {*} value - Cell value
+     * @returns {Number|null} Number, or null for empty cells, "-" and text that is not a number
+     */
+    static parseNumber(value) {
+        if (typeof value === 'number') return value;
+        if (typeof value !== 'string') return null;
+
+        const trimmed = value.trim();
+        if (trimmed === '' || trimmed === '-') return null;
+
+        let cleaned = trimmed;
+        if (trimmed.includes(',')) {
+            // Dots are thousand separators, the comma is the decimal separator
+            cleaned = trimmed.replace(/\./g, '').replace(',', '.');
+        } else if (trimmed.includes('.') && trimmed.lastIndexOf('.') <= trimmed.length - 4) {
+            cleaned = trimmed.replace(/\./g, '');
+        }
+
+        const parsed = parseFloat(cleaned);
+        return isNaN(parsed) ? null : parsed;
+    }
+
     /**
      * Applies configured row filters to the data
      * @param {Array} data - Raw data array
@@ -588,8 +800,14 @@ class GenericBrokerParser {
                 case 'exclude-values':
                     filteredData = filteredData.filter(row => {
                         const value = row[filter.field];
-                        return value === null || value === undefined ||
+                        const keep = value === null || value === undefined ||
                                !filter.values.includes(value.toString());
+
+                        // Excluded total rows are the broker's in-table subtotals
+                        if (!keep && this.controlTotals && GenericBrokerParser.TOTAL_ROW_PATTERN.test(value.toString())) {
+                            this.controlTotals.subtotals.push(row);
+                        }
+                        return keep;
                     });
                     break;
 
@@ -703,64 +921,154 @@ class GenericBrokerParser {
 
     /**
      * Applies data validation rules
+     * A failing check never removes the row: it adds an error to the row's _issues
+     * (source 'mapping'), the same way the template's validation rules report violations
      * @param {Array} data - Mapped data array
-     * @returns {Array} Validated data array
+     * @returns {Array} Data array with validation issues added
      */
     applyDataValidation(data) {
-        const validatedData = [];
+        if (!this.config.dataValidation || this.config.dataValidation.length === 0) {
+            return data;
+        }
+
+        let failedRows = 0;
 
-        data.forEach((row, index) => {
-            let isValid = true;
-            const validationErrors = [];
+        const validatedData = data.map(row => {
+            const validationIssues = [];
 
             this.config.dataValidation.forEach(validation => {
                 const value = row[validation.field];
+                let message = null;
 
                 switch (validation.type) {
                     case 'pattern-match':
                         if (value && !new RegExp(validation.pattern).test(value.toString())) {
-                            isValid = false;
-                            validationErrors.push(`${validation.field}: Does not match pattern ${validation.pattern}`);
+                            message = `Does not match pattern ${validation.pattern}`;
                         }
                         break;
 
                     case 'required':
                         if (!value || value === '') {
-                            isValid = false;
-                            validationErrors.push(`${validation.field}: Required field is empty`);
+                            message = 'Required field is empty';
                         }
                         break;
 
                     case 'numeric':
                         if (value && isNaN(Number(value))) {
-                            isValid = false;
-                            validationErrors.push(`${validation.field}: Must be numeric`);
+                            message = 'Must be numeric';
                         }
                         break;
                 }
+
+                if (message) {
+                    validationIssues.push({ field: validation.field, value, message, severity: 'error', source: 'mapping' });
+                }
             });
 
-            if (isValid) {
-                validatedData.push(row);
-            } else {
-                console.warn(`Row ${index + 1} validation failed:`, validationErrors);
+            if (validationIssues.length === 0) {
+                return row;
             }
+
+            failedRows++;
+            return { ...row, _issues: [...(row._issues || []), ...validationIssues] };
         });
 
+        if (failedRows > 0) {
+            console.warn(`${failedRows} rows failed the file mapping's data validation`);
+        }
+
         return validatedData;
     }
 
     /**
-     * Static method to parse workbook using pattern analysis
+     * Resolves which worksheets a sheet selection refers to
+     * Supported methods: 'first' (default), 'name', 'index' (0-based), 'regex' (first match)
+     * and 'all-matching' (every sheet matching the pattern, concatenated by parse)
      * @param {Object} workbook - XLSX workbook object
+     * @param {Object} sheetSelection - { method, value }
+     * @returns {Array} Sheet names to process, in workbook order
+     */
+    static resolveSheetNames(workbook, sheetSelection) {
+        const sheetNames = workbook.SheetNames || [];
+        const method = sheetSelection?.method || 'first';
+        const value = sheetSelection?.value;
+
+        if (sheetNames.length === 0) {
+            throw new Error('Workbook contains no sheets');
+        }
+
+        const available = `Available sheets: ${sheetNames.join(', ')}`;
+
+        switch (method) {
+            case 'name': {
+                const wanted = (value || '').toString().trim();
+                const match = sheetNames.find(name => name === wanted) ||
+                    sheetNames.find(name => name.trim().toLowerCase() === wanted.toLowerCase());
+                if (!match) {
+                    throw new Error(`Sheet "${wanted}" not found. ${available}`);
+                }
+                return [match];
+            }
+
+            case 'index': {
+                const index = parseInt(value, 10);
+                if (isNaN(index) || index < 0 || index >= sheetNames.length) {
+                    throw new Error(`Sheet index ${value} does not exist (0-based), workbook has ${sheetNames.length} sheet(s). ${available}`);
+                }
+                return [sheetNames[index]];
+            }
+
+            case 'regex':
+            case 'all-matching': {
+                let pattern;
+                try {
+                    pattern = new RegExp(value || '.*', 'i');
+                } catch (error) {
+                    throw new Error(`Invalid sheet pattern "${value}": ${error.message}`);
+                }
+
+                const matches = sheetNames.filter(name => pattern.test(name));
+                if (matches.length === 0) {
+                    throw new Error(`No sheet matches pattern "${value}". ${available}`);
+                }
+                return method === 'regex' ? [matches[0]] : matches;
+            }
+
+            case 'first':
+            default:
+                return [sheetNames[0]];
+        }
+    }
+
+    /**
+     * Gets the sheet selection stored in a pattern analysis (first sheet when none was chosen)
      * @param {Object} patternAnalysis - Pattern analysis results
-     * @returns {Array} Parsed data array
+     * @returns {Object} Sheet selection { method, value }
      */
-    static async parseWithAnalysis(workbook, patternAnalysis) {
-        console.log('GenericParser.parseWithAnalysis called with:', patternAnalysis);
+    static sheetSelectionFromAnalysis(patternAnalysis) {
+        return patternAnalysis?.sheetSelection || { method: 'first', value: null };
+    }
 
-        // Create parser configuration from pattern analysis
-        const config = {
+    /**
+     * Builds a parser configuration from pattern analysis results
+     * @param {Object} patternAnalysis - Pattern analysis results
+     * @returns {Object} Parser configuration
+     */
+    static configFromAnalysis(patternAnalysis) {
+        // Analysis restored from a saved mapping: keep the mapping's own parsing rules
+        // (data start method, row filters, stop conditions) until the header is re-selected
+        if (patternAnalysis.sourceParsingConfig) {
+            return {
+                id: 'pattern-analysis-parser',
+                name: 'Pattern Analysis Parser',
+                ...patternAnalysis.sourceParsingConfig,
+                rowProcessing: patternAnalysis.rowProcessing || { type: 'single' },
+                sheetSelection: GenericBrokerParser.sheetSelectionFromAnalysis(patternAnalysis),
+                columnMapping: {} // Will be applied externally
+            };
+        }
+
+        return {
             id: 'pattern-analysis-parser',
             name: 'Pattern Analysis Parser',
             dataStartMethod: 'skip-rows',
@@ -770,17 +1078,45 @@ class GenericBrokerParser {
             headerRow: patternAnalysis.suggestedHeaderRow,
             headerRows: patternAnalysis.manualSelection?.headerRows || 1,
             footerRowKeyword: patternAnalysis.manualSelection?.footerKeyword || patternAnalysis.autoFooterKeyword,
-            rowProcessing: patternAnalysis.manualSelection?.headerRows > 1 ? {
-                type: 'multi-row',
-                rowsPerRecord: patternAnalysis.manualSelection.headerRows
-            } : {
-                type: 'single'
-            },
+            rowProcessing: GenericBrokerParser.rowProcessingFromAnalysis(patternAnalysis),
+            sheetSelection: GenericBrokerParser.sheetSelectionFromAnalysis(patternAnalysis),
             rowFilters: [],
             dataValidation: [],
             columnMapping: {} // Will be applied externally
         };
+    }
 
+    /**
+     * Gets the row processing for a pattern analysis
+     * An explicit record configuration (multi-row, or cleared back to single) wins over the rows
+     * implied by a multi-row header selection
+     * @param {Object} patternAnalysis - Pattern analysis results
+     * @returns {Object} Row processing configuration
+     */
+    static rowProcessingFromAnalysis(patternAnalysis) {
+        if (patternAnalysis?.rowProcessing?.type) {
+            return patternAnalysis.rowProcessing;
+        }
+
+        return patternAnalysis?.manualSelection?.headerRows > 1 ? {
+            type: 'multi-row',
+            rowsPerRecord: patternAnalysis.manualSelection.headerRows
+        } : {
+            type: 'single'
+        };
+    }
+
+    /**
+     * Static method to parse workbook using pattern analysis
+     * @param {Object} workbook - XLSX workbook object
+     * @param {Object} patternAnalysis - Pattern analysis results
+     * @returns {Array} Parsed data array
+     */
+    static async parseWithAnalysis(workbook, patternAnalysis) {
+        console.log('GenericParser.parseWithAnalysis called with:', patternAnalysis);
+
+        // Create parser configuration from pattern analysis
+        const config = GenericBrokerParser.configFromAnalysis(patternAnalysis);
         console.log('Created parser config:', config);
 
         // Create parser instance and parse
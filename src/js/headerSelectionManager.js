@@ -8,6 +8,9 @@
 // Global header selection state (also accessible via window.headerSelectionState)
 let headerSelectionState = null;
 
+// Sheet currently shown in the selection grid
+let headerSelectionSheetName = null;
+
 // ========== MAIN HEADER SELECTION MODAL ==========
 
 /**
@@ -31,6 +34,62 @@ function showManualHeaderSelection() {
                     <strong>Instructions:</strong> Click and drag to select your header range, or use the cell coordinate inputs below for precise selection. The grid auto-scrolls when selecting near edges.
                 </div>
 
+                <!-- Sheet selection (only shown for workbooks with more than one sheet) -->
+                <div id="sheet-selection-bar" style="background: #333; padding: 12px; border-radius: 4px; margin-bottom: 16px; display: none;">
+                    <div style="display: flex; align-items: center; gap: 16px; flex-wrap: wrap;">
+                        <div style="display: flex; align-items: center; gap: 8px;">
+                            <label style="color: #ccc; min-width: 60px;">Sheet:</label>
+                            <select id="sheet-select" onchange="changeHeaderSelectionSheet(this.value)" style="background: #2a2a2a; border: 1px solid #555; color: white; padding: 4px 8px; border-radius: 4px;"></select>
+                        </div>
+                        <div style="display: flex; align-items: center; gap: 8px;">
+                            <label style="color: #ccc;">Use in mapping:</label>
+                            <select id="sheet-method-select" onchange="updateSheetSelectionControls()" style="background: #2a2a2a; border: 1px solid #555; color: white; padding: 4px 8px; border-radius: 4px;">
+                                <option value="first">First sheet</option>
+                                <option value="name">This sheet (by name)</option>
+                                <option value="index">This sheet (by position)</option>
+                                <option value="regex">First sheet matching pattern</option>
+                                <option value="all-matching">All sheets matching pattern (concatenated)</option>
+                            </select>
+                        </div>
+                        <div id="sheet-pattern-group" style="display: none; align-items: center; gap: 8px;">
+                            <label style="color: #ccc;">Pattern:</label>
+                            <input type="text" id="sheet-pattern-input" placeholder="e.g. ^Maand|AUTO" oninput="updateSheetSelectionControls()" style="background: #2a2a2a; border: 1px solid #555; color: white; padding: 4px 8px; border-radius: 4px; width: 160px;" />
+                        </div>
+                    </div>
+                    <div id="sheet-selection-status" style="margin-top: 8px; color: #888; font-size: 12px;"></div>
+                </div>
+
+                <!-- Text file format (only shown for CSV, TSV and text files) -->
+                <div id="text-format-bar" style="background: #333; padding: 12px; border-radius: 4px; margin-bottom: 16px; display: none;">
+                    <div style="display: flex; align-items: center; gap: 16px; flex-wrap: wrap;">
+                        <div style="display: flex; align-items: center; gap: 8px;">
+                            <label style="color: #ccc; min-width: 60px;">Format:</label>
+                            <select id="text-format-select" onchange="changeTextFormat()" style="background: #2a2a2a; border: 1px solid #555; color: white; padding: 4px 8px; border-radius: 4px;">
+                                <option value="delimited">Delimited</option>
+                                <option value="fixed-width">Fixed-width</option>
+                            </select>
+                        </div>
+                        <div id="text-delimiter-group" style="display: flex; align-items: center; gap: 8px;">
+                            <label style="color: #ccc;">Delimiter:</label>
+                            <select id="text-delimiter-select" onchange="changeTextFormat()" style="background: #2a2a2a; border: 1px solid #555; color: white; padding: 4px 8px; border-radius: 4px;"></select>
+                        </div>
+                        <div id="text-quote-group" style="display: flex; align-items: center; gap: 8px;">
+                            <label style="color: #ccc;">Quote:</label>
+                            <select id="text-quote-select" onchange="changeTextFormat()" style="background: #2a2a2a; border: 1px solid #555; color: white; padding: 4px 8px; border-radius: 4px;">
+                                <option value='"'>Double (")</option>
+                                <option value="'">Single (')</option>
+                                <option value="">None</option>
+                            </select>
+                        </div>
+                        <div style="display: flex; align-items: center; gap: 8px;">
+                            <label style="color: #ccc;">Encoding:</label>
+                            <select id="text-encoding-select" onchange="changeTextFormat()" style="background: #2a2a2a; border: 1px solid #555; color: white; padding: 4px 8px; border-radius: 4px;"></select>
+                        </div>
+                    </div>
+                    <div id="column-break-editor" style="display: none; margin-top: 8px; border: 1px solid #555; border-radius: 4px; overflow: auto; max-height: 20vh; background: #2a2a2a; font-family: monospace; font-size: 12px; line-height: 16px; cursor: pointer; user-select: none;"></div>
+                    <div id="text-format-status" style="margin-top: 8px; color: #888; font-size: 12px;"></div>
+                </div>
+
                 <!-- Cell coordinate inputs -->
                 <div style="background: #333; padding: 12px; border-radius: 4px; margin-bottom: 16px;">
                     <div style="display: flex; align-items: center; gap: 16px; flex-wrap: wrap;">
@@ -102,19 +161,37 @@ function closeManualHeaderSelection() {
     // Reset selection state
     headerSelectionState = null;
     window.headerSelectionState = null;
+    headerSelectionSheetName = null;
 }
 
 // ========== GRID LOADING ==========
 
 /**
  * Load the grid for header selection
+ * @param {string} sheetName - Sheet to show (defaults to the sheet used by the current analysis)
  */
-async function loadHeaderSelectionGrid() {
+async function loadHeaderSelectionGrid(sheetName = null) {
     const gridContainer = document.getElementById('manual-selection-grid');
 
     try {
         const workbook = await ExcelCacheManager.getWorkbook(window.currentMappingFile.file);
-        const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+
+        if (!sheetName || !workbook.Sheets[sheetName]) {
+            sheetName = getAnalysisSheetName(workbook, window.currentPatternAnalysis);
+        }
+        headerSelectionSheetName = sheetName;
+        initSheetSelectionControls(workbook, sheetName);
+        await initTextFormatControls(workbook);
+
+        const worksheet = workbook.Sheets[sheetName];
+        if (!worksheet || !worksheet['!ref']) {
+            gridContainer.innerHTML = '<div style="text-align: center; padding: 40px; color: #888;">This sheet is empty</div>';
+            document.getElementById('footer-detection-grid').innerHTML = '';
+            headerSelectionState = null;
+            window.headerSelectionState = null;
+            return;
+        }
+
         const range = XLSX.utils.decode_range(worksheet['!ref']);
 
         // Show grid (rows 1-30, all available columns)
@@ -181,6 +258,259 @@ async function loadHeaderSelectionGrid() {
     }
 }
 
+// ========== SHEET SELECTION ==========
+
+/**
+ * Get the sheet the current pattern analysis refers to, falling back to the first sheet
+ */
+function getAnalysisSheetName(workbook, patternAnalysis) {
+    try {
+        const sheetSelection = GenericParser.sheetSelectionFromAnalysis(patternAnalysis);
+        return GenericParser.resolveSheetNames(workbook, sheetSelection)[0];
+    } catch (error) {
+        console.warn('Stored sheet selection does not match this workbook, using first sheet:', error.message);
+        return workbook.SheetNames[0];
+    }
+}
+
+/**
+ * Fill the sheet picker and restore the stored sheet selection method
+ */
+function initSheetSelectionControls(workbook, sheetName) {
+    const bar = document.getElementById('sheet-selection-bar');
+    const sheetSelect = document.getElementById('sheet-select');
+    if (!bar || !sheetSelect) return;
+
+    // Single-sheet workbooks need no sheet selection
+    bar.style.display = workbook.SheetNames.length > 1 ? 'block' : 'none';
+
+    sheetSelect.innerHTML = workbook.SheetNames.map((name, index) =>
+        `<option value="${escapeHtml(name)}">${index + 1}. ${escapeHtml(name)}</option>`
+    ).join('');
+    sheetSelect.value = sheetName;
+
+    // Restore method and pattern once, when the modal opens
+    const methodSelect = document.getElementById('sheet-method-select');
+    if (!methodSelect.dataset.initialized) {
+        const stored = window.currentPatternAnalysis?.sheetSelection;
+        if (stored) {
+            methodSelect.value = stored.method;
+            if (stored.method === 'regex' || stored.method === 'all-matching') {
+                document.getElementById('sheet-pattern-input').value = stored.value || '';
+            }
+        }
+        methodSelect.dataset.initialized = 'true';
+    }
+
+    updateSheetSelectionControls();
+}
+
+/**
+ * Switch the selection grid to another sheet (clears the current range selection)
+ */
+async function changeHeaderSelectionSheet(sheetName) {
+    // Picking another sheet only makes sense when the mapping refers to it
+    const methodSelect = document.getElementById('sheet-method-select');
+    if (methodSelect.value === 'first') {
+        methodSelect.value = 'name';
+    }
+
+    await loadHeaderSelectionGrid(sheetName);
+    updateSelectionStatus();
+}
+
+/**
+ * Show the pattern input for pattern methods and preview which sheets will be used
+ */
+async function updateSheetSelectionControls() {
+    const status = document.getElementById('sheet-selection-status');
+    const patternGroup = document.getElementById('sheet-pattern-group');
+    if (!status || !window.currentMappingFile) return;
+
+    const sheetSelection = getSheetSelectionFromControls();
+    patternGroup.style.display = (sheetSelection.method === 'regex' || sheetSelection.method === 'all-matching') ? 'flex' : 'none';
+
+    try {
+        const workbook = await ExcelCacheManager.getWorkbook(window.currentMappingFile.file);
+        const sheetNames = GenericParser.resolveSheetNames(workbook, sheetSelection);
+        status.style.color = '#888';
+        status.textContent = `Sheets used when processing: ${sheetNames.join(', ')}` +
+            (sheetSelection.method === 'all-matching' ? ' (rows are concatenated, sheet name available as _sheet)' : '');
+    } catch (error) {
+        status.style.color = '#f44336';
+        status.textContent = error.message;
+    }
+}
+
+/**
+ * Build a sheet selection { method, value } from the modal controls
+ */
+function getSheetSelectionFromControls() {
+    const methodSelect = document.getElementById('sheet-method-select');
+    const method = methodSelect ? methodSelect.value : 'first';
+
+    switch (method) {
+        case 'first':
+            return { method: 'first', value: null };
+        case 'index':
+            return { method: 'index', value: Math.max(0, document.getElementById('sheet-select').selectedIndex) };
+        case 'regex':
+        case 'all-matching':
+            return { method, value: document.getElementById('sheet-pattern-input').value.trim() };
+        case 'name':
+        default:
+            return { method: 'name', value: headerSelectionSheetName };
+    }
+}
+
+/**
+ * Describe a sheet selection for display in the mapping tab
+ * @param {Object} sheetSelection - { method, value }
+ * @returns {string} Human readable description
+ */
+function describeSheetSelection(sheetSelection) {
+    const value = escapeHtml(String(sheetSelection?.value ?? ''));
+
+    switch (sheetSelection?.method) {
+        case 'name': return `"${value}"`;
+        case 'index': return `position ${Number(sheetSelection.value) + 1}`;
+        case 'regex': return `first matching /${value}/`;
+        case 'all-matching': return `all matching /${value}/`;
+        default: return 'first sheet';
+    }
+}
+
+// ========== TEXT FILE FORMAT ==========
+
+/**
+ * Show how a text file is read (format, delimiter, quote, encoding) and, for fixed-width
+ * files, the column break editor
+ * @param {Object} workbook - Workbook of the current file
+ */
+async function initTextFormatControls(workbook) {
+    const bar = document.getElementById('text-format-bar');
+    if (!bar) return;
+
+    const textFormat = workbook.textFormat;
+    bar.style.display = textFormat ? 'block' : 'none';
+    if (!textFormat) return;
+
+    const delimiterSelect = document.getElementById('text-delimiter-select');
+    delimiterSelect.innerHTML = Object.entries(window.TEXT_DELIMITERS).map(([delimiter, name], index) =>
+        `<option value="${index}"${delimiter === textFormat.delimiter ? ' selected' : ''}>${name}</option>`
+    ).join('');
+
+    document.getElementById('text-encoding-select').innerHTML = window.TEXT_ENCODINGS.map(encoding =>
+        `<option value="${encoding}"${encoding === textFormat.encoding ? ' selected' : ''}>${encoding}</option>`
+    ).join('');
+
+    document.getElementById('text-format-select').value = textFormat.format;
+    document.getElementById('text-quote-select').value = textFormat.quote || '';
+
+    const fixedWidth = textFormat.format === 'fixed-width';
+    document.getElementById('text-delimiter-group').style.display = fixedWidth ? 'none' : 'flex';
+    document.getElementById('text-quote-group').style.display = fixedWidth ? 'none' : 'flex';
+    document.getElementById('text-format-status').textContent = fixedWidth ?
+        `${window.describeTextFormat(textFormat)} - click a position to add or remove a column break` :
+        window.describeTextFormat(textFormat);
+
+    await renderColumnBreakEditor(textFormat);
+}
+
+/**
+ * Render the first lines of a fixed-width file with its column breaks
+ * Each character position can be clicked to add or remove a break
+ * @param {Object} textFormat - Text format of the current file
+ */
+async function renderColumnBreakEditor(textFormat) {
+    const editor = document.getElementById('column-break-editor');
+    if (textFormat.format !== 'fixed-width') {
+        editor.style.display = 'none';
+        return;
+    }
+
+    const bytes = new Uint8Array(await window.currentMappingFile.file.arrayBuffer());
+    const lines = window.readTextSampleLines(bytes, textFormat.encoding).slice(0, 20);
+    const width = Math.max(0, ...lines.map(line => line.length));
+    const breaks = new Set(textFormat.columnBreaks);
+
+    const renderLine = (text, color) => {
+        let html = '';
+        for (let position = 0; position < width; position++) {
+            const border = breaks.has(position) ? 'border-left: 2px solid #00bcd4;' : 'border-left: 2px solid transparent;';
+            html += `<span data-position="${position}" style="${border}">${escapeHtml(text[position] || ' ')}</span>`;
+        }
+        return `<div style="white-space: pre; color: ${color};">${html}</div>`;
+    };
+
+    // Ruler with the tens digit every 10 positions
+    const ruler = Array.from({ length: width }, (_, position) =>
+        position % 10 === 0 ? String(position / 10 % 10) : '·'
+    ).join('');
+
+    editor.innerHTML = renderLine(ruler, '#666') + lines.map(line => renderLine(line, 'white')).join('');
+    editor.onclick = (event) => {
+        const position = Number(event.target.dataset?.position);
+        if (position > 0) {
+            toggleColumnBreak(position);
+        }
+    };
+    editor.style.display = 'block';
+}
+
+/**
+ * Add or remove a column break of the fixed-width file
+ * @param {number} position - Character position where a column starts
+ */
+async function toggleColumnBreak(position) {
+    const workbook = await ExcelCacheManager.getWorkbook(window.currentMappingFile.file);
+    const breaks = new Set(workbook.textFormat.columnBreaks);
+    if (breaks.has(position)) {
+        breaks.delete(position);
+    } else {
+        breaks.add(position);
+    }
+
+    await applyTextFormat({ ...workbook.textFormat, columnBreaks: [...breaks].sort((a, b) => a - b) });
+}
+
+/**
+ * Read the text file again with the format chosen in the controls
+ */
+async function changeTextFormat() {
+    const workbook = await ExcelCacheManager.getWorkbook(window.currentMappingFile.file);
+    const current = workbook.textFormat;
+    const format = document.getElementById('text-format-select').value;
+    const encoding = document.getElementById('text-encoding-select').value;
+
+    const textFormat = {
+        ...current,
+        format,
+        encoding,
+        delimiter: Object.keys(window.TEXT_DELIMITERS)[document.getElementById('text-delimiter-select').value] || current.delimiter || ';',
+        quote: document.getElementById('text-quote-select').value
+    };
+
+    // Switching to fixed-width starts from the detected column breaks
+    if (format === 'fixed-width' && (current.format !== 'fixed-width' || encoding !== current.encoding)) {
+        const bytes = new Uint8Array(await window.currentMappingFile.file.arrayBuffer());
+        textFormat.columnBreaks = window.detectColumnBreaks(window.readTextSampleLines(bytes, encoding));
+    }
+
+    await applyTextFormat(textFormat);
+}
+
+/**
+ * Read the current file with another text format and reload the grids
+ * The range selection is cleared, because the columns may have moved
+ * @param {Object} textFormat - Text format
+ */
+async function applyTextFormat(textFormat) {
+    await ExcelCacheManager.getWorkbook(window.currentMappingFile.file, textFormat);
+    await loadHeaderSelectionGrid(headerSelectionSheetName);
+    updateSelectionStatus();
+}
+
 /**
  * Load the footer detection grid with last 10 rows
  */
@@ -589,6 +919,19 @@ async function applyHeaderSelection() {
     const minCol = Math.min(state.startCol, state.endCol);
     const maxCol = Math.max(state.startCol, state.endCol);
 
+    // Validate the sheet selection before changing anything
+    const sheetSelection = getSheetSelectionFromControls();
+    try {
+        const workbook = await ExcelCacheManager.getWorkbook(window.currentMappingFile.file);
+        const sheetNames = GenericParser.resolveSheetNames(workbook, sheetSelection);
+        if (!sheetNames.includes(headerSelectionSheetName)) {
+            alert(`The selected sheet "${headerSelectionSheetName}" does not match the sheet pattern.\n\nSheets matching: ${sheetNames.join(', ')}\n\nSelect the header range on one of these sheets.`);
+            return;
+        }
+    } catch (error) {
+        alert('Invalid sheet selection: ' + error.message);
+        return;
+    }
 
     // Store the selection in currentPatternAnalysis for use by other functions
     if (!window.currentPatternAnalysis) {
@@ -606,6 +949,11 @@ async function applyHeaderSelection() {
     window.currentPatternAnalysis.dataSection.endColumnIndex = maxCol;
     window.currentPatternAnalysis.suggestedHeaderRow = minRow;
     window.currentPatternAnalysis.confidence = 1.0; // Manual selection = 100% confidence
+    window.currentPatternAnalysis.sheetName = headerSelectionSheetName;
+    window.currentPatternAnalysis.sheetSelection = sheetSelection;
+
+    // The selection replaces the parsing rules of a restored template
+    delete window.currentPatternAnalysis.sourceParsingConfig;
 
     // Store additional info for parsingConfig
     window.currentPatternAnalysis.manualSelection = {
@@ -625,12 +973,309 @@ async function applyHeaderSelection() {
         await loadSourceColumnsFromAnalysis(window.currentMappingFile.file, window.currentPatternAnalysis, container);
     }
 
+    window.scheduleSessionSave();
+
     console.log('Applied header selection:', {
         headerRange: window.currentPatternAnalysis.manualSelection.headerRange,
-        footerKeyword: state.footerKeyword
+        footerKeyword: state.footerKeyword,
+        sheetSelection: sheetSelection
+    });
+}
+
+// ========== MULTI-ROW RECORD CONFIGURATION ==========
+
+/**
+ * Show the multi-row record configuration modal (N physical rows → 1 record)
+ */
+function showMultiRowRecordConfig() {
+    if (!window.currentMappingFile || !window.currentPatternAnalysis) {
+        alert('Please select a file first.');
+        return;
+    }
+
+    const current = GenericParser.rowProcessingFromAnalysis(window.currentPatternAnalysis);
+    const rowsPerRecord = current.type === 'multi-row' ? current.rowsPerRecord : 2;
+    const hasExplicitConfig = window.currentPatternAnalysis.rowProcessing?.type === 'multi-row';
+
+    const modalHtml = `
+        <div id="multi-row-modal" style="position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.8); z-index: 1000; display: flex; justify-content: center; align-items: center;">
+            <div style="background: #2a2a2a; border-radius: 8px; padding: 24px; max-width: 900px; width: 90%; max-height: 90vh; overflow-y: auto; color: white;">
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 16px;">
+                    <h3 style="margin: 0; color: #00bcd4;">Multi-row Records</h3>
+                    <button onclick="closeMultiRowRecordConfig()" style="background: none; border: none; color: #888; font-size: 24px; cursor: pointer;">&times;</button>
+                </div>
+                <div style="background: #333; padding: 12px; border-radius: 4px; margin-bottom: 16px; color: #ccc;">
+                    <strong>Instructions:</strong> Use this when one record is spread over several rows (like BCI: policy and branche on the first row, insured and premium on the second).
+                    Fields of each line get the line prefix. A pattern splits the first cell of a line into extra fields, e.g. <code>^(\\S+)\\s+(.+)$</code> with fields <code>Polisnr, Branche</code>.
+                </div>
+
+                <div style="display: flex; align-items: center; gap: 16px; flex-wrap: wrap; margin-bottom: 16px;">
+                    <div style="display: flex; align-items: center; gap: 8px;">
+                        <label style="color: #ccc;">Rows per record:</label>
+                        <input type="number" id="multi-row-count" min="2" max="10" value="${rowsPerRecord}" onchange="renderMultiRowLineInputs()" style="background: #2a2a2a; border: 1px solid #555; color: white; padding: 4px 8px; border-radius: 4px; width: 60px;" />
+                    </div>
+                    <div style="display: flex; align-items: center; gap: 8px; flex: 1;">
+                        <label style="color: #ccc; white-space: nowrap;">Stop when first cell no longer matches:</label>
+                        <input type="text" id="multi-row-stop-pattern" value="${escapeHtml(current.stopCondition?.pattern || '')}" placeholder="optional regex, e.g. ^\\d{4}\\." style="background: #2a2a2a; border: 1px solid #555; color: white; padding: 4px 8px; border-radius: 4px; flex: 1;" />
+                    </div>
+                </div>
+
+                <div id="multi-row-lines" style="margin-bottom: 16px;">
+                    <!-- Line configuration rows are rendered here -->
+                </div>
+
+                <div id="multi-row-preview" style="border: 1px solid #555; border-radius: 4px; overflow: auto; max-height: 30vh; display: none;">
+                    <!-- Preview of the first records -->
+                </div>
+
+                <div style="margin-top: 16px; display: flex; justify-content: space-between; align-items: center;">
+                    <button class="btn btn-secondary" onclick="previewMultiRowRecords()">Preview</button>
+                    <div>
+                        ${hasExplicitConfig ? '<button class="btn btn-secondary" onclick="clearMultiRowRecordConfig()" style="margin-right: 8px;">Use single-row records</button>' : ''}
+                        <button class="btn btn-secondary" onclick="closeMultiRowRecordConfig()" style="margin-right: 8px;">Cancel</button>
+                        <button class="btn" onclick="applyMultiRowRecordConfig()">Apply</button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
+
+    document.body.insertAdjacentHTML('beforeend', modalHtml);
+    renderMultiRowLineInputs(current.lines || []);
+}
+
+/**
+ * Close the multi-row record configuration modal
+ */
+function closeMultiRowRecordConfig() {
+    const modal = document.getElementById('multi-row-modal');
+    if (modal) {
+        modal.remove();
+    }
+}
+
+/**
+ * Render one configuration row per record line, keeping values already typed
+ * @param {Array} lines - Stored line configuration (only used when the modal opens)
+ */
+function renderMultiRowLineInputs(lines = null) {
+    const container = document.getElementById('multi-row-lines');
+    if (!container) return;
+
+    const count = Math.min(10, Math.max(2, parseInt(document.getElementById('multi-row-count').value, 10) || 2));
+    const currentLines = lines || readMultiRowLineInputs();
+    const sharedHeader = (window.currentPatternAnalysis.manualSelection?.headerRows || 1) < count;
+    const inputStyle = 'background: #2a2a2a; border: 1px solid #555; color: white; padding: 4px 8px; border-radius: 4px;';
+
+    let html = `
+        <table style="width: 100%; border-collapse: collapse; font-size: 12px;">
+            <thead>
+                <tr style="background: #444;">
+                    <th style="padding: 6px; border: 1px solid #555; color: #888; width: 60px;">Line</th>
+                    <th style="padding: 6px; border: 1px solid #555; color: #888;">Field prefix</th>
+                    <th style="padding: 6px; border: 1px solid #555; color: #888;">Split first cell (regex)</th>
+                    <th style="padding: 6px; border: 1px solid #555; color: #888;">Fields for pattern groups</th>
+                </tr>
+            </thead>
+            <tbody>
+    `;
+
+    for (let i = 0; i < count; i++) {
+        const line = currentLines[i] || {};
+        const defaultPrefix = sharedHeader && i > 0 ? `Row${i + 1}_` : 'none';
+
+        html += `
+            <tr>
+                <td style="padding: 6px; border: 1px solid #555; color: #888; text-align: center;">${i + 1}</td>
+                <td style="padding: 6px; border: 1px solid #555;"><input type="text" class="multi-row-prefix" value="${escapeHtml(line.prefix || '')}" placeholder="default: ${defaultPrefix}" style="${inputStyle} width: 100%;" /></td>
+                <td style="padding: 6px; border: 1px solid #555;"><input type="text" class="multi-row-pattern" value="${escapeHtml(line.pattern || '')}" placeholder="optional" style="${inputStyle} width: 100%;" /></td>
+                <td style="padding: 6px; border: 1px solid #555;"><input type="text" class="multi-row-groups" value="${escapeHtml((line.groups || []).join(', '))}" placeholder="e.g. Polisnr, Branche" style="${inputStyle} width: 100%;" /></td>
+            </tr>
+        `;
+    }
+
+    html += '</tbody></table>';
+    container.innerHTML = html;
+}
+
+/**
+ * Read the line configuration rows from the modal
+ * @returns {Array} Line configurations { prefix?, pattern?, groups? }
+ */
+function readMultiRowLineInputs() {
+    const prefixes = document.querySelectorAll('#multi-row-lines .multi-row-prefix');
+    const patterns = document.querySelectorAll('#multi-row-lines .multi-row-pattern');
+    const groups = document.querySelectorAll('#multi-row-lines .multi-row-groups');
+
+    return Array.from(prefixes).map((prefixInput, i) => {
+        const line = {};
+        const prefix = prefixInput.value.trim();
+        const pattern = patterns[i].value.trim();
+        const groupNames = groups[i].value.split(',').map(name => name.trim()).filter(name => name);
+
+        // An empty prefix keeps the default, so it is not stored
+        if (prefix) line.prefix = prefix;
+        if (pattern) {
+            line.pattern = pattern;
+            line.groups = groupNames;
+        }
+        return line;
     });
 }
 
+/**
+ * Build and validate the rowProcessing configuration from the modal
+ * @returns {Object} rowProcessing configuration for parsingConfig
+ */
+function readMultiRowRecordConfig() {
+    const lines = readMultiRowLineInputs();
+    const stopPattern = document.getElementById('multi-row-stop-pattern').value.trim();
+
+    // Validate patterns here so mistakes show up before processing files
+    lines.forEach((line, i) => {
+        if (!line.pattern) return;
+        try {
+            new RegExp(line.pattern);
+        } catch (error) {
+            throw new Error(`Line ${i + 1} pattern is invalid: ${error.message}`);
+        }
+        if (line.groups.length === 0) {
+            throw new Error(`Line ${i + 1} has a pattern but no field names for its groups`);
+        }
+    });
+
+    if (stopPattern) {
+        try {
+            new RegExp(stopPattern);
+        } catch (error) {
+            throw new Error(`Stop pattern is invalid: ${error.message}`);
+        }
+    }
+
+    return {
+        type: 'multi-row',
+        rowsPerRecord: lines.length,
+        lines: lines,
+        stopCondition: stopPattern ? { type: 'pattern-mismatch', pattern: stopPattern } : null
+    };
+}
+
+/**
+ * Show the first records as they would be extracted with the configuration in the modal
+ */
+async function previewMultiRowRecords() {
+    const previewContainer = document.getElementById('multi-row-preview');
+
+    try {
+        const rowProcessing = readMultiRowRecordConfig();
+        const workbook = await ExcelCacheManager.getWorkbook(window.currentMappingFile.file);
+        const records = await GenericParser.parseWithAnalysis(workbook, {
+            ...window.currentPatternAnalysis,
+            filename: window.currentMappingFile.name,
+            rowProcessing
+        });
+
+        previewContainer.style.display = 'block';
+
+        if (records.length === 0) {
+            previewContainer.innerHTML = '<div style="padding: 16px; color: #888;">No records found with this configuration</div>';
+            return;
+        }
+
+        const sample = records.slice(0, 3);
+        const fields = Object.keys(sample[0]).filter(key => !key.startsWith('__'));
+
+        previewContainer.innerHTML = `
+            <table style="width: 100%; border-collapse: collapse; font-size: 11px;">
+                <thead>
+                    <tr style="background: #444; position: sticky; top: 0;">
+                        <th style="padding: 4px; border: 1px solid #555; color: #888;">Field</th>
+                        ${sample.map((_, i) => `<th style="padding: 4px; border: 1px solid #555; color: #888;">Record ${i + 1}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${fields.map(field => `
+                        <tr>
+                            <td style="padding: 4px; border: 1px solid #555; color: #00bcd4;">${escapeHtml(field)}</td>
+                            ${sample.map(record => `<td style="padding: 4px; border: 1px solid #555;">${escapeHtml(String(record[field] ?? ''))}</td>`).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <div style="padding: 6px; color: #888; font-size: 11px;">${records.length} records in total</div>
+        `;
+    } catch (error) {
+        previewContainer.style.display = 'block';
+        previewContainer.innerHTML = `<div style="padding: 16px; color: #f44336;">${escapeHtml(error.message)}</div>`;
+    }
+}
+
+/**
+ * Store the multi-row configuration and reload the source columns
+ */
+async function applyMultiRowRecordConfig() {
+    let rowProcessing;
+    try {
+        rowProcessing = readMultiRowRecordConfig();
+    } catch (error) {
+        alert(error.message);
+        return;
+    }
+
+    window.currentPatternAnalysis.rowProcessing = rowProcessing;
+    closeMultiRowRecordConfig();
+
+    const container = document.getElementById('source-columns');
+    if (container) {
+        await loadSourceColumnsFromAnalysis(window.currentMappingFile.file, window.currentPatternAnalysis, container);
+    }
+
+    window.scheduleSessionSave();
+
+    console.log('Applied multi-row record configuration:', rowProcessing);
+}
+
+/**
+ * Remove the multi-row configuration (back to one row per record)
+ * The single-row choice is kept explicitly, so a multi-row header selection does not bring it back
+ */
+async function clearMultiRowRecordConfig() {
+    window.currentPatternAnalysis.rowProcessing = { type: 'single' };
+    closeMultiRowRecordConfig();
+
+    const container = document.getElementById('source-columns');
+    if (container) {
+        await loadSourceColumnsFromAnalysis(window.currentMappingFile.file, window.currentPatternAnalysis, container);
+    }
+
+    window.scheduleSessionSave();
+}
+
+/**
+ * Describe a multi-row configuration for display in the mapping tab
+ * @param {Object} rowProcessing - rowProcessing configuration
+ * @returns {string} Human readable description
+ */
+function describeMultiRowRecords(rowProcessing) {
+    let description = `${rowProcessing.rowsPerRecord} rows per record`;
+
+    const prefixes = (rowProcessing.lines || []).map(line => line.prefix).filter(prefix => prefix);
+    if (prefixes.length > 0) {
+        description += `, prefixes ${prefixes.map(prefix => `"${escapeHtml(prefix)}"`).join(', ')}`;
+    }
+
+    const splitFields = (rowProcessing.lines || []).flatMap(line => line.pattern ? line.groups || [] : []);
+    if (splitFields.length > 0) {
+        description += `, split fields: ${splitFields.map(field => escapeHtml(field)).join(', ')}`;
+    }
+
+    if (rowProcessing.stopCondition?.pattern) {
+        description += `, stops when first cell no longer matches /${escapeHtml(rowProcessing.stopCondition.pattern)}/`;
+    }
+
+    return description;
+}
+
 // ========== HEADER LOADING ==========
 // Note: loadHeadersFromSelection() has been removed to eliminate code duplication.
 // We now use loadSourceColumnsFromAnalysis() from app.js which properly handles multi-row headers.
@@ -688,6 +1333,22 @@ function displaySourceColumns(headers) {
 
     columnsContainer.appendChild(filenameColumn);
 
+    // Virtual sheet column: name of the worksheet each record was read from
+    const sheetColumn = document.createElement('div');
+    sheetColumn.className = 'column-item filename-column';
+    sheetColumn.draggable = true;
+    sheetColumn.setAttribute('data-column-name', '_sheet');
+
+    sheetColumn.innerHTML = `
+        <strong>📑 _sheet</strong>
+        <span style="color: #888;">(text)</span>
+    `;
+
+    sheetColumn.addEventListener('dragstart', window.handleDragStart);
+    sheetColumn.addEventListener('dragend', window.handleDragEnd);
+
+    columnsContainer.appendChild(sheetColumn);
+
     // Add regular source columns
     headers.forEach(header => {
         const columnItem = document.createElement('div');
@@ -770,6 +1431,12 @@ window.showManualHeaderSelection = showManualHeaderSelection;
 window.closeManualHeaderSelection = closeManualHeaderSelection;
 window.loadHeaderSelectionGrid = loadHeaderSelectionGrid;
 window.loadFooterDetectionGrid = loadFooterDetectionGrid;
+window.getAnalysisSheetName = getAnalysisSheetName;
+window.changeHeaderSelectionSheet = changeHeaderSelectionSheet;
+window.updateSheetSelectionControls = updateSheetSelectionControls;
+window.describeSheetSelection = describeSheetSelection;
+window.changeTextFormat = changeTextFormat;
+window.toggleColumnBreak = toggleColumnBreak;
 window.selectFooterKeyword = selectFooterKeyword;
 window.updateFooterKeyword = updateFooterKeyword;
 window.clearFooterKeyword = clearFooterKeyword;
@@ -784,6 +1451,13 @@ window.clearRangeSelection = clearRangeSelection;
 window.updateRangeVisual = updateRangeVisual;
 window.updateSelectionStatus = updateSelectionStatus;
 window.applyHeaderSelection = applyHeaderSelection;
+window.showMultiRowRecordConfig = showMultiRowRecordConfig;
+window.closeMultiRowRecordConfig = closeMultiRowRecordConfig;
+window.renderMultiRowLineInputs = renderMultiRowLineInputs;
+window.previewMultiRowRecords = previewMultiRowRecords;
+window.applyMultiRowRecordConfig = applyMultiRowRecordConfig;
+window.clearMultiRowRecordConfig = clearMultiRowRecordConfig;
+window.describeMultiRowRecords = describeMultiRowRecords;
 window.loadHeadersFromManualSelection = loadHeadersFromManualSelection;
 window.displaySourceColumns = displaySourceColumns;
 window.detectFooterKeyword = detectFooterKeyword;
@@ -0,0 +1,303 @@
+/**
+ * Borderellen Converter - History Manager Module
+ * Records every processed file as a run (content hash, mapping and version, user, warnings, output)
+ * and handles the History tab to browse, re-open and re-download past runs
+ */
+
+// Run metadata shown in the History tab (records are loaded on demand)
+window.processingRuns = [];
+
+// Runs recorded in this session; their files are still in the upload list
+const sessionRunIds = new Set();
+
+// ========== RECORDING ==========
+
+/**
+ * Compute the SHA-256 hash of a file's content, so the same delivery can be recognized under any name
+ * @param {File} file - Source file
+ * @returns {Promise<string|null>} Hex hash, or null when hashing is not available (e.g. insecure context)
+ */
+async function computeContentHash(file) {
+    if (!file || !window.crypto?.subtle) {
+        return null;
+    }
+
+    try {
+        const digest = await window.crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+        return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+    } catch (error) {
+        console.warn('Could not hash file content:', error);
+        return null;
+    }
+}
+
+/**
+ * Describe the warnings of a run: rows with issues and totals that do not reconcile
+ * @param {Object} issues - Issue summary (see summarizeIssues)
+ * @param {Object|null} reconciliation - Reconciliation result
+ * @returns {Array} Warning texts
+ */
+function getRunWarnings(issues, reconciliation) {
+    const warnings = [];
+
+    if (issues.errors > 0) warnings.push(`${issues.errors} errors`);
+    if (issues.warnings > 0) warnings.push(`${issues.warnings} rule warnings`);
+    if (reconciliation?.status === 'fail') {
+        warnings.push(`Totals do not match: ${window.describeReconciliation(reconciliation)}`);
+    }
+
+    return warnings;
+}
+
+/**
+ * Record a processed file in the processing history
+ * Failures are logged and never interrupt processing
+ * @param {Object} fileData - Processed file ({ file, name })
+ * @param {Object} detection - Detection result with the file mapping used
+ * @param {Array} records - Produced records
+ * @param {Object} issues - Issue summary
+ * @param {Object|null} reconciliation - Reconciliation result
+ * @returns {Promise<Object|null>} Saved run, or null when it could not be saved
+ */
+async function recordProcessingRun(fileData, detection, records, issues, reconciliation) {
+    try {
+        const mapping = detection.template || null;
+        const template = window.borderellenTemplate;
+        const keyColumns = window.getRecordKeyColumns(template);
+
+        const run = {
+            id: `run-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            fileName: fileData.name,
+            fileSize: fileData.file?.size || 0,
+            contentHash: await computeContentHash(fileData.file),
+            mappingId: mapping?.id || null,
+            mappingName: mapping?.name || detection.name || 'Manual mapping',
+            mappingVersion: mapping?.version || null,
+            mappingLastModified: mapping?.lastModified || null,
+            // Snapshot of the output template, so a re-download has the columns of the day
+            template: {
+                id: template?.id || null,
+                name: template?.name || '',
+                columns: (template?.columns || []).map(column => ({
+                    name: column.name,
+                    type: column.type,
+                    format: column.format || '',
+                    required: !!column.required
+                }))
+            },
+            recordCount: records.length,
+            // Record keys, so later deliveries can be checked for duplicates without loading the records
+            recordKeyColumns: keyColumns,
+            recordKeys: [...window.buildRecordKeySet(records, keyColumns)],
+            user: window.appSettings?.userName || 'User',
+            processedAt: new Date().toISOString(),
+            issues: { rows: issues.rows, errors: issues.errors, warnings: issues.warnings },
+            reconciliation: reconciliation,
+            warnings: getRunWarnings(issues, reconciliation)
+        };
+
+        if (!await window.saveProcessingRun(run, records)) {
+            return null;
+        }
+
+        sessionRunIds.add(run.id);
+        window.processingRuns.unshift(run);
+        return run;
+    } catch (error) {
+        console.error('Error recording processing run:', error);
+        return null;
+    }
+}
+
+/**
+ * Whether a run was recorded in this session
+ * @param {string} runId - Run ID
+ * @returns {boolean} True for runs of files processed since the page was loaded
+ */
+function isSessionRun(runId) {
+    return sessionRunIds.has(runId);
+}
+
+// ========== HISTORY TAB ==========
+
+/**
+ * Load the processing history and display it
+ */
+async function loadAndDisplayHistory() {
+    window.processingRuns = await window.loadProcessingRuns();
+    displayHistoryTable();
+}
+
+/**
+ * Runs matching the History tab filters (text, date range, only runs with warnings)
+ * @returns {Array} Filtered runs, newest first
+ */
+function getFilteredRuns() {
+    const search = (document.getElementById('history-search')?.value || '').trim().toLowerCase();
+    const from = document.getElementById('history-from')?.value || '';
+    const to = document.getElementById('history-to')?.value || '';
+    const warningsOnly = document.getElementById('history-warnings-only')?.checked || false;
+
+    return window.processingRuns.filter(run => {
+        const day = run.processedAt.slice(0, 10);
+        if (from && day < from) return false;
+        if (to && day > to) return false;
+        if (warningsOnly && run.warnings.length === 0) return false;
+
+        if (search) {
+            const text = [run.fileName, run.mappingName, run.user, run.template.name, run.contentHash || ''].join(' ').toLowerCase();
+            if (!text.includes(search)) return false;
+        }
+        return true;
+    });
+}
+
+/**
+ * Display processing runs in the History tab
+ */
+function displayHistoryTable() {
+    const tableBody = document.getElementById('history-table-body');
+    const tableContainer = document.getElementById('history-table-container');
+    const noHistoryMessage = document.getElementById('no-history-message');
+    const countDisplay = document.getElementById('history-count-display');
+
+    if (!tableBody) return;
+
+    const runs = getFilteredRuns();
+    countDisplay.textContent = `${runs.length} of ${window.processingRuns.length} runs`;
+
+    if (runs.length === 0) {
+        tableBody.innerHTML = '';
+        tableContainer.style.display = 'none';
+        noHistoryMessage.style.display = 'block';
+        return;
+    }
+
+    tableContainer.style.display = 'block';
+    noHistoryMessage.style.display = 'none';
+
+    tableBody.innerHTML = runs.map(run => `
+        <tr>
+            <td style="white-space: nowrap;">${new Date(run.processedAt).toLocaleString()}</td>
+            <td>
+                <strong>${escapeHtml(run.fileName)}</strong>
+                ${run.supersededBy ? `<small style="margin-left: 8px; color: #888;" title="Replaced on ${window.escapeAttribute(new Date(run.supersededAt).toLocaleString())}">Replaced</small>` :
+                    run.replacedRecordCount ? `<small style="margin-left: 8px; color: #888;">${run.replacedRecordCount} records replaced</small>` : ''}
+            </td>
+            <td>${escapeHtml(run.mappingName)}${run.mappingVersion ? ` <small style="color: #888;">v${escapeHtml(run.mappingVersion)}</small>` : ''}</td>
+            <td>${run.recordCount.toLocaleString()}</td>
+            <td>${escapeHtml(run.user)}</td>
+            <td style="font-size: 12px;">
+                ${run.warnings.length > 0 ?
+                    `<span style="color: #ff9800;" title="${window.escapeAttribute(run.warnings.join('\n'))}">⚠ ${escapeHtml(run.warnings[0])}${run.warnings.length > 1 ? ` (+${run.warnings.length - 1})` : ''}</span>` :
+                    '<span style="color: #4caf50;">None</span>'}
+                ${window.renderReconciliationBadge(run.reconciliation)}
+            </td>
+            <td style="font-family: monospace; font-size: 12px; color: #888;" title="${window.escapeAttribute(run.contentHash || 'Not available')}">${run.contentHash ? run.contentHash.slice(0, 12) : '-'}</td>
+            <td>
+                <div style="display: flex; gap: 4px; flex-wrap: wrap;">
+                    <button class="btn btn-secondary" style="padding: 4px 8px; font-size: 12px;" onclick="openHistoryRun('${run.id}')">Open in Results</button>
+                    <button class="btn btn-secondary" style="padding: 4px 8px; font-size: 12px;" onclick="downloadHistoryRun('${run.id}')">Download Excel</button>
+                    <button class="btn btn-secondary" style="padding: 4px 8px; font-size: 12px;" onclick="deleteHistoryRunWithUI('${run.id}')">Delete</button>
+                </div>
+            </td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Load a run together with its records
+ * @param {string} runId - Run ID
+ * @returns {Promise<Object|null>} { run, records } or null (the user has been told why)
+ */
+async function loadHistoryRun(runId) {
+    const run = window.processingRuns.find(r => r.id === runId);
+    if (!run) {
+        alert('Run not found in the processing history.');
+        return null;
+    }
+
+    const records = await window.loadProcessingRunRecords(runId);
+    if (!records) {
+        alert(`The output of "${run.fileName}" is no longer stored.`);
+        return null;
+    }
+
+    return { run, records };
+}
+
+/**
+ * Re-open a past run in the Results tab
+ * @param {string} runId - Run ID
+ */
+async function openHistoryRun(runId) {
+    const loaded = await loadHistoryRun(runId);
+    if (loaded) {
+        window.showHistoryRunInResults(loaded.run, loaded.records);
+    }
+}
+
+/**
+ * Re-download the output of a past run in the column layout it was produced with
+ * @param {string} runId - Run ID
+ */
+async function downloadHistoryRun(runId) {
+    const loaded = await loadHistoryRun(runId);
+    if (!loaded) return;
+
+    try {
+        const wb = window.buildTemplateExportWorkbook(loaded.records, loaded.run.template, window.appSettings);
+        const baseName = loaded.run.fileName.replace(/\.[^/.]+$/, '');
+        const timestamp = loaded.run.processedAt.slice(0, 19).replace(/[:.]/g, '-');
+        await window.downloadExcelToPreferredFolder(wb, `${baseName}_processed_${timestamp}.xlsx`);
+    } catch (error) {
+        console.error('Error downloading run:', error);
+        alert(`Failed to download Excel file: ${error.message}`);
+    }
+}
+
+/**
+ * Delete a run from the processing history after confirmation
+ * @param {string} runId - Run ID
+ */
+async function deleteHistoryRunWithUI(runId) {
+    const run = window.processingRuns.find(r => r.id === runId);
+    if (!run || !confirm(`Delete the run of "${run.fileName}" from ${new Date(run.processedAt).toLocaleString()}?`)) {
+        return;
+    }
+
+    if (await window.deleteProcessingRun(runId)) {
+        window.processingRuns = window.processingRuns.filter(r => r.id !== runId);
+        if (window.resultsHistoryRun?.run.id === runId) {
+            window.resultsHistoryRun = null;
+        }
+        displayHistoryTable();
+    } else {
+        alert('Error deleting run');
+    }
+}
+
+/**
+ * Set up the History tab filters
+ */
+function setupHistoryTabListeners() {
+    ['history-search', 'history-from', 'history-to', 'history-warnings-only'].forEach(id => {
+        const element = document.getElementById(id);
+        if (element) {
+            element.removeEventListener('input', displayHistoryTable);
+            element.addEventListener('input', displayHistoryTable);
+        }
+    });
+}
+
+// Export functions globally for cross-module access
+window.computeContentHash = computeContentHash;
+window.getRunWarnings = getRunWarnings;
+window.recordProcessingRun = recordProcessingRun;
+window.isSessionRun = isSessionRun;
+window.loadAndDisplayHistory = loadAndDisplayHistory;
+window.displayHistoryTable = displayHistoryTable;
+window.openHistoryRun = openHistoryRun;
+window.downloadHistoryRun = downloadHistoryRun;
+window.deleteHistoryRunWithUI = deleteHistoryRunWithUI;
+window.setupHistoryTabListeners = setupHistoryTabListeners;
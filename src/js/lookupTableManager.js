@@ -0,0 +1,242 @@
+/**
+ * Borderellen Converter - Lookup Table Manager Module
+ * Handles named lookup tables (code translations) used by LOOKUP() in CALC: formulas
+ */
+
+// Global lookup table state
+window.allLookupTables = [];
+
+// ========== LOOKUP TABLE MANAGEMENT FUNCTIONS ==========
+
+/**
+ * Load lookup tables, register them with the calculation engine and display them
+ */
+async function loadAndDisplayLookupTables() {
+    try {
+        window.allLookupTables = await window.loadAllLookupTables();
+
+        // Formulas evaluate synchronously, so the engine works from an in-memory copy
+        if (typeof window.registerLookupTables === 'function') {
+            window.registerLookupTables(window.allLookupTables);
+        }
+
+        displayLookupTablesTable(window.allLookupTables);
+    } catch (error) {
+        console.error('Error loading lookup tables:', error);
+    }
+}
+
+/**
+ * Display lookup tables in the File Mapping tab
+ */
+function displayLookupTablesTable(tables) {
+    const tableBody = document.getElementById('lookup-tables-table-body');
+    const tableContainer = document.getElementById('lookup-tables-table-container');
+    const noTablesMessage = document.getElementById('no-lookup-tables-message');
+
+    if (!tableBody) return;
+
+    if (!tables || tables.length === 0) {
+        tableBody.innerHTML = '';
+        tableContainer.style.display = 'none';
+        noTablesMessage.style.display = 'block';
+        return;
+    }
+
+    tableContainer.style.display = 'block';
+    noTablesMessage.style.display = 'none';
+
+    tableBody.innerHTML = tables.map(table => `
+        <tr>
+            <td><strong>${escapeHtml(table.name)}</strong></td>
+            <td>${escapeHtml(table.keyColumn)}</td>
+            <td>${escapeHtml(table.valueColumn)}</td>
+            <td>${table.rows.length}</td>
+            <td style="font-size: 12px; color: #888;">${escapeHtml(table.sourceFileName || '-')}</td>
+            <td style="font-size: 12px; color: #888;">${new Date(table.lastModified || table.created).toLocaleDateString()}</td>
+            <td>
+                <div style="display: flex; gap: 4px; flex-wrap: wrap;">
+                    <button class="btn btn-secondary" style="padding: 4px 8px; font-size: 12px;" onclick="copyLookupFormula('${table.id}')" title="Copy an example LOOKUP formula">Copy Formula</button>
+                    <button class="btn btn-secondary" style="padding: 4px 8px; font-size: 12px;" onclick="exportLookupTable('${table.id}')">Export JSON</button>
+                    <button class="btn" style="padding: 4px 8px; font-size: 12px; background: #dc3545; border-color: #dc3545;" onclick="deleteLookupTableWithUI('${table.id}')">Delete</button>
+                </div>
+            </td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Import a lookup table from the first sheet of an Excel or CSV file
+ * The first row holds the column names; by default the first column is the key
+ * and the second column is the value returned by LOOKUP()
+ */
+async function importLookupTableFromSpreadsheet(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    try {
+        const workbook = await ExcelCacheManager.getWorkbook(file);
+        const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+        const rows = XLSX.utils.sheet_to_json(worksheet, { defval: '' });
+
+        if (rows.length === 0) {
+            alert('The selected file contains no data rows. The first row must contain column names.');
+            return;
+        }
+
+        const columns = Object.keys(rows[0]).filter(column => !column.startsWith('__EMPTY'));
+        if (columns.length < 2) {
+            alert('A lookup table needs at least two columns: a key column and a value column.');
+            return;
+        }
+
+        const defaultName = file.name.replace(/\.[^.]+$/, '');
+        const name = prompt('Enter a name for this lookup table (used in formulas as LOOKUP("name", key, default)):', defaultName);
+        if (!name || !name.trim()) return;
+
+        let keyColumn = columns[0];
+        let valueColumn = columns[1];
+
+        // Let the user pick the columns when the sheet has more than two
+        if (columns.length > 2) {
+            keyColumn = prompt(`Key column (available: ${columns.join(', ')}):`, keyColumn);
+            if (!keyColumn) return;
+            valueColumn = prompt(`Value column returned by LOOKUP (available: ${columns.join(', ')}):`, valueColumn);
+            if (!valueColumn) return;
+
+            if (!columns.includes(keyColumn) || !columns.includes(valueColumn)) {
+                alert('Unknown column name. Please use one of: ' + columns.join(', '));
+                return;
+            }
+        }
+
+        const existing = window.allLookupTables.find(t => t.name.toLowerCase() === name.trim().toLowerCase());
+        if (existing && !confirm(`A lookup table named "${existing.name}" already exists. Replace it?`)) {
+            return;
+        }
+
+        const success = await window.saveLookupTable({
+            name: name.trim(),
+            keyColumn,
+            valueColumn,
+            columns,
+            rows: rows.map(row => {
+                const cleanRow = {};
+                columns.forEach(column => cleanRow[column] = row[column]);
+                return cleanRow;
+            }),
+            sourceFileName: file.name
+        });
+
+        if (success) {
+            await loadAndDisplayLookupTables();
+            alert(`Lookup table "${name.trim()}" imported with ${rows.length} rows.\n\nUse it in a formula as:\nLOOKUP("${name.trim()}", ColumnName, "default")`);
+        } else {
+            alert('Error saving lookup table.');
+        }
+    } catch (error) {
+        console.error('Error importing lookup table:', error);
+        alert('Error importing lookup table: ' + error.message);
+    } finally {
+        ExcelCacheManager.clearCache(file);
+        event.target.value = '';
+    }
+}
+
+/**
+ * Import a lookup table from a previously exported JSON file
+ */
+async function importLookupTableFromJSON(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    try {
+        const result = await window.loadLookupTableFromJSON(file);
+
+        if (!result.success) {
+            alert('Error importing lookup table: ' + result.error);
+            return;
+        }
+
+        const existing = window.allLookupTables.find(t => t.name.toLowerCase() === result.table.name.toLowerCase());
+        if (existing && !confirm(`A lookup table named "${existing.name}" already exists. Replace it?`)) {
+            return;
+        }
+
+        if (await window.saveLookupTable(result.table)) {
+            await loadAndDisplayLookupTables();
+            alert(`Lookup table "${result.table.name}" imported with ${result.table.rows.length} rows.`);
+        } else {
+            alert('Error saving lookup table.');
+        }
+    } catch (error) {
+        console.error('Error importing lookup table:', error);
+        alert('Error importing lookup table: ' + error.message);
+    } finally {
+        event.target.value = '';
+    }
+}
+
+/**
+ * Export lookup table as JSON
+ */
+async function exportLookupTable(tableId) {
+    const table = window.allLookupTables.find(t => t.id === tableId);
+    if (!table) {
+        alert('Lookup table not found.');
+        return;
+    }
+
+    try {
+        await window.exportLookupTableAsJSON(table, null, window.appSettings);
+    } catch (error) {
+        console.error('Error exporting lookup table:', error);
+        alert('Error exporting lookup table: ' + error.message);
+    }
+}
+
+/**
+ * Delete lookup table after confirmation
+ */
+async function deleteLookupTableWithUI(tableId) {
+    const table = window.allLookupTables.find(t => t.id === tableId);
+    if (!table) return;
+
+    if (!confirm(`Delete lookup table "${table.name}"?\n\nFormulas using LOOKUP("${table.name}", ...) will fall back to their default value.`)) {
+        return;
+    }
+
+    if (await window.deleteLookupTable(tableId)) {
+        await loadAndDisplayLookupTables();
+    } else {
+        alert('Error deleting lookup table.');
+    }
+}
+
+/**
+ * Copy an example LOOKUP formula for a table to the clipboard
+ */
+async function copyLookupFormula(tableId) {
+    const table = window.allLookupTables.find(t => t.id === tableId);
+    if (!table) return;
+
+    const formula = `LOOKUP("${table.name}", ${table.keyColumn}, "")`;
+
+    try {
+        await navigator.clipboard.writeText(formula);
+        alert(`Copied to clipboard:\n${formula}\n\nReplace ${table.keyColumn} with the source column holding the code.`);
+    } catch (error) {
+        prompt('Copy this formula:', formula);
+    }
+}
+
+// ========== GLOBAL EXPORTS ==========
+
+// Lookup table management functions
+window.loadAndDisplayLookupTables = loadAndDisplayLookupTables;
+window.displayLookupTablesTable = displayLookupTablesTable;
+window.importLookupTableFromSpreadsheet = importLookupTableFromSpreadsheet;
+window.importLookupTableFromJSON = importLookupTableFromJSON;
+window.exportLookupTable = exportLookupTable;
+window.deleteLookupTableWithUI = deleteLookupTableWithUI;
+window.copyLookupFormula = copyLookupFormula;
@@ -0,0 +1,424 @@
+/**
+ * Borderellen Converter - Mapping Regression Tests
+ * Sample source files with their approved output are attached to a file mapping ("golden files").
+ * They are run through processBrokerFile on demand and before a mapping change is saved, so an
+ * edit that breaks older deliveries of the broker shows up as a cell-level difference
+ */
+
+// Cell differences shown per sample; the total count is always reported
+const MAX_DIFFERENCES_SHOWN = 200;
+
+// Mapping whose samples are shown in the tests modal
+let testsModalMappingId = null;
+
+// Pending save decision while the modal shows regressions of a mapping being saved
+let pendingRegressionDecision = null;
+
+// ========== RUNNING SAMPLES ==========
+
+/**
+ * Process a sample source file with a mapping, without recording it in the processing history
+ * @param {Object} sample - Sample with file content
+ * @param {Object} mapping - File mapping to test (may hold unsaved changes)
+ * @returns {Promise<Object>} Result of processBrokerFile
+ */
+async function processMappingSample(sample, mapping) {
+    const file = new File([sample.content], sample.fileName, { type: sample.fileType || '' });
+
+    return await window.processBrokerFile({
+        file: file,
+        name: sample.fileName,
+        skipHistory: true,
+        detectionOverride: {
+            type: 'custom',
+            parser: 'GenericBrokerParser',
+            template: mapping,
+            name: mapping.name
+        }
+    });
+}
+
+/**
+ * Format an output value for comparison
+ * @param {any} value - Record value
+ * @returns {string} Comparable text
+ */
+function normalizeSampleValue(value) {
+    return value === undefined || value === null ? '' : String(value);
+}
+
+/**
+ * Compare produced records with the approved output, row by row and column by column
+ * Internal fields (starting with _) are not compared
+ * @param {Array} approved - Approved records
+ * @param {Array} actual - Records produced now
+ * @returns {Object} { passed, expectedRows, actualRows, differences: [{ row, column, expected, actual }] }
+ */
+function compareSampleOutput(approved, actual) {
+    const differences = [];
+    const rowCount = Math.max(approved.length, actual.length);
+
+    for (let row = 0; row < rowCount; row++) {
+        const expectedRecord = approved[row] || {};
+        const actualRecord = actual[row] || {};
+        const columns = [...new Set([...Object.keys(expectedRecord), ...Object.keys(actualRecord)])]
+            .filter(column => !column.startsWith('_'));
+
+        columns.forEach(column => {
+            const expected = row < approved.length ? normalizeSampleValue(expectedRecord[column]) : null;
+            const actualValue = row < actual.length ? normalizeSampleValue(actualRecord[column]) : null;
+            if (expected !== actualValue) {
+                differences.push({ row: row + 1, column, expected, actual: actualValue });
+            }
+        });
+    }
+
+    return {
+        passed: differences.length === 0,
+        expectedRows: approved.length,
+        actualRows: actual.length,
+        differences
+    };
+}
+
+/**
+ * Run all samples of a mapping
+ * @param {Object} mapping - File mapping to test (may hold unsaved changes)
+ * @returns {Promise<Array>} [{ sample, passed, error, comparison }], empty when the mapping has no samples
+ */
+async function runMappingTests(mapping) {
+    const samples = mapping.id ? await window.loadMappingSamples(mapping.id) : [];
+    const results = [];
+
+    for (const sample of samples) {
+        try {
+            const result = await processMappingSample(sample, mapping);
+            if (!result.success) {
+                results.push({ sample, passed: false, error: result.error || 'Processing failed', comparison: null });
+                continue;
+            }
+
+            const comparison = compareSampleOutput(sample.approvedRecords, result.data);
+            results.push({ sample, passed: comparison.passed, error: null, comparison });
+        } catch (error) {
+            results.push({ sample, passed: false, error: error.message, comparison: null });
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Run the samples of a mapping before a change is saved
+ * When a sample no longer produces its approved output, the differences are shown and the user decides
+ * @param {Object} mapping - Mapping as it is about to be saved
+ * @returns {Promise<boolean>} True when the save may go ahead
+ */
+async function checkMappingRegressions(mapping) {
+    const results = await runMappingTests(mapping);
+    const failed = results.filter(result => !result.passed);
+
+    if (failed.length === 0) {
+        if (results.length > 0) {
+            console.log(`All ${results.length} regression samples of "${mapping.name}" produce their approved output`);
+        }
+        return true;
+    }
+
+    return await showRegressionDecision(mapping, results);
+}
+
+// ========== TESTS MODAL ==========
+
+/**
+ * Render regression test results with the cell differences of failing samples
+ * @param {Array} results - Results of runMappingTests
+ * @returns {string} HTML
+ */
+function renderRegressionResults(results) {
+    const cell = (value) => value === null ? '<span style="color: #666;">(no row)</span>' : value === '' ? '<span style="color: #666;">(empty)</span>' : escapeHtml(value);
+
+    return results.map(result => {
+        const { sample, comparison } = result;
+        const header = `
+            <div style="display: flex; align-items: center; gap: 8px; margin: 12px 0 8px;">
+                <span style="color: ${result.passed ? '#4caf50' : '#f44336'};">${result.passed ? '✓' : '✗'}</span>
+                <strong>${escapeHtml(sample.fileName)}</strong>
+                <small style="color: #888;">
+                    ${result.error ? escapeHtml(result.error) :
+                        result.passed ? `${comparison.actualRows} records as approved` :
+                        `${comparison.differences.length} differences, ${comparison.actualRows} records (approved ${comparison.expectedRows})`}
+                </small>
+            </div>
+        `;
+
+        if (result.passed || !comparison) return header;
+
+        const shown = comparison.differences.slice(0, MAX_DIFFERENCES_SHOWN);
+        return header + `
+            <div style="overflow-x: auto; max-height: 300px; overflow-y: auto;">
+                <table class="data-table">
+                    <thead>
+                        <tr><th>Row</th><th>Column</th><th>Approved</th><th>Now</th></tr>
+                    </thead>
+                    <tbody>
+                        ${shown.map(difference => `
+                            <tr>
+                                <td>${difference.row}</td>
+                                <td>${escapeHtml(difference.column)}</td>
+                                <td>${cell(difference.expected)}</td>
+                                <td class="cell-invalid">${cell(difference.actual)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ${comparison.differences.length > shown.length ? `<small style="color: #888;">First ${shown.length} of ${comparison.differences.length} differences shown</small>` : ''}
+        `;
+    }).join('');
+}
+
+/**
+ * Show failing samples while saving a mapping and wait for the user to save anyway or cancel
+ * @param {Object} mapping - Mapping about to be saved
+ * @param {Array} results - Results of runMappingTests
+ * @returns {Promise<boolean>} True when the user chose to save anyway
+ */
+function showRegressionDecision(mapping, results) {
+    const failed = results.filter(result => !result.passed).length;
+
+    document.getElementById('mapping-tests-title').textContent = `Regression Tests - ${mapping.name}`;
+    document.getElementById('mapping-tests-list').innerHTML = `
+        <p style="color: #f44336;">${failed} of ${results.length} sample files no longer produce their approved output with these changes.</p>
+    `;
+    document.getElementById('mapping-tests-results').innerHTML = renderRegressionResults(results);
+    document.getElementById('mapping-tests-add-btn').style.display = 'none';
+    document.getElementById('mapping-tests-run-btn').style.display = 'none';
+
+    const saveAnywayBtn = document.getElementById('mapping-tests-save-anyway-btn');
+    const closeBtn = document.getElementById('close-mapping-tests-btn');
+    saveAnywayBtn.style.display = 'inline-block';
+    closeBtn.textContent = 'Cancel Save';
+
+    showModal('mapping-tests-modal');
+
+    // Closing the modal in any other way cancels the save (see hideMappingTestsModal)
+    return new Promise(resolve => {
+        pendingRegressionDecision = (proceed) => {
+            pendingRegressionDecision = null;
+            saveAnywayBtn.onclick = null;
+            saveAnywayBtn.style.display = 'none';
+            closeBtn.textContent = 'Close';
+            hideModal('mapping-tests-modal');
+            resolve(proceed);
+        };
+        saveAnywayBtn.onclick = () => pendingRegressionDecision(true);
+    });
+}
+
+/**
+ * Show the regression samples of a file mapping
+ * @param {string} mappingId - Mapping ID
+ */
+async function showMappingTests(mappingId) {
+    const mapping = (await window.loadAllFileMappings()).find(m => m.id === mappingId);
+    if (!mapping) {
+        alert('File mapping not found. It may have been deleted.');
+        return;
+    }
+
+    testsModalMappingId = mappingId;
+    document.getElementById('mapping-tests-title').textContent = `Regression Tests - ${mapping.name}`;
+    document.getElementById('mapping-tests-results').innerHTML = '';
+    document.getElementById('mapping-tests-add-btn').style.display = 'inline-block';
+    document.getElementById('mapping-tests-run-btn').style.display = 'inline-block';
+    await displayMappingSamples();
+
+    showModal('mapping-tests-modal');
+}
+
+/**
+ * Display the samples of the mapping shown in the tests modal
+ */
+async function displayMappingSamples() {
+    const samples = await window.loadMappingSamples(testsModalMappingId);
+    const list = document.getElementById('mapping-tests-list');
+
+    if (samples.length === 0) {
+        list.innerHTML = `
+            <p style="color: #888;">No sample files yet. Add an earlier delivery of this broker: its current output is stored as the approved output,
+            and every later change to the mapping is checked against it.</p>
+        `;
+        return;
+    }
+
+    list.innerHTML = `
+        <table class="data-table">
+            <thead>
+                <tr><th>Sample File</th><th>Records</th><th>Approved</th><th>Mapping Version</th><th>Actions</th></tr>
+            </thead>
+            <tbody>
+                ${samples.map(sample => `
+                    <tr>
+                        <td><strong>${escapeHtml(sample.fileName)}</strong></td>
+                        <td>${sample.approvedRecords.length.toLocaleString()}</td>
+                        <td style="white-space: nowrap;">${new Date(sample.approvedAt).toLocaleString()} <small style="color: #888;">by ${escapeHtml(sample.approvedBy)}</small></td>
+                        <td>v${escapeHtml(sample.mappingVersion || '1.0')}</td>
+                        <td>
+                            <div style="display: flex; gap: 4px; flex-wrap: wrap;">
+                                <button class="btn btn-secondary" style="padding: 4px 8px; font-size: 12px;" onclick="approveMappingSample('${sample.id}')"
+                                        title="Store the output of the current mapping as the approved output">Approve Current Output</button>
+                                <button class="btn btn-secondary" style="padding: 4px 8px; font-size: 12px;" onclick="deleteMappingSampleWithUI('${sample.id}')">Delete</button>
+                            </div>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Hide the tests modal; while a save waits for a decision, hiding it cancels the save
+ */
+function hideMappingTestsModal() {
+    if (pendingRegressionDecision) {
+        pendingRegressionDecision(false);
+        return;
+    }
+    hideModal('mapping-tests-modal');
+}
+
+/**
+ * Run the samples of the mapping shown in the tests modal against the saved mapping
+ */
+async function runMappingTestsFromModal() {
+    const mapping = (await window.loadAllFileMappings()).find(m => m.id === testsModalMappingId);
+    if (!mapping) return;
+
+    const resultsContainer = document.getElementById('mapping-tests-results');
+    resultsContainer.innerHTML = '<p style="color: #888;">Running sample files...</p>';
+
+    const results = await runMappingTests(mapping);
+    resultsContainer.innerHTML = results.length === 0 ?
+        '<p style="color: #888;">No sample files to run.</p>' :
+        renderRegressionResults(results);
+}
+
+/**
+ * Add a sample file to the mapping shown in the tests modal; its current output becomes the approved output
+ * @param {Event} event - Change event of the sample file input
+ */
+async function addMappingSampleFromFile(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const mapping = (await window.loadAllFileMappings()).find(m => m.id === testsModalMappingId);
+    if (!mapping) return;
+
+    try {
+        const content = await file.arrayBuffer();
+        const sample = {
+            id: `sample-${Date.now()}`,
+            mappingId: mapping.id,
+            fileName: file.name,
+            fileType: file.type,
+            content: content,
+            addedAt: new Date().toISOString()
+        };
+
+        const result = await processMappingSample(sample, mapping);
+        if (!result.success) {
+            alert(`"${file.name}" could not be processed with this mapping: ${result.error}`);
+            return;
+        }
+
+        if (!confirm(`"${file.name}" produces ${result.data.length} records with v${mapping.version || '1.0'} of this mapping.\n\nApprove this output as the expected result?`)) {
+            return;
+        }
+
+        if (await window.saveMappingSample(withApprovedOutput(sample, result.data, mapping))) {
+            await displayMappingSamples();
+        } else {
+            alert('Error saving sample file');
+        }
+    } catch (error) {
+        console.error('Error adding mapping sample:', error);
+        alert(`Error adding sample file: ${error.message}`);
+    }
+}
+
+/**
+ * Store the current output of a sample as its approved output (after an intended change)
+ * @param {string} sampleId - Sample ID
+ */
+async function approveMappingSample(sampleId) {
+    const mapping = (await window.loadAllFileMappings()).find(m => m.id === testsModalMappingId);
+    const sample = (await window.loadMappingSamples(testsModalMappingId)).find(s => s.id === sampleId);
+    if (!mapping || !sample) return;
+
+    const result = await processMappingSample(sample, mapping);
+    if (!result.success) {
+        alert(`"${sample.fileName}" could not be processed with this mapping: ${result.error}`);
+        return;
+    }
+
+    const comparison = compareSampleOutput(sample.approvedRecords, result.data);
+    if (comparison.passed) {
+        alert(`"${sample.fileName}" already produces its approved output.`);
+        return;
+    }
+
+    if (!confirm(`Approve the current output of "${sample.fileName}" (${result.data.length} records, ${comparison.differences.length} differences)?`)) {
+        return;
+    }
+
+    await window.saveMappingSample(withApprovedOutput(sample, result.data, mapping));
+    document.getElementById('mapping-tests-results').innerHTML = '';
+    await displayMappingSamples();
+}
+
+/**
+ * Sample with an approved output, stamped with who approved it and the mapping version
+ * @param {Object} sample - Sample
+ * @param {Array} records - Output to approve
+ * @param {Object} mapping - Mapping that produced the output
+ * @returns {Object} Sample
+ */
+function withApprovedOutput(sample, records, mapping) {
+    return {
+        ...sample,
+        // Internal fields (issues, duplicates) are not part of the approved output
+        approvedRecords: records.map(record => Object.fromEntries(Object.entries(record).filter(([key]) => !key.startsWith('_')))),
+        approvedAt: new Date().toISOString(),
+        approvedBy: window.appSettings?.userName || 'User',
+        mappingVersion: mapping.version || '1.0'
+    };
+}
+
+/**
+ * Delete a sample after confirmation
+ * @param {string} sampleId - Sample ID
+ */
+async function deleteMappingSampleWithUI(sampleId) {
+    if (!confirm('Delete this sample file and its approved output?')) return;
+
+    if (await window.deleteMappingSample(sampleId)) {
+        document.getElementById('mapping-tests-results').innerHTML = '';
+        await displayMappingSamples();
+    } else {
+        alert('Error deleting sample file');
+    }
+}
+
+// Export functions globally for cross-module access
+window.compareSampleOutput = compareSampleOutput;
+window.runMappingTests = runMappingTests;
+window.checkMappingRegressions = checkMappingRegressions;
+window.showMappingTests = showMappingTests;
+window.hideMappingTestsModal = hideMappingTestsModal;
+window.runMappingTestsFromModal = runMappingTestsFromModal;
+window.addMappingSampleFromFile = addMappingSampleFromFile;
+window.approveMappingSample = approveMappingSample;
+window.deleteMappingSampleWithUI = deleteMappingSampleWithUI;
@@ -0,0 +1,251 @@
+/**
+ * Borderellen Converter - Mapping Versions
+ * Version history of file mappings: what changed on each save, a side-by-side comparison of
+ * parsingConfig and columnMapping between versions, and rollback to an earlier version
+ */
+
+// General mapping fields compared between versions (besides parsingConfig and columnMapping)
+const VERSIONED_MAPPING_FIELDS = ['name', 'matchingKeyword', 'matchingPattern', 'sourceType', 'sourceName'];
+
+// ========== COMPARISON ==========
+
+/**
+ * Format a setting value for display and comparison
+ * @param {any} value - Setting value
+ * @returns {string} Display text, empty for missing values
+ */
+function formatSettingValue(value) {
+    if (value === undefined || value === null) return '';
+    return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * List the settings of a mapping as flat paths, e.g. parsingConfig.skipRows or columnMapping.Bruto
+ * Nested objects of parsingConfig are flattened, arrays are compared as a whole
+ * @param {Object} mapping - File mapping
+ * @returns {Map} path -> display text
+ */
+function listMappingSettings(mapping) {
+    const settings = new Map();
+
+    const flatten = (value, path) => {
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            Object.entries(value).forEach(([key, nested]) => flatten(nested, `${path}.${key}`));
+        } else if (value !== undefined && value !== null) {
+            settings.set(path, formatSettingValue(value));
+        }
+    };
+
+    VERSIONED_MAPPING_FIELDS.forEach(field => {
+        if (mapping[field] !== undefined && mapping[field] !== null && mapping[field] !== '') {
+            settings.set(field, formatSettingValue(mapping[field]));
+        }
+    });
+    flatten(mapping.parsingConfig || {}, 'parsingConfig');
+    Object.entries(mapping.columnMapping || {}).forEach(([column, rule]) => {
+        settings.set(`columnMapping.${column}`, formatSettingValue(rule));
+    });
+
+    return settings;
+}
+
+/**
+ * Compare two versions of a mapping setting by setting
+ * @param {Object} older - Earlier version
+ * @param {Object} newer - Later version
+ * @returns {Array} [{ path, section, before, after, change }] where change is 'added', 'removed', 'changed' or 'same'
+ */
+function diffMappingVersions(older, newer) {
+    const before = listMappingSettings(older || {});
+    const after = listMappingSettings(newer || {});
+    const paths = [...new Set([...before.keys(), ...after.keys()])];
+    const sectionOrder = ['general', 'parsingConfig', 'columnMapping'];
+
+    return paths
+        .map(path => {
+            const section = path.startsWith('parsingConfig.') ? 'parsingConfig' : path.startsWith('columnMapping.') ? 'columnMapping' : 'general';
+            const beforeValue = before.has(path) ? before.get(path) : null;
+            const afterValue = after.has(path) ? after.get(path) : null;
+            const change = beforeValue === null ? 'added' : afterValue === null ? 'removed' : beforeValue === afterValue ? 'same' : 'changed';
+            return { path, section, before: beforeValue, after: afterValue, change };
+        })
+        .sort((a, b) => sectionOrder.indexOf(a.section) - sectionOrder.indexOf(b.section));
+}
+
+/**
+ * Describe what changed between two versions of a mapping, for the version history
+ * @param {Object} previous - Stored version
+ * @param {Object} next - Version being saved
+ * @returns {Array} Change descriptions, empty when nothing but bookkeeping changed
+ */
+function describeMappingChanges(previous, next) {
+    return diffMappingVersions(previous, next)
+        .filter(row => row.change !== 'same')
+        .map(row => {
+            if (row.change === 'added') return `${row.path} added: ${row.after}`;
+            if (row.change === 'removed') return `${row.path} removed (was ${row.before})`;
+            return `${row.path}: ${row.before} → ${row.after}`;
+        });
+}
+
+// ========== HISTORY MODAL ==========
+
+/**
+ * Load a mapping with its earlier versions
+ * @param {string} mappingId - Mapping ID
+ * @returns {Promise<Object|null>} { current, versions } or null when the mapping no longer exists
+ */
+async function loadMappingHistory(mappingId) {
+    const current = (await window.loadAllFileMappings()).find(mapping => mapping.id === mappingId);
+    if (!current) {
+        alert('File mapping not found. It may have been deleted.');
+        return null;
+    }
+
+    return { current, versions: await window.loadFileMappingVersions(mappingId) };
+}
+
+/**
+ * Show the version history of a file mapping
+ * @param {string} mappingId - Mapping ID
+ */
+async function showMappingHistory(mappingId) {
+    const history = await loadMappingHistory(mappingId);
+    if (!history) return;
+
+    const { current, versions } = history;
+    document.getElementById('mapping-history-title').textContent = `Version History - ${current.name}`;
+    document.getElementById('mapping-history-diff').innerHTML = '';
+
+    const renderChanges = (mapping) => {
+        const changes = mapping.changes || [];
+        if (changes.length === 0) {
+            return `<span style="color: #888;">${mapping.restoredFrom ? '' : 'First version'}</span>`;
+        }
+        return `<span title="${window.escapeAttribute(changes.join('\n'))}">${escapeHtml(changes[0])}${changes.length > 1 ? ` <small style="color: #888;">(+${changes.length - 1} more)</small>` : ''}</span>`;
+    };
+
+    const renderRow = (mapping, actions) => `
+        <tr>
+            <td><strong>v${escapeHtml(mapping.version || '1.0')}</strong></td>
+            <td style="white-space: nowrap;">${mapping.lastModified ? new Date(mapping.lastModified).toLocaleString() : '-'}</td>
+            <td>${escapeHtml(mapping.lastModifiedBy || '-')}</td>
+            <td style="font-size: 12px;">
+                ${mapping.restoredFrom ? `<small style="color: #00bcd4;">Restored from v${escapeHtml(mapping.restoredFrom)}</small><br>` : ''}
+                ${renderChanges(mapping)}
+            </td>
+            <td><div style="display: flex; gap: 4px; flex-wrap: wrap;">${actions}</div></td>
+        </tr>
+    `;
+
+    document.getElementById('mapping-history-list').innerHTML = versions.length === 0 ?
+        `<p style="color: #888;">v${escapeHtml(current.version || '1.0')} is the only version of this mapping. Earlier versions are kept from the next save on.</p>` : `
+        <table class="data-table">
+            <thead>
+                <tr><th>Version</th><th>Saved</th><th>By</th><th>Changes</th><th>Actions</th></tr>
+            </thead>
+            <tbody>
+                ${renderRow(current, '<span style="color: #4caf50; font-size: 12px;">Current</span>')}
+                ${versions.map(version => renderRow(version.mapping, `
+                    <button class="btn btn-secondary" style="padding: 4px 8px; font-size: 12px;" onclick="showMappingVersionDiff('${mappingId}', '${version.versionId}')">Compare with Current</button>
+                    <button class="btn btn-secondary" style="padding: 4px 8px; font-size: 12px;" onclick="restoreFileMappingVersion('${mappingId}', '${version.versionId}')">Restore</button>
+                `)).join('')}
+            </tbody>
+        </table>
+    `;
+
+    showModal('mapping-history-modal');
+}
+
+/**
+ * Hide the version history modal
+ */
+function hideMappingHistoryModal() {
+    hideModal('mapping-history-modal');
+}
+
+/**
+ * Show an earlier version side by side with the current mapping; only differing settings are listed
+ * @param {string} mappingId - Mapping ID
+ * @param {string} versionId - Version ID
+ */
+async function showMappingVersionDiff(mappingId, versionId) {
+    const history = await loadMappingHistory(mappingId);
+    const version = history?.versions.find(v => v.versionId === versionId);
+    if (!version) return;
+
+    const rows = diffMappingVersions(version.mapping, history.current);
+    const changed = rows.filter(row => row.change !== 'same');
+    const colors = { added: '#4caf50', removed: '#f44336', changed: '#ff9800' };
+    const cell = (value) => value === null ? '<span style="color: #666;">—</span>' : escapeHtml(value);
+
+    document.getElementById('mapping-history-diff').innerHTML = `
+        <h4 style="margin-bottom: 8px;">v${escapeHtml(version.version)} compared with current v${escapeHtml(history.current.version || '1.0')}</h4>
+        ${changed.length === 0 ? '<p style="color: #888;">No differences in parsing rules or column mapping.</p>' : `
+            <table class="data-table">
+                <thead>
+                    <tr><th>Setting</th><th>v${escapeHtml(version.version)}</th><th>Current</th></tr>
+                </thead>
+                <tbody>
+                    ${changed.map(row => `
+                        <tr>
+                            <td style="border-left: 3px solid ${colors[row.change]}; font-family: monospace; font-size: 12px;">${escapeHtml(row.path)}</td>
+                            <td style="font-size: 12px; word-break: break-all;">${cell(row.before)}</td>
+                            <td style="font-size: 12px; word-break: break-all;">${cell(row.after)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <small style="color: #888;">${changed.length} of ${rows.length} settings differ</small>
+        `}
+    `;
+}
+
+/**
+ * Restore an earlier version of a mapping
+ * The restored settings are saved as a new version, so the version being replaced stays in the history
+ * @param {string} mappingId - Mapping ID
+ * @param {string} versionId - Version ID to restore
+ */
+async function restoreFileMappingVersion(mappingId, versionId) {
+    const history = await loadMappingHistory(mappingId);
+    const version = history?.versions.find(v => v.versionId === versionId);
+    if (!version) return;
+
+    const { current } = history;
+    if (describeMappingChanges(current, version.mapping).length === 0) {
+        alert(`v${version.version} has the same settings as the current version.`);
+        return;
+    }
+
+    if (!confirm(`Restore v${version.version} of "${current.name}"?\n\nThe current v${current.version || '1.0'} is kept in the version history.`)) {
+        return;
+    }
+
+    const restored = {
+        ...version.mapping,
+        id: current.id,
+        created: current.created,
+        version: current.version,
+        metadata: current.metadata,
+        restoredFrom: version.version
+    };
+
+    if (!await window.saveFileMapping(restored)) {
+        alert('Failed to restore the file mapping.');
+        return;
+    }
+
+    if (typeof window.loadKeywordManagement === 'function') {
+        await window.loadKeywordManagement();
+    }
+    await showMappingHistory(mappingId);
+}
+
+// Export functions globally for cross-module access
+window.diffMappingVersions = diffMappingVersions;
+window.describeMappingChanges = describeMappingChanges;
+window.showMappingHistory = showMappingHistory;
+window.hideMappingHistoryModal = hideMappingHistoryModal;
+window.showMappingVersionDiff = showMappingVersionDiff;
+window.restoreFileMappingVersion = restoreFileMappingVersion;
@@ -151,6 +151,8 @@ function showCalculationModal(targetColumn, existingMapping) {
 • Math: Bruto * 1.21
 • Text: LEFT(Filename, FIND('_', Filename)-1)
 • Logic: IF(CONTAINS(Branche, 'AUTO'), 'Automotive', Branche)
+• Date: YEAR(Periode van) or TEXT(Boekdatum tp, 'mm-yyyy')
+• Lookup: LOOKUP('Branches', Branche, 'Onbekend')
 • Copy Excel formulas and replace column references!"
                               style="background: #1a1a1a; border: 1px solid #555; border-radius: 4px; padding: 12px; color: white; width: 100%; min-height: 80px; font-family: 'Courier New', monospace; font-size: 13px; resize: vertical; box-sizing: border-box;">${existingFormula}</textarea>
                 </div>
@@ -245,6 +247,11 @@ async function testFormula() {
     testResultsDiv.style.display = 'block';
 
     try {
+        // Surface syntax errors (unbalanced brackets, missing operators) before running
+        if (window.parseFormula) {
+            window.parseFormula(formula);
+        }
+
         // Get sample data from current file
         const sampleData = await getTestDataForFormula();
         if (!sampleData || sampleData.length === 0) {
@@ -339,23 +346,25 @@ async function getTestDataForFormula() {
             return sampleData.slice(0, 5);
         } else {
             console.log('Using simple sheet_to_json extraction');
-            // Simple extraction with filename added
-            const worksheet = workbook.Sheets[workbook.SheetNames[0]];
-            let rawData = XLSX.utils.sheet_to_json(worksheet, {
+            // Read the sheets the file mapping selects, so formulas are tested against the sheet they will run on
+            const sheetSelection = window.currentMappingFile.broker?.template?.parsingConfig?.sheetSelection ||
+                GenericParser.sheetSelectionFromAnalysis(window.currentMappingFile.patternAnalysis);
+            const sheetNames = GenericParser.resolveSheetNames(workbook, sheetSelection);
+
+            // Always add filename and sheet columns for testing
+            const rawData = sheetNames.flatMap(sheetName => XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], {
                 cellFormula: false  // Read calculated values instead of formulas
-            });
+            }).map(row => ({
+                ...row,
+                Filename: window.currentMappingFile.file.name,
+                _sheet: sheetName
+            })));
 
             // Ensure we have some data to work with
-            if (!rawData || rawData.length === 0) {
+            if (rawData.length === 0) {
                 throw new Error('No data found in Excel file');
             }
 
-            // Always add filename column for testing
-            rawData = rawData.map(row => ({
-                ...row,
-                Filename: window.currentMappingFile.file.name
-            }));
-
             return rawData.slice(0, 5);
         }
     } catch (error) {
@@ -601,6 +610,11 @@ function applyCalculation(targetColumn) {
 
     // Validate formula syntax by testing it
     try {
+        // Parse first - executeFormula swallows syntax errors and returns ''
+        if (window.parseFormula) {
+            window.parseFormula(formula);
+        }
+
         // Try to execute the formula against test data to validate syntax
         if (window.executeFormula) {
             // Create a dummy row with some sample data for validation
@@ -662,6 +676,10 @@ function showSettingsModal() {
     userEmailInput.value = window.appSettings.userEmail || '';
     userSignatureInput.value = window.appSettings.userSignature || '';
     downloadFolderInput.value = window.appSettings.downloadFolder;
+    document.getElementById('export-date-format-input').value = window.appSettings.exportDateFormat || 'dd-mm-yyyy';
+    document.getElementById('export-number-format-input').value = window.appSettings.exportNumberFormat || '#,##0.00';
+    document.getElementById('export-extra-columns-input').checked = window.appSettings.exportExtraColumns !== false;
+    document.getElementById('import-date-order-input').value = window.appSettings.importDateOrder || 'dmy';
 
     modal.classList.add('show');
 }
@@ -710,6 +728,10 @@ async function saveSettingsFromModal() {
     window.appSettings.userName = userNameInput.value.trim() || 'User';
     window.appSettings.userEmail = userEmailInput.value.trim() || '';
     window.appSettings.userSignature = userSignatureInput.value.trim() || '';
+    window.appSettings.exportDateFormat = document.getElementById('export-date-format-input').value.trim() || 'dd-mm-yyyy';
+    window.appSettings.exportNumberFormat = document.getElementById('export-number-format-input').value.trim() || '#,##0.00';
+    window.appSettings.exportExtraColumns = document.getElementById('export-extra-columns-input').checked;
+    window.appSettings.importDateOrder = document.getElementById('import-date-order-input').value;
 
     if (await window.saveSettings(window.appSettings)) {
         hideSettingsModal();
@@ -0,0 +1,267 @@
+/**
+ * Borderellen Converter - PDF Table Extractor
+ * Reads the text layer of PDF bordereaux (with the bundled PDF.js, no server needed) and rebuilds
+ * the table from the positions of the text: text at the same height forms a row, and columns are
+ * the horizontal bands the table text occupies. The result is the same worksheet model as Excel
+ * files, so pattern analysis, header/footer selection, file mappings and keywords work unchanged.
+ * Scanned PDFs have no text layer and cannot be read.
+ */
+
+const PDF_FILE_EXTENSIONS = ['.pdf'];
+
+// PDF.js (src/lib) is only loaded when the first PDF is read; the worker script runs in this thread
+const PDF_LIBRARY_SCRIPTS = ['pdf.min.js', 'pdf.worker.min.js'];
+
+// Page numbers printed on every page ("Pagina 2 van 5", "Page 2", "Blz. 2")
+const PDF_PAGE_NUMBER_PATTERN = /^(pagina|page|blz\.?|blad)\s*\d+(\s*(van|of|\/)\s*\d+)?$/i;
+
+// ========== TEXT LAYER ==========
+
+let pdfLibraryLoading = null;
+
+/**
+ * Add a script tag to the page and wait until it has run
+ * @param {string} src - Script URL
+ * @returns {Promise} Resolves once the script is loaded
+ */
+function loadPageScript(src) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.onload = () => resolve();
+        script.onerror = () => reject(new Error(`Could not load ${src}`));
+        document.head.appendChild(script);
+    });
+}
+
+/**
+ * Load PDF.js on first use, so the page, the processing workers and command-line runs without
+ * PDF files do not load it. The page adds script tags, a processing worker imports the scripts and
+ * the command-line converter provides window.loadLibraryScript
+ * @returns {Promise<Object>} pdfjsLib
+ */
+function loadPdfLibrary() {
+    if (!pdfLibraryLoading) {
+        pdfLibraryLoading = (async () => {
+            for (const script of PDF_LIBRARY_SCRIPTS) {
+                if (typeof window.loadLibraryScript === 'function') {
+                    window.loadLibraryScript(script);
+                } else if (typeof importScripts === 'function') {
+                    importScripts(`../lib/${script}`);
+                } else {
+                    await loadPageScript(`src/lib/${script}`);
+                }
+            }
+            return window.pdfjsLib;
+        })().catch(error => {
+            // Try again with the next PDF
+            pdfLibraryLoading = null;
+            throw error;
+        });
+    }
+    return pdfLibraryLoading;
+}
+
+/**
+ * Whether a file is read as a PDF
+ * @param {string} filename - Filename
+ * @returns {boolean} True for .pdf files
+ */
+function isPdfFile(filename) {
+    const name = (filename || '').toLowerCase();
+    return PDF_FILE_EXTENSIONS.some(ext => name.endsWith(ext));
+}
+
+/**
+ * Read the text items of every page
+ * @param {Uint8Array} bytes - File content
+ * @returns {Promise<Array>} Per page: [{ text, x, y, width, height }] in PDF units, y upwards
+ */
+async function readPdfTextItems(bytes) {
+    const pdfjsLib = await loadPdfLibrary();
+    const loadingTask = pdfjsLib.getDocument({
+        data: bytes,
+        isEvalSupported: false,
+        disableFontFace: true,
+        verbosity: pdfjsLib.VerbosityLevel.ERRORS
+    });
+
+    try {
+        const pdf = await loadingTask.promise;
+        const pages = [];
+
+        for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+            const page = await pdf.getPage(pageNumber);
+            const content = await page.getTextContent();
+
+            pages.push(content.items
+                .filter(item => item.str && item.str.trim() !== '')
+                .map(item => ({
+                    text: item.str.trim(),
+                    x: item.transform[4],
+                    y: item.transform[5],
+                    width: item.width,
+                    height: Math.abs(item.height || item.transform[3]) || 10
+                })));
+        }
+
+        return pages;
+    } finally {
+        await loadingTask.destroy();
+    }
+}
+
+// ========== TABLE RECONSTRUCTION ==========
+
+/**
+ * Group the text items of a page into lines, top to bottom; within a line, items closer together
+ * than half the text height are joined into one segment (words of the same cell)
+ * @param {Array} items - Text items of a page
+ * @returns {Array} Lines: [{ y, segments: [{ text, x, end }] }]
+ */
+function groupPdfLines(items) {
+    const lines = [];
+
+    [...items]
+        .sort((a, b) => b.y - a.y || a.x - b.x)
+        .forEach(item => {
+            const line = lines.find(l => Math.abs(l.y - item.y) <= Math.max(2, item.height / 2));
+            if (line) {
+                line.items.push(item);
+            } else {
+                lines.push({ y: item.y, items: [item] });
+            }
+        });
+
+    return lines.map(line => {
+        const segments = [];
+        line.items
+            .sort((a, b) => a.x - b.x)
+            .forEach(item => {
+                const previous = segments[segments.length - 1];
+                if (previous && item.x - previous.end < item.height / 2) {
+                    previous.text += (item.x - previous.end > item.height / 10 ? ' ' : '') + item.text;
+                    previous.end = Math.max(previous.end, item.x + item.width);
+                } else {
+                    segments.push({ text: item.text, x: item.x, end: item.x + item.width });
+                }
+            });
+        return { y: line.y, segments };
+    });
+}
+
+/**
+ * Detect the columns: the horizontal bands covered by the text of table lines (lines with more
+ * than one segment), so left-aligned text and right-aligned amounts share their column;
+ * title lines do not take part
+ * @param {Array} lines - Lines of all pages
+ * @returns {Array} Columns: [{ start, end }] from left to right
+ */
+function detectPdfColumns(lines) {
+    const spans = lines
+        .filter(line => line.segments.length > 1)
+        .flatMap(line => line.segments.map(segment => ({ start: segment.x, end: segment.end })))
+        .sort((a, b) => a.start - b.start);
+
+    const columns = [];
+    spans.forEach(span => {
+        const column = columns[columns.length - 1];
+        if (column && span.start <= column.end + 1) {
+            column.end = Math.max(column.end, span.end);
+        } else {
+            columns.push({ ...span });
+        }
+    });
+
+    return columns.length > 0 ? columns : [{ start: 0, end: Infinity }];
+}
+
+/**
+ * Split a line into cells: each segment goes to the column it starts in (text left of the first
+ * column goes to the first column)
+ * @param {Object} line - Line
+ * @param {Array} columns - Columns
+ * @returns {Array} Text per column, empty strings for empty cells
+ */
+function splitPdfLine(line, columns) {
+    const cells = columns.map(() => '');
+
+    line.segments.forEach(segment => {
+        const index = Math.max(0, columns.findLastIndex(column => column.start <= segment.x + 1));
+        cells[index] = cells[index] ? `${cells[index]} ${segment.text}` : segment.text;
+    });
+
+    return cells;
+}
+
+/**
+ * Whether a line is page furniture rather than table content: a page number, or a line repeated
+ * from an earlier page that is a title (one cell) or holds no digits (column headers)
+ * @param {Array} cells - Text per column
+ * @param {Set} seenOnEarlierPages - Lines of the earlier pages
+ * @returns {boolean} True when the line is left out
+ */
+function isPdfPageFurniture(cells, seenOnEarlierPages) {
+    const filled = cells.filter(cell => cell !== '');
+    if (filled.length === 1 && PDF_PAGE_NUMBER_PATTERN.test(filled[0])) {
+        return true;
+    }
+
+    const text = cells.join('\t');
+    return seenOnEarlierPages.has(text) && (filled.length === 1 || !/\d/.test(text));
+}
+
+/**
+ * Read a PDF into a workbook with one sheet; the pages follow each other without the page
+ * furniture in between (see isPdfPageFurniture)
+ * @param {Uint8Array} bytes - File content
+ * @returns {Promise<Object>} XLSX workbook object, with { pages, columns } in workbook.pdfLayout
+ */
+async function readPdfWorkbook(bytes) {
+    const pages = (await readPdfTextItems(bytes)).map(groupPdfLines);
+    const lines = pages.flat();
+
+    if (lines.length === 0) {
+        throw new Error('The PDF has no text layer (scanned document?). Ask the broker for an Excel, CSV or text-based PDF file.');
+    }
+
+    const columns = detectPdfColumns(lines);
+    const rows = [];
+    const seenOnEarlierPages = new Set();
+
+    pages.forEach(pageLines => {
+        const pageTexts = [];
+        pageLines.forEach(line => {
+            const cells = splitPdfLine(line, columns);
+            if (isPdfPageFurniture(cells, seenOnEarlierPages)) {
+                return;
+            }
+            pageTexts.push(cells.join('\t'));
+            rows.push(cells.map(window.toTextCellValue));
+        });
+        pageTexts.forEach(text => seenOnEarlierPages.add(text));
+    });
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), 'Sheet1');
+    workbook.pdfLayout = { pages: pages.length, columns: columns.length };
+
+    console.log(`[PDF] Read ${rows.length} lines in ${columns.length} columns from ${pages.length} pages`);
+    return workbook;
+}
+
+/**
+ * Describe how a PDF was read, for display
+ * @param {Object} pdfLayout - workbook.pdfLayout
+ * @returns {string} Description, e.g. "PDF table (3 pages, 8 columns)"
+ */
+function describePdfLayout(pdfLayout) {
+    if (!pdfLayout) return '';
+    return `PDF table (${pdfLayout.pages} page${pdfLayout.pages === 1 ? '' : 's'}, ${pdfLayout.columns} columns)`;
+}
+
+// Export functions globally for cross-module access
+window.PDF_FILE_EXTENSIONS = PDF_FILE_EXTENSIONS;
+window.isPdfFile = isPdfFile;
+window.readPdfWorkbook = readPdfWorkbook;
+window.describePdfLayout = describePdfLayout;
@@ -3,31 +3,47 @@
  * Handles all data preview functionality including file previews, mapping previews, and export
  */
 
-// ========== DATA FILTERING ==========
+// ========== RAW DATA EXTRACTION ==========
 
 /**
- * Filter data for preview based on broker type
- * @param {Array} rawData - Raw data from Excel
- * @param {String} brokerType - Broker type (AON, VGA, BCI, Voogt)
- * @returns {Array} Filtered data
+ * Extract raw (unmapped) records from a file for preview and export
+ * Files with a detected file mapping use its parsing rules and row filters,
+ * other files the skip rules of their pattern analysis
+ * @param {Object} fileData - File data object
+ * @param {Object} workbook - XLSX workbook
+ * @returns {Promise<Array>} Raw records
  */
-function filterDataForPreview(rawData, brokerType) {
-    switch (brokerType) {
-        case 'AON':
-            return rawData.filter(row => row.PolisNr || row.Verzekerde);
-        case 'VGA':
-            return rawData.filter(row =>
-                row.Soort !== 'Total' &&
-                row.Soort !== 'Totaal' &&
-                (row.Polisnummer || row['Naam verzekeringnemer'])
-            );
-        case 'BCI':
-        case 'Voogt':
-            // These have complex parsing - just return raw data for preview
-            return rawData;
-        default:
-            return rawData;
+async function extractRawFileData(fileData, workbook) {
+    const template = fileData.broker?.template;
+    if (template?.parsingConfig) {
+        console.log(`Preview: Using parsing rules of file mapping "${template.name}"`);
+        const parser = window.GenericParser.fromTemplate({ ...template, columnMapping: {} });
+        return await parser.parse(workbook, fileData.name);
     }
+
+    // Use cached analysis from fileData if available, otherwise fall back to global currentPatternAnalysis
+    const analysisToUse = fileData.patternAnalysis || window.currentPatternAnalysis;
+
+    if (analysisToUse && analysisToUse.dataSection) {
+        // Use GenericBrokerParser to respect skip rules
+        console.log('Preview: Using skip rules for raw data extraction');
+        const tempConfig = {
+            dataStartMethod: 'skip-rows',
+            skipRows: analysisToUse.dataSection.dataStartIndex || 0,
+            skipColumns: analysisToUse.dataSection.startColumnIndex || 0,
+            headerRow: analysisToUse.dataSection.headerRowIndex,
+            sheetSelection: window.GenericParser.sheetSelectionFromAnalysis(analysisToUse),
+            columnMapping: {} // Identity mapping for preview
+        };
+        const parser = new window.GenericParser(tempConfig);
+        return await parser.parse(workbook, fileData.name);
+    }
+
+    // Fallback to simple sheet reading
+    console.log('Preview: No skip rules available, using simple sheet reading');
+    return XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], {
+        cellFormula: false  // Read calculated values instead of formulas
+    });
 }
 
 // ========== MAPPING DISPLAY ==========
@@ -71,6 +87,58 @@ function displayMappingSummary(mapping) {
     `;
 }
 
+// ========== VALIDATION DISPLAY ==========
+
+/**
+ * Escape text for use in an HTML attribute
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeAttribute(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Render a data table cell; values that failed conversion to the template column type are highlighted
+ * @param {Object} row - Normalized record
+ * @param {string} column - Column name
+ * @returns {string} Table cell HTML
+ */
+function renderDataCell(row, column) {
+    const value = row[column];
+    const content = value !== undefined && value !== null && value !== '' ? value : '<em style="color: #888;">empty</em>';
+    const issue = window.getCellIssue(row, column);
+
+    return issue ?
+        `<td class="${issue.severity === 'warning' ? 'cell-warning' : 'cell-invalid'}" title="${escapeAttribute(issue.message)}">${content}</td>` :
+        `<td>${content}</td>`;
+}
+
+/**
+ * Render the row-level issue cell listing all conversion failures and rule violations of a record
+ * @param {Object} row - Normalized record
+ * @returns {string} Table cell HTML
+ */
+function renderIssueCell(row) {
+    const issues = row._issues || [];
+    if (issues.length === 0) {
+        return '<td></td>';
+    }
+
+    const description = issues.map(issue => `${issue.severity === 'warning' ? 'Warning' : 'Error'} - ${issue.rule ? `${issue.rule}: ` : `${issue.field}: `}${issue.message}`).join('\n');
+    const hasErrors = issues.some(issue => issue.severity !== 'warning');
+    return `<td class="row-issue-indicator${hasErrors ? '' : ' warnings-only'}" title="${escapeAttribute(description)}">⚠ ${issues.length}</td>`;
+}
+
+/**
+ * Whether any record has validation issues (the issue column is only shown then)
+ * @param {Array} rows - Normalized records
+ * @returns {boolean} True when at least one record has issues
+ */
+function hasRowIssues(rows) {
+    return rows.some(row => row._issues && row._issues.length > 0);
+}
+
 // ========== TABLE DISPLAY ==========
 
 /**
@@ -94,9 +162,12 @@ function displayPreviewTable(mappedData) {
 
     console.log(`Results tab: Displaying ${columns.length} template columns for ${mappedData.length} records`);
 
+    const showIssues = hasRowIssues(mappedData);
+
     // Create table headers
     tableHead.innerHTML = `
         <tr>
+            ${showIssues ? '<th>Issues</th>' : ''}
             ${columns.map(col => `<th>${col}</th>`).join('')}
         </tr>
     `;
@@ -104,7 +175,8 @@ function displayPreviewTable(mappedData) {
     // Create table rows
     tableBody.innerHTML = mappedData.map(row => `
         <tr>
-            ${columns.map(col => `<td>${row[col] || '<em style="color: #888;">empty</em>'}</td>`).join('')}
+            ${showIssues ? renderIssueCell(row) : ''}
+            ${columns.map(col => renderDataCell(row, col)).join('')}
         </tr>
     `).join('');
 }
@@ -131,10 +203,13 @@ function displayPreviewTableWithIndicators(displayData, fileData) {
 
     console.log(`Results tab (with indicators): Displaying ${columns.length} template columns`);
 
+    const showIssues = hasRowIssues(displayData);
+
     // Create table headers
     tableHead.innerHTML = `
         <tr>
             <th style="width: 40px;">#</th>
+            ${showIssues ? '<th>Issues</th>' : ''}
             ${columns.map(col => `<th>${col}</th>`).join('')}
         </tr>
     `;
@@ -164,7 +239,8 @@ function displayPreviewTableWithIndicators(displayData, fileData) {
         return `
             <tr${indicator}>
                 <td style="color: #888; font-weight: bold;">${rowNumber}</td>
-                ${columns.map(col => `<td>${row[col] !== undefined && row[col] !== null && row[col] !== '' ? row[col] : '<em style="color: #888;">empty</em>'}</td>`).join('')}
+                ${showIssues ? renderIssueCell(row) : ''}
+                ${columns.map(col => renderDataCell(row, col)).join('')}
             </tr>
         `;
     }).join('') +
@@ -411,37 +487,9 @@ async function previewFileData(fileData, mapping = null) {
                 ];
             }
         } else {
-            // If no parsed data available, parse the raw Excel file with skip rules if available
+            // If no parsed data available, parse the raw Excel file with the file's parsing rules
             const workbook = await ExcelCacheManager.getWorkbook(fileData.file);
-            const worksheet = workbook.Sheets[workbook.SheetNames[0]];
-
-            let rawData;
-            // Use cached analysis from fileData if available, otherwise fall back to global currentPatternAnalysis
-            const analysisToUse = fileData.patternAnalysis || window.currentPatternAnalysis;
-
-            if (analysisToUse && analysisToUse.dataSection) {
-                // Use GenericBrokerParser to respect skip rules
-                console.log('Preview: Using skip rules for raw data extraction');
-                const tempConfig = {
-                    dataStartMethod: 'skip-rows',
-                    skipRows: analysisToUse.dataSection.dataStartIndex || 0,
-                    skipColumns: analysisToUse.dataSection.startColumnIndex || 0,
-                    headerRow: analysisToUse.dataSection.headerRowIndex,
-                    columnMapping: {} // Identity mapping for preview
-                };
-                const parser = new window.GenericBrokerParser(tempConfig);
-                rawData = await parser.parse(workbook, fileData.name);
-            } else {
-                // Fallback to simple sheet reading
-                console.log('Preview: No skip rules available, using simple sheet reading');
-                rawData = XLSX.utils.sheet_to_json(worksheet, {
-                    cellFormula: false  // Read calculated values instead of formulas
-                });
-            }
-
-            // Apply broker-specific filtering to match what the parsers would do
-            const brokerType = fileData.broker.parser;
-            const filteredData = filterDataForPreview(rawData, brokerType);
+            const filteredData = await extractRawFileData(fileData, workbook);
 
             // Get first 5 + last 5 records for better data validation
             if (filteredData.length <= 10) {
@@ -474,19 +522,8 @@ async function previewFileData(fileData, mapping = null) {
                     });
                 }
             } else {
-                // Raw Excel data - format dates
-                displayData = sampleData.map(row => {
-                    const formattedRow = {};
-                    Object.keys(row).forEach(key => {
-                        let value = row[key];
-                        // Format Excel dates in raw preview
-                        if (window.isExcelDate && window.isExcelDate(value) && window.isDateField && window.isDateField(key)) {
-                            value = window.formatExcelDate(value);
-                        }
-                        formattedRow[key] = value;
-                    });
-                    return formattedRow;
-                });
+                // Raw Excel data - show the values as they are in the file
+                displayData = sampleData;
 
                 if (sampleData.length > 0) {
                     Object.keys(sampleData[0]).forEach(key => {
@@ -512,7 +549,12 @@ async function previewFileData(fileData, mapping = null) {
                 }
             } else {
                 // For unknown formats or when no parsed data, apply the manual mapping
-                displayData = window.applyMappingToData(sampleData, mapping);
+                const columns = window.borderellenTemplate?.columns || [];
+                displayData = window.applyValidationRules(
+                    window.normalizeRecords(window.applyMappingToData(sampleData, mapping), columns),
+                    window.borderellenTemplate?.validationRules,
+                    columns
+                );
                 displayMapping = mapping;
             }
         }
@@ -588,37 +630,9 @@ async function exportPreviewAsExcel() {
             // Use already parsed data if available
             fullData = window.currentMappingFile.parsedData;
         } else {
-            // Parse the full file with skip rules if available
+            // Parse the full file with the file's parsing rules
             const workbook = await ExcelCacheManager.getWorkbook(window.currentMappingFile.file);
-            const worksheet = workbook.Sheets[workbook.SheetNames[0]];
-
-            let rawData;
-            // Use cached analysis from currentMappingFile if available, otherwise fall back to global currentPatternAnalysis
-            const analysisToUse = window.currentMappingFile.patternAnalysis || window.currentPatternAnalysis;
-
-            if (analysisToUse && analysisToUse.dataSection) {
-                // Use GenericBrokerParser to respect skip rules
-                console.log('Export: Using skip rules for full data extraction');
-                const tempConfig = {
-                    dataStartMethod: 'skip-rows',
-                    skipRows: analysisToUse.dataSection.dataStartIndex || 0,
-                    skipColumns: analysisToUse.dataSection.startColumnIndex || 0,
-                    headerRow: analysisToUse.dataSection.headerRowIndex,
-                    columnMapping: {} // Identity mapping for export
-                };
-                const parser = new window.GenericBrokerParser(tempConfig);
-                rawData = await parser.parse(workbook, window.currentMappingFile.name);
-            } else {
-                // Fallback to simple sheet reading
-                console.log('Export: No skip rules available, using simple sheet reading');
-                rawData = XLSX.utils.sheet_to_json(worksheet, {
-                    cellFormula: false  // Read calculated values instead of formulas
-                });
-            }
-
-            // Apply broker-specific filtering
-            const brokerType = window.currentMappingFile.broker.parser;
-            fullData = filterDataForPreview(rawData, brokerType);
+            fullData = await extractRawFileData(window.currentMappingFile, workbook);
         }
 
         // Apply mapping to full dataset
@@ -652,8 +666,12 @@ async function exportPreviewAsExcel() {
 // ========== GLOBAL EXPORTS ==========
 
 // Make preview functions globally accessible
-window.filterDataForPreview = filterDataForPreview;
+window.extractRawFileData = extractRawFileData;
 window.displayMappingSummary = displayMappingSummary;
+window.escapeAttribute = escapeAttribute;
+window.renderDataCell = renderDataCell;
+window.renderIssueCell = renderIssueCell;
+window.hasRowIssues = hasRowIssues;
 window.displayPreviewTable = displayPreviewTable;
 window.displayPreviewTableWithIndicators = displayPreviewTableWithIndicators;
 window.displayPreviewStats = displayPreviewStats;
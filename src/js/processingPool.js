@@ -0,0 +1,267 @@
+/**
+ * Borderellen Converter - Processing Pool
+ * Processes uploaded files in processing workers (see processingWorker.js), several files at a time,
+ * reporting the step each file is in and allowing files to be cancelled. When workers cannot be
+ * started (browsers block them when the app is opened from disk) files are processed on the page,
+ * one at a time.
+ */
+
+const PROCESSING_WORKER_URL = 'src/js/processingWorker.js';
+
+// One core stays free for the page; every worker holds a whole workbook in memory
+const MAX_PROCESSING_WORKERS = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+
+// Steps reported by processUploadedFile, in order, with their status text
+const PROCESSING_STEPS = {
+    queued: 'Queued',
+    reading: 'Reading file',
+    detecting: 'Detecting format',
+    analyzing: 'Analyzing structure',
+    parsing: 'Parsing records'
+};
+
+const processingWorkers = []; // { worker, ready, job }
+const processingQueue = [];   // Jobs waiting for a worker: { fileId, file, configuration, onProgress, resolve }
+let processingWorkersUnavailable = false;
+let pageJob = null;           // Job being processed on the page
+
+// ========== CONFIGURATION ==========
+
+/**
+ * Collect the app state the pipeline reads, for a processing worker
+ * @returns {Promise<Object>} { template, mappings, lookupTables }
+ */
+async function getProcessingConfiguration() {
+    return {
+        template: window.borderellenTemplate || null,
+        mappings: await window.loadAllFileMappings(),
+        lookupTables: window.allLookupTables || []
+    };
+}
+
+// ========== WORKERS ==========
+
+/**
+ * Start a processing worker; it takes jobs once it has loaded the pipeline scripts
+ * @returns {Object|null} Worker slot, or null when workers cannot be started
+ */
+function startProcessingWorker() {
+    let worker;
+    try {
+        worker = new Worker(PROCESSING_WORKER_URL);
+    } catch (error) {
+        console.warn('Processing workers unavailable, processing files on the page:', error.message);
+        processingWorkersUnavailable = true;
+        return null;
+    }
+
+    const slot = { worker, ready: false, job: null };
+    worker.onmessage = (event) => handleWorkerMessage(slot, event.data);
+    worker.onerror = (event) => handleWorkerError(slot, event);
+    processingWorkers.push(slot);
+    return slot;
+}
+
+/**
+ * Stop a processing worker
+ * @param {Object} slot - Worker slot
+ */
+function stopProcessingWorker(slot) {
+    slot.worker.terminate();
+    processingWorkers.splice(processingWorkers.indexOf(slot), 1);
+}
+
+/**
+ * Send the job of a worker slot to its worker
+ * @param {Object} slot - Worker slot with a job
+ */
+function sendProcessingJob(slot) {
+    const { fileId, file, configuration } = slot.job;
+    slot.worker.postMessage({ jobId: fileId, file, configuration });
+}
+
+/**
+ * Finish the job of a worker slot and hand the worker the next one
+ * @param {Object} slot - Worker slot
+ * @param {Object|null} processed - Job result
+ * @param {Error} error - Error, when the job failed
+ */
+function finishWorkerJob(slot, processed, error = null) {
+    const job = slot.job;
+    slot.job = null;
+
+    if (job) {
+        if (error) {
+            job.reject(error);
+        } else {
+            job.resolve(processed);
+        }
+    }
+    dispatchProcessingJobs();
+}
+
+/**
+ * Handle a message of a processing worker
+ * @param {Object} slot - Worker slot
+ * @param {Object} message - Message (see processingWorker.js)
+ */
+function handleWorkerMessage(slot, message) {
+    if (message.type === 'ready') {
+        slot.ready = true;
+        if (slot.job) {
+            sendProcessingJob(slot);
+        }
+        return;
+    }
+
+    // Messages of a job that was cancelled meanwhile are ignored
+    if (!slot.job || slot.job.fileId !== message.jobId) {
+        return;
+    }
+
+    if (message.type === 'progress') {
+        slot.job.onProgress(message.step);
+    } else if (message.type === 'done') {
+        finishWorkerJob(slot, { outcome: message.outcome, workbook: message.workbook });
+    } else if (message.type === 'error') {
+        finishWorkerJob(slot, null, new Error(message.message));
+    }
+}
+
+/**
+ * Handle an error of a processing worker: a worker that could not load means workers are unavailable
+ * and its job is processed on the page; a worker that crashed on a file fails that file
+ * @param {Object} slot - Worker slot
+ * @param {ErrorEvent} event - Error event
+ */
+function handleWorkerError(slot, event) {
+    event.preventDefault();
+    stopProcessingWorker(slot);
+
+    if (!slot.ready) {
+        console.warn('Processing worker could not be started, processing files on the page:', event.message);
+        processingWorkersUnavailable = true;
+        if (slot.job) {
+            processingQueue.unshift(slot.job);
+        }
+        dispatchProcessingJobs();
+        return;
+    }
+
+    console.error('Processing worker stopped:', event.message);
+    finishWorkerJob(slot, null, new Error(event.message || 'Processing worker stopped'));
+}
+
+// ========== QUEUE ==========
+
+/**
+ * Hand queued jobs to idle workers, starting workers up to MAX_PROCESSING_WORKERS
+ */
+function dispatchProcessingJobs() {
+    while (processingQueue.length > 0) {
+        if (processingWorkersUnavailable) {
+            processQueueOnPage();
+            return;
+        }
+
+        const slot = processingWorkers.find(s => !s.job) ||
+            (processingWorkers.length < MAX_PROCESSING_WORKERS ? startProcessingWorker() : null);
+        if (!slot) {
+            if (processingWorkersUnavailable) continue;
+            return; // All workers busy; the next finished job dispatches again
+        }
+
+        slot.job = processingQueue.shift();
+        if (slot.ready) {
+            sendProcessingJob(slot);
+        }
+    }
+}
+
+/**
+ * Process the queued jobs on the page, one at a time; between steps the page gets a moment to show progress
+ */
+async function processQueueOnPage() {
+    if (pageJob) return;
+
+    while (processingQueue.length > 0) {
+        pageJob = processingQueue.shift();
+        const job = pageJob;
+
+        try {
+            const outcome = await window.processUploadedFile(job.file, async (step) => {
+                job.onProgress(step);
+                await new Promise(resolve => setTimeout(resolve, 0));
+            });
+            // A job cancelled while it ran on the page is discarded once it finishes
+            job.resolve(job.cancelled ? null : { outcome, workbook: null });
+        } catch (error) {
+            if (job.cancelled) {
+                job.resolve(null);
+            } else {
+                job.reject(error);
+            }
+        }
+    }
+
+    pageJob = null;
+}
+
+/**
+ * Process an uploaded file in the processing pool
+ * @param {number} fileId - Upload table ID of the file, used to cancel it
+ * @param {File} file - Uploaded file
+ * @param {Function} onProgress - Called with each step (see PROCESSING_STEPS)
+ * @returns {Promise<Object|null>} { outcome, workbook } where outcome is the result of processUploadedFile and
+ *                                 workbook the workbook read by the worker (null on the page); null when cancelled
+ */
+async function processFileInPool(fileId, file, onProgress) {
+    const configuration = await getProcessingConfiguration();
+
+    return new Promise((resolve, reject) => {
+        processingQueue.push({ fileId, file, configuration, onProgress, resolve, reject });
+        onProgress('queued');
+        dispatchProcessingJobs();
+    });
+}
+
+/**
+ * Cancel the processing of one file, or of all files; running workers are stopped
+ * @param {number} fileId - Upload table ID of the file; all files when not given
+ * @returns {number} Number of files cancelled
+ */
+function cancelProcessing(fileId = null) {
+    const matches = (job) => fileId === null || job.fileId === fileId;
+    let cancelled = 0;
+
+    for (let i = processingQueue.length - 1; i >= 0; i--) {
+        if (matches(processingQueue[i])) {
+            processingQueue.splice(i, 1)[0].resolve(null);
+            cancelled++;
+        }
+    }
+
+    processingWorkers.filter(slot => slot.job && matches(slot.job)).forEach(slot => {
+        const job = slot.job;
+        stopProcessingWorker(slot);
+        job.resolve(null);
+        cancelled++;
+    });
+
+    // Work on the page cannot be interrupted; its result is discarded
+    if (pageJob && matches(pageJob) && !pageJob.cancelled) {
+        pageJob.cancelled = true;
+        cancelled++;
+    }
+
+    if (cancelled > 0) {
+        console.log(`Cancelled processing of ${cancelled} file(s)`);
+    }
+    dispatchProcessingJobs();
+    return cancelled;
+}
+
+// Export functions globally for cross-module access
+window.PROCESSING_STEPS = PROCESSING_STEPS;
+window.processFileInPool = processFileInPool;
+window.cancelProcessing = cancelProcessing;
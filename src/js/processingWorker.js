@@ -0,0 +1,54 @@
+/**
+ * Borderellen Converter - Processing Worker
+ * Reads, compacts, analyzes, parses and maps uploaded files off the page, so a large bordereau
+ * does not freeze the tab. Loads the same pipeline scripts as the page and the command-line
+ * converter; the page sends the template, file mappings and lookup tables with every file.
+ *
+ * Messages from the page: { jobId, file, configuration: { template, mappings, lookupTables } }
+ * Messages to the page:   { type: 'ready' } once loaded, then per file
+ *                         { jobId, type: 'progress', step }, { jobId, type: 'done', outcome, workbook }
+ *                         or { jobId, type: 'error', message }
+ */
+
+// The pipeline scripts publish and read their functions on window
+self.window = self;
+
+importScripts(
+    '../lib/xlsx.full.min.js',
+    'textFileReader.js',
+    'pdfTableExtractor.js',
+    'excelCacheManager.js',
+    'dataPatternAnalyzer.js',
+    'genericParser.js',
+    'builtInFileMappings.js',
+    'fileFingerprint.js',
+    'calculationEngine.js',
+    'valueCoercion.js',
+    'validationRules.js',
+    'reconciliation.js',
+    'brokerParsers.js'
+);
+
+self.onmessage = async (event) => {
+    const { jobId, file, configuration } = event.data;
+
+    try {
+        // Same app state as on the page (the command-line converter sets it the same way)
+        window.borderellenTemplate = configuration.template;
+        window.loadAllFileMappings = async () => configuration.mappings;
+        window.registerLookupTables(configuration.lookupTables);
+
+        const outcome = await window.processUploadedFile(file, step => self.postMessage({ jobId, type: 'progress', step }));
+
+        // The workbook goes to the page cache, for the Broker Mapping tab and previews
+        const workbook = await ExcelCacheManager.getWorkbook(file);
+        self.postMessage({ jobId, type: 'done', outcome, workbook });
+    } catch (error) {
+        console.error('Processing worker failed on', file?.name, error);
+        self.postMessage({ jobId, type: 'error', message: error.message });
+    } finally {
+        ExcelCacheManager.clearCache(file);
+    }
+};
+
+self.postMessage({ type: 'ready' });
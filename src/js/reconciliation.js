@@ -0,0 +1,189 @@
+/**
+ * Borderellen Converter - Reconciliation
+ * Compares the broker's own control totals (footer and subtotal rows captured by GenericBrokerParser)
+ * with the sums of the extracted rows, so a dropped or double-counted row is caught before booking
+ */
+
+// Allowed difference between a control total and the sum of the rows (amounts are in cents)
+const RECONCILIATION_TOLERANCE = 0.01;
+
+// ========== CONTROL ROWS ==========
+
+/**
+ * Selects the control rows of one sheet and the data rows each of them covers
+ * A footer covers the whole sheet. Subtotals cover the rows between the previous subtotal and
+ * themselves; a subtotal directly below another one (no rows in between) is a grand total over
+ * everything above it and replaces the group subtotals
+ * @param {Array} rows - Extracted rows of the sheet, in sheet order
+ * @param {Array} footers - Footer rows of the sheet
+ * @param {Array} subtotals - Subtotal rows of the sheet
+ * @returns {Object} { source, controls: [{ row, covered }] } where source is 'footer', 'subtotals' or null
+ */
+function selectSheetControls(rows, footers, subtotals) {
+    if (footers.length > 0) {
+        return { source: 'footer', controls: [{ row: footers[0], covered: rows }] };
+    }
+
+    if (subtotals.length === 0) {
+        return { source: null, controls: [] };
+    }
+
+    const sorted = [...subtotals].sort((a, b) => a.__rowIndex - b.__rowIndex);
+    const controls = [];
+    let previousRow = -1;
+
+    for (const subtotal of sorted) {
+        const covered = rows.filter(row => row.__rowIndex > previousRow && row.__rowIndex < subtotal.__rowIndex);
+        previousRow = subtotal.__rowIndex;
+
+        if (covered.length === 0 && controls.length > 0) {
+            const grandTotal = { row: subtotal, covered: rows.filter(row => row.__rowIndex < subtotal.__rowIndex) };
+            return { source: 'subtotals', controls: [grandTotal] };
+        }
+        controls.push({ row: subtotal, covered });
+    }
+
+    return { source: 'subtotals', controls };
+}
+
+/**
+ * Source fields worth reconciling: plain column mappings to number columns of the template
+ * Percentages are not additive, so percentage columns are left out
+ * @param {Object} columnMapping - Column mapping { templateColumn: rule }
+ * @param {Array} templateColumns - Template columns { name, type }; without them every column mapping is a candidate
+ * @returns {Array} [{ field, sourceField }]
+ */
+function getReconciliationFields(columnMapping, templateColumns) {
+    const fields = [];
+    const seenSources = new Set();
+
+    Object.entries(columnMapping || {}).forEach(([field, rule]) => {
+        if (typeof rule !== 'string' || rule === '' || rule.startsWith('FIXED:') || rule.startsWith('CALC:')) return;
+        if (/%|percentage/i.test(field) || /%|percentage/i.test(rule)) return;
+
+        const column = (templateColumns || []).find(c => c.name === field);
+        if (templateColumns && templateColumns.length > 0 && column?.type !== 'number') return;
+
+        if (seenSources.has(rule)) return;
+        seenSources.add(rule);
+        fields.push({ field, sourceField: rule });
+    });
+
+    return fields;
+}
+
+// ========== RECONCILIATION ==========
+
+/**
+ * Reconciles extracted rows against the control totals captured while parsing
+ * Only fields for which a control row holds an amount are checked; each sheet is reconciled
+ * against its own footer, or against its subtotals when it has no footer
+ * @param {Array} rows - Extracted rows as returned by GenericBrokerParser.parse (before mapping)
+ * @param {Object} controlTotals - { footers, subtotals } from the parser
+ * @param {Object} columnMapping - Column mapping of the file mapping
+ * @param {Array} templateColumns - Columns of the active template
+ * @returns {Object} { status: 'pass'|'fail'|'none', source, checks: [{ field, sourceField, expected, actual, difference, passed }], coveredRows, totalRows }
+ */
+function reconcileControlTotals(rows, controlTotals, columnMapping, templateColumns) {
+    const result = { status: 'none', source: null, checks: [], coveredRows: 0, totalRows: rows.length };
+    if (!controlTotals || (controlTotals.footers.length === 0 && controlTotals.subtotals.length === 0)) {
+        return result;
+    }
+
+    // Group rows and control rows per sheet
+    const sheetNames = [...new Set([...rows, ...controlTotals.footers, ...controlTotals.subtotals].map(row => row._sheet))];
+    const controls = [];
+    const sources = new Set();
+
+    sheetNames.forEach(sheetName => {
+        const selection = selectSheetControls(
+            rows.filter(row => row._sheet === sheetName),
+            controlTotals.footers.filter(row => row._sheet === sheetName),
+            controlTotals.subtotals.filter(row => row._sheet === sheetName)
+        );
+        if (selection.source) sources.add(selection.source);
+        controls.push(...selection.controls);
+    });
+
+    result.source = [...sources].join(' + ');
+    result.coveredRows = new Set(controls.flatMap(control => control.covered)).size;
+
+    getReconciliationFields(columnMapping, templateColumns).forEach(({ field, sourceField }) => {
+        let expected = 0;
+        let actual = 0;
+        let hasControlValue = false;
+
+        controls.forEach(control => {
+            const controlValue = window.parseNumberValue(control.row[sourceField]);
+            if (isNaN(controlValue)) return;
+
+            hasControlValue = true;
+            expected += controlValue;
+            control.covered.forEach(row => {
+                const value = window.parseNumberValue(row[sourceField]);
+                if (!isNaN(value)) actual += value;
+            });
+        });
+
+        if (!hasControlValue) return;
+
+        const difference = Math.round((actual - expected) * 100) / 100;
+        result.checks.push({
+            field,
+            sourceField,
+            expected: Math.round(expected * 100) / 100,
+            actual: Math.round(actual * 100) / 100,
+            difference,
+            passed: Math.abs(difference) <= RECONCILIATION_TOLERANCE
+        });
+    });
+
+    if (result.checks.length > 0) {
+        result.status = result.checks.every(check => check.passed) ? 'pass' : 'fail';
+    }
+
+    return result;
+}
+
+/**
+ * Describes a reconciliation result for display
+ * @param {Object} reconciliation - Result of reconcileControlTotals()
+ * @returns {string} Description, e.g. "Totals match footer (Bruto, Netto)" or "Netto off by -12.50"
+ */
+function describeReconciliation(reconciliation) {
+    if (!reconciliation || reconciliation.status === 'none') {
+        return 'No control totals found';
+    }
+
+    if (reconciliation.status === 'pass') {
+        return `Totals match ${reconciliation.source} (${reconciliation.checks.map(check => check.field).join(', ')})`;
+    }
+
+    return reconciliation.checks
+        .filter(check => !check.passed)
+        .map(check => `${check.field} off by ${check.difference.toFixed(2)} (rows ${check.actual.toFixed(2)}, ${reconciliation.source} ${check.expected.toFixed(2)})`)
+        .join('; ');
+}
+
+/**
+ * Renders a compact pass/fail badge for the file tables of the Upload and Results tabs
+ * @param {Object|null} reconciliation - Result of reconcileControlTotals(), null when the file was not reconciled
+ * @returns {string} Badge HTML, empty when there is nothing to show
+ */
+function renderReconciliationBadge(reconciliation) {
+    if (!reconciliation) return '';
+
+    const badges = {
+        pass: { text: '✓ Totals', color: '#4caf50' },
+        fail: { text: '✗ Totals', color: '#f44336' },
+        none: { text: 'No totals', color: '#888' }
+    };
+    const badge = badges[reconciliation.status];
+
+    return `<small class="reconciliation-badge" style="margin-left: 8px; color: ${badge.color};" title="${window.escapeAttribute(describeReconciliation(reconciliation))}">${badge.text}</small>`;
+}
+
+// Export functions globally for cross-module access
+window.reconcileControlTotals = reconcileControlTotals;
+window.describeReconciliation = describeReconciliation;
+window.renderReconciliationBadge = renderReconciliationBadge;
@@ -0,0 +1,456 @@
+/**
+ * Borderellen Converter - Results Grid
+ * Virtualized table over the full combined data: only the rows in view are rendered,
+ * with column sorting, per-column filters and a global search
+ */
+
+class ResultsGrid {
+    // Rows rendered above and below the visible area to keep scrolling smooth
+    static BUFFER_ROWS = 20;
+    static DEFAULT_ROW_HEIGHT = 33;
+    static FILTER_DELAY = 200;
+
+    static FILTER_OPERATORS = [
+        { value: '', label: '—' },
+        { value: 'contains', label: 'contains' },
+        { value: 'equals', label: '=' },
+        { value: 'range', label: 'range' },
+        { value: 'empty', label: 'empty' },
+        { value: 'not-empty', label: 'not empty' }
+    ];
+
+    /**
+     * @param {Object} elements - { container, head, body, status } DOM elements of the grid
+     */
+    constructor(elements) {
+        this.container = elements.container;
+        this.head = elements.head;
+        this.body = elements.body;
+        this.status = elements.status;
+
+        this.rows = [];
+        this.viewRows = [];
+        this.columns = [];
+        this.sort = null; // { key, direction: 1 | -1 }
+        this.filters = {}; // key -> { operator, value, value2 }
+        this.search = '';
+        this.rowHeight = ResultsGrid.DEFAULT_ROW_HEIGHT;
+        this.renderedRange = null;
+        this.filterTimer = null;
+        this.scrollFrame = null;
+
+        this.container.addEventListener('scroll', () => this.scheduleRender());
+        this.head.addEventListener('click', (event) => this.handleHeaderClick(event));
+        this.head.addEventListener('change', (event) => this.handleFilterChange(event));
+        this.head.addEventListener('input', (event) => this.handleFilterChange(event, true));
+    }
+
+    // ========== DATA ==========
+
+    /**
+     * Set the records and columns shown in the grid
+     * Sorting and filters are kept for columns that still exist, so refreshing keeps the view
+     * @param {Array} rows - All records
+     * @param {Array} columns - Columns { key, label, type }
+     */
+    setData(rows, columns) {
+        this.rows = rows;
+        this.columns = columns;
+
+        const keys = new Set(columns.map(column => column.key));
+        if (this.sort && !keys.has(this.sort.key)) {
+            this.sort = null;
+        }
+        Object.keys(this.filters).forEach(key => {
+            if (!keys.has(key)) delete this.filters[key];
+        });
+
+        this.renderHeader();
+        this.applyView();
+    }
+
+    /**
+     * Records in the current view: filtered, searched and sorted
+     * @returns {Array} Records in display order
+     */
+    getViewRows() {
+        return this.viewRows;
+    }
+
+    /**
+     * Whether the view differs from the full data (filter, search or sort active)
+     * @returns {boolean} True when a filter, search or sort is active
+     */
+    hasActiveView() {
+        return this.isFiltered() || this.sort !== null;
+    }
+
+    /**
+     * Whether rows are hidden by a filter or the search
+     * @returns {boolean} True when a filter or search is active
+     */
+    isFiltered() {
+        return this.search !== '' || Object.keys(this.filters).length > 0;
+    }
+
+    /**
+     * Set the global search term (matches any column)
+     * @param {string} term - Search term
+     */
+    setSearch(term) {
+        this.search = term.trim().toLowerCase();
+        this.applyView();
+    }
+
+    /**
+     * Remove all filters, the search term and the sort order
+     */
+    clearView() {
+        this.filters = {};
+        this.search = '';
+        this.sort = null;
+        this.renderHeader();
+        this.applyView();
+    }
+
+    // ========== VALUES ==========
+
+    /**
+     * Get the raw value of a column in a record
+     * The issues column is represented by its number of issues
+     * @param {Object} row - Record
+     * @param {Object} column - Grid column
+     * @returns {any} Value
+     */
+    getValue(row, column) {
+        if (column.key === '_issues') {
+            return row._issues ? row._issues.length : 0;
+        }
+        return row[column.key];
+    }
+
+    /**
+     * Whether a value counts as empty (an issue count of 0 is empty as well)
+     * @param {any} value - Value
+     * @param {Object} column - Grid column
+     * @returns {boolean} True when empty
+     */
+    isEmptyValue(value, column) {
+        return value === undefined || value === null || value === '' || (column.key === '_issues' && value === 0);
+    }
+
+    /**
+     * Convert a value to a comparable key for its column type
+     * @param {any} value - Value
+     * @param {Object} column - Grid column
+     * @returns {number|string|null} Number for number and date columns, lower-case text otherwise;
+     *     null when the value cannot be converted
+     */
+    getComparable(value, column) {
+        if (this.isEmptyValue(value, column) && column.key !== '_issues') {
+            return null;
+        }
+
+        if (column.type === 'number') {
+            const number = window.parseNumberValue(value);
+            return isNaN(number) ? null : number;
+        }
+
+        if (column.type === 'date') {
+            const date = window.parseDateValue(value);
+            return date ? date.getTime() : null;
+        }
+
+        return value.toString().toLowerCase();
+    }
+
+    // ========== FILTERING AND SORTING ==========
+
+    /**
+     * Check a value against a column filter
+     * @param {any} value - Cell value
+     * @param {Object} column - Grid column
+     * @param {Object} filter - { operator, value, value2 }
+     * @returns {boolean} True when the value passes the filter
+     */
+    matchesFilter(value, column, filter) {
+        const isEmpty = this.isEmptyValue(value, column);
+
+        switch (filter.operator) {
+            case 'empty':
+                return isEmpty;
+
+            case 'not-empty':
+                return !isEmpty;
+
+            case 'contains':
+                return !isEmpty && value.toString().toLowerCase().includes(filter.value.toLowerCase());
+
+            case 'equals': {
+                if (isEmpty) return false;
+                if (column.type === 'number' || column.type === 'date') {
+                    const expected = this.getComparable(filter.value, column);
+                    return expected !== null && this.getComparable(value, column) === expected;
+                }
+                return value.toString().trim().toLowerCase() === filter.value.trim().toLowerCase();
+            }
+
+            case 'range': {
+                if (isEmpty && column.key !== '_issues') return false;
+                const actual = this.getComparable(value, column);
+                if (actual === null) return false;
+
+                const min = filter.value !== '' ? this.getComparable(filter.value, column) : null;
+                const max = filter.value2 !== '' ? this.getComparable(filter.value2, column) : null;
+                return (min === null || actual >= min) && (max === null || actual <= max);
+            }
+
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Recompute the view (filters, search, sort) and render it from the top
+     */
+    applyView() {
+        const activeFilters = Object.entries(this.filters)
+            .map(([key, filter]) => ({ column: this.columns.find(column => column.key === key), filter }))
+            .filter(entry => entry.column);
+
+        let viewRows = this.rows.filter(row => {
+            const passesFilters = activeFilters.every(({ column, filter }) =>
+                this.matchesFilter(this.getValue(row, column), column, filter));
+            if (!passesFilters) return false;
+
+            if (this.search === '') return true;
+            return this.columns.some(column => {
+                const value = this.getValue(row, column);
+                return !this.isEmptyValue(value, column) && value.toString().toLowerCase().includes(this.search);
+            });
+        });
+
+        if (this.sort) {
+            const column = this.columns.find(col => col.key === this.sort.key);
+            const direction = this.sort.direction;
+
+            // Compute sort keys once; empty and unconvertible values always go last
+            const keyed = viewRows.map((row, index) => ({ row, index, key: this.getComparable(this.getValue(row, column), column) }));
+            keyed.sort((a, b) => {
+                if (a.key === null || b.key === null) {
+                    return a.key === b.key ? a.index - b.index : (a.key === null ? 1 : -1);
+                }
+                const result = typeof a.key === 'number' && typeof b.key === 'number' ?
+                    a.key - b.key :
+                    a.key.toString().localeCompare(b.key.toString(), 'nl', { numeric: true });
+                return result !== 0 ? result * direction : a.index - b.index;
+            });
+            viewRows = keyed.map(entry => entry.row);
+        }
+
+        this.viewRows = viewRows;
+        this.container.scrollTop = 0;
+        this.renderedRange = null;
+        this.updateSortIndicators();
+        this.renderBody();
+    }
+
+    /**
+     * Sort by a column: ascending, descending, then back to the original order
+     * @param {string} key - Column key
+     */
+    toggleSort(key) {
+        if (!this.sort || this.sort.key !== key) {
+            this.sort = { key, direction: 1 };
+        } else if (this.sort.direction === 1) {
+            this.sort = { key, direction: -1 };
+        } else {
+            this.sort = null;
+        }
+        this.applyView();
+    }
+
+    // ========== EVENTS ==========
+
+    /**
+     * Sort when a column title is clicked
+     */
+    handleHeaderClick(event) {
+        const title = event.target.closest('.grid-sort');
+        if (title) {
+            this.toggleSort(title.dataset.key);
+        }
+    }
+
+    /**
+     * Update a column filter from its operator select or value inputs
+     * @param {Event} event - Change or input event
+     * @param {boolean} debounce - Wait for typing to pause before filtering
+     */
+    handleFilterChange(event, debounce = false) {
+        const cell = event.target.closest('.grid-filter');
+        if (!cell) return;
+
+        const key = cell.dataset.key;
+        const operator = cell.querySelector('.grid-filter-operator').value;
+        const value = cell.querySelector('.grid-filter-value').value;
+        const value2 = cell.querySelector('.grid-filter-value2').value;
+
+        // Show only the inputs the operator needs
+        cell.querySelector('.grid-filter-value').style.display = ['contains', 'equals', 'range'].includes(operator) ? '' : 'none';
+        cell.querySelector('.grid-filter-value2').style.display = operator === 'range' ? '' : 'none';
+
+        const needsValue = ['contains', 'equals'].includes(operator);
+        if (!operator || (needsValue && value === '') || (operator === 'range' && value === '' && value2 === '')) {
+            delete this.filters[key];
+        } else {
+            this.filters[key] = { operator, value, value2 };
+        }
+
+        clearTimeout(this.filterTimer);
+        if (debounce) {
+            this.filterTimer = setTimeout(() => this.applyView(), ResultsGrid.FILTER_DELAY);
+        } else {
+            this.applyView();
+        }
+    }
+
+    // ========== RENDERING ==========
+
+    /**
+     * Render the column titles and the filter row
+     */
+    renderHeader() {
+        const operatorOptions = (selected) => ResultsGrid.FILTER_OPERATORS.map(op =>
+            `<option value="${op.value}" ${op.value === selected ? 'selected' : ''}>${op.label}</option>`).join('');
+
+        this.head.innerHTML = `
+            <tr>
+                ${this.columns.map(column => `
+                    <th class="grid-sort" data-key="${window.escapeAttribute(column.key)}" title="Click to sort">
+                        ${escapeHtml(column.label)}<span class="grid-sort-indicator"></span>
+                    </th>
+                `).join('')}
+            </tr>
+            <tr class="grid-filter-row">
+                ${this.columns.map(column => {
+                    const filter = this.filters[column.key] || { operator: '', value: '', value2: '' };
+                    const isRange = filter.operator === 'range';
+                    const hasValue = ['contains', 'equals', 'range'].includes(filter.operator);
+                    const placeholder = column.type === 'date' ? 'dd-mm-jjjj' : '';
+                    return `
+                        <th class="grid-filter" data-key="${window.escapeAttribute(column.key)}">
+                            <select class="grid-filter-operator">${operatorOptions(filter.operator)}</select>
+                            <input type="text" class="grid-filter-value" value="${window.escapeAttribute(filter.value)}"
+                                   placeholder="${isRange ? 'min' : placeholder}" style="${hasValue ? '' : 'display: none;'}">
+                            <input type="text" class="grid-filter-value2" value="${window.escapeAttribute(filter.value2)}"
+                                   placeholder="max" style="${isRange ? '' : 'display: none;'}">
+                        </th>
+                    `;
+                }).join('')}
+            </tr>
+        `;
+    }
+
+    /**
+     * Show the sort direction next to the sorted column title
+     */
+    updateSortIndicators() {
+        this.head.querySelectorAll('.grid-sort').forEach(th => {
+            const indicator = th.querySelector('.grid-sort-indicator');
+            const isSorted = this.sort && this.sort.key === th.dataset.key;
+            indicator.textContent = isSorted ? (this.sort.direction === 1 ? ' ▲' : ' ▼') : '';
+        });
+    }
+
+    /**
+     * Render the cell for a column of a record
+     * @param {Object} row - Record
+     * @param {Object} column - Grid column
+     * @returns {string} Table cell HTML
+     */
+    renderCell(row, column) {
+        if (column.key === '_issues') {
+            return window.renderIssueCell(row);
+        }
+        if (column.key === '_sourceFile') {
+            return `<td class="grid-source-file" title="${window.escapeAttribute(row._sourceFile || '')}">${escapeHtml(row._sourceFile || '')}</td>`;
+        }
+        return window.renderDataCell(row, column.key);
+    }
+
+    /**
+     * Schedule a render of the visible rows (at most once per animation frame)
+     */
+    scheduleRender() {
+        if (this.scrollFrame) return;
+        this.scrollFrame = requestAnimationFrame(() => {
+            this.scrollFrame = null;
+            this.renderBody();
+        });
+    }
+
+    /**
+     * Render the rows in view; spacer rows keep the scroll height of the full view
+     */
+    renderBody() {
+        const total = this.viewRows.length;
+        const columnCount = Math.max(this.columns.length, 1);
+
+        if (total === 0) {
+            this.body.innerHTML = `<tr><td colspan="${columnCount}" style="text-align: center; padding: 20px; color: #888;">
+                ${this.rows.length === 0 ? 'No processed data available' : 'No records match the current filters'}
+            </td></tr>`;
+            this.renderedRange = null;
+            this.updateStatus(0, 0);
+            return;
+        }
+
+        const visibleCount = Math.ceil(this.container.clientHeight / this.rowHeight) || 20;
+        const firstVisible = Math.floor(this.container.scrollTop / this.rowHeight);
+        const start = Math.max(0, firstVisible - ResultsGrid.BUFFER_ROWS);
+        const end = Math.min(total, firstVisible + visibleCount + ResultsGrid.BUFFER_ROWS);
+
+        if (this.renderedRange && this.renderedRange.start === start && this.renderedRange.end === end) {
+            return;
+        }
+        this.renderedRange = { start, end };
+
+        const topSpacer = start * this.rowHeight;
+        const bottomSpacer = (total - end) * this.rowHeight;
+
+        this.body.innerHTML =
+            (topSpacer > 0 ? `<tr class="grid-spacer" style="height: ${topSpacer}px;"><td colspan="${columnCount}"></td></tr>` : '') +
+            this.viewRows.slice(start, end).map(row => `<tr>${this.columns.map(column => this.renderCell(row, column)).join('')}</tr>`).join('') +
+            (bottomSpacer > 0 ? `<tr class="grid-spacer" style="height: ${bottomSpacer}px;"><td colspan="${columnCount}"></td></tr>` : '');
+
+        // Measure the real row height once, so spacer heights match the rendered rows
+        const firstRow = this.body.querySelector('tr:not(.grid-spacer)');
+        if (firstRow && firstRow.offsetHeight > 0 && Math.abs(firstRow.offsetHeight - this.rowHeight) > 1) {
+            this.rowHeight = firstRow.offsetHeight;
+            this.renderedRange = null;
+            this.renderBody();
+            return;
+        }
+
+        this.updateStatus(firstVisible + 1, Math.min(total, firstVisible + visibleCount));
+    }
+
+    /**
+     * Show which rows are in view and how many records match
+     * @param {number} from - First visible row number
+     * @param {number} to - Last visible row number
+     */
+    updateStatus(from, to) {
+        if (!this.status) return;
+
+        const total = this.viewRows.length;
+        const filtered = this.isFiltered() ? ` (filtered from ${this.rows.length.toLocaleString()})` : '';
+        this.status.textContent = total === 0 ?
+            `0 records${filtered}` :
+            `Rows ${from.toLocaleString()}–${to.toLocaleString()} of ${total.toLocaleString()}${filtered}`;
+    }
+}
+
+// Export globally for cross-module access
+window.ResultsGrid = ResultsGrid;
@@ -1,8 +1,15 @@
 /**
  * Borderellen Converter - Results Manager Module
- * Handles all results tab functionality including display, export, and search
+ * Handles all results tab functionality including display, export, search and filtering
  */
 
+// Results grid over the full combined data (created on first display)
+window.resultsGrid = null;
+let searchInputTimer = null;
+
+// Past run re-opened from the History tab, shown instead of the current files ({ run, records })
+window.resultsHistoryRun = null;
+
 // ========== EVENT LISTENERS SETUP ==========
 
 /**
@@ -13,6 +20,7 @@ function setupResultsTabListeners() {
     const exportJsonBtn = document.getElementById('export-json-btn');
     const refreshDataBtn = document.getElementById('refresh-data-btn');
     const searchRecords = document.getElementById('search-records');
+    const clearViewBtn = document.getElementById('clear-results-view-btn');
 
     console.log('Setting up Results tab event listeners...');
     console.log('downloadExcelBtn found:', !!downloadExcelBtn);
@@ -51,36 +59,91 @@ function setupResultsTabListeners() {
     } else {
         console.error('search-records not found!');
     }
+
+    if (clearViewBtn) {
+        clearViewBtn.removeEventListener('click', clearResultsView);
+        clearViewBtn.addEventListener('click', clearResultsView);
+    }
 }
 
 /**
- * Handle search input for filtering table rows
+ * Handle search input: filters all records in the results grid, not just the rendered rows
  */
 function handleSearchInput(e) {
-    const searchTerm = e.target.value.toLowerCase();
-    const tableRows = document.querySelectorAll('#results-table-body tr');
-
-    tableRows.forEach(row => {
-        const text = row.textContent.toLowerCase();
-        if (text.includes(searchTerm)) {
-            row.style.display = '';
-        } else {
-            row.style.display = 'none';
+    clearTimeout(searchInputTimer);
+    searchInputTimer = setTimeout(() => {
+        if (window.resultsGrid) {
+            window.resultsGrid.setSearch(e.target.value);
         }
-    });
+    }, ResultsGrid.FILTER_DELAY);
+}
+
+/**
+ * Clear the search field and all grid filters and sorting
+ */
+function clearResultsView() {
+    const searchRecords = document.getElementById('search-records');
+    if (searchRecords) searchRecords.value = '';
+
+    if (window.resultsGrid) {
+        window.resultsGrid.clearView();
+    }
 }
 
 // ========== MAIN RESULTS TAB UPDATE ==========
 
+/**
+ * Output template of the data in the Results tab: the template a re-opened run was produced with,
+ * otherwise the active template
+ * @returns {Object} Template { name, columns }
+ */
+function getResultsTemplate() {
+    return window.resultsHistoryRun?.run.template || window.borderellenTemplate;
+}
+
+/**
+ * Show a past processing run in the Results tab
+ * @param {Object} run - Run metadata from the processing history
+ * @param {Array} records - Records produced by the run
+ */
+function showHistoryRunInResults(run, records) {
+    window.resultsHistoryRun = { run, records };
+    clearResultsView();
+
+    const resultsTab = document.querySelector('[data-tab="results"]');
+    if (resultsTab) {
+        resultsTab.click();
+    }
+}
+
+/**
+ * Leave a re-opened run and show the current files again
+ */
+function closeHistoryRunInResults() {
+    window.resultsHistoryRun = null;
+    clearResultsView();
+    updateResultsTab();
+}
+
 /**
  * Update the Filled Broker Template tab with processed data
  */
 function updateResultsTab() {
-    const processedFiles = window.uploadedFiles?.filter(f =>
-        f.parsedData &&
-        f.parsedData.length > 0 &&
-        f.statusClass === 'status-success'
-    ) || [];
+    const historyRun = window.resultsHistoryRun;
+    const processedFiles = historyRun ?
+        [{
+            id: historyRun.run.id,
+            name: historyRun.run.fileName,
+            parsedData: historyRun.records,
+            statusClass: 'status-success',
+            reconciliation: historyRun.run.reconciliation,
+            mappingVersion: historyRun.run.mappingVersion
+        }] :
+        window.uploadedFiles?.filter(f =>
+            f.parsedData &&
+            f.parsedData.length > 0 &&
+            f.statusClass === 'status-success'
+        ) || [];
 
     const noDataMessage = document.getElementById('no-data-message');
     const processedDataSection = document.getElementById('processed-data-section');
@@ -102,25 +165,16 @@ function updateResultsTab() {
     // Show processing overview
     displayProcessingOverview(processedFiles);
 
-    // Combine processed data - show first 3 + last 3 records per file for representative sampling
+    // Combine all processed records; the grid only renders the rows in view
     const combinedData = [];
     processedFiles.forEach(file => {
-        const fileRecords = file.parsedData.map(record => ({
-            ...record,
-            _sourceFile: file.name,
-            _sourceId: file.id
-        }));
-
-        if (fileRecords.length <= 6) {
-            // If 6 or fewer records, show them all
-            combinedData.push(...fileRecords);
-        } else {
-            // Show first 3 + last 3 records from this file
-            combinedData.push(
-                ...fileRecords.slice(0, 3),
-                ...fileRecords.slice(-3)
-            );
-        }
+        file.parsedData.forEach(record => {
+            combinedData.push({
+                ...record,
+                _sourceFile: file.name,
+                _sourceId: file.id
+            });
+        });
     });
 
     // Display the data
@@ -140,19 +194,48 @@ function displayProcessingOverview(processedFiles) {
     const totalRecords = processedFiles.reduce((sum, f) => sum + f.parsedData.length, 0);
     const totalFiles = processedFiles.length;
     const allFiles = window.uploadedFiles?.length || 0;
+    const issues = window.summarizeIssues(processedFiles.flatMap(f => f.parsedData));
+    const reconciled = processedFiles.filter(f => f.reconciliation && f.reconciliation.status !== 'none');
+    const failedReconciliations = reconciled.filter(f => f.reconciliation.status === 'fail');
+    const duplicateFiles = processedFiles.filter(f => f.duplicates);
+    const unresolvedDuplicates = duplicateFiles.filter(f => !f.duplicates.resolution);
+
+    const historyRun = window.resultsHistoryRun?.run;
+    const template = getResultsTemplate();
 
     const overview = document.getElementById('processing-overview');
     overview.innerHTML = `
+        ${historyRun ? `
+            <div style="display: flex; justify-content: space-between; align-items: center; background: #2a2a2a; border-left: 3px solid #00bcd4; padding: 12px; border-radius: 6px; margin-bottom: 16px;">
+                <span>Showing past run of <strong>${escapeHtml(historyRun.fileName)}</strong>, processed ${new Date(historyRun.processedAt).toLocaleString()} by ${escapeHtml(historyRun.user)}</span>
+                <button class="btn btn-secondary" style="padding: 4px 8px; font-size: 12px;" onclick="closeHistoryRunInResults()">Back to Current Files</button>
+            </div>
+        ` : ''}
         <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 16px; margin-bottom: 16px;">
             <div style="background: #333; padding: 12px; border-radius: 6px;">
                 <strong>Total Records:</strong> ${totalRecords.toLocaleString()}
             </div>
             <div style="background: #333; padding: 12px; border-radius: 6px;">
-                <strong>Processed Files:</strong> ${totalFiles} of ${allFiles}
+                <strong>Processed Files:</strong> ${historyRun ? 'Past run' : `${totalFiles} of ${allFiles}`}
             </div>
             <div style="background: #333; padding: 12px; border-radius: 6px;">
-                <strong>Format:</strong> Standard 22-column template
+                <strong>Format:</strong> ${escapeHtml(template?.name || 'No active template')} (${(template?.columns || []).length} columns)
             </div>
+            <div style="background: #333; padding: 12px; border-radius: 6px;${issues.rows > 0 ? ` border-left: 3px solid ${issues.errors > 0 ? '#f44336' : '#ff9800'};` : ''}"
+                 title="${window.escapeAttribute(window.describeIssueSummary(issues))}">
+                <strong>Rows with Issues:</strong> ${issues.rows.toLocaleString()}${issues.rows > 0 ? ` <small style="color: #888;">(${issues.errors.toLocaleString()} errors, ${issues.warnings.toLocaleString()} warnings)</small>` : ''}
+            </div>
+            <div style="background: #333; padding: 12px; border-radius: 6px;${failedReconciliations.length > 0 ? ' border-left: 3px solid #f44336;' : ''}"
+                 title="${window.escapeAttribute(failedReconciliations.map(f => `${f.name}: ${window.describeReconciliation(f.reconciliation)}`).join('\n'))}">
+                <strong>Totals Reconciled:</strong> ${reconciled.length - failedReconciliations.length} of ${reconciled.length}
+                ${reconciled.length < totalFiles ? ` <small style="color: #888;">(${totalFiles - reconciled.length} without totals)</small>` : ''}
+            </div>
+            ${duplicateFiles.length > 0 ? `
+                <div style="background: #333; padding: 12px; border-radius: 6px;${unresolvedDuplicates.length > 0 ? ' border-left: 3px solid #ff9800;' : ''}">
+                    <strong>Delivered Before:</strong> ${duplicateFiles.reduce((sum, f) => sum + f.duplicates.count, 0).toLocaleString()} records in ${duplicateFiles.length} files
+                    ${unresolvedDuplicates.length > 0 ? ` <small style="color: #888;">(${unresolvedDuplicates.length} to resolve)</small>` : ''}
+                </div>
+            ` : ''}
         </div>
 
         <div style="margin-bottom: 16px;">
@@ -162,7 +245,11 @@ function displayProcessingOverview(processedFiles) {
                     <div style="display: flex; align-items: center; background: #2a2a2a; padding: 8px 12px; border-radius: 4px;">
                         <span class="status-indicator ${file.statusClass}"></span>
                         <span style="margin-left: 8px;">${file.name}</span>
+                        ${file.mappingVersion ? `<small style="margin-left: 4px; color: #888;" title="File mapping version used">v${escapeHtml(file.mappingVersion)}</small>` : ''}
                         <small style="margin-left: 8px; color: #888;">(${file.parsedData.length} records)</small>
+                        ${renderFileIssueSummary(file.parsedData)}
+                        ${window.renderReconciliationBadge(file.reconciliation)}
+                        ${window.renderDuplicateControls(file)}
                     </div>
                 `).join('')}
             </div>
@@ -171,107 +258,71 @@ function displayProcessingOverview(processedFiles) {
 }
 
 /**
- * Display combined results table
+ * Render the per-file issue summary shown next to a file in the processing overview
+ * @param {Array} records - Processed records of the file
+ * @returns {string} HTML, empty when the file has no issues
+ */
+function renderFileIssueSummary(records) {
+    const summary = window.summarizeIssues(records);
+    if (summary.rows === 0) return '';
+
+    const parts = [];
+    if (summary.errors > 0) parts.push(`${summary.errors} errors`);
+    if (summary.warnings > 0) parts.push(`${summary.warnings} warnings`);
+
+    return `<small style="margin-left: 8px; color: ${summary.errors > 0 ? '#f44336' : '#ff9800'};" title="${window.escapeAttribute(window.describeIssueSummary(summary))}">⚠ ${summary.rows} rows: ${parts.join(', ')}</small>`;
+}
+
+/**
+ * Display combined results in the results grid
  * @param {Array} combinedData - All processed records from all files
  * @param {Array} processedFiles - Source files for reference
  */
 function displayCombinedResults(combinedData, processedFiles) {
-    const tableHead = document.getElementById('results-table-head');
-    const tableBody = document.getElementById('results-table-body');
     const recordCountDisplay = document.getElementById('record-count-display');
 
-    if (combinedData.length === 0) {
-        tableHead.innerHTML = '';
-        tableBody.innerHTML = '<tr><td colspan="100%" style="text-align: center; padding: 20px;">No processed data available</td></tr>';
-        recordCountDisplay.textContent = '';
-        return;
+    if (!window.resultsGrid) {
+        window.resultsGrid = new ResultsGrid({
+            container: document.getElementById('results-grid-container'),
+            head: document.getElementById('results-table-head'),
+            body: document.getElementById('results-table-body'),
+            status: document.getElementById('pagination-controls')
+        });
     }
 
-    // Get columns from active template (always show all template columns)
-    const templateColumns = window.borderellenTemplate?.columns || [];
-    const columns = templateColumns.map(col => col.name);
-
-    // Create table headers
-    tableHead.innerHTML = `
-        <tr>
-            <th>Source File</th>
-            ${columns.map(col => `<th>${col}</th>`).join('')}
-        </tr>
-    `;
-
-    // Group records by source file for better display organization
-    const recordsByFile = {};
-    combinedData.forEach(row => {
-        if (!recordsByFile[row._sourceFile]) {
-            recordsByFile[row._sourceFile] = [];
-        }
-        recordsByFile[row._sourceFile].push(row);
-    });
-
-    // Build table with file separators and record indicators
-    let tableHTML = '';
-    Object.keys(recordsByFile).forEach(fileName => {
-        const fileRecords = recordsByFile[fileName];
-        const sourceFile = processedFiles.find(f => f.name === fileName);
-        const totalRecords = sourceFile ? sourceFile.parsedData.length : fileRecords.length;
-        const showingAll = fileRecords.length === totalRecords;
-
-        // Add file header row
-        tableHTML += `<tr style="background: #2a2a2a; border-top: 2px solid #404040;">
-            <td colspan="${columns.length + 1}" style="font-weight: bold; padding: 8px;">
-                📄 ${fileName}
-                <span style="color: #888; font-weight: normal;">(showing ${fileRecords.length} of ${totalRecords.toLocaleString()} records${!showingAll ? ' - first 3 + last 3' : ''})</span>
-            </td>
-        </tr>`;
-
-        // Add records for this file
-        fileRecords.forEach((row, index) => {
-            const isGap = !showingAll && index === 3; // Add gap indicator between first 3 and last 3
-
-            if (isGap && totalRecords > 6) {
-                tableHTML += `<tr style="background: #1a1a1a;">
-                    <td colspan="${columns.length + 1}" style="text-align: center; padding: 4px; color: #666; font-style: italic;">
-                        ... ${(totalRecords - 6).toLocaleString()} records omitted ...
-                    </td>
-                </tr>`;
-            }
-
-            tableHTML += `<tr>
-                <td style="color: #888; font-size: 11px;">${row._sourceFile}</td>
-                ${columns.map(col => {
-                    const value = row[col];
-                    return `<td>${value !== undefined && value !== null && value !== '' ? value : '<em style="color: #888;">empty</em>'}</td>`;
-                }).join('')}
-            </tr>`;
-        });
-    });
+    // Template columns in template order, preceded by the source file (and issues and earlier deliveries when there are any)
+    const columns = [
+        { key: '_sourceFile', label: 'Source File', type: 'text' },
+        ...(window.hasRowIssues(combinedData) ? [{ key: '_issues', label: 'Issues', type: 'number' }] : []),
+        ...(combinedData.some(row => row._duplicateOf) ? [{ key: '_duplicateOf', label: 'Delivered Before In', type: 'text' }] : []),
+        ...(combinedData.some(row => row._supersededBy) ? [{ key: '_supersededBy', label: 'Replaced By', type: 'text' }] : []),
+        ...(getResultsTemplate()?.columns || []).map(col => ({ key: col.name, label: col.name, type: col.type || 'text' }))
+    ];
 
-    tableBody.innerHTML = tableHTML;
+    window.resultsGrid.setData(combinedData, columns);
 
-    // Update record count display
-    const totalRecordsAll = processedFiles.reduce((sum, f) => sum + f.parsedData.length, 0);
-    const displayText = `Showing ${combinedData.length.toLocaleString()} sample records from ${totalRecordsAll.toLocaleString()} total across ${processedFiles.length} files`;
+    recordCountDisplay.textContent = `${combinedData.length.toLocaleString()} records across ${processedFiles.length} files`;
 
-    recordCountDisplay.textContent = displayText;
+    // Store FULL data for export and the Email tab
+    window.currentCombinedData = combinedData;
+}
 
-    // Store FULL data for export (not just the sample)
-    const fullCombinedData = [];
-    processedFiles.forEach(file => {
-        file.parsedData.forEach(record => {
-            fullCombinedData.push({
-                ...record,
-                _sourceFile: file.name,
-                _sourceId: file.id
-            });
-        });
-    });
-    window.currentCombinedData = fullCombinedData;
+/**
+ * Get the records to export: the current grid view (filtered and sorted) or all records
+ * @returns {Object} { rows, isFiltered }
+ */
+function getResultsExportRows() {
+    if (window.resultsGrid && window.resultsGrid.hasActiveView() && window.resultsGrid.rows === window.currentCombinedData) {
+        return { rows: window.resultsGrid.getViewRows(), isFiltered: window.resultsGrid.isFiltered() };
+    }
+    return { rows: window.currentCombinedData || [], isFiltered: false };
 }
 
 // ========== EXPORT FUNCTIONS ==========
 
 /**
  * Download combined data as Excel file
+ * Columns follow the active template: its order, header names and declared types
  */
 async function downloadCombinedExcel() {
     console.log('downloadCombinedExcel called');
@@ -283,41 +334,15 @@ async function downloadCombinedExcel() {
         return;
     }
 
-    try {
-        // Define the 22-column template order
-        const columnOrder = [
-            'Makelaar', 'Boekingsperiode', 'Polisnr makelaar', 'Verzekerde', 'Branche',
-            'Periode van', 'Periode tot', 'Valuta', 'Bruto', 'Provisie%',
-            'Provisie', 'Tekencom%', 'Tekencom', 'Netto', 'BAB',
-            'Land', 'Aandeel Allianz', 'Tekenjaar', 'Boekdatum tp', 'FactuurDtm',
-            'FactuurNr', 'Boekingsreden'
-        ];
-
-        // Clean data for export and ensure all 22 columns are present
-        const exportData = window.currentCombinedData.map(row => {
-            const cleanRow = {};
-
-            // First, add all columns in the correct order
-            columnOrder.forEach(columnName => {
-                cleanRow[columnName] = row[columnName] || '';
-            });
-
-            // Then add any additional columns that aren't internal fields
-            Object.keys(row).forEach(key => {
-                if (!key.startsWith('_') && !columnOrder.includes(key)) {
-                    cleanRow[key] = row[key];
-                }
-            });
-
-            return cleanRow;
-        });
-
-        // Create Excel workbook
-        const wb = XLSX.utils.book_new();
-        const ws = XLSX.utils.json_to_sheet(exportData);
+    // Export exactly what the grid shows: filtered and sorted
+    const { rows, isFiltered } = getResultsExportRows();
+    if (rows.length === 0) {
+        alert('No records match the current filters.');
+        return;
+    }
 
-        // Add worksheet
-        XLSX.utils.book_append_sheet(wb, ws, 'Processed Data');
+    try {
+        const wb = window.buildTemplateExportWorkbook(rows, getResultsTemplate(), window.appSettings);
 
         // Generate filename with timestamp
         const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
@@ -327,7 +352,7 @@ async function downloadCombinedExcel() {
         const success = await window.downloadExcelToPreferredFolder(wb, filename);
 
         if (success) {
-            alert(`Downloaded ${exportData.length} records successfully`);
+            alert(`Downloaded ${rows.length} records successfully${isFiltered ? ' (filtered view)' : ''}`);
         }
 
     } catch (error) {
@@ -345,17 +370,16 @@ async function exportCombinedJSON() {
         return;
     }
 
+    // Export exactly what the grid shows: filtered and sorted
+    const { rows, isFiltered } = getResultsExportRows();
+    if (rows.length === 0) {
+        alert('No records match the current filters.');
+        return;
+    }
+
     try {
         // Clean data for export
-        const exportData = window.currentCombinedData.map(row => {
-            const cleanRow = {};
-            Object.keys(row).forEach(key => {
-                if (!key.startsWith('_')) {
-                    cleanRow[key] = row[key];
-                }
-            });
-            return cleanRow;
-        });
+        const exportData = window.toExportRecords(rows);
 
         const dataStr = JSON.stringify(exportData, null, 2);
         const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
@@ -366,7 +390,7 @@ async function exportCombinedJSON() {
         const success = await window.downloadToPreferredFolder(blob, filename, 'application/json');
 
         if (success) {
-            alert(`Exported ${exportData.length} records successfully`);
+            alert(`Exported ${exportData.length} records successfully${isFiltered ? ' (filtered view)' : ''}`);
         }
 
     } catch (error) {
@@ -443,7 +467,12 @@ function autoSelectFileInMappingTab() {
 // Make results functions globally accessible
 window.setupResultsTabListeners = setupResultsTabListeners;
 window.handleSearchInput = handleSearchInput;
+window.clearResultsView = clearResultsView;
+window.getResultsExportRows = getResultsExportRows;
 window.updateResultsTab = updateResultsTab;
+window.getResultsTemplate = getResultsTemplate;
+window.showHistoryRunInResults = showHistoryRunInResults;
+window.closeHistoryRunInResults = closeHistoryRunInResults;
 window.displayProcessingOverview = displayProcessingOverview;
 window.displayCombinedResults = displayCombinedResults;
 window.downloadCombinedExcel = downloadCombinedExcel;
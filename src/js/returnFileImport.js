@@ -0,0 +1,308 @@
+/**
+ * Borderellen Converter - Return File Import
+ * Merges a broker's completed return file back into the dataset. Every processed record gets a
+ * row key that the email attachment carries in a hidden column; the returned file is matched on
+ * that key, so renamed files, re-sorted rows and deleted rows do not matter. Only fields that were
+ * missing are filled in: values the broker changed in already filled fields are shown, not applied.
+ */
+
+// Header of the hidden row key column in the email attachment
+const RETURN_ROW_KEY_HEADER = 'Row Key';
+
+// Changes listed in the import preview; the rest are counted
+const RETURN_IMPORT_DISPLAY_LIMIT = 200;
+
+let pendingReturnImport = null; // Comparison shown in the import preview, applied on confirmation
+
+// ========== ROW KEYS ==========
+
+/**
+ * Give the records of a processed file a row key, when they do not have one yet; every batch of
+ * keys gets its own random prefix, so keys stay unique across files, reprocessing and sessions.
+ * Called when a file finishes processing
+ * @param {Object} fileData - Processed file with parsedData
+ */
+function assignRowKeys(fileData) {
+    if (!fileData.parsedData || fileData.parsedData.every(record => record._rowKey)) {
+        return;
+    }
+
+    const prefix = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    fileData.parsedData.forEach((record, index) => {
+        if (!record._rowKey) {
+            record._rowKey = `${prefix}-${index + 1}`;
+        }
+    });
+}
+
+// ========== READING ==========
+
+/**
+ * Read the rows of a returned file: the first sheet with a row key column
+ * @param {File} file - Returned file
+ * @returns {Promise<Object>} { sheetName, headers, rows: [{ rowKey, values }] }
+ */
+async function readReturnFile(file) {
+    const workbook = await ExcelCacheManager.getWorkbook(file);
+
+    for (const sheetName of workbook.SheetNames) {
+        const sheetRows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, raw: true, defval: '' });
+        const headerIndex = sheetRows.findIndex(row => row.some(cell => String(cell).trim() === RETURN_ROW_KEY_HEADER));
+        if (headerIndex === -1) continue;
+
+        const headers = sheetRows[headerIndex].map(cell => String(cell).trim());
+        const keyIndex = headers.indexOf(RETURN_ROW_KEY_HEADER);
+
+        const rows = sheetRows.slice(headerIndex + 1)
+            .filter(row => row.some(cell => String(cell).trim() !== ''))
+            .map(row => ({
+                rowKey: String(row[keyIndex] ?? '').trim(),
+                values: Object.fromEntries(headers.map((header, index) => [header, row[index]]))
+            }));
+
+        return { sheetName, headers, rows };
+    }
+
+    throw new Error(`No "${RETURN_ROW_KEY_HEADER}" column found. Only attachments generated from the Results data can be imported.`);
+}
+
+// ========== COMPARISON ==========
+
+/**
+ * Compare a returned file with the current dataset
+ * @param {Object} returned - Result of readReturnFile
+ * @returns {Object} { fills, conflicts, matchedRows, unmatchedRows, rowsWithoutKey, columns }
+ *                   where fills and conflicts are [{ fileData, record, field, oldValue, newValue, error }]
+ */
+function compareReturnFile(returned) {
+    const templateColumns = window.borderellenTemplate?.columns || [];
+    const columns = templateColumns.filter(column => returned.headers.includes(column.name));
+
+    // Records of the current files, by row key
+    const recordsByKey = new Map();
+    window.uploadedFiles
+        .filter(fileData => fileData.statusClass === 'status-success')
+        .forEach(fileData => fileData.parsedData.forEach(record => {
+            if (record._rowKey) {
+                recordsByKey.set(record._rowKey, { fileData, record });
+            }
+        }));
+
+    const comparison = { fills: [], conflicts: [], matchedRows: 0, unmatchedRows: 0, rowsWithoutKey: 0, columns };
+
+    returned.rows.forEach(row => {
+        if (!row.rowKey) {
+            comparison.rowsWithoutKey++;
+            return;
+        }
+
+        const match = recordsByKey.get(row.rowKey);
+        if (!match) {
+            comparison.unmatchedRows++;
+            return;
+        }
+        comparison.matchedRows++;
+
+        columns.forEach(column => {
+            const coerced = window.coerceValue(row.values[column.name], column);
+            const oldValue = match.record[column.name];
+            const isOldEmpty = oldValue === undefined || oldValue === null || oldValue === '';
+
+            // An emptied field is not a change: the dataset keeps its value
+            if (coerced.value === '' || String(coerced.value) === String(oldValue ?? '')) return;
+
+            const change = { ...match, field: column.name, oldValue, newValue: coerced.value, error: coerced.error };
+            if (isOldEmpty) {
+                comparison.fills.push(change);
+            } else {
+                comparison.conflicts.push(change);
+            }
+        });
+    });
+
+    return comparison;
+}
+
+/**
+ * Label of a record in the import preview: its record key values, or its row key
+ * @param {Object} record - Record
+ * @returns {string} Label
+ */
+function describeReturnRecord(record) {
+    const keyColumns = window.getRecordKeyColumns(window.borderellenTemplate);
+    const values = keyColumns.map(column => record[column]).filter(value => value !== undefined && value !== null && value !== '');
+    return values.length > 0 ? values.join(' / ') : record._rowKey;
+}
+
+// ========== IMPORT PREVIEW ==========
+
+/**
+ * Render the changes of one kind for the import preview
+ * @param {Array} changes - Fills or conflicts
+ * @param {boolean} showOldValue - Show the current value as well
+ * @returns {string} HTML table
+ */
+function renderReturnChanges(changes, showOldValue) {
+    const shown = changes.slice(0, RETURN_IMPORT_DISPLAY_LIMIT);
+
+    return `
+        <table class="data-table">
+            <thead>
+                <tr><th>Source File</th><th>Record</th><th>Field</th>${showOldValue ? '<th>Current Value</th>' : ''}<th>Returned Value</th></tr>
+            </thead>
+            <tbody>
+                ${shown.map(change => `
+                    <tr>
+                        <td>${escapeHtml(change.fileData.name)}</td>
+                        <td>${escapeHtml(String(describeReturnRecord(change.record)))}</td>
+                        <td>${escapeHtml(change.field)}</td>
+                        ${showOldValue ? `<td>${escapeHtml(String(change.oldValue))}</td>` : ''}
+                        <td${change.error ? ' style="color: #ff9800;"' : ''} title="${window.escapeAttribute(change.error || '')}">${escapeHtml(String(change.newValue))}${change.error ? ' ⚠' : ''}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        ${changes.length > shown.length ? `<p style="color: #888; margin-top: 8px;">... and ${changes.length - shown.length} more</p>` : ''}
+    `;
+}
+
+/**
+ * Show what a returned file changes, before it is applied
+ * @param {string} fileName - Name of the returned file
+ * @param {Object} comparison - Result of compareReturnFile
+ */
+function showReturnImportModal(fileName, comparison) {
+    const { fills, conflicts, matchedRows, unmatchedRows, rowsWithoutKey } = comparison;
+    const filledRecords = new Set(fills.map(change => change.record)).size;
+
+    document.getElementById('return-import-title').textContent = `Import Completed File - ${fileName}`;
+    document.getElementById('return-import-summary').innerHTML = `
+        <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(180px, 1fr)); gap: 16px; background: #333; padding: 16px; border-radius: 8px; margin-bottom: 16px;">
+            <div>
+                <div style="color: #00bcd4; font-size: 24px; font-weight: bold;">${matchedRows}</div>
+                <div style="color: #888; font-size: 14px;">Rows matched</div>
+            </div>
+            <div>
+                <div style="color: #4caf50; font-size: 24px; font-weight: bold;">${fills.length}</div>
+                <div style="color: #888; font-size: 14px;">Missing fields filled in (${filledRecords} records)</div>
+            </div>
+            <div>
+                <div style="color: #ffa726; font-size: 24px; font-weight: bold;">${conflicts.length}</div>
+                <div style="color: #888; font-size: 14px;">Filled fields changed by the broker</div>
+            </div>
+        </div>
+        ${unmatchedRows + rowsWithoutKey > 0 ? `
+            <p style="color: #ff9800; margin-bottom: 16px;">
+                ${unmatchedRows > 0 ? `${unmatchedRows} rows have a row key that is not in the current files (another session, or the file was removed or reprocessed). ` : ''}
+                ${rowsWithoutKey > 0 ? `${rowsWithoutKey} rows have no row key (added by the broker) and are skipped.` : ''}
+            </p>
+        ` : ''}
+    `;
+
+    document.getElementById('return-import-changes').innerHTML = `
+        ${fills.length > 0 ? `
+            <h4 style="margin-bottom: 8px;">Fields to fill in</h4>
+            ${renderReturnChanges(fills, false)}
+        ` : '<p style="color: #888;">The returned file fills in no missing fields.</p>'}
+        ${conflicts.length > 0 ? `
+            <h4 style="margin: 16px 0 8px;">Changed by the broker (not applied)</h4>
+            <p style="color: #888; font-size: 13px; margin-bottom: 8px;">These fields already had a value. Check them with the broker, or correct the source file and process it again.</p>
+            ${renderReturnChanges(conflicts, true)}
+        ` : ''}
+    `;
+
+    document.getElementById('apply-return-import-btn').disabled = fills.length === 0;
+    showModal('return-import-modal');
+}
+
+/**
+ * Hide the import preview; nothing is applied
+ */
+function hideReturnImportModal() {
+    pendingReturnImport = null;
+    hideModal('return-import-modal');
+}
+
+// ========== IMPORT ==========
+
+/**
+ * Import a broker's completed return file: compare it with the current files and show the preview
+ * @param {File} file - Returned file
+ */
+async function importCompletedFile(file) {
+    if (!window.uploadedFiles.some(fileData => fileData.statusClass === 'status-success')) {
+        alert('No processed files to merge into. Resume the session the emails were sent from, or process the broker files first.');
+        return;
+    }
+
+    try {
+        const returned = await readReturnFile(file);
+        const comparison = compareReturnFile(returned);
+
+        if (comparison.matchedRows === 0) {
+            alert(`None of the ${returned.rows.length} rows of ${file.name} match the current files.\n\nResume the session the emails were sent from and import the file again.`);
+            return;
+        }
+
+        console.log(`Return file ${file.name}: ${comparison.matchedRows} rows matched, ${comparison.fills.length} fields to fill in, ${comparison.conflicts.length} changed values`);
+        pendingReturnImport = comparison;
+        showReturnImportModal(file.name, comparison);
+    } catch (error) {
+        console.error('Error importing return file:', file.name, error);
+        alert(`Error importing ${file.name}: ${error.message}`);
+    } finally {
+        ExcelCacheManager.clearCache(file);
+    }
+}
+
+/**
+ * Fill in the missing fields of the import preview, validate the changed files again, save them in
+ * their processing history runs and refresh the Results tab, the missing data analysis and the
+ * outstanding data requests
+ */
+async function applyReturnImport() {
+    const comparison = pendingReturnImport;
+    if (!comparison) return;
+
+    const templateColumns = window.borderellenTemplate?.columns || [];
+    const changedFiles = new Set();
+
+    comparison.fills.forEach(change => {
+        change.record[change.field] = change.newValue;
+        changedFiles.add(change.fileData);
+    });
+
+    // Filled in values can solve (or cause) conversion and validation rule issues
+    for (const fileData of changedFiles) {
+        const normalized = window.normalizeRecords(fileData.parsedData, templateColumns);
+        fileData.parsedData = window.applyValidationRules(normalized, window.borderellenTemplate?.validationRules, templateColumns);
+
+        // The history keeps what was finally produced, for re-download and later duplicate checks
+        const issues = window.summarizeIssues(fileData.parsedData);
+        await window.saveFileRun(fileData, {
+            issues: { rows: issues.rows, errors: issues.errors, warnings: issues.warnings },
+            warnings: window.getRunWarnings(issues, fileData.reconciliation),
+            returnImportedAt: new Date().toISOString()
+        });
+    }
+
+    hideReturnImportModal();
+    console.log(`Return file applied: ${comparison.fills.length} fields filled in across ${changedFiles.size} files`);
+
+    updateFilesDisplay();
+    updateResultsTab();
+
+    if (document.getElementById('use-results-data').checked) {
+        await window.analyzeCurrentResultsData();
+    }
+
+    // Requests whose missing values were filled in become partially received or complete
+    await window.displayDataRequests();
+}
+
+// Export functions globally for cross-module access
+window.RETURN_ROW_KEY_HEADER = RETURN_ROW_KEY_HEADER;
+window.assignRowKeys = assignRowKeys;
+window.importCompletedFile = importCompletedFile;
+window.applyReturnImport = applyReturnImport;
+window.hideReturnImportModal = hideReturnImportModal;
@@ -0,0 +1,340 @@
+/**
+ * Borderellen Converter - Session Manager
+ * Keeps the working session in IndexedDB, so a reload or crash loses nothing: the uploaded files
+ * with their detection results, parsed records, header selections and duplicate decisions, and the
+ * file mapping in progress. Sessions have a name (e.g. "September 2026 run") and can be resumed,
+ * switched and deleted; on startup the saved sessions are offered for resuming.
+ */
+
+// Changes are saved once the app has been idle this long
+const SESSION_SAVE_DELAY = 1000;
+
+// Session being worked on: { id, name, created }; stored once it has files or a mapping in progress
+window.currentSession = null;
+
+let sessionSaveTimer = null;
+const storedSessionFileIds = new Set(); // Files of the current session whose content is stored
+let resumedMapping = null; // Mapping in progress of a resumed session, applied when the File Mapping tab opens
+
+// ========== SAVING ==========
+
+/**
+ * Default name of a new session
+ * @returns {string} Name with the current date and time
+ */
+function defaultSessionName() {
+    return `Session ${new Date().toLocaleString()}`;
+}
+
+/**
+ * Start a new, empty session
+ * @param {string} name - Session name
+ */
+function startSession(name) {
+    window.currentSession = {
+        id: `session-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        name: name || defaultSessionName(),
+        created: new Date().toISOString()
+    };
+    storedSessionFileIds.clear();
+    updateSessionDisplay();
+}
+
+/**
+ * The file mapping being worked on in the File Mapping tab, including unsaved changes
+ * @returns {Object|null} { fileId, columnMapping, patternAnalysis, context }
+ */
+function getMappingInProgress() {
+    const fileData = window.currentMappingFile;
+    if (!fileData || !window.uploadedFiles.includes(fileData)) {
+        return resumedMapping; // A resumed mapping stays saved until the File Mapping tab opens it
+    }
+
+    const context = window.fileMappingContext;
+    return {
+        fileId: fileData.id,
+        columnMapping: { ...window.currentMapping },
+        patternAnalysis: window.currentPatternAnalysis,
+        context: context.isActive && context.fileId === fileData.id ? { ...context } : null
+    };
+}
+
+/**
+ * Save the session after the next idle moment; called whenever files or the mapping change
+ */
+function scheduleSessionSave() {
+    clearTimeout(sessionSaveTimer);
+    sessionSaveTimer = setTimeout(saveCurrentSession, SESSION_SAVE_DELAY);
+}
+
+/**
+ * Save the current session; files still being processed are saved once they are done
+ * @returns {Promise<boolean>} Success status
+ */
+async function saveCurrentSession() {
+    clearTimeout(sessionSaveTimer);
+
+    const files = window.uploadedFiles.filter(f => !f.processing);
+    const mapping = getMappingInProgress();
+    if (!window.currentSession) {
+        if (files.length === 0 && !mapping) return true;
+        startSession(defaultSessionName());
+    }
+
+    const session = {
+        ...window.currentSession,
+        updatedAt: new Date().toISOString(),
+        user: window.appSettings?.userName || 'User',
+        fileCount: files.length,
+        recordCount: files.reduce((sum, f) => sum + (f.statusClass === 'status-success' ? f.parsedData.length : 0), 0)
+    };
+
+    // File contents are stored once; the state without them on every save
+    const state = {
+        files: files.map(({ file, processing, progress, ...fileData }) => fileData),
+        mapping: mapping
+    };
+    const fileIds = new Set(files.map(f => f.id));
+    const addedFiles = files.filter(f => !storedSessionFileIds.has(f.id)).map(f => ({ fileId: f.id, file: f.file }));
+    const removedFileIds = [...storedSessionFileIds].filter(id => !fileIds.has(id));
+
+    const saved = await window.saveSession(session, state, addedFiles, removedFileIds);
+    if (saved) {
+        addedFiles.forEach(({ fileId }) => storedSessionFileIds.add(fileId));
+        removedFileIds.forEach(fileId => storedSessionFileIds.delete(fileId));
+    }
+    return saved;
+}
+
+// ========== RESUMING ==========
+
+/**
+ * Resume a saved session: its files replace the files being worked on (which stay saved in their own session)
+ * @param {string} sessionId - Session ID
+ */
+async function resumeSession(sessionId) {
+    const session = (await window.loadSessions()).find(s => s.id === sessionId);
+    const stored = session ? await window.loadSessionData(sessionId) : null;
+    if (!stored) {
+        alert('Session not found. It may have been deleted.');
+        return;
+    }
+
+    // Finish saving the session being left
+    await saveCurrentSession();
+    window.cancelProcessing();
+
+    // Files whose content is missing cannot be used and are left out
+    const files = stored.state.files
+        .filter(fileData => stored.files.has(fileData.id))
+        .map(fileData => ({ ...fileData, file: stored.files.get(fileData.id) }));
+
+    window.currentSession = { id: session.id, name: session.name, created: session.created };
+    storedSessionFileIds.clear();
+    files.forEach(f => storedSessionFileIds.add(f.id));
+
+    // The mapping in progress is applied when the File Mapping tab opens
+    window.currentMappingFile = null;
+    window.currentMapping = {};
+    window.currentPatternAnalysis = null;
+    window.resultsHistoryRun = null;
+    clearFileMappingContext();
+    resumedMapping = stored.state.mapping && files.some(f => f.id === stored.state.mapping.fileId) ? stored.state.mapping : null;
+
+    window.restoreUploadedFiles(files);
+    updateSessionDisplay();
+    hideSessionsModal();
+    console.log(`Session resumed: ${session.name} (${files.length} files)`);
+
+    const uploadTab = document.querySelector('[data-tab="upload"]');
+    if (uploadTab) {
+        uploadTab.click();
+    }
+}
+
+/**
+ * Open the mapping in progress of a resumed session in the File Mapping tab
+ * @returns {Promise<boolean>} True when a mapping was resumed
+ */
+async function resumeSessionMapping() {
+    const mapping = resumedMapping;
+    resumedMapping = null;
+
+    const fileData = mapping && window.uploadedFiles.find(f => f.id === mapping.fileId);
+    if (!fileData) {
+        return false;
+    }
+
+    // Loading the columns must not auto-map over the resumed mapping
+    fileData.resumingMapping = true;
+    try {
+        if (mapping.patternAnalysis) {
+            fileData.patternAnalysis = mapping.patternAnalysis;
+        }
+
+        document.getElementById('mapping-file-selector').value = fileData.id;
+        await loadSourceColumns(fileData.id);
+
+        // A file with a saved mapping loads that mapping's header settings, and a manual header selection
+        // is otherwise offered again; the resumed selection is shown instead
+        if (mapping.patternAnalysis && (window.currentPatternAnalysis !== mapping.patternAnalysis || mapping.patternAnalysis.manualSelection)) {
+            window.currentPatternAnalysis = mapping.patternAnalysis;
+            fileData.patternAnalysis = mapping.patternAnalysis;
+            await loadSourceColumnsFromAnalysis(fileData.file, mapping.patternAnalysis, document.getElementById('source-columns'));
+        }
+
+        if (mapping.context) {
+            saveFileMappingContext(fileData, mapping.context.mappingTemplateId, mapping.context.mappingName, mapping.context.mappingReadOnly);
+        }
+        window.currentMapping = { ...mapping.columnMapping };
+        updateTemplateDropZones();
+        updateMappingButtons();
+    } finally {
+        delete fileData.resumingMapping;
+    }
+
+    console.log(`Mapping in progress resumed for ${fileData.name}`);
+    return true;
+}
+
+// ========== SESSIONS MODAL ==========
+
+/**
+ * Show the name of the current session in the Upload tab
+ */
+function updateSessionDisplay() {
+    const label = document.getElementById('current-session-name');
+    if (label) {
+        label.textContent = window.currentSession ? `Session: ${window.currentSession.name}` : '';
+    }
+}
+
+/**
+ * Show the saved sessions
+ * @param {boolean} onStartup - Offer to resume the previous session (shown when the app opens)
+ */
+async function showSessionsModal(onStartup = false) {
+    const sessions = await window.loadSessions();
+    const currentId = window.currentSession?.id;
+
+    document.getElementById('sessions-intro').textContent = onStartup ?
+        'Your previous work was saved. Resume a session, or close this window to start a new one.' :
+        'Sessions are saved automatically. Resume an earlier session, or start a new one for the next run.';
+
+    document.getElementById('sessions-list').innerHTML = sessions.length === 0 ?
+        '<p style="color: #888;">No saved sessions yet. The current session is saved as soon as files are uploaded.</p>' : `
+        <table class="data-table">
+            <thead>
+                <tr><th>Session</th><th>Last saved</th><th>Files</th><th>Records</th><th>By</th><th>Actions</th></tr>
+            </thead>
+            <tbody>
+                ${sessions.map(session => `
+                    <tr>
+                        <td><strong>${escapeHtml(session.name)}</strong>${session.id === currentId ? ' <small style="color: #4caf50;">(current)</small>' : ''}</td>
+                        <td style="white-space: nowrap;">${new Date(session.updatedAt).toLocaleString()}</td>
+                        <td>${session.fileCount}</td>
+                        <td>${session.recordCount}</td>
+                        <td>${escapeHtml(session.user || '-')}</td>
+                        <td><div style="display: flex; gap: 4px; flex-wrap: wrap;">
+                            ${session.id === currentId ? '' : `<button class="btn" style="padding: 4px 8px; font-size: 12px;" onclick="resumeSession('${session.id}')">Resume</button>`}
+                            <button class="btn btn-secondary" style="padding: 4px 8px; font-size: 12px;" onclick="deleteSessionWithUI('${session.id}')">Delete</button>
+                        </div></td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    showModal('sessions-modal');
+}
+
+/**
+ * Hide the sessions modal
+ */
+function hideSessionsModal() {
+    hideModal('sessions-modal');
+}
+
+/**
+ * Rename the current session
+ */
+async function renameCurrentSession() {
+    const name = prompt('Session name (e.g. "September 2026 run"):', window.currentSession?.name || defaultSessionName());
+    if (!name || !name.trim()) return;
+
+    if (window.currentSession) {
+        window.currentSession.name = name.trim();
+    } else {
+        startSession(name.trim());
+    }
+    updateSessionDisplay();
+    await saveCurrentSession();
+    await showSessionsModal();
+}
+
+/**
+ * Start a new session; the current one stays saved and can be resumed later
+ */
+async function startNewSessionWithUI() {
+    const name = prompt('Name of the new session (e.g. "September 2026 run"):', defaultSessionName());
+    if (!name || !name.trim()) return;
+
+    await saveCurrentSession();
+    window.cancelProcessing();
+
+    window.currentMappingFile = null;
+    window.currentMapping = {};
+    window.currentPatternAnalysis = null;
+    window.resultsHistoryRun = null;
+    resumedMapping = null;
+    clearFileMappingContext();
+    window.restoreUploadedFiles([]);
+
+    startSession(name.trim());
+    hideSessionsModal();
+}
+
+/**
+ * Delete a saved session after confirmation; deleting the current session keeps its files open
+ * @param {string} sessionId - Session ID
+ */
+async function deleteSessionWithUI(sessionId) {
+    const session = (await window.loadSessions()).find(s => s.id === sessionId);
+    if (!session) return;
+
+    const isCurrent = session.id === window.currentSession?.id;
+    if (!confirm(`Delete session "${session.name}" (${session.fileCount} files)?${isCurrent ? '\n\nThe files stay open and are saved in a new session from now on.' : ''}`)) {
+        return;
+    }
+
+    clearTimeout(sessionSaveTimer);
+    await window.deleteSession(sessionId);
+    if (isCurrent) {
+        window.currentSession = null;
+        storedSessionFileIds.clear();
+        updateSessionDisplay();
+    }
+    await showSessionsModal();
+}
+
+/**
+ * Offer to resume a saved session when the app opens
+ */
+async function offerSessionResume() {
+    const sessions = await window.loadSessions();
+    if (sessions.length > 0) {
+        await showSessionsModal(true);
+    }
+}
+
+// Export functions globally for cross-module access
+window.scheduleSessionSave = scheduleSessionSave;
+window.saveCurrentSession = saveCurrentSession;
+window.resumeSession = resumeSession;
+window.resumeSessionMapping = resumeSessionMapping;
+window.showSessionsModal = showSessionsModal;
+window.hideSessionsModal = hideSessionsModal;
+window.renameCurrentSession = renameCurrentSession;
+window.startNewSessionWithUI = startNewSessionWithUI;
+window.deleteSessionWithUI = deleteSessionWithUI;
+window.offerSessionResume = offerSessionResume;
@@ -11,7 +11,7 @@ let db = null;
  */
 function initIndexedDB() {
     return new Promise((resolve, reject) => {
-        const request = indexedDB.open('BorderellenDB', 5);
+        const request = indexedDB.open('BorderellenDB', 11);
 
         request.onerror = () => reject(request.error);
         request.onsuccess = () => {
@@ -56,6 +56,59 @@ function initIndexedDB() {
             if (!database.objectStoreNames.contains('templateAssociations')) {
                 const associationsStore = database.createObjectStore('templateAssociations', { keyPath: 'key' });
             }
+
+            // Create lookup tables store (code translations used by LOOKUP() in CALC: formulas)
+            if (!database.objectStoreNames.contains('lookupTables')) {
+                const lookupStore = database.createObjectStore('lookupTables', { keyPath: 'id' });
+                lookupStore.createIndex('name', 'name', { unique: false });
+            }
+
+            // Create processing history stores: run metadata is browsed, the produced records
+            // are kept separately and only loaded when a run is re-opened or downloaded
+            if (!database.objectStoreNames.contains('processingRuns')) {
+                const runsStore = database.createObjectStore('processingRuns', { keyPath: 'id' });
+                runsStore.createIndex('processedAt', 'processedAt', { unique: false });
+                runsStore.createIndex('contentHash', 'contentHash', { unique: false });
+                runsStore.createIndex('mappingId', 'mappingId', { unique: false });
+            }
+
+            if (!database.objectStoreNames.contains('processingRunData')) {
+                database.createObjectStore('processingRunData', { keyPath: 'runId' });
+            }
+
+            // Create file mapping versions store: the previous state of a mapping is kept on every save
+            if (!database.objectStoreNames.contains('fileMappingVersions')) {
+                const versionsStore = database.createObjectStore('fileMappingVersions', { keyPath: 'versionId' });
+                versionsStore.createIndex('mappingId', 'mappingId', { unique: false });
+            }
+
+            // Create mapping samples store: source files with their approved output, run as regression tests
+            if (!database.objectStoreNames.contains('mappingSamples')) {
+                const samplesStore = database.createObjectStore('mappingSamples', { keyPath: 'id' });
+                samplesStore.createIndex('mappingId', 'mappingId', { unique: false });
+            }
+
+            // Create working session stores: session metadata is listed on startup, the state
+            // (processed files, mapping in progress) and the uploaded file contents are kept separately
+            if (!database.objectStoreNames.contains('sessions')) {
+                const sessionsStore = database.createObjectStore('sessions', { keyPath: 'id' });
+                sessionsStore.createIndex('updatedAt', 'updatedAt', { unique: false });
+            }
+
+            if (!database.objectStoreNames.contains('sessionData')) {
+                database.createObjectStore('sessionData', { keyPath: 'sessionId' });
+            }
+
+            if (!database.objectStoreNames.contains('sessionFiles')) {
+                const sessionFilesStore = database.createObjectStore('sessionFiles', { keyPath: 'id' });
+                sessionFilesStore.createIndex('sessionId', 'sessionId', { unique: false });
+            }
+
+            // Create data requests store: missing data emails sent to brokers, with status and reminders
+            if (!database.objectStoreNames.contains('dataRequests')) {
+                const requestsStore = database.createObjectStore('dataRequests', { keyPath: 'id' });
+                requestsStore.createIndex('brokerName', 'brokerName', { unique: false });
+            }
         };
 
     });
@@ -225,13 +278,46 @@ async function loadSettings() {
             request.onerror = () => reject(request.error);
         });
 
+        const reminderSubjectSetting = await new Promise((resolve, reject) => {
+            const request = store.get('reminderSubject');
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        const reminderBodyTemplateSetting = await new Promise((resolve, reject) => {
+            const request = store.get('reminderBodyTemplate');
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        const exportFormatSetting = await new Promise((resolve, reject) => {
+            const request = store.get('exportFormat');
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        const importFormatSetting = await new Promise((resolve, reject) => {
+            const request = store.get('importFormat');
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
         const settings = {
             userName: userNameSetting ? userNameSetting.value : 'User',
             userEmail: userEmailSetting ? userEmailSetting.value : '',
             userSignature: userSignatureSetting ? userSignatureSetting.value : '',
             downloadFolder: downloadFolderSetting ? downloadFolderSetting.value : '',
             emailSubject: emailSubjectSetting ? emailSubjectSetting.value : '',
-            emailBodyTemplate: emailBodyTemplateSetting ? emailBodyTemplateSetting.value : ''
+            emailBodyTemplate: emailBodyTemplateSetting ? emailBodyTemplateSetting.value : '',
+            // Data request reminders, empty for the default text
+            reminderSubject: reminderSubjectSetting ? reminderSubjectSetting.value : '',
+            reminderBodyTemplate: reminderBodyTemplateSetting ? reminderBodyTemplateSetting.value : '',
+            // Excel export: default formats for template columns without their own format
+            exportDateFormat: exportFormatSetting?.value?.dateFormat || 'dd-mm-yyyy',
+            exportNumberFormat: exportFormatSetting?.value?.numberFormat || '#,##0.00',
+            exportExtraColumns: exportFormatSetting?.value?.extraColumns !== false,
+            // Broker files: day/month order of numeric dates ('dmy' or 'mdy')
+            importDateOrder: importFormatSetting?.value?.dateOrder || 'dmy'
         };
 
         // Load folder handle for startIn suggestion (no permission needed)
@@ -305,6 +391,28 @@ async function saveSettings(settings) {
             request.onerror = () => reject(request.error);
         });
 
+        await new Promise((resolve, reject) => {
+            const request = store.put({
+                key: 'exportFormat',
+                value: {
+                    dateFormat: settings.exportDateFormat || 'dd-mm-yyyy',
+                    numberFormat: settings.exportNumberFormat || '#,##0.00',
+                    extraColumns: settings.exportExtraColumns !== false
+                }
+            });
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+
+        await new Promise((resolve, reject) => {
+            const request = store.put({
+                key: 'importFormat',
+                value: { dateOrder: settings.importDateOrder || 'dmy' }
+            });
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+
         // Save email template settings if provided
         if (settings.emailSubject !== undefined) {
             await new Promise((resolve, reject) => {
@@ -322,6 +430,22 @@ async function saveSettings(settings) {
             });
         }
 
+        if (settings.reminderSubject !== undefined) {
+            await new Promise((resolve, reject) => {
+                const request = store.put({ key: 'reminderSubject', value: settings.reminderSubject });
+                request.onsuccess = () => resolve();
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        if (settings.reminderBodyTemplate !== undefined) {
+            await new Promise((resolve, reject) => {
+                const request = store.put({ key: 'reminderBodyTemplate', value: settings.reminderBodyTemplate });
+                request.onsuccess = () => resolve();
+                request.onerror = () => reject(request.error);
+            });
+        }
+
         // Save folder handle if available (File System Access API handles are serializable to IndexedDB)
         if (settings.downloadFolderHandle) {
             console.log('Saving folder handle to IndexedDB:', settings.downloadFolderHandle.name);
@@ -389,14 +513,7 @@ async function exportTemplateAsJSON(template, fileName, appSettings) {
  */
 async function loadTemplateFromJSON(file) {
     try {
-        const text = await new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = (e) => resolve(e.target.result);
-            reader.onerror = reject;
-            reader.readAsText(file);
-        });
-
-        const imported = JSON.parse(text);
+        const imported = JSON.parse(await file.text());
 
         // Validate basic structure
         if (!imported.columns || !Array.isArray(imported.columns)) {
@@ -609,32 +726,75 @@ async function loadBrokerContactsFromJSON(file) {
 
 /**
  * Save file mapping to unified store
+ * When the mapping already exists and its content changed, the stored state is kept as a
+ * version in the mapping history and the version number is incremented
  * @param {Object} mapping - File mapping to save
  * @returns {Promise<boolean>} Success status
  */
 async function saveFileMapping(mapping) {
     try {
+        if (mapping.readOnly) {
+            console.warn(`File mapping "${mapping.name}" is a read-only built-in mapping and cannot be overwritten`);
+            return false;
+        }
+
         if (!db) await initIndexedDB();
 
+        const previous = mapping.id ? await new Promise((resolve, reject) => {
+            const request = db.transaction(['fileMappings'], 'readonly').objectStore('fileMappings').get(mapping.id);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        }) : null;
+        const changes = previous ? window.describeMappingChanges(previous, mapping) : [];
+
         // Ensure required fields
         const completeMapping = {
             ...mapping,
             id: mapping.id || `mapping-${Date.now()}`,
             created: mapping.created || new Date().toISOString(),
             lastModified: new Date().toISOString(),
+            lastModifiedBy: window.appSettings?.userName || 'User',
             matchingKeyword: mapping.matchingKeyword || '',
             creationMethod: mapping.creationMethod || 'unknown'
         };
 
-        const transaction = db.transaction(['fileMappings'], 'readwrite');
-        const store = transaction.objectStore('fileMappings');
+        if (!previous) {
+            completeMapping.version = mapping.version || '1.0';
+        } else if (changes.length > 0) {
+            // Callers that already incremented the version (CustomBrokerTemplateManager.updateTemplate) keep theirs
+            completeMapping.version = mapping.version && mapping.version !== previous.version ?
+                mapping.version : CustomBrokerTemplateManager.incrementVersion(previous.version || '1.0');
+            completeMapping.changes = changes;
+            if (mapping.restoredFrom && mapping.restoredFrom === previous.restoredFrom) {
+                delete completeMapping.restoredFrom; // Only the save that restored a version is marked as such
+            }
+        } else {
+            // Nothing but bookkeeping changed: same version, no history entry
+            completeMapping.version = previous.version || '1.0';
+        }
+
+        const transaction = db.transaction(['fileMappings', 'fileMappingVersions'], 'readwrite');
+        transaction.objectStore('fileMappings').put(completeMapping);
+        if (previous && changes.length > 0) {
+            transaction.objectStore('fileMappingVersions').put({
+                versionId: `${previous.id}@${previous.version || '1.0'}@${Date.now()}`,
+                mappingId: previous.id,
+                version: previous.version || '1.0',
+                replacedAt: completeMapping.lastModified,
+                replacedBy: completeMapping.lastModifiedBy,
+                mapping: previous
+            });
+        }
 
         await new Promise((resolve, reject) => {
-            const request = store.put(completeMapping);
-            request.onsuccess = () => resolve();
-            request.onerror = () => reject(request.error);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
         });
 
+        if (changes.length > 0) {
+            console.log(`File mapping "${completeMapping.name}" saved as version ${completeMapping.version}:`, changes);
+        }
         return true;
     } catch (error) {
         console.error('Error saving file mapping:', error);
@@ -642,6 +802,31 @@ async function saveFileMapping(mapping) {
     }
 }
 
+/**
+ * Load the earlier versions of a file mapping, newest first
+ * @param {string} mappingId - Mapping ID
+ * @returns {Promise<Array>} Versions { versionId, mappingId, version, replacedAt, replacedBy, mapping }
+ */
+async function loadFileMappingVersions(mappingId) {
+    try {
+        if (!db) await initIndexedDB();
+
+        const transaction = db.transaction(['fileMappingVersions'], 'readonly');
+        const index = transaction.objectStore('fileMappingVersions').index('mappingId');
+
+        const versions = await new Promise((resolve, reject) => {
+            const request = index.getAll(mappingId);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        return versions.sort((a, b) => b.replacedAt.localeCompare(a.replacedAt));
+    } catch (error) {
+        console.error('Error loading file mapping versions:', error);
+        return [];
+    }
+}
+
 /**
  * Load all file mappings from unified store
  * @returns {Promise<Array>} Array of file mappings
@@ -668,33 +853,129 @@ async function loadAllFileMappings() {
 }
 
 /**
- * Load file mapping by keyword matching
+ * Load file mapping by keyword or filename pattern matching
+ * User mappings are checked before the built-in ones, so an edited copy of a built-in mapping takes priority
  * @param {string} filename - Filename to match against keywords
  * @returns {Promise<Object|null>} Matching mapping or null
  */
 async function loadFileMappingByKeyword(filename) {
     try {
-        const mappings = await loadAllFileMappings();
+        return window.matchFileMappingByFilename(filename, await loadAllFileMappings());
+    } catch (error) {
+        console.error('Error loading file mapping by keyword:', error);
+        return null;
+    }
+}
 
-        const matchingMapping = mappings.find(mapping => {
-            if (!mapping.matchingKeyword || mapping.matchingKeyword.trim() === '') {
-                return false;
-            }
+/**
+ * Store the built-in file mappings (AON, VGA, BCI, Voogt) as read-only defaults
+ * A built-in mapping is (re)written when it is missing or its builtInRevision changed
+ * @returns {Promise<boolean>} Success status
+ */
+async function seedBuiltInFileMappings() {
+    try {
+        if (!db) await initIndexedDB();
 
-            const keyword = mapping.matchingKeyword.trim().toLowerCase();
-            const filenameLC = filename.toLowerCase();
+        const builtInMappings = window.BUILT_IN_FILE_MAPPINGS || [];
+        const existingMappings = await loadAllFileMappings();
 
-            return filenameLC.includes(keyword);
+        const outdatedMappings = builtInMappings.filter(builtIn => {
+            const existing = existingMappings.find(mapping => mapping.id === builtIn.id);
+            return !existing || existing.builtInRevision !== builtIn.builtInRevision;
         });
 
-        if (matchingMapping) {
-            console.log(`Found matching file mapping for ${filename} using keyword "${matchingMapping.matchingKeyword}":`, matchingMapping.name);
-        }
+        if (outdatedMappings.length === 0) return true;
+
+        const transaction = db.transaction(['fileMappings'], 'readwrite');
+        const store = transaction.objectStore('fileMappings');
 
-        return matchingMapping || null;
+        // Written directly: saveFileMapping refuses read-only mappings
+        await Promise.all(outdatedMappings.map(mapping => new Promise((resolve, reject) => {
+            const request = store.put(mapping);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        })));
+
+        console.log('Built-in file mappings stored:', outdatedMappings.map(mapping => mapping.name).join(', '));
+        return true;
     } catch (error) {
-        console.error('Error loading file mapping by keyword:', error);
-        return null;
+        console.error('Error storing built-in file mappings:', error);
+        return false;
+    }
+}
+
+/**
+ * Save a regression sample of a file mapping (source file content and approved output)
+ * @param {Object} sample - Sample { id, mappingId, fileName, fileType, content, approvedRecords, approvedAt, approvedBy, mappingVersion }
+ * @returns {Promise<boolean>} Success status
+ */
+async function saveMappingSample(sample) {
+    try {
+        if (!db) await initIndexedDB();
+
+        const transaction = db.transaction(['mappingSamples'], 'readwrite');
+        const store = transaction.objectStore('mappingSamples');
+
+        await new Promise((resolve, reject) => {
+            const request = store.put(sample);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+
+        return true;
+    } catch (error) {
+        console.error('Error saving mapping sample:', error);
+        return false;
+    }
+}
+
+/**
+ * Load the regression samples of a file mapping, oldest first
+ * @param {string} mappingId - Mapping ID
+ * @returns {Promise<Array>} Samples
+ */
+async function loadMappingSamples(mappingId) {
+    try {
+        if (!db) await initIndexedDB();
+
+        const transaction = db.transaction(['mappingSamples'], 'readonly');
+        const index = transaction.objectStore('mappingSamples').index('mappingId');
+
+        const samples = await new Promise((resolve, reject) => {
+            const request = index.getAll(mappingId);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        return samples.sort((a, b) => a.addedAt.localeCompare(b.addedAt));
+    } catch (error) {
+        console.error('Error loading mapping samples:', error);
+        return [];
+    }
+}
+
+/**
+ * Delete a regression sample
+ * @param {string} sampleId - Sample ID
+ * @returns {Promise<boolean>} Success status
+ */
+async function deleteMappingSample(sampleId) {
+    try {
+        if (!db) await initIndexedDB();
+
+        const transaction = db.transaction(['mappingSamples'], 'readwrite');
+        const store = transaction.objectStore('mappingSamples');
+
+        await new Promise((resolve, reject) => {
+            const request = store.delete(sampleId);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+
+        return true;
+    } catch (error) {
+        console.error('Error deleting mapping sample:', error);
+        return false;
     }
 }
 
@@ -707,13 +988,22 @@ async function deleteFileMapping(mappingId) {
     try {
         if (!db) await initIndexedDB();
 
-        const transaction = db.transaction(['fileMappings'], 'readwrite');
-        const store = transaction.objectStore('fileMappings');
+        if (window.BUILT_IN_FILE_MAPPINGS?.some(mapping => mapping.id === mappingId)) {
+            console.warn(`File mapping ${mappingId} is a built-in mapping and cannot be deleted`);
+            return false;
+        }
+
+        const versionIds = (await loadFileMappingVersions(mappingId)).map(version => version.versionId);
+        const sampleIds = (await loadMappingSamples(mappingId)).map(sample => sample.id);
+
+        const transaction = db.transaction(['fileMappings', 'fileMappingVersions', 'mappingSamples'], 'readwrite');
+        transaction.objectStore('fileMappings').delete(mappingId);
+        versionIds.forEach(versionId => transaction.objectStore('fileMappingVersions').delete(versionId));
+        sampleIds.forEach(sampleId => transaction.objectStore('mappingSamples').delete(sampleId));
 
         await new Promise((resolve, reject) => {
-            const request = store.delete(mappingId);
-            request.onsuccess = () => resolve();
-            request.onerror = () => reject(request.error);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
         });
 
         console.log('File mapping deleted:', mappingId);
@@ -780,14 +1070,7 @@ async function exportFileMappingAsJSON(mapping, fileName, appSettings) {
  */
 async function loadFileMappingFromJSON(file) {
     try {
-        const text = await new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = (e) => resolve(e.target.result);
-            reader.onerror = reject;
-            reader.readAsText(file);
-        });
-
-        const imported = JSON.parse(text);
+        const imported = JSON.parse(await file.text());
 
         // Validate file mapping structure
         if (!imported.columnMapping || typeof imported.columnMapping !== 'object') {
@@ -795,13 +1078,15 @@ async function loadFileMappingFromJSON(file) {
         }
 
         // Generate new ID and update timestamps for imported mapping
+        // An imported copy of a built-in mapping is an ordinary, editable mapping
+        const { readOnly, builtInRevision, ...importedFields } = imported;
         const importedMapping = {
-            ...imported,
+            ...importedFields,
             id: `mapping-${Date.now()}`,
             imported: true,
             importedAt: new Date().toISOString(),
             originalId: imported.id,
-            creationMethod: imported.creationMethod || 'imported'
+            creationMethod: imported.creationMethod === 'built-in' ? 'imported' : (imported.creationMethod || 'imported')
         };
 
         return {
@@ -816,6 +1101,172 @@ async function loadFileMappingFromJSON(file) {
     }
 }
 
+// ========== LOOKUP TABLES MANAGEMENT ==========
+
+/**
+ * Save lookup table to IndexedDB
+ * Table names are unique (case-insensitive) because formulas reference them by name,
+ * so saving a table with an existing name replaces the old one
+ * @param {Object} table - Lookup table ({ name, keyColumn, valueColumn, columns, rows })
+ * @returns {Promise<boolean>} Success status
+ */
+async function saveLookupTable(table) {
+    try {
+        if (!db) await initIndexedDB();
+
+        const existingTables = await loadAllLookupTables();
+        const sameName = existingTables.find(t =>
+            t.id !== table.id && t.name.trim().toLowerCase() === table.name.trim().toLowerCase()
+        );
+
+        const completeTable = {
+            ...table,
+            id: table.id || (sameName ? sameName.id : `lookup-${Date.now()}`),
+            name: table.name.trim(),
+            created: table.created || (sameName ? sameName.created : new Date().toISOString()),
+            lastModified: new Date().toISOString()
+        };
+
+        const transaction = db.transaction(['lookupTables'], 'readwrite');
+        const store = transaction.objectStore('lookupTables');
+
+        await new Promise((resolve, reject) => {
+            const request = store.put(completeTable);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+
+        console.log('Lookup table saved:', completeTable.name, `(${completeTable.rows.length} rows)`);
+        return true;
+    } catch (error) {
+        console.error('Error saving lookup table:', error);
+        return false;
+    }
+}
+
+/**
+ * Load all lookup tables from IndexedDB
+ * @returns {Promise<Array>} Array of lookup tables
+ */
+async function loadAllLookupTables() {
+    try {
+        if (!db) await initIndexedDB();
+
+        const transaction = db.transaction(['lookupTables'], 'readonly');
+        const store = transaction.objectStore('lookupTables');
+
+        return await new Promise((resolve, reject) => {
+            const request = store.getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    } catch (error) {
+        console.error('Error loading lookup tables:', error);
+        return [];
+    }
+}
+
+/**
+ * Delete lookup table from IndexedDB
+ * @param {string} tableId - Lookup table ID to delete
+ * @returns {Promise<boolean>} Success status
+ */
+async function deleteLookupTable(tableId) {
+    try {
+        if (!db) await initIndexedDB();
+
+        const transaction = db.transaction(['lookupTables'], 'readwrite');
+        const store = transaction.objectStore('lookupTables');
+
+        await new Promise((resolve, reject) => {
+            const request = store.delete(tableId);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+
+        console.log('Lookup table deleted:', tableId);
+        return true;
+    } catch (error) {
+        console.error('Error deleting lookup table:', error);
+        return false;
+    }
+}
+
+/**
+ * Export lookup table as JSON file
+ * @param {Object} table - Lookup table object
+ * @param {string} fileName - Optional filename
+ * @param {Object} appSettings - App settings for folder handling
+ */
+async function exportLookupTableAsJSON(table, fileName, appSettings) {
+    const safeName = table.name.replace(/[^a-z0-9\s-]/gi, '_').replace(/\s+/g, '_');
+    const finalFileName = fileName || `${safeName}_lookup_table.json`;
+
+    const exportData = {
+        ...table,
+        exportedAt: new Date().toISOString(),
+        exportedBy: appSettings?.userName || 'User',
+        type: 'lookup_table'
+    };
+
+    const dataStr = JSON.stringify(exportData, null, 2);
+
+    try {
+        // Try to use File System Access API if available and user has selected a folder
+        if ('showSaveFilePicker' in window && appSettings && appSettings.downloadFolderHandle) {
+            const fileHandle = await appSettings.downloadFolderHandle.getFileHandle(finalFileName, { create: true });
+            const writable = await fileHandle.createWritable();
+            await writable.write(dataStr);
+            await writable.close();
+            console.log('Lookup table exported to selected folder:', finalFileName);
+            return;
+        }
+    } catch (error) {
+        console.log('File System Access failed, falling back to download:', error);
+    }
+
+    // Fallback to regular download
+    const blob = new Blob([dataStr], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = finalFileName;
+    a.click();
+
+    URL.revokeObjectURL(url);
+    console.log('Lookup table downloaded as JSON:', finalFileName);
+}
+
+/**
+ * Load lookup table from JSON file
+ * @param {File} file - JSON file to load
+ * @returns {Promise<Object>} Result object with success status and table data
+ */
+async function loadLookupTableFromJSON(file) {
+    try {
+        const imported = JSON.parse(await file.text());
+
+        // Validate lookup table structure
+        if (!imported.name || !Array.isArray(imported.rows) || !imported.keyColumn) {
+            throw new Error('Invalid lookup table format - expected name, keyColumn and rows');
+        }
+
+        // Strip export metadata; the ID is resolved by name when saving
+        const { id, exportedAt, exportedBy, type, ...table } = imported;
+
+        return {
+            success: true,
+            table: { ...table, imported: true, importedAt: new Date().toISOString() }
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
 /**
  * Save current template ID to IndexedDB
  * @param {string} templateId - Template ID to set as current
@@ -842,6 +1293,330 @@ async function saveCurrentTemplateId(templateId) {
     }
 }
 
+// ========== PROCESSING HISTORY MANAGEMENT ==========
+
+/**
+ * Save a processing run with the records it produced
+ * @param {Object} run - Run metadata (file, hash, mapping, user, counts, warnings)
+ * @param {Array} records - Produced records
+ * @returns {Promise<boolean>} Success status
+ */
+async function saveProcessingRun(run, records) {
+    try {
+        if (!db) await initIndexedDB();
+
+        const transaction = db.transaction(['processingRuns', 'processingRunData'], 'readwrite');
+        transaction.objectStore('processingRuns').put(run);
+        transaction.objectStore('processingRunData').put({ runId: run.id, records: records });
+
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+
+        console.log('Processing run saved:', run.fileName, `(${records.length} records)`);
+        return true;
+    } catch (error) {
+        console.error('Error saving processing run:', error);
+        return false;
+    }
+}
+
+/**
+ * Load the metadata of all processing runs, newest first
+ * @returns {Promise<Array>} Array of runs
+ */
+async function loadProcessingRuns() {
+    try {
+        if (!db) await initIndexedDB();
+
+        const transaction = db.transaction(['processingRuns'], 'readonly');
+        const store = transaction.objectStore('processingRuns');
+
+        const runs = await new Promise((resolve, reject) => {
+            const request = store.getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        return runs.sort((a, b) => b.processedAt.localeCompare(a.processedAt));
+    } catch (error) {
+        console.error('Error loading processing runs:', error);
+        return [];
+    }
+}
+
+/**
+ * Load the records produced by a processing run
+ * @param {string} runId - Run ID
+ * @returns {Promise<Array|null>} Records, or null when the run has no stored output
+ */
+async function loadProcessingRunRecords(runId) {
+    try {
+        if (!db) await initIndexedDB();
+
+        const transaction = db.transaction(['processingRunData'], 'readonly');
+        const store = transaction.objectStore('processingRunData');
+
+        const entry = await new Promise((resolve, reject) => {
+            const request = store.get(runId);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        return entry ? entry.records : null;
+    } catch (error) {
+        console.error('Error loading processing run records:', error);
+        return null;
+    }
+}
+
+/**
+ * Update the metadata of a processing run, leaving its records untouched
+ * @param {Object} run - Run metadata
+ * @returns {Promise<boolean>} Success status
+ */
+async function updateProcessingRun(run) {
+    try {
+        if (!db) await initIndexedDB();
+
+        const transaction = db.transaction(['processingRuns'], 'readwrite');
+        transaction.objectStore('processingRuns').put(run);
+
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+
+        return true;
+    } catch (error) {
+        console.error('Error updating processing run:', error);
+        return false;
+    }
+}
+
+/**
+ * Delete a processing run and its records
+ * @param {string} runId - Run ID to delete
+ * @returns {Promise<boolean>} Success status
+ */
+async function deleteProcessingRun(runId) {
+    try {
+        if (!db) await initIndexedDB();
+
+        const transaction = db.transaction(['processingRuns', 'processingRunData'], 'readwrite');
+        transaction.objectStore('processingRuns').delete(runId);
+        transaction.objectStore('processingRunData').delete(runId);
+
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+
+        console.log('Processing run deleted:', runId);
+        return true;
+    } catch (error) {
+        console.error('Error deleting processing run:', error);
+        return false;
+    }
+}
+
+/**
+ * Save a working session: its metadata, its state, and the contents of files not stored before
+ * @param {Object} session - Session metadata { id, name, created, updatedAt, user, fileCount, recordCount }
+ * @param {Object} state - Session state (processed files without their content, mapping in progress)
+ * @param {Array} addedFiles - Files to store: [{ fileId, file }]
+ * @param {Array} removedFileIds - IDs of stored files that are no longer in the session
+ * @returns {Promise<boolean>} Success status
+ */
+async function saveSession(session, state, addedFiles = [], removedFileIds = []) {
+    try {
+        if (!db) await initIndexedDB();
+
+        const transaction = db.transaction(['sessions', 'sessionData', 'sessionFiles'], 'readwrite');
+        transaction.objectStore('sessions').put(session);
+        transaction.objectStore('sessionData').put({ sessionId: session.id, ...state });
+
+        const filesStore = transaction.objectStore('sessionFiles');
+        addedFiles.forEach(({ fileId, file }) => filesStore.put({ id: `${session.id}:${fileId}`, sessionId: session.id, fileId, file }));
+        removedFileIds.forEach(fileId => filesStore.delete(`${session.id}:${fileId}`));
+
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+
+        return true;
+    } catch (error) {
+        console.error('Error saving session:', error);
+        return false;
+    }
+}
+
+/**
+ * Load the metadata of all working sessions, most recently saved first
+ * @returns {Promise<Array>} Array of sessions
+ */
+async function loadSessions() {
+    try {
+        if (!db) await initIndexedDB();
+
+        const transaction = db.transaction(['sessions'], 'readonly');
+        const store = transaction.objectStore('sessions');
+
+        const sessions = await new Promise((resolve, reject) => {
+            const request = store.getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        return sessions.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    } catch (error) {
+        console.error('Error loading sessions:', error);
+        return [];
+    }
+}
+
+/**
+ * Load the state and file contents of a working session
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>} { state, files } where files maps file IDs to File objects; null when not found
+ */
+async function loadSessionData(sessionId) {
+    try {
+        if (!db) await initIndexedDB();
+
+        const transaction = db.transaction(['sessionData', 'sessionFiles'], 'readonly');
+
+        const [state, storedFiles] = await Promise.all([
+            new Promise((resolve, reject) => {
+                const request = transaction.objectStore('sessionData').get(sessionId);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }),
+            new Promise((resolve, reject) => {
+                const request = transaction.objectStore('sessionFiles').index('sessionId').getAll(sessionId);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            })
+        ]);
+
+        if (!state) return null;
+        return { state, files: new Map(storedFiles.map(entry => [entry.fileId, entry.file])) };
+    } catch (error) {
+        console.error('Error loading session data:', error);
+        return null;
+    }
+}
+
+/**
+ * Delete a working session with its state and file contents
+ * @param {string} sessionId - Session ID to delete
+ * @returns {Promise<boolean>} Success status
+ */
+async function deleteSession(sessionId) {
+    try {
+        if (!db) await initIndexedDB();
+
+        const transaction = db.transaction(['sessions', 'sessionData', 'sessionFiles'], 'readwrite');
+        transaction.objectStore('sessions').delete(sessionId);
+        transaction.objectStore('sessionData').delete(sessionId);
+
+        const filesStore = transaction.objectStore('sessionFiles');
+        const keysRequest = filesStore.index('sessionId').getAllKeys(sessionId);
+        keysRequest.onsuccess = () => keysRequest.result.forEach(key => filesStore.delete(key));
+
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+
+        console.log('Session deleted:', sessionId);
+        return true;
+    } catch (error) {
+        console.error('Error deleting session:', error);
+        return false;
+    }
+}
+
+// ========== DATA REQUEST MANAGEMENT ==========
+
+/**
+ * Save a data request (new or updated)
+ * @param {Object} request - Request { id, brokerName, contact, createdAt, status, dueDate, reminders, attachment, ... }
+ * @returns {Promise<boolean>} Success status
+ */
+async function saveDataRequest(request) {
+    try {
+        if (!db) await initIndexedDB();
+
+        const transaction = db.transaction(['dataRequests'], 'readwrite');
+        transaction.objectStore('dataRequests').put(request);
+
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+
+        return true;
+    } catch (error) {
+        console.error('Error saving data request:', error);
+        return false;
+    }
+}
+
+/**
+ * Load all data requests, newest first
+ * @returns {Promise<Array>} Array of requests
+ */
+async function loadDataRequests() {
+    try {
+        if (!db) await initIndexedDB();
+
+        const transaction = db.transaction(['dataRequests'], 'readonly');
+        const store = transaction.objectStore('dataRequests');
+
+        const requests = await new Promise((resolve, reject) => {
+            const request = store.getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        return requests.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    } catch (error) {
+        console.error('Error loading data requests:', error);
+        return [];
+    }
+}
+
+/**
+ * Delete a data request
+ * @param {string} requestId - Request ID to delete
+ * @returns {Promise<boolean>} Success status
+ */
+async function deleteDataRequest(requestId) {
+    try {
+        if (!db) await initIndexedDB();
+
+        const transaction = db.transaction(['dataRequests'], 'readwrite');
+        transaction.objectStore('dataRequests').delete(requestId);
+
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+
+        console.log('Data request deleted:', requestId);
+        return true;
+    } catch (error) {
+        console.error('Error deleting data request:', error);
+        return false;
+    }
+}
+
 // Export essential functions to window for cross-module access
 window.initIndexedDB = initIndexedDB;
 window.loadSettings = loadSettings;
@@ -857,10 +1632,40 @@ window.loadBrokerContactsFromJSON = loadBrokerContactsFromJSON;
 window.saveFileMapping = saveFileMapping;
 window.loadAllFileMappings = loadAllFileMappings;
 window.loadFileMappingByKeyword = loadFileMappingByKeyword;
+window.seedBuiltInFileMappings = seedBuiltInFileMappings;
 window.deleteFileMapping = deleteFileMapping;
+window.loadFileMappingVersions = loadFileMappingVersions;
+window.saveMappingSample = saveMappingSample;
+window.loadMappingSamples = loadMappingSamples;
+window.deleteMappingSample = deleteMappingSample;
 window.exportFileMappingAsJSON = exportFileMappingAsJSON;
 window.loadFileMappingFromJSON = loadFileMappingFromJSON;
 
+// Lookup table functions
+window.saveLookupTable = saveLookupTable;
+window.loadAllLookupTables = loadAllLookupTables;
+window.deleteLookupTable = deleteLookupTable;
+window.exportLookupTableAsJSON = exportLookupTableAsJSON;
+window.loadLookupTableFromJSON = loadLookupTableFromJSON;
+
+// Processing history functions
+window.saveProcessingRun = saveProcessingRun;
+window.loadProcessingRuns = loadProcessingRuns;
+window.loadProcessingRunRecords = loadProcessingRunRecords;
+window.updateProcessingRun = updateProcessingRun;
+window.deleteProcessingRun = deleteProcessingRun;
+
+// Working session functions
+window.saveSession = saveSession;
+window.loadSessions = loadSessions;
+window.loadSessionData = loadSessionData;
+window.deleteSession = deleteSession;
+
+// Data request functions
+window.saveDataRequest = saveDataRequest;
+window.loadDataRequests = loadDataRequests;
+window.deleteDataRequest = deleteDataRequest;
+
 /**
  * Generic function to save data to IndexedDB
  * @param {string} storeName - Name of the object store
@@ -0,0 +1,127 @@
+/**
+ * Borderellen Converter - Template Export
+ * Builds the output files in the layout of the output template: typed Excel workbooks and plain JSON records.
+ * Used by the Results and History tabs and by the command-line converter
+ */
+
+/**
+ * Get the columns to export: the template columns in template order, optionally followed by
+ * extra (non-internal) columns found in the data
+ * @param {Array} rows - Records to export
+ * @param {Object} template - Active output template
+ * @param {boolean} includeExtraColumns - Whether to append columns that are not in the template
+ * @returns {Array} Export columns { name, type, format }
+ */
+function getExportColumns(rows, template, includeExtraColumns = true) {
+    const columns = (template?.columns || []).map(column => ({
+        name: column.name,
+        type: column.type || 'text',
+        format: column.format || ''
+    }));
+
+    if (includeExtraColumns) {
+        const templateNames = new Set(columns.map(column => column.name));
+        rows.forEach(row => {
+            Object.keys(row).forEach(key => {
+                if (!key.startsWith('_') && !templateNames.has(key)) {
+                    templateNames.add(key);
+                    columns.push({ name: key, type: 'text', format: '' });
+                }
+            });
+        });
+    }
+
+    return columns;
+}
+
+/**
+ * Build a typed worksheet cell for an export value
+ * Dates become real Excel dates (month periods shown as mm-yyyy) and numbers stay numeric, both with a number format;
+ * values that cannot be converted are kept as text so no data is lost
+ * @param {any} value - Cell value
+ * @param {Object} column - Export column { type, format }
+ * @param {Object} settings - App settings with the default export formats
+ * @returns {Object|null} SheetJS cell object, or null for an empty cell
+ */
+function createExportCell(value, column, settings = {}) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+
+    if (column.type === 'date') {
+        const date = window.parseDateValue(value);
+        if (date) {
+            // Month periods (03-2024) stay periods unless the column has its own format
+            const defaultFormat = window.isMonthPeriod(value) ? 'mm-yyyy' : settings.exportDateFormat || 'dd-mm-yyyy';
+            return { t: 'n', v: window.dateToExcelSerial(date), z: column.format || defaultFormat };
+        }
+    } else if (column.type === 'number') {
+        const number = window.parseNumberValue(value);
+        if (!isNaN(number)) {
+            return { t: 'n', v: number, z: column.format || settings.exportNumberFormat || '#,##0.00' };
+        }
+    }
+
+    if (typeof value === 'number') {
+        return { t: 'n', v: value };
+    }
+    if (typeof value === 'boolean') {
+        return { t: 'b', v: value };
+    }
+    return { t: 's', v: value.toString() };
+}
+
+/**
+ * Build the export workbook for combined data in the layout of the active template
+ * @param {Array} rows - Records to export
+ * @param {Object} template - Active output template
+ * @param {Object} settings - App settings (exportDateFormat, exportNumberFormat, exportExtraColumns)
+ * @returns {Object} XLSX workbook with one "Processed Data" sheet
+ */
+function buildTemplateExportWorkbook(rows, template, settings = {}) {
+    const columns = getExportColumns(rows, template, settings.exportExtraColumns !== false);
+    if (columns.length === 0) {
+        throw new Error('The active template has no columns. Select a template in the Templates tab first.');
+    }
+
+    const ws = XLSX.utils.aoa_to_sheet([columns.map(column => column.name)]);
+
+    rows.forEach((row, rowIndex) => {
+        columns.forEach((column, colIndex) => {
+            const cell = createExportCell(row[column.name], column, settings);
+            if (cell) {
+                ws[XLSX.utils.encode_cell({ r: rowIndex + 1, c: colIndex })] = cell;
+            }
+        });
+    });
+
+    ws['!ref'] = XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: rows.length, c: columns.length - 1 } });
+    ws['!cols'] = columns.map(column => ({ wch: Math.max(10, column.name.length + 2) }));
+
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, ws, 'Processed Data');
+    return wb;
+}
+
+/**
+ * Strip internal fields (source file, issues, duplicate markers) from records for export
+ * @param {Array} rows - Records
+ * @returns {Array} Records with only the data fields
+ */
+function toExportRecords(rows) {
+    return rows.map(row => {
+        const cleanRow = {};
+        Object.keys(row).forEach(key => {
+            if (!key.startsWith('_')) {
+                cleanRow[key] = row[key];
+            }
+        });
+        return cleanRow;
+    });
+}
+
+// Export functions globally for cross-module access
+window.getExportColumns = getExportColumns;
+window.createExportCell = createExportCell;
+window.buildTemplateExportWorkbook = buildTemplateExportWorkbook;
+window.toExportRecords = toExportRecords;
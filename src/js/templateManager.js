@@ -23,16 +23,21 @@ let templateColumnIdCounter = 0;
 function guessColumnType(columnName) {
     const name = columnName.toLowerCase();
 
-    // Date columns
+    // Identifiers such as policy and invoice numbers often contain letters and dots: keep them as text
+    if (/(nr|nummer|code)\b/.test(name)) {
+        return 'text';
+    }
+
+    // Date columns ("Boekingsperiode" holds a period like 03-2024, not a date)
     if (name.includes('datum') || name.includes('date') || name.includes('dtm') ||
-        name.includes('periode') || name.includes('van') || name.includes('tot')) {
+        /\b(van|tot)\b/.test(name)) {
         return 'date';
     }
 
     // Number columns
     if (name.includes('%') || name.includes('bedrag') || name.includes('bruto') ||
         name.includes('netto') || name.includes('provisie') || name.includes('com') ||
-        name.includes('aandeel') || name.includes('jaar') || name.includes('nr')) {
+        name.includes('aandeel') || name.includes('jaar')) {
         return 'number';
     }
 
@@ -395,10 +400,22 @@ function updateTemplateDisplay() {
                     <option value="date" ${column.type === 'date' ? 'selected' : ''}>Date</option>
                 </select>
             </td>
+            <td>
+                <input type="text" class="form-input" value="${window.escapeAttribute(column.format || '')}"
+                       style="width: 110px;" ${column.type === 'text' ? 'disabled' : ''}
+                       placeholder="${window.escapeAttribute(column.type === 'date' ? (window.appSettings?.exportDateFormat || 'dd-mm-yyyy') : column.type === 'number' ? (window.appSettings?.exportNumberFormat || '#,##0.00') : '')}"
+                       title="Excel format for this column; leave empty to use the default from Settings"
+                       onchange="updateTemplateColumn(${column.id}, 'format', this.value.trim())">
+            </td>
             <td>
                 <input type="checkbox" ${column.required ? 'checked' : ''}
                        onchange="updateTemplateColumn(${column.id}, 'required', this.checked)">
             </td>
+            <td>
+                <input type="checkbox" ${(window.borderellenTemplate.recordKey || []).includes(column.name) ? 'checked' : ''}
+                       title="Part of the record key used for duplicate detection"
+                       onchange="toggleRecordKeyColumn(${column.id}, this.checked)">
+            </td>
             <td>
                 <input type="text" class="form-input" value="${column.description || ''}"
                        placeholder="Optional description"
@@ -419,7 +436,17 @@ function updateTemplateDisplay() {
 function updateTemplateColumn(columnId, field, value) {
     const column = borderellenTemplate.columns.find(col => col.id === columnId);
     if (column) {
+        // The record key refers to columns by name
+        if (field === 'name' && borderellenTemplate.recordKey) {
+            borderellenTemplate.recordKey = borderellenTemplate.recordKey.map(name => name === column.name ? value : name);
+        }
+
         column[field] = value;
+
+        // The format input depends on the type (placeholder, disabled for text)
+        if (field === 'type') {
+            updateTemplateDisplay();
+        }
     }
 }
 
@@ -449,11 +476,157 @@ function removeTemplateColumn(columnId) {
     }
 
     if (confirm('Remove this column from the template?')) {
+        const removed = borderellenTemplate.columns.find(col => col.id === columnId);
         borderellenTemplate.columns = borderellenTemplate.columns.filter(col => col.id !== columnId);
+        if (removed && borderellenTemplate.recordKey) {
+            borderellenTemplate.recordKey = borderellenTemplate.recordKey.filter(name => name !== removed.name);
+        }
         updateTemplateDisplay();
     }
 }
 
+/**
+ * Add a column to or remove it from the record key used for duplicate detection
+ * @param {number} columnId - Column ID
+ * @param {boolean} included - Whether the column is part of the key
+ */
+function toggleRecordKeyColumn(columnId, included) {
+    const column = borderellenTemplate.columns.find(col => col.id === columnId);
+    if (!column) return;
+
+    const keyColumns = (borderellenTemplate.recordKey || []).filter(name => name !== column.name);
+    if (included) keyColumns.push(column.name);
+
+    // Keep the key in template column order
+    borderellenTemplate.recordKey = window.getRecordKeyColumns({ columns: borderellenTemplate.columns, recordKey: keyColumns });
+}
+
+// ========== VALIDATION RULES ==========
+
+/**
+ * Update validation rules table of the template editor
+ */
+function updateValidationRulesDisplay() {
+    const rulesTableBody = document.getElementById('validation-rules-table-body');
+    const rules = borderellenTemplate.validationRules || [];
+    rulesTableBody.innerHTML = '';
+
+    if (rules.length === 0) {
+        rulesTableBody.innerHTML = '<tr><td colspan="7" style="text-align: center; color: #888;">No validation rules</td></tr>';
+        return;
+    }
+
+    rules.forEach(rule => {
+        const error = window.validateRule(rule, borderellenTemplate.columns || []);
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>
+                <input type="checkbox" ${rule.enabled !== false ? 'checked' : ''}
+                       onchange="updateValidationRule(${rule.id}, 'enabled', this.checked)">
+            </td>
+            <td>
+                <input type="text" class="form-input" value="${window.escapeAttribute(rule.name || '')}"
+                       style="min-width: 150px;"
+                       onchange="updateValidationRule(${rule.id}, 'name', this.value)">
+            </td>
+            <td>
+                <input type="text" class="form-input" value="${window.escapeAttribute(rule.formula || '')}"
+                       style="min-width: 260px; font-family: monospace;${error ? ' border-color: #f44336;' : ''}"
+                       title="${window.escapeAttribute(error || 'Must be true for every row')}"
+                       onchange="updateValidationRule(${rule.id}, 'formula', this.value.trim())">
+            </td>
+            <td>
+                <input type="text" class="form-input" value="${window.escapeAttribute(rule.when || '')}"
+                       style="min-width: 180px; font-family: monospace;" placeholder="Every row"
+                       onchange="updateValidationRule(${rule.id}, 'when', this.value.trim())">
+            </td>
+            <td>
+                <select class="form-input" style="width: 100px;"
+                        onchange="updateValidationRule(${rule.id}, 'severity', this.value)">
+                    <option value="error" ${rule.severity === 'error' ? 'selected' : ''}>Error</option>
+                    <option value="warning" ${rule.severity === 'warning' ? 'selected' : ''}>Warning</option>
+                </select>
+            </td>
+            <td>
+                <input type="text" class="form-input" value="${window.escapeAttribute(rule.message || '')}"
+                       placeholder="Shown on rows that break the rule"
+                       onchange="updateValidationRule(${rule.id}, 'message', this.value)">
+            </td>
+            <td>
+                <button class="btn btn-secondary" style="padding: 4px 8px;"
+                        onclick="removeValidationRule(${rule.id})">Remove</button>
+            </td>
+        `;
+        rulesTableBody.appendChild(row);
+    });
+}
+
+/**
+ * Update validation rule property
+ */
+function updateValidationRule(ruleId, field, value) {
+    const rule = (borderellenTemplate.validationRules || []).find(r => r.id === ruleId);
+    if (rule) {
+        rule[field] = value;
+
+        // Formula errors are shown on the rule input
+        if (field === 'formula' || field === 'when') {
+            updateValidationRulesDisplay();
+        }
+    }
+}
+
+/**
+ * Next free validation rule ID of the current template
+ */
+function getNextValidationRuleId() {
+    return Math.max(0, ...(borderellenTemplate.validationRules || []).map(rule => rule.id)) + 1;
+}
+
+/**
+ * Add new validation rule to template
+ */
+function addValidationRule() {
+    borderellenTemplate.validationRules = borderellenTemplate.validationRules || [];
+    borderellenTemplate.validationRules.push({
+        id: getNextValidationRuleId(),
+        name: 'New Rule',
+        formula: '',
+        when: '',
+        severity: 'error',
+        message: '',
+        enabled: true
+    });
+    updateValidationRulesDisplay();
+}
+
+/**
+ * Add the standard bordereau rules that fit the template's columns
+ */
+function addSuggestedValidationRules() {
+    const suggested = window.getSuggestedRules(borderellenTemplate.columns, borderellenTemplate.validationRules || []);
+    if (suggested.length === 0) {
+        alert('No suggested rules apply to the columns of this template, or they have all been added already.');
+        return;
+    }
+
+    borderellenTemplate.validationRules = borderellenTemplate.validationRules || [];
+    suggested.forEach(rule => {
+        borderellenTemplate.validationRules.push({ id: getNextValidationRuleId(), ...rule, enabled: true });
+    });
+    updateValidationRulesDisplay();
+}
+
+/**
+ * Remove validation rule from template
+ */
+function removeValidationRule(ruleId) {
+    if (confirm('Remove this validation rule from the template?')) {
+        borderellenTemplate.validationRules = borderellenTemplate.validationRules.filter(rule => rule.id !== ruleId);
+        updateValidationRulesDisplay();
+    }
+}
+
 /**
  * Update template name
  */
@@ -527,6 +700,15 @@ async function saveTemplate() {
     if (templateName) borderellenTemplate.name = templateName.value;
     if (templateDesc) borderellenTemplate.description = templateDesc.value;
 
+    // Invalid rules would silently be skipped during processing
+    const ruleErrors = (borderellenTemplate.validationRules || [])
+        .map(rule => ({ rule, error: window.validateRule(rule, borderellenTemplate.columns || []) }))
+        .filter(result => result.error);
+    if (ruleErrors.length > 0) {
+        alert(`Please fix the validation rules first:\n\n${ruleErrors.map(result => `${result.rule.name}: ${result.error}`).join('\n')}`);
+        return;
+    }
+
     // Save to storage
     if (await saveTemplateToStorage(currentTemplateId, borderellenTemplate)) {
         savedTemplates[currentTemplateId] = { ...borderellenTemplate };
@@ -592,6 +774,11 @@ async function loadFromJSON(file) {
         col.id = ++templateColumnIdCounter;
     });
 
+    // Number the validation rules as well, the rule editor finds them by ID
+    (imported.validationRules || []).forEach((rule, index) => {
+        rule.id = index + 1;
+    });
+
     // Create new template object
     window.borderellenTemplate = {
         id: templateId,
@@ -599,6 +786,8 @@ async function loadFromJSON(file) {
         description: imported.description || `Template imported from ${file.name}`,
         version: imported.version || '1.0',
         columns: imported.columns,
+        validationRules: imported.validationRules || [],
+        recordKey: imported.recordKey || [],
         originalFileName: imported.originalFileName || file.name,
         createdDate: new Date().toISOString(),
         importedFrom: file.name
@@ -628,4 +817,10 @@ window.createNewTemplate = createNewTemplate;
 window.createManualTemplate = createManualTemplate;
 window.saveTemplate = saveTemplate;
 window.exportTemplate = exportTemplate;
+window.updateValidationRulesDisplay = updateValidationRulesDisplay;
+window.updateValidationRule = updateValidationRule;
+window.addValidationRule = addValidationRule;
+window.addSuggestedValidationRules = addSuggestedValidationRules;
+window.removeValidationRule = removeValidationRule;
+window.toggleRecordKeyColumn = toggleRecordKeyColumn;
 window.deleteTemplate = deleteTemplate;
\ No newline at end of file
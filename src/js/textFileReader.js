@@ -0,0 +1,305 @@
+/**
+ * Borderellen Converter - Text File Reader
+ * Reads CSV, TSV and fixed-width text exports into the same worksheet model as Excel files,
+ * so pattern analysis, file mappings and templates work on them unchanged.
+ * Encoding, delimiter and quote character are detected; a file mapping can store them
+ * (parsingConfig.textFormat) together with the column breaks of fixed-width files.
+ */
+
+const TEXT_FILE_EXTENSIONS = ['.csv', '.tsv', '.txt'];
+
+// Delimiters tried for delimited files (in order of preference on a tie) with their display names
+const TEXT_DELIMITERS = { ';': 'Semicolon', ',': 'Comma', '\t': 'Tab', '|': 'Pipe' };
+
+const TEXT_ENCODINGS = ['utf-8', 'windows-1252', 'utf-16le', 'utf-16be'];
+
+// Number of lines used to detect the delimiter and the column breaks
+const TEXT_SAMPLE_LINES = 50;
+
+// ========== FORMAT DETECTION ==========
+
+/**
+ * Whether a file is read as a text export
+ * @param {string} filename - Filename
+ * @returns {boolean} True for .csv, .tsv and .txt files
+ */
+function isTextFile(filename) {
+    const name = (filename || '').toLowerCase();
+    return TEXT_FILE_EXTENSIONS.some(ext => name.endsWith(ext));
+}
+
+/**
+ * Detect the encoding of a text file: a byte order mark decides, otherwise text that is
+ * not valid UTF-8 is taken as Windows-1252 (the default of Dutch Windows admin systems)
+ * @param {Uint8Array} bytes - File content
+ * @returns {string} Encoding label for TextDecoder
+ */
+function detectTextEncoding(bytes) {
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        return 'utf-8';
+    } catch (error) {
+        return 'windows-1252';
+    }
+}
+
+/**
+ * First non-empty lines of a text, for detection and the column break editor
+ * @param {string} text - File text
+ * @returns {Array} Lines without line endings
+ */
+function getSampleLines(text) {
+    return text.split(/\r\n|\r|\n/).filter(line => line.trim() !== '').slice(0, TEXT_SAMPLE_LINES);
+}
+
+/**
+ * First non-empty lines of a text file
+ * @param {Uint8Array} bytes - File content
+ * @param {string} encoding - Encoding
+ * @returns {Array} Lines without line endings
+ */
+function readTextSampleLines(bytes, encoding) {
+    return getSampleLines(new TextDecoder(encoding).decode(bytes));
+}
+
+/**
+ * Count a delimiter in a line, ignoring delimiters inside quoted values
+ * @param {string} line - Line
+ * @param {string} delimiter - Delimiter
+ * @param {string} quote - Quote character, empty for none
+ * @returns {number} Number of delimiters
+ */
+function countDelimiters(line, delimiter, quote) {
+    let count = 0;
+    let quoted = false;
+    for (const char of line) {
+        if (quote && char === quote) quoted = !quoted;
+        else if (char === delimiter && !quoted) count++;
+    }
+    return count;
+}
+
+/**
+ * Detect the quote character: double quotes unless only single quotes enclose values
+ * @param {Array} lines - Sample lines
+ * @returns {string} Quote character
+ */
+function detectQuoteCharacter(lines) {
+    const text = lines.join('\n');
+    if (text.includes('"')) return '"';
+
+    const delimiters = Object.keys(TEXT_DELIMITERS).map(d => d === '\t' ? '\\t' : d.replace(/[|]/g, '\\|')).join('');
+    return new RegExp(`(^|[${delimiters}])'[^']*'([${delimiters}]|$)`, 'm').test(text) ? "'" : '"';
+}
+
+/**
+ * Detect the delimiter: the candidate that splits most lines into the same number of values
+ * @param {Array} lines - Sample lines
+ * @param {string} quote - Quote character
+ * @returns {Object} { delimiter, consistency } where consistency is the share of lines with the usual count
+ */
+function detectDelimiter(lines, quote) {
+    let best = { delimiter: null, consistency: 0, columns: 0 };
+
+    Object.keys(TEXT_DELIMITERS).forEach(delimiter => {
+        const counts = lines.map(line => countDelimiters(line, delimiter, quote));
+        const frequency = new Map();
+        counts.forEach(count => frequency.set(count, (frequency.get(count) || 0) + 1));
+
+        // The most common count > 0; header and title lines may differ
+        const [usual, occurrences] = [...frequency.entries()]
+            .filter(([count]) => count > 0)
+            .sort((a, b) => b[1] - a[1] || b[0] - a[0])[0] || [0, 0];
+        const consistency = lines.length > 0 ? occurrences / lines.length : 0;
+
+        if (usual > 0 && (consistency > best.consistency || (consistency === best.consistency && usual > best.columns))) {
+            best = { delimiter, consistency, columns: usual };
+        }
+    });
+
+    return best;
+}
+
+/**
+ * Detect the column breaks of a fixed-width file: a column starts wherever all lines
+ * have a blank before it and at least one line has text at it
+ * @param {Array} lines - Sample lines
+ * @returns {Array} Character positions where columns start (the first column at 0 is implied)
+ */
+function detectColumnBreaks(lines) {
+    const width = Math.max(0, ...lines.map(line => line.length));
+    const blank = [];
+    for (let position = 0; position < width; position++) {
+        blank[position] = lines.every(line => position >= line.length || line[position] === ' ');
+    }
+
+    const breaks = [];
+    for (let position = 1; position < width; position++) {
+        if (blank[position - 1] && !blank[position]) {
+            breaks.push(position);
+        }
+    }
+    return breaks;
+}
+
+/**
+ * Detect how to read a text file
+ * .csv and .tsv files are delimited; a .txt file is delimited when a delimiter splits
+ * its lines consistently, otherwise it is read as fixed-width
+ * @param {Uint8Array} bytes - File content
+ * @param {string} filename - Filename
+ * @returns {Object} Text format { format, encoding, delimiter, quote, columnBreaks }
+ */
+function detectTextFormat(bytes, filename) {
+    const encoding = detectTextEncoding(bytes);
+    const lines = readTextSampleLines(bytes, encoding);
+    const quote = detectQuoteCharacter(lines);
+    const detected = detectDelimiter(lines, quote);
+    const name = (filename || '').toLowerCase();
+
+    if (name.endsWith('.tsv')) {
+        return { format: 'delimited', encoding, delimiter: '\t', quote, columnBreaks: [] };
+    }
+    if (name.endsWith('.csv') || (detected.delimiter && detected.consistency >= 0.8)) {
+        return { format: 'delimited', encoding, delimiter: detected.delimiter || ';', quote, columnBreaks: [] };
+    }
+
+    return { format: 'fixed-width', encoding, delimiter: null, quote: '', columnBreaks: detectColumnBreaks(lines) };
+}
+
+/**
+ * Describe a text format for display
+ * @param {Object} textFormat - Text format
+ * @returns {string} Description, e.g. "Semicolon-separated, windows-1252"
+ */
+function describeTextFormat(textFormat) {
+    if (!textFormat) return '';
+
+    if (textFormat.format === 'fixed-width') {
+        return `Fixed-width (${textFormat.columnBreaks.length + 1} columns), ${textFormat.encoding}`;
+    }
+
+    return `${TEXT_DELIMITERS[textFormat.delimiter] || `"${textFormat.delimiter}"`}-separated, ${textFormat.encoding}`;
+}
+
+// ========== PARSING ==========
+
+/**
+ * Split delimited text into rows; quoted values may contain delimiters, line breaks and
+ * doubled quote characters
+ * @param {string} text - File text
+ * @param {string} delimiter - Delimiter
+ * @param {string} quote - Quote character, empty for none
+ * @returns {Array} Rows of text values
+ */
+function parseDelimitedText(text, delimiter, quote) {
+    const rows = [];
+    let row = [];
+    let value = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === quote && text[i + 1] === quote) {
+                value += quote;
+                i++;
+            } else if (char === quote) {
+                quoted = false;
+            } else {
+                value += char;
+            }
+        } else if (quote && char === quote && value.trim() === '') {
+            quoted = true;
+            value = '';
+        } else if (char === delimiter) {
+            row.push(value);
+            value = '';
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(value);
+            rows.push(row);
+            row = [];
+            value = '';
+        } else {
+            value += char;
+        }
+    }
+
+    if (value !== '' || row.length > 0) {
+        row.push(value);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+/**
+ * Split a fixed-width line at the column breaks
+ * @param {string} line - Line
+ * @param {Array} columnBreaks - Character positions where columns start
+ * @returns {Array} Values
+ */
+function splitFixedWidthLine(line, columnBreaks) {
+    const starts = [0, ...columnBreaks];
+    return starts.map((start, index) => line.slice(start, starts[index + 1]));
+}
+
+/**
+ * Convert a text value to a cell value: unambiguous numbers become numbers, like Excel does
+ * when opening a CSV; numbers with leading zeros (policy numbers) or thousands separators stay
+ * text and are converted by the template column type. So do numbers that read two ways
+ * ("1.250", "1,250"), so the template column type can flag them instead of a guess
+ * @param {string} text - Text value
+ * @returns {string|number|null} Cell value
+ */
+function toTextCellValue(text) {
+    const value = text.trim();
+    if (value === '') {
+        return null; // Empty values are empty cells, as in Excel
+    }
+    if (/^-?(0|[1-9]\d*)([.,]\d+)?$/.test(value) && !window.isAmbiguousNumber(value)) {
+        return parseFloat(value.replace(',', '.'));
+    }
+    return value;
+}
+
+/**
+ * Read a text file into a workbook with one sheet
+ * @param {Uint8Array} bytes - File content
+ * @param {string} filename - Filename
+ * @param {Object} textFormat - Text format to use; detected when not given
+ * @returns {Object} XLSX workbook, with the text format used in workbook.textFormat
+ */
+function readTextWorkbook(bytes, filename, textFormat = null) {
+    const format = { ...detectTextFormat(bytes, filename), ...(textFormat || {}) };
+    const text = new TextDecoder(format.encoding).decode(bytes);
+
+    const rows = format.format === 'fixed-width' ?
+        text.split(/\r\n|\r|\n/).map(line => splitFixedWidthLine(line, format.columnBreaks)) :
+        parseDelimitedText(text, format.delimiter, format.quote);
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows.map(row => row.map(toTextCellValue))), 'Sheet1');
+    workbook.textFormat = format;
+
+    return workbook;
+}
+
+// Export functions globally for cross-module access
+window.TEXT_FILE_EXTENSIONS = TEXT_FILE_EXTENSIONS;
+window.TEXT_DELIMITERS = TEXT_DELIMITERS;
+window.TEXT_ENCODINGS = TEXT_ENCODINGS;
+window.isTextFile = isTextFile;
+window.readTextSampleLines = readTextSampleLines;
+window.detectColumnBreaks = detectColumnBreaks;
+window.detectTextFormat = detectTextFormat;
+window.describeTextFormat = describeTextFormat;
+window.parseDelimitedText = parseDelimitedText;
+window.toTextCellValue = toTextCellValue;
+window.readTextWorkbook = readTextWorkbook;
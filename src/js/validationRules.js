@@ -0,0 +1,271 @@
+/**
+ * Borderellen Converter - Validation Rules
+ * Template-level business rules spanning several fields (e.g. Netto = Bruto - Provisie - Tekencom),
+ * written in the CALC formula language and evaluated on every normalized record
+ */
+
+const RULE_SEVERITIES = ['error', 'warning'];
+
+// Standard bordereau rules, offered for templates that have the columns they refer to
+const SUGGESTED_VALIDATION_RULES = [
+    {
+        name: 'Netto = Bruto - Provisie - Tekencom',
+        formula: 'ABS([Netto] - ([Bruto] - [Provisie] - [Tekencom])) <= 0,01',
+        when: 'NOT(ISEMPTY([Netto]))',
+        severity: 'error',
+        message: 'Netto does not equal Bruto - Provisie - Tekencom'
+    },
+    {
+        name: 'Provisie = Bruto × Provisie%',
+        formula: 'ABS([Provisie] - [Bruto] * [Provisie%] / 100) <= 0,01',
+        when: 'NOT(ISEMPTY([Provisie%]))',
+        severity: 'warning',
+        message: 'Provisie does not match Bruto × Provisie%'
+    },
+    {
+        name: 'Tekencom = Bruto × Tekencom%',
+        formula: 'ABS([Tekencom] - [Bruto] * [Tekencom%] / 100) <= 0,01',
+        when: 'NOT(ISEMPTY([Tekencom%]))',
+        severity: 'warning',
+        message: 'Tekencom does not match Bruto × Tekencom%'
+    },
+    {
+        name: 'Periode tot not before Periode van',
+        formula: '[Periode tot] >= [Periode van]',
+        when: 'AND(NOT(ISEMPTY([Periode van])), NOT(ISEMPTY([Periode tot])))',
+        severity: 'error',
+        message: 'Periode tot is before Periode van'
+    },
+    {
+        name: 'Provisie% between 0 and 100',
+        formula: 'AND([Provisie%] >= 0, [Provisie%] <= 100)',
+        when: 'NOT(ISEMPTY([Provisie%]))',
+        severity: 'warning',
+        message: 'Provisie% is not between 0 and 100'
+    },
+    {
+        name: 'Tekencom% between 0 and 100',
+        formula: 'AND([Tekencom%] >= 0, [Tekencom%] <= 100)',
+        when: 'NOT(ISEMPTY([Tekencom%]))',
+        severity: 'warning',
+        message: 'Tekencom% is not between 0 and 100'
+    },
+    {
+        name: 'Aandeel Allianz between 0 and 100',
+        formula: 'AND([Aandeel Allianz] >= 0, [Aandeel Allianz] <= 100)',
+        when: 'NOT(ISEMPTY([Aandeel Allianz]))',
+        severity: 'warning',
+        message: 'Aandeel Allianz is not between 0 and 100'
+    }
+];
+
+// ========== RULE DEFINITIONS ==========
+
+/**
+ * Lists the column names a formula refers to, in order of appearance
+ * @param {string} formula - Formula text
+ * @param {Array} columns - Template columns
+ * @returns {Array} Referenced column names
+ */
+function getRuleColumns(formula, columns) {
+    const names = new Set((columns || []).map(column => column.name));
+    const referenced = [];
+
+    const visit = (node) => {
+        if (!node) return;
+        const name = node.type === 'column' ? node.name : node.type === 'operand' ? node.text : null;
+        if (name && names.has(name) && !referenced.includes(name)) {
+            referenced.push(name);
+        }
+        [node.left, node.right, node.operand, ...(node.args || [])].forEach(visit);
+    };
+
+    try {
+        visit(window.parseFormula(formula));
+    } catch (error) {
+        // Invalid formulas refer to nothing; validateRule reports the syntax error
+    }
+
+    return referenced;
+}
+
+/**
+ * Finds the first name in a formula that is neither a function nor a template column
+ * Bare words that are not numbers are read as column names, so a misspelled name would
+ * otherwise make the rule fail on every row
+ * @param {Object} ast - Parsed formula (see parseFormula)
+ * @param {Set} names - Template column names
+ * @returns {string|null} Error message, null when every name is known
+ */
+function findUnknownName(ast, names) {
+    let error = null;
+
+    const visit = (node) => {
+        if (!node || error) return;
+
+        if (node.type === 'column' && !names.has(node.name)) {
+            error = `Unknown column [${node.name}]`;
+        } else if (node.type === 'operand') {
+            const text = node.text.trim();
+            const call = text.match(/^([A-Za-z_][\w.]*)\s*\(/);
+            const isKnown = names.has(text) || /^[+-]?\d[\d.,]*$/.test(text);
+
+            if (!isKnown && call) {
+                error = window.isValidFunction(call[1].toUpperCase()) ?
+                    `Unknown function ${call[1]}, function names are uppercase: ${call[1].toUpperCase()}` :
+                    `Unknown function ${call[1]}`;
+            } else if (!isKnown) {
+                error = `Unknown column "${text}" (put text values in quotes)`;
+            }
+        }
+
+        [node.left, node.right, node.operand, ...(node.args || [])].forEach(visit);
+    };
+
+    visit(ast);
+    return error;
+}
+
+/**
+ * Checks a rule definition before it is saved or evaluated
+ * With the template columns, every function and column the rule uses must exist and the rule
+ * must refer to a column (the column its issues are reported on)
+ * @param {Object} rule - Rule { name, formula, when, severity }
+ * @param {Array} columns - Template columns (optional)
+ * @returns {string|null} Error message, null when the rule is valid
+ */
+function validateRule(rule, columns) {
+    if (!rule.formula || !rule.formula.trim()) {
+        return 'Rule formula is empty';
+    }
+    if (!RULE_SEVERITIES.includes(rule.severity)) {
+        return `Unknown severity "${rule.severity}"`;
+    }
+
+    const names = columns ? new Set(columns.map(column => column.name)) : null;
+
+    for (const [label, formula] of [['Rule', rule.formula], ['Condition', rule.when]]) {
+        if (!formula || !formula.trim()) continue;
+        let ast;
+        try {
+            ast = window.parseFormula(formula);
+        } catch (error) {
+            return `${label}: ${error.message}`;
+        }
+
+        const unknownName = names ? findUnknownName(ast, names) : null;
+        if (unknownName) {
+            return `${label}: ${unknownName}`;
+        }
+    }
+
+    if (names && getRuleColumns(rule.formula, columns).length === 0) {
+        return 'Rule: refers to no template column';
+    }
+
+    return null;
+}
+
+/**
+ * Suggested rules whose columns all exist in the template and that it does not have yet
+ * @param {Array} columns - Template columns
+ * @param {Array} existingRules - Rules already on the template
+ * @returns {Array} Rule definitions without id
+ */
+function getSuggestedRules(columns, existingRules = []) {
+    const names = new Set((columns || []).map(column => column.name));
+    const existingFormulas = new Set(existingRules.map(rule => rule.formula));
+
+    return SUGGESTED_VALIDATION_RULES.filter(rule => {
+        const referenced = (rule.formula + ' ' + rule.when).match(/\[([^\]]+)\]/g).map(ref => ref.slice(1, -1));
+        return referenced.every(name => names.has(name)) && !existingFormulas.has(rule.formula);
+    });
+}
+
+// ========== EVALUATION ==========
+
+/**
+ * Builds the formula context of a record: date columns hold dd-mm-yyyy text after coercion,
+ * so they are turned back into dates to compare chronologically instead of as text
+ * @param {Object} record - Normalized record
+ * @param {Array} dateColumns - Names of the template's date columns
+ * @returns {Object} Row data for executeFormula
+ */
+function buildRuleContext(record, dateColumns) {
+    const context = { ...record };
+    dateColumns.forEach(name => {
+        const date = context[name] !== '' ? window.parseDateValue(context[name]) : null;
+        if (date) context[name] = date;
+    });
+    return context;
+}
+
+/**
+ * Whether a formula result counts as "rule holds" (same truthiness as IF/AND/OR)
+ * @param {any} result - Result of executeFormula
+ * @returns {boolean} True when the rule holds
+ */
+function isRuleSatisfied(result) {
+    return !!result && result !== '' && result !== '0' && result !== 0;
+}
+
+/**
+ * Evaluates the template's validation rules on every record
+ * A failing rule never removes the record: it adds an issue with the rule's severity to the
+ * record's _issues, on the first column the rule refers to so that cell is highlighted
+ * @param {Array} records - Normalized records (see normalizeRecords)
+ * @param {Array} rules - Template rules { id, name, formula, when, severity, message, enabled }
+ * @param {Array} columns - Template columns
+ * @returns {Array} Records with rule issues added
+ */
+function applyValidationRules(records, rules, columns) {
+    const activeRules = (rules || []).filter(rule => {
+        if (rule.enabled === false) return false;
+        const error = validateRule(rule, columns);
+        if (error) {
+            console.warn(`Validation rule "${rule.name}" skipped: ${error}`);
+        }
+        return !error;
+    });
+    if (activeRules.length === 0) {
+        return records;
+    }
+
+    const dateColumns = (columns || []).filter(column => column.type === 'date').map(column => column.name);
+    // Keyed by the rule itself: rules in an imported template JSON may have no ID
+    const ruleFields = new Map(activeRules.map(rule => [rule, getRuleColumns(rule.formula, columns)[0] || '']));
+
+    return records.map(record => {
+        const context = buildRuleContext(record, dateColumns);
+        const ruleIssues = [];
+
+        activeRules.forEach(rule => {
+            if (rule.when && rule.when.trim() && !isRuleSatisfied(window.executeFormula(rule.when, context))) {
+                return;
+            }
+            if (isRuleSatisfied(window.executeFormula(rule.formula, context))) {
+                return;
+            }
+
+            const field = ruleFields.get(rule);
+            ruleIssues.push({
+                field,
+                value: record[field],
+                message: rule.message || `Rule "${rule.name}" failed`,
+                severity: rule.severity,
+                rule: rule.name
+            });
+        });
+
+        return ruleIssues.length > 0 ?
+            { ...record, _issues: [...(record._issues || []), ...ruleIssues] } :
+            record;
+    });
+}
+
+// Export functions globally for cross-module access
+window.RULE_SEVERITIES = RULE_SEVERITIES;
+window.getRuleColumns = getRuleColumns;
+window.validateRule = validateRule;
+window.getSuggestedRules = getSuggestedRules;
+window.applyValidationRules = applyValidationRules;
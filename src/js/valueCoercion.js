@@ -0,0 +1,357 @@
+/**
+ * Borderellen Converter - Value Coercion
+ * Normalizes mapped records to the types of the active template columns (text, number, date)
+ * and records every value that cannot be converted as an issue on its row
+ */
+
+// Month names and abbreviations (Dutch and English) accepted in text dates
+const MONTH_NAMES = {
+    jan: 1, januari: 1, january: 1,
+    feb: 2, februari: 2, february: 2,
+    mrt: 3, maa: 3, maart: 3, mar: 3, march: 3,
+    apr: 4, april: 4,
+    mei: 5, may: 5,
+    jun: 6, juni: 6, june: 6,
+    jul: 7, juli: 7, july: 7,
+    aug: 8, augustus: 8, august: 8,
+    sep: 9, sept: 9, september: 9,
+    okt: 10, oct: 10, oktober: 10, october: 10,
+    nov: 11, november: 11,
+    dec: 12, december: 12
+};
+
+// Canonical text notation of coerced dates, as used throughout the app
+const DATE_DISPLAY_FORMAT = 'dd-mm-yyyy';
+
+// Canonical text notation of month periods ("03-2024") in date columns
+const PERIOD_DISPLAY_FORMAT = 'mm-yyyy';
+
+// "1.234" and "1,234": thousands in one notation, three decimals in the other
+const AMBIGUOUS_NUMBER_PATTERN = /^[+-]?[1-9]\d{0,2}[.,]\d{3}$/;
+
+// ========== PARSING ==========
+
+/**
+ * Strip currency symbols, spaces, a trailing percent sign and accounting brackets from a number
+ * @param {string} value - Number text
+ * @returns {Object} { text, sign } where sign is -1 for accounting notation "(123,45)"
+ */
+function cleanNumberText(value) {
+    let text = value.trim().replace(/[\s €$£]/g, '').replace(/^EUR/i, '').replace(/%$/, '');
+
+    let sign = 1;
+    const accounting = text.match(/^\((.+)\)$/);
+    if (accounting) {
+        text = accounting[1];
+        sign = -1;
+    }
+
+    return { text, sign };
+}
+
+/**
+ * Whether a number can be read two ways: "1.234" and "1,234" are 1234 in one notation and 1.234
+ * in the other. A leading zero ("0.125") always means decimals, so that is not ambiguous
+ * @param {any} value - Value to check
+ * @returns {boolean} True when the value is ambiguous
+ */
+function isAmbiguousNumber(value) {
+    return typeof value === 'string' && AMBIGUOUS_NUMBER_PATTERN.test(cleanNumberText(value).text);
+}
+
+/**
+ * Parse a number in European (1.234,56) or US (1,234.56) notation
+ * Currency symbols, spaces and a trailing percent sign are ignored: "15,5%" gives 15.5,
+ * so percentages typed with and without a percent sign end up the same.
+ * Ambiguous numbers ("1.234", see isAmbiguousNumber) are not guessed
+ * @param {any} value - Value to parse
+ * @returns {number} Number or NaN when the value is not a number or is ambiguous
+ */
+function parseNumberValue(value) {
+    if (typeof value === 'number') return isFinite(value) ? value : NaN;
+    if (typeof value !== 'string' || isAmbiguousNumber(value)) return NaN;
+
+    const { text, sign } = cleanNumberText(value);
+
+    // European: dots group thousands, comma is the decimal separator (a lone comma is always decimal)
+    if (/^[+-]?[1-9]\d{0,2}(\.\d{3})+(,\d+)?$/.test(text) || /^[+-]?\d*,\d+$/.test(text)) {
+        return sign * parseFloat(text.replace(/\./g, '').replace(',', '.'));
+    }
+
+    // US: commas group thousands, dot is the decimal separator
+    if (/^[+-]?[1-9]\d{0,2}(,\d{3})+(\.\d+)?$/.test(text)) {
+        return sign * parseFloat(text.replace(/,/g, ''));
+    }
+
+    return /^[+-]?(\d+\.?\d*|\.\d+)$/.test(text) ? sign * parseFloat(text) : NaN;
+}
+
+/**
+ * Day/month order of numeric dates in broker files, from Settings
+ * @returns {string} 'dmy' (31-12-2024, the default) or 'mdy' (12/31/2024)
+ */
+function getDateOrder() {
+    return window.appSettings?.importDateOrder === 'mdy' ? 'mdy' : 'dmy';
+}
+
+/**
+ * Parse a month period such as a booking period
+ * Accepts mm-yyyy, mm/yyyy, mm.yyyy, "mm yyyy", yyyy-mm, yyyy/mm and month names ("maart 2024", "Mar-2024")
+ * @param {string} text - Trimmed text
+ * @returns {Date|null} First day of the month, or null when the text is not a month period
+ */
+function parseMonthPeriod(text) {
+    let match;
+
+    if ((match = text.match(/^(\d{1,2})[\s\-\/.](\d{4})$/))) {
+        return window.buildValidDate(parseInt(match[2], 10), parseInt(match[1], 10), 1);
+    }
+
+    if ((match = text.match(/^(\d{4})[\s\-\/.](\d{1,2})$/))) {
+        return window.buildValidDate(parseInt(match[1], 10), parseInt(match[2], 10), 1);
+    }
+
+    if ((match = text.match(/^([a-z]+)\.?[\s\-\/.,]+(\d{4})$/i))) {
+        const month = MONTH_NAMES[match[1].toLowerCase()];
+        return month ? window.buildValidDate(parseInt(match[2], 10), month, 1) : null;
+    }
+
+    return null;
+}
+
+/**
+ * Read a quarter period such as a quarterly booking period
+ * Accepts 2024-Q1, 2024 Q1, 2024Q1, Q1-2024 and Q1 2024, in any case
+ * @param {string} text - Trimmed text
+ * @returns {string|null} Canonical notation "2024-Q1", or null when the text is not a quarter period
+ */
+function parseQuarterPeriod(text) {
+    const match = text.match(/^(\d{4})[\s\-\/]?q([1-4])$/i) || text.match(/^q([1-4])[\s\-\/]?(\d{4})$/i);
+    if (!match) return null;
+
+    return /^\d{4}$/.test(match[1]) ? `${match[1]}-Q${match[2]}` : `${match[2]}-Q${match[1]}`;
+}
+
+/**
+ * Whether a value is a month period (see parseMonthPeriod)
+ * @param {any} value - Value to check
+ * @returns {boolean} True for month periods
+ */
+function isMonthPeriod(value) {
+    return typeof value === 'string' && parseMonthPeriod(value.trim()) !== null;
+}
+
+/**
+ * Parse a date from any supported representation
+ * Accepts everything toDate() does (Date objects, Excel serials, dd-mm-yyyy, ISO) plus
+ * compact yyyymmdd, dates with month names such as "15 mrt 2024" or "15-Mar-2024" and
+ * month periods ("03-2024", the first of the month). Numeric day-month-year dates follow
+ * the day/month order from Settings, so "03/15/2024" is read with the 'mdy' order
+ * @param {any} value - Value to parse
+ * @returns {Date|null} Date or null when the value is not a date
+ */
+function parseDateValue(value) {
+    if (typeof value === 'number') {
+        // Only plausible Excel serials (1900-01-01 up to the year 2173)
+        return value > 0 && value < 100000 ? window.toDate(value) : null;
+    }
+    if (typeof value !== 'string') {
+        return window.toDate(value);
+    }
+
+    const text = value.trim();
+    let match;
+
+    // Compact notation: yyyymmdd (checked first, toDate would read it as an Excel serial)
+    if ((match = text.match(/^(\d{4})(\d{2})(\d{2})$/))) {
+        return window.buildValidDate(parseInt(match[1], 10), parseInt(match[2], 10), parseInt(match[3], 10));
+    }
+
+    // Month names: "15 maart 2024", "15-mrt-24", "15 Mar. 2024"
+    if ((match = text.match(/^(\d{1,2})[\s\-\/.]+([a-z]+)\.?[\s\-\/.,]+(\d{2}|\d{4})$/i))) {
+        const month = MONTH_NAMES[match[2].toLowerCase()];
+        return month ? window.buildValidDate(parseInt(match[3], 10), month, parseInt(match[1], 10)) : null;
+    }
+
+    const period = parseMonthPeriod(text);
+    if (period) {
+        return period;
+    }
+
+    // Numeric dates in the configured day/month order: 15-03-2024, or 03/15/2024 with 'mdy'
+    if ((match = text.match(/^(\d{1,2})[-\/.](\d{1,2})[-\/.](\d{2}|\d{4})$/))) {
+        const [first, second, year] = [parseInt(match[1], 10), parseInt(match[2], 10), parseInt(match[3], 10)];
+        return getDateOrder() === 'mdy' ?
+            window.buildValidDate(year, first, second) :
+            window.buildValidDate(year, second, first);
+    }
+
+    // Large serials stored as text are not dates
+    if (/^\d+(\.\d+)?$/.test(text) && parseFloat(text) >= 100000) {
+        return null;
+    }
+
+    return window.toDate(text);
+}
+
+// ========== COERCION ==========
+
+/**
+ * Coerce a single value to the type of a template column
+ * Dates become dd-mm-yyyy text (month periods mm-yyyy, quarter periods yyyy-Qn), numbers become numbers, text is trimmed;
+ * an empty value in a required column and an ambiguous number ("1.234") are errors as well
+ * @param {any} value - Mapped value
+ * @param {Object} column - Template column { name, type, required }
+ * @returns {Object} { value, error } where error is null when the value is valid
+ */
+function coerceValue(value, column) {
+    const isEmpty = value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+    if (isEmpty) {
+        return {
+            value: '',
+            error: column.required ? 'Required value is missing' : null
+        };
+    }
+
+    switch (column.type) {
+        case 'number': {
+            if (isAmbiguousNumber(value)) {
+                const { text } = cleanNumberText(value);
+                return {
+                    value,
+                    error: `"${value}" is ambiguous: ${text.replace(/[.,]/, '')} or ${text.replace(',', '.')}`
+                };
+            }
+
+            const number = parseNumberValue(value);
+            return isNaN(number) ?
+                { value, error: `"${value}" is not a number` } :
+                { value: number, error: null };
+        }
+
+        case 'date': {
+            // Quarters have no single month, they stay a period (exported as text)
+            const quarter = typeof value === 'string' ? parseQuarterPeriod(value.trim()) : null;
+            if (quarter) {
+                return { value: quarter, error: null };
+            }
+
+            const date = parseDateValue(value);
+            const format = isMonthPeriod(value) ? PERIOD_DISPLAY_FORMAT : DATE_DISPLAY_FORMAT;
+            return date ?
+                { value: window.formatDate(date, format), error: null } :
+                { value, error: `"${value}" is not a valid date` };
+        }
+
+        default:
+            return { value: typeof value === 'string' ? value.trim() : value, error: null };
+    }
+}
+
+/**
+ * Issues of the file mapping's data validation that still apply to a record; normalizing again
+ * (e.g. after a return file filled in values) drops the ones whose value has changed since
+ * @param {Object} record - Mapped record
+ * @returns {Array} Mapping issues
+ */
+function keptMappingIssues(record) {
+    return (record._issues || []).filter(issue => issue.source === 'mapping' && record[issue.field] === issue.value);
+}
+
+/**
+ * Normalize mapped records to the template column types
+ * Each record gets an _issues array with one entry per value that failed conversion, after the
+ * issues of the file mapping's data validation; failed values are kept as they are so nothing is lost
+ * @param {Array} records - Mapped records
+ * @param {Array} columns - Template columns
+ * @returns {Array} Normalized records
+ */
+function normalizeRecords(records, columns) {
+    if (!columns || columns.length === 0) {
+        return records;
+    }
+
+    return records.map(record => {
+        const normalized = { ...record };
+        const issues = [];
+
+        columns.forEach(column => {
+            const result = coerceValue(record[column.name], column);
+            normalized[column.name] = result.value;
+
+            if (result.error) {
+                issues.push({ field: column.name, value: record[column.name], message: result.error, severity: 'error' });
+            }
+        });
+
+        normalized._issues = [...keptMappingIssues(record), ...issues];
+        return normalized;
+    });
+}
+
+/**
+ * Get the issue for a specific cell of a normalized record (errors take precedence over warnings)
+ * @param {Object} record - Normalized record
+ * @param {string} field - Column name
+ * @returns {Object|null} Issue or null when the cell is valid
+ */
+function getCellIssue(record, field) {
+    const issues = record?._issues?.filter(issue => issue.field === field) || [];
+    return issues.find(issue => issue.severity !== 'warning') || issues[0] || null;
+}
+
+/**
+ * Summarize validation issues of normalized records
+ * Conversion failures are counted per column, validation rule failures per rule
+ * @param {Array} records - Normalized records
+ * @returns {Object} { rows, cells, errors, warnings, byField, byRule }
+ */
+function summarizeIssues(records) {
+    const summary = { rows: 0, cells: 0, errors: 0, warnings: 0, byField: {}, byRule: {} };
+
+    records.forEach(record => {
+        if (!record._issues || record._issues.length === 0) return;
+
+        summary.rows++;
+        summary.cells += record._issues.length;
+        record._issues.forEach(issue => {
+            if (issue.severity === 'warning') {
+                summary.warnings++;
+            } else {
+                summary.errors++;
+            }
+
+            if (issue.rule) {
+                summary.byRule[issue.rule] = (summary.byRule[issue.rule] || 0) + 1;
+            } else {
+                summary.byField[issue.field] = (summary.byField[issue.field] || 0) + 1;
+            }
+        });
+    });
+
+    return summary;
+}
+
+/**
+ * Describe an issue summary for tooltips: one line per column and per rule
+ * @param {Object} summary - Result of summarizeIssues()
+ * @returns {string} Description
+ */
+function describeIssueSummary(summary) {
+    return [
+        ...Object.entries(summary.byField).map(([field, count]) => `${field}: ${count}`),
+        ...Object.entries(summary.byRule).map(([rule, count]) => `Rule "${rule}": ${count}`)
+    ].join('\n');
+}
+
+// Export functions globally for cross-module access
+window.parseNumberValue = parseNumberValue;
+window.isAmbiguousNumber = isAmbiguousNumber;
+window.parseDateValue = parseDateValue;
+window.isMonthPeriod = isMonthPeriod;
+window.coerceValue = coerceValue;
+window.normalizeRecords = normalizeRecords;
+window.getCellIssue = getCellIssue;
+window.summarizeIssues = summarizeIssues;
+window.describeIssueSummary = describeIssueSummary;
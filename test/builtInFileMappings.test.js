@@ -0,0 +1,128 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupPipeline, readFixtureFile, readFixtureJson } = require('./helpers/pipeline');
+const { AONParser, VGAParser, BCIParser, VoogtParser } = require('./helpers/baselineParsers');
+
+const window = setupPipeline();
+
+// Sample files in test/fixtures/brokers (built by test/helpers/buildBrokerFixtures.js)
+// with the hand-written parser each built-in mapping replaced
+const BROKER_FILES = [
+    { fileName: 'AON B550 03-2024.xlsx', mappingId: 'builtin-aon', baseline: AONParser },
+    { fileName: 'VGA 03-2024 A123.xlsx', mappingId: 'builtin-vga', baseline: VGAParser },
+    { fileName: 'BCI 2024-Q1.xlsx', mappingId: 'builtin-bci', baseline: BCIParser },
+    { fileName: 'Voogt 03 2024.xlsx', mappingId: 'builtin-voogt', baseline: VoogtParser }
+];
+
+/**
+ * Differences with the hand-written parsers that are intended:
+ * they turned a 0 into '' (row.X || ''), the mappings keep the 0; and they left Excel date serials
+ * in date fields as numbers, the mappings write them as dd-mm-yyyy (as custom mappings always did)
+ * @param {Object} difference - Entry of compareSampleOutput().differences
+ * @returns {boolean} True when the difference is intended
+ */
+function isKnownDifference(difference) {
+    if (difference.expected === '' && difference.actual === '0') {
+        return true;
+    }
+
+    const serial = Number(difference.expected);
+    return window.isExcelDate(serial) && window.isDateField(difference.column) &&
+        difference.actual === window.formatDate(window.toDate(serial), 'dd-mm-yyyy');
+}
+
+/**
+ * Process a sample file the way the Upload tab does, without recording a run
+ * @param {string} fileName - Sample file in test/fixtures/brokers
+ * @param {string} name - Filename to process it under
+ * @returns {Promise<Object>} processBrokerFile result
+ */
+async function processSample(fileName, name = fileName) {
+    const result = await window.processBrokerFile({ file: readFixtureFile('brokers', fileName), name, skipHistory: true });
+    assert.ok(result.success, result.error);
+    return result;
+}
+
+/**
+ * Output of the hand-written parser for a sample file
+ * @param {Object} broker - Entry of BROKER_FILES
+ * @param {string} name - Filename to process it under
+ * @returns {Promise<Array>} Records
+ */
+async function processBaseline(broker, name = broker.fileName) {
+    const workbook = await window.ExcelCacheManager.getWorkbook(readFixtureFile('brokers', broker.fileName));
+    return broker.baseline.parse(workbook, name);
+}
+
+BROKER_FILES.forEach(broker => {
+    test(`${broker.fileName}: the built-in mapping produces what the hand-written parser produced`, async () => {
+        const result = await processSample(broker.fileName);
+        assert.equal(result.brokerInfo.templateId, broker.mappingId);
+
+        const comparison = window.compareSampleOutput(await processBaseline(broker), result.data);
+        assert.deepEqual(comparison.differences.filter(difference => !isKnownDifference(difference)), []);
+    });
+
+    test(`${broker.fileName}: output matches the approved golden sample`, async () => {
+        const golden = readFixtureJson('brokers', broker.fileName.replace(/\.xlsx$/, '.approved.json'));
+        const result = await processSample(broker.fileName);
+
+        const comparison = window.compareSampleOutput(golden.approvedRecords, result.data);
+        assert.deepEqual(comparison.differences, []);
+        assert.equal(result.reconciliation?.status === 'fail', false);
+    });
+});
+
+test('VGA: file names match in any case, as before', async () => {
+    const broker = BROKER_FILES.find(entry => entry.mappingId === 'builtin-vga');
+    const name = 'vga 03-2024 a123.xlsx';
+    const result = await processSample(broker.fileName, name);
+
+    assert.equal(result.data[0].Makelaar, 'VGA a123');
+    const comparison = window.compareSampleOutput(await processBaseline(broker, name), result.data);
+    assert.deepEqual(comparison.differences.filter(difference => !isKnownDifference(difference)), []);
+});
+
+test('the built-in mappings recognise .xls and .ods files too', async () => {
+    for (const broker of BROKER_FILES) {
+        for (const extension of ['xls', 'ods']) {
+            const name = broker.fileName.replace(/xlsx$/, extension);
+            const result = await processSample(broker.fileName, name);
+            assert.equal(result.brokerInfo.templateId, broker.mappingId, name);
+        }
+    }
+});
+
+test('renamed files are recognised by their content', async () => {
+    for (const broker of BROKER_FILES) {
+        const result = await processSample(broker.fileName, 'export (3).xlsx');
+        assert.equal(result.brokerInfo.templateId, broker.mappingId, broker.fileName);
+        assert.equal(result.brokerInfo.matchMethod, 'content', broker.fileName);
+    }
+});
+
+test('Voogt: data starts at the first AB policy number when column A has no dates', () => {
+    const voogt = window.BUILT_IN_FILE_MAPPINGS.find(mapping => mapping.id === 'builtin-voogt');
+    const parser = window.GenericParser.fromTemplate(voogt);
+    const worksheet = window.XLSX.utils.aoa_to_sheet([
+        ['Voogt Assurantien'],
+        ['Datum', null, 'Polis'],
+        ['maart', null, 'AB12345']
+    ]);
+
+    assert.equal(parser.findPatternStart(worksheet), 2);
+});
+
+test('parseNumber reads European and plain amounts, "-" is empty', () => {
+    const parseNumber = window.GenericParser.parseNumber;
+    assert.equal(parseNumber('1.234,56'), 1234.56);
+    assert.equal(parseNumber('217,86'), 217.86);
+    assert.equal(parseNumber('1234.56'), 1234.56);
+    assert.equal(parseNumber('1.234'), 1234);
+    assert.equal(parseNumber(' 42 '), 42);
+    assert.equal(parseNumber(-3.5), -3.5);
+    assert.equal(parseNumber('-'), null);
+    assert.equal(parseNumber(''), null);
+});
@@ -0,0 +1,40 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupPipeline } = require('./helpers/pipeline');
+
+const window = setupPipeline();
+const run = (formula, row = {}) => window.executeFormula(formula, row);
+
+test('operator precedence and unary minus', () => {
+    assert.equal(run('Bruto - Provisie * 0,5', { Bruto: 100, Provisie: 20 }), 90);
+    assert.equal(run('-Bruto + 10', { Bruto: 4 }), 6);
+    assert.equal(run('(Bruto - Provisie) * 2', { Bruto: 100, Provisie: 20 }), 160);
+});
+
+test('European decimals and concatenation', () => {
+    assert.equal(run('Bruto * 0,5', { Bruto: '1.000,00' }), 500);
+    assert.equal(run('"VGA " & Code', { Code: 'A123' }), 'VGA A123');
+});
+
+test('function names are uppercase; other names with parentheses are columns', () => {
+    const row = { 'Text (EUR)': 'abc', 'Date (boeking)': '15-03-2024' };
+    assert.equal(run('Text (EUR)', row), 'abc');
+    assert.equal(run('UPPER(Text (EUR))', row), 'ABC');
+    assert.equal(run('YEAR(Date (boeking))', row), 2024);
+    assert.equal(run('"x" & Date (boeking)', row), 'x15-03-2024');
+});
+
+test('a space between an uppercase name and "(" makes it a column name', () => {
+    assert.equal(run('TEXT (EUR) & "!"', { 'TEXT (EUR)': 'abc' }), 'abc!');
+});
+
+test('IF, AND and comparisons', () => {
+    assert.equal(run('IF(AND(Bruto > 10, Netto < 5), "ja", "nee")', { Bruto: 11, Netto: 4 }), 'ja');
+    assert.equal(run('IF(Bruto = 0, "leeg", "gevuld")', { Bruto: '' }), 'leeg');
+});
+
+test('REGEX extracts the period from the filename', () => {
+    assert.equal(run('REGEX(Filename, "(\\d{2}-\\d{4})")', { Filename: 'AON B550 03-2024.xlsx' }), '03-2024');
+});
@@ -0,0 +1,101 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { ROOT, setupPipeline } = require('./helpers/pipeline');
+
+const window = setupPipeline();
+const script = path.join(ROOT, 'src', 'js', 'duplicateDetection.js');
+vm.runInThisContext(fs.readFileSync(script, 'utf8'), { filename: script });
+
+const KEY_COLUMNS = ['Polisnr'];
+const record = (polis, bruto) => ({ Polisnr: polis, Bruto: bruto });
+
+// Processing history kept in memory instead of IndexedDB
+let storedRuns = new Map();
+
+window.borderellenTemplate = { columns: [{ name: 'Polisnr' }, { name: 'Bruto' }], recordKey: KEY_COLUMNS };
+window.isSessionRun = runId => runId.startsWith('session-');
+window.loadProcessingRuns = async () => [...storedRuns.values()].map(entry => entry.run);
+window.loadProcessingRunRecords = async runId => storedRuns.get(runId)?.records || null;
+window.saveProcessingRun = async (run, records) => {
+    storedRuns.set(run.id, { run, records });
+    return true;
+};
+
+/**
+ * Store a run the way recordProcessingRun does
+ * @param {string} id - Run ID
+ * @param {Array} records - Records of the run
+ */
+function storeRun(id, records) {
+    storedRuns.set(id, {
+        run: { id, fileName: `${id}.xlsx`, processedAt: '2024-03-01T10:00:00.000Z', recordCount: records.length,
+            recordKeyColumns: KEY_COLUMNS, recordKeys: [...window.buildRecordKeySet(records, KEY_COLUMNS)] },
+        records
+    });
+}
+
+/**
+ * A processed session file, checked for duplicates
+ * @param {number} id - File ID
+ * @param {Array} records - Records of the file
+ * @returns {Promise<Object>} File data
+ */
+async function processFile(id, records) {
+    storeRun(`session-${id}`, records);
+    const fileData = { id, name: `file-${id}.xlsx`, runId: `session-${id}`, parsedData: records,
+        recordCount: records.length, status: 'Processed', statusClass: 'status-success' };
+    window.uploadedFiles.push(fileData);
+    await window.checkFileForDuplicates(fileData);
+    return fileData;
+}
+
+test.beforeEach(() => {
+    storedRuns = new Map();
+    window.uploadedFiles = [];
+});
+
+test('replace marks only the overlapping records of an earlier run', async () => {
+    storeRun('run-jan', [record('P1', 10), record('P2', 20)]);
+    const fileData = await processFile(1, [record('P2', 25), record('P3', 30)]);
+    assert.equal(fileData.duplicates.count, 1);
+
+    await window.resolveDuplicates(1, 'replace');
+
+    const { run, records } = storedRuns.get('run-jan');
+    assert.equal(run.supersededBy, undefined);
+    assert.equal(run.replacedRecordCount, 1);
+    assert.deepEqual(run.recordKeys, ['p1']);
+    assert.deepEqual(records.map(r => r._supersededBy || null), [null, 'file-1.xlsx']);
+
+    // The records that were not replaced are still found in the earlier run
+    const later = await processFile(2, [record('P1', 11)]);
+    assert.equal(later.duplicates.sources[0].id, 'run-jan');
+});
+
+test('replace supersedes an earlier run as a whole once none of its records is left', async () => {
+    storeRun('run-jan', [record('P1', 10)]);
+    await processFile(1, [record('P1', 12)]);
+    await window.resolveDuplicates(1, 'replace');
+
+    assert.equal(storedRuns.get('run-jan').run.supersededBy, 'session-1');
+});
+
+test('replace handles an earlier file of this session the same way', async () => {
+    const earlier = await processFile(1, [record('P1', 10), record('P2', 20)]);
+    await processFile(2, [record('P2', 25)]);
+    await window.resolveDuplicates(2, 'replace');
+
+    assert.deepEqual(earlier.parsedData, [record('P1', 10)]);
+    assert.equal(earlier.status, 'Processed - 1 records replaced by file-2.xlsx');
+    assert.notEqual(earlier.statusClass, 'status-warning');
+
+    const { run, records } = storedRuns.get('session-1');
+    assert.equal(run.supersededBy, undefined);
+    assert.equal(run.replacedRecordCount, 1);
+    assert.deepEqual(records.map(r => r._supersededBy || null), [null, 'file-2.xlsx']);
+});
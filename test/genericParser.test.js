@@ -0,0 +1,23 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupPipeline } = require('./helpers/pipeline');
+
+const window = setupPipeline();
+const GenericParser = window.GenericParser;
+
+test('one row per record unless multi-row records are configured', () => {
+    assert.equal(new GenericParser({ headerRows: 2 }).getRowsPerRecord(), 1);
+    assert.equal(new GenericParser({ headerRows: 2, rowProcessing: { type: 'single' } }).getRowsPerRecord(), 1);
+    assert.equal(new GenericParser({ headerRows: 1, rowProcessing: { type: 'multi-row', rowsPerRecord: 3 } }).getRowsPerRecord(), 3);
+});
+
+test('a cleared record configuration wins over a multi-row header selection', () => {
+    const analysis = { manualSelection: { headerRows: 2 } };
+    assert.deepEqual(GenericParser.rowProcessingFromAnalysis(analysis), { type: 'multi-row', rowsPerRecord: 2 });
+
+    analysis.rowProcessing = { type: 'single' };
+    assert.deepEqual(GenericParser.rowProcessingFromAnalysis(analysis), { type: 'single' });
+    assert.equal(new GenericParser(GenericParser.configFromAnalysis(analysis)).getRowsPerRecord(), 1);
+});
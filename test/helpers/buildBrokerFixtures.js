@@ -0,0 +1,111 @@
+/**
+ * Borderellen Converter - Broker Fixture Builder
+ * Writes the sample AON, VGA, BCI and Voogt files in test/fixtures/brokers, laid out the way the
+ * brokers deliver them. Run once after changing a sample: node test/helpers/buildBrokerFixtures.js
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { FIXTURES, setupPipeline } = require('./pipeline');
+
+const { XLSX } = setupPipeline();
+const BROKERS = path.join(FIXTURES, 'brokers');
+
+/**
+ * Build a worksheet from rows; { v, z } entries are numbers shown with a number format
+ * @param {Array} rows - Rows of cell values (null for an empty cell)
+ * @returns {Object} XLSX worksheet
+ */
+function buildSheet(rows) {
+    const worksheet = XLSX.utils.aoa_to_sheet(rows.map(row => row.map(value => (value && typeof value === 'object' ? value.v : value))));
+
+    rows.forEach((row, r) => row.forEach((value, c) => {
+        if (value && typeof value === 'object') {
+            worksheet[XLSX.utils.encode_cell({ r, c })].z = value.z;
+        }
+    }));
+
+    return worksheet;
+}
+
+/**
+ * Write a one-sheet workbook
+ * @param {string} fileName - File name below test/fixtures/brokers
+ * @param {Array} rows - Rows of cell values
+ */
+function writeWorkbook(fileName, rows) {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, buildSheet(rows), 'Blad1');
+    fs.writeFileSync(path.join(BROKERS, fileName), XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+}
+
+const date = serial => ({ v: serial, z: 'dd-mm-yyyy' });
+const amount = value => ({ v: value, z: '0.00' });
+
+// ========== AON ==========
+
+const AON_ROWS = [
+    ['PolisNr', 'Verzekerde', 'Branche', 'PeriodeVan', 'PeriodeTot', 'Bruto', 'ProvisiePercentage', 'Provisie',
+        'TekencomPercentage', 'Tekencom', 'Netto', 'BAB', 'Land', 'AandeelAllianz', 'Tekenjaar', 'BoekDtm',
+        'FactuurDtm', 'FactuurNr', 'FactuurTekst'],
+    ['AON-1001', 'Bakkerij de Vries BV', 'Brand', date(45292), date(45657), 1250.5, 15, 187.58,
+        2.5, 31.26, 1031.66, 'N', 'NL', 100, 2024, date(45352), date(45350), 'F-2024-031', 'Prolongatie'],
+    ['AON-1002', 'Transport Jansen', 'Aansprakelijkheid', date(45323), date(45688), 980, 12.5, 122.5,
+        0, 0, 857.5, 'N', 'NL', 50, 2024, date(45352), date(45350), 'F-2024-032', 'Nieuwe polis'],
+    [null, null, null, null, null, null, null, null, null, null, null, null, null, null, null, null, null, null, 'Leeg'],
+    ['AON-1003', 'Hotel Zeezicht', 'Brand', date(45352), date(45716), -210.25, 15, -31.54,
+        2.5, -5.26, -173.45, 'J', 'BE', 100, 2024, date(45356), date(45355), 'F-2024-040', 'Restitutie']
+];
+
+// ========== VGA ==========
+
+const VGA_ROWS = [
+    ['Soort', 'Polisnummer', 'Naam verzekeringnemer', 'Branche', 'PeriodeVan', 'PeriodeTot', 'Bruto premie EB',
+        'Provisie', 'Netto Maatschappij EB', 'Factuurnummer', 'BoekDtm'],
+    ['Premie', 'VGA-77001', 'Garage Smit', 'Motorrijtuigen', date(45352), date(45382), 310.4, 46.56, 263.84, 'V240301', date(45353)],
+    ['Premie', 'VGA-77002', 'Kapsalon Knip', 'Brand', date(45352), date(45382), 145, 21.75, 123.25, 'V240302', date(45353)],
+    ['Total', null, null, null, null, null, 455.4, 68.31, 387.09, null, null],
+    ['Premie', 'VGA-77003', 'De Groene Tuin', 'Aansprakelijkheid', date(45352), date(45382), 88.8, 13.32, 75.48, 'V240303', date(45360)],
+    ['Totaal', null, null, null, null, null, 88.8, 13.32, 75.48, null, null]
+];
+
+// ========== BCI ==========
+
+const BCI_ROWS = [
+    ['BCI Verzekeringen - kwartaaloverzicht'],
+    ['Periode 2024-Q1'],
+    ['Polis / Verzekerde', 'Factuurnr', null, 'Provisie', 'Premie', null, 'Netto'],
+    ['1234.AB.01.0001 AUTO', null, null, 42.15, null, null, 238.85],
+    ['Van den Berg', 'BCI-24-0001', null, null, 281, null, null],
+    ['1234.BR.02.0002X BRAND', null, null, 18.9, null, null, 107.1],
+    ['Pietersen Holding', 'BCI-24-0002', null, null, 126, null, null],
+    ['Totaal', null, null, 61.05, 407, null, 345.95]
+];
+
+// ========== VOOGT ==========
+
+// Columns A..T; only the booking date (A), policy (F), insured (K), branch (L),
+// netto (O), provisie (Q) and bruto (T) are read
+const voogtRow = (bookDate, policy, insured, branch, netto, provisie, bruto) => [
+    bookDate, 'MUT', null, null, null, policy, null, null, null, null, insured, branch,
+    null, null, netto, null, provisie, null, null, bruto
+];
+
+const VOOGT_ROWS = [
+    ['Voogt Assurantien - maandoverzicht'],
+    [],
+    voogtRow('Datum', 'Polisnummer', 'Verzekerde', 'Branche', 'Netto', 'Provisie', 'Bruto'),
+    voogtRow('01-03-2024', ' AB12345 ', ' Fam. Koster ', 'Woonhuis', '1.234,56', '217,86', '1.452,42'),
+    voogtRow(date(45355), 'AB12346', 'Jachthaven Noord', 'Pleziervaartuigen', amount(810.25), amount(142.99), amount(953.24)),
+    voogtRow('15-03-2024', 'AB12347', 'Sportschool Fit', 'Aansprakelijkheid', '-', '-', '-'),
+    voogtRow('31-03-2024', null, 'TOTAAL maart', null, '2.044,81', '360,85', '2.405,66'),
+    voogtRow('29-03-2024', 'AB12348', 'Na het totaal', 'Woonhuis', '1,00', '1,00', '2,00')
+];
+
+fs.mkdirSync(BROKERS, { recursive: true });
+writeWorkbook('AON B550 03-2024.xlsx', AON_ROWS);
+writeWorkbook('VGA 03-2024 A123.xlsx', VGA_ROWS);
+writeWorkbook('BCI 2024-Q1.xlsx', BCI_ROWS);
+writeWorkbook('Voogt 03 2024.xlsx', VOOGT_ROWS);
@@ -0,0 +1,68 @@
+/**
+ * Borderellen Converter - Test Pipeline
+ * Loads the browser processing scripts into the test process, the way the command-line converter does,
+ * so tests run the same code as the app. Run the tests with: node --test test/*.test.js
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { File } = require('buffer');
+const { loadPipeline } = require('../../cli/borderellen-cli.js');
+
+const ROOT = path.join(__dirname, '..', '..');
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+let loaded = false;
+
+/**
+ * Load the pipeline scripts once; their progress messages are not shown
+ * @returns {Object} The shared global scope (window)
+ */
+function setupPipeline() {
+    if (!loaded) {
+        console.log = () => {};
+        console.info = () => {};
+        loadPipeline();
+        // The app's mapping test comparison (compareSampleOutput) checks outputs against golden samples
+        const comparison = path.join(ROOT, 'src', 'js', 'mappingRegressionTests.js');
+        vm.runInThisContext(fs.readFileSync(comparison, 'utf8'), { filename: comparison });
+        window.appSettings = { userName: 'Test' };
+        window.borderellenTemplate = null;
+        window.loadAllFileMappings = async () => window.BUILT_IN_FILE_MAPPINGS;
+        window.registerLookupTables([]);
+        loaded = true;
+    }
+    return window;
+}
+
+/**
+ * Read a fixture file as a File, the form the browser modules expect
+ * @param {...string} parts - Path below test/fixtures
+ * @returns {File} File object
+ */
+function readFixtureFile(...parts) {
+    const filePath = path.join(FIXTURES, ...parts);
+    return new File([fs.readFileSync(filePath)], path.basename(filePath));
+}
+
+/**
+ * Read a JSON fixture
+ * @param {...string} parts - Path below test/fixtures
+ * @returns {any} Parsed JSON
+ */
+function readFixtureJson(...parts) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES, ...parts), 'utf8'));
+}
+
+/**
+ * The output template shipped with the app (ZetHierMaarNeer/Borderelen_required.json)
+ * @returns {Object} Template
+ */
+function loadShippedTemplate() {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, 'ZetHierMaarNeer', 'Borderelen_required.json'), 'utf8'));
+}
+
+module.exports = { ROOT, FIXTURES, setupPipeline, readFixtureFile, readFixtureJson, loadShippedTemplate };
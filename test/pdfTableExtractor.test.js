@@ -0,0 +1,47 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupPipeline } = require('./helpers/pipeline');
+
+const window = setupPipeline();
+
+/**
+ * A one-page PDF with a text layer, each cell drawn at its own position
+ * @param {Array} rows - Rows of cell texts
+ * @returns {Uint8Array} PDF file content
+ */
+function buildPdf(rows) {
+    const content = rows.map((row, r) => row.map((text, c) =>
+        `BT /F1 10 Tf ${72 + c * 150} ${700 - r * 20} Td (${text}) Tj ET`).join('\n')).join('\n');
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+        `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+    ];
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, i) => {
+        const offset = pdf.length;
+        pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+        offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('') +
+        `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+    return new Uint8Array(Buffer.from(pdf, 'latin1'));
+}
+
+test('PDF.js is only loaded when the first PDF is read', async () => {
+    assert.equal(window.pdfjsLib, undefined);
+
+    const workbook = await window.readPdfWorkbook(buildPdf([['Polis', 'Bruto'], ['P1', '10,00'], ['P2', '20,00']]));
+    const rows = window.XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { header: 1 });
+
+    assert.equal(typeof window.pdfjsLib, 'object');
+    assert.deepEqual(rows, [['Polis', 'Bruto'], ['P1', 10], ['P2', 20]]);
+});
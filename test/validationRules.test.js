@@ -0,0 +1,68 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupPipeline, loadShippedTemplate } = require('./helpers/pipeline');
+
+const window = setupPipeline();
+
+const COLUMNS = ['Netto', 'Bruto', 'Provisie', 'Text (EUR)'].map(name => ({ name, type: 'number' }));
+const check = (formula, when = '') => window.validateRule({ formula, when, severity: 'error' }, COLUMNS);
+
+test('validateRule: misspelled functions and columns are rejected on save', () => {
+    assert.equal(check('ABSS([Netto]) <= 1'), 'Rule: Unknown function ABSS');
+    assert.equal(check('Abs([Netto]) <= 1'), 'Rule: Unknown function Abs, function names are uppercase: ABS');
+    assert.equal(check('ABS([Nettto]) <= 1'), 'Rule: Unknown column [Nettto]');
+    assert.equal(check('Neto > 0'), 'Rule: Unknown column "Neto" (put text values in quotes)');
+    assert.equal(check('[Netto] > 0', 'NOT(ISEMPTY([Brutto]))'), 'Condition: Unknown column [Brutto]');
+    assert.equal(check('1 > 0'), 'Rule: refers to no template column');
+});
+
+test('validateRule: functions, columns, numbers and quoted text are accepted', () => {
+    assert.equal(check('ABS(Netto - (Bruto - Provisie)) <= 0,01', 'NOT(ISEMPTY([Netto]))'), null);
+    assert.equal(check('Text (EUR) = "abc def"'), null);
+    assert.equal(check('[Netto] >= -1,5'), null);
+});
+
+test('validateRule: the suggested rules are valid for the shipped template', () => {
+    const { columns } = loadShippedTemplate();
+    const suggested = window.getSuggestedRules(columns);
+
+    assert.ok(suggested.length > 0);
+    suggested.forEach(rule => assert.equal(window.validateRule(rule, columns), null, rule.name));
+});
+
+test('a failing file mapping validation keeps the row and adds an issue', () => {
+    const parser = new window.GenericParser({
+        dataValidation: [
+            { field: 'Polisnr', type: 'required' },
+            { field: 'Bruto', type: 'numeric' }
+        ]
+    });
+    const rows = parser.applyDataValidation([{ Polisnr: 'P1', Bruto: '10' }, { Polisnr: '', Bruto: 'abc' }]);
+
+    assert.equal(rows.length, 2);
+    assert.equal(rows[0]._issues, undefined);
+    assert.deepEqual(rows[1]._issues.map(issue => [issue.field, issue.message]), [
+        ['Polisnr', 'Required field is empty'],
+        ['Bruto', 'Must be numeric']
+    ]);
+
+    const columns = [{ name: 'Polisnr', type: 'text' }, { name: 'Bruto', type: 'text' }];
+    const [, normalized] = window.normalizeRecords(rows, columns);
+    assert.equal(normalized._issues.length, 2);
+
+    const [filledIn] = window.normalizeRecords([{ ...normalized, Polisnr: 'P2' }], columns);
+    assert.deepEqual(filledIn._issues.map(issue => issue.field), ['Bruto']);
+});
+
+test('rules without an ID report on their own column', () => {
+    const columns = ['A', 'B', 'C'].map(name => ({ name, type: 'number' }));
+    const rules = [
+        { name: 'r1', formula: '[A] > 0', severity: 'error', enabled: true },
+        { name: 'r2', formula: '[C] > 0', severity: 'error', enabled: true }
+    ];
+    const [record] = window.applyValidationRules([{ A: -1, B: 0, C: 5 }], rules, columns);
+
+    assert.deepEqual(record._issues.map(issue => [issue.rule, issue.field, issue.value]), [['r1', 'A', -1]]);
+});
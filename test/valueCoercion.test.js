@@ -0,0 +1,151 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupPipeline, readFixtureFile, loadShippedTemplate } = require('./helpers/pipeline');
+
+const window = setupPipeline();
+
+/**
+ * Date as dd-mm-yyyy, or null
+ * @param {any} value - Value to parse
+ * @returns {string|null} Formatted date
+ */
+const parseDate = value => {
+    const date = window.parseDateValue(value);
+    return date ? window.formatDate(date, 'dd-mm-yyyy') : null;
+};
+
+/**
+ * Run a test body with a day/month order setting
+ * @param {string} dateOrder - 'dmy' or 'mdy'
+ * @param {Function} body - Test body
+ */
+function withDateOrder(dateOrder, body) {
+    const settings = window.appSettings;
+    window.appSettings = { ...settings, importDateOrder: dateOrder };
+    try {
+        body();
+    } finally {
+        window.appSettings = settings;
+    }
+}
+
+test('parseNumberValue: European and US notation', () => {
+    assert.equal(window.parseNumberValue('1.234,56'), 1234.56);
+    assert.equal(window.parseNumberValue('1,234.56'), 1234.56);
+    assert.equal(window.parseNumberValue('1.234.567'), 1234567);
+    assert.equal(window.parseNumberValue('12,5'), 12.5);
+    assert.equal(window.parseNumberValue('€ 1.250,00'), 1250);
+    assert.equal(window.parseNumberValue('(123,45)'), -123.45);
+    assert.equal(window.parseNumberValue('15,5%'), 15.5);
+    assert.equal(window.parseNumberValue(42), 42);
+    assert.ok(Number.isNaN(window.parseNumberValue('12A')));
+});
+
+test('parseNumberValue: a leading zero group is never thousands', () => {
+    assert.equal(window.parseNumberValue('0.125'), 0.125);
+    assert.equal(window.parseNumberValue('0,125'), 0.125);
+    assert.ok(Number.isNaN(window.parseNumberValue('0.125.000')));
+});
+
+test('parseNumberValue: one group of three digits is ambiguous and not guessed', () => {
+    ['1.234', '1,234', '-12.500', '€ 100,000'].forEach(value => {
+        assert.equal(window.isAmbiguousNumber(value), true, value);
+        assert.ok(Number.isNaN(window.parseNumberValue(value)), value);
+    });
+    ['1.234,5', '1,234.50', '1234', '12,34', '0.125'].forEach(value => {
+        assert.equal(window.isAmbiguousNumber(value), false, value);
+    });
+
+    const result = window.coerceValue('1.234', { name: 'Bruto', type: 'number' });
+    assert.equal(result.value, '1.234');
+    assert.equal(result.error, '"1.234" is ambiguous: 1234 or 1.234');
+});
+
+test('ambiguous numbers in a CSV file are flagged, not read as decimals', () => {
+    const csv = new TextEncoder().encode('Polis;Bruto\nP1;1.250\nP2;1,250\nP3;12,50\n');
+    const workbook = window.readTextWorkbook(csv, 'export.csv');
+    const rows = window.XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]]);
+    assert.deepEqual(rows.map(row => row.Bruto), ['1.250', '1,250', 12.5]);
+
+    const records = window.normalizeRecords(rows, [{ name: 'Polis', type: 'text' }, { name: 'Bruto', type: 'number' }]);
+    assert.deepEqual(records.map(record => (record._issues || []).map(issue => issue.message)), [
+        ['"1.250" is ambiguous: 1250 or 1.250'],
+        ['"1,250" is ambiguous: 1250 or 1.250'],
+        []
+    ]);
+});
+
+test('parseDateValue: dates, serials and month names', () => {
+    assert.equal(parseDate('15-03-2024'), '15-03-2024');
+    assert.equal(parseDate('15/03/24'), '15-03-2024');
+    assert.equal(parseDate('2024-03-15'), '15-03-2024');
+    assert.equal(parseDate('20240315'), '15-03-2024');
+    assert.equal(parseDate('15 mrt 2024'), '15-03-2024');
+    assert.equal(parseDate(45366), '15-03-2024');
+    assert.equal(parseDate(''), null);
+    assert.equal(parseDate('31-02-2024'), null);
+});
+
+test('parseDateValue: month periods are the first of the month', () => {
+    assert.equal(parseDate('01-2024'), '01-01-2024');
+    assert.equal(parseDate('2024-01'), '01-01-2024');
+    assert.equal(parseDate('03/2024'), '01-03-2024');
+    assert.equal(parseDate('03 2024'), '01-03-2024');
+    assert.equal(parseDate('maart 2024'), '01-03-2024');
+    assert.equal(parseDate('13-2024'), null);
+
+    const result = window.coerceValue('03 2024', { name: 'Boekingsperiode', type: 'date' });
+    assert.deepEqual(result, { value: '03-2024', error: null });
+});
+
+test('coerceValue: quarter periods in a date column stay a period', () => {
+    const column = { name: 'Boekingsperiode', type: 'date' };
+    assert.deepEqual(window.coerceValue('2024-Q1', column), { value: '2024-Q1', error: null });
+    assert.deepEqual(window.coerceValue('q3 2024', column), { value: '2024-Q3', error: null });
+    assert.deepEqual(window.coerceValue('Q2-2024', column), { value: '2024-Q2', error: null });
+    assert.equal(window.coerceValue('2024-Q5', column).error, '"2024-Q5" is not a valid date');
+});
+
+test('parseDateValue: day/month order from Settings', () => {
+    assert.equal(parseDate('03/15/2024'), null);
+    assert.equal(parseDate('03/04/2024'), '03-04-2024');
+
+    withDateOrder('mdy', () => {
+        assert.equal(parseDate('03/15/2024'), '15-03-2024');
+        assert.equal(parseDate('03/04/2024'), '04-03-2024');
+        assert.equal(parseDate('2024-03-15'), '15-03-2024');
+        assert.equal(parseDate('15/03/2024'), null);
+    });
+});
+
+test('the shipped template accepts the booking periods of the built-in mappings', async () => {
+    const template = loadShippedTemplate();
+    const boekingsperiode = template.columns.find(column => column.name === 'Boekingsperiode');
+    assert.equal(boekingsperiode.type, 'date');
+
+    for (const fileName of ['AON B550 03-2024.xlsx', 'Voogt 03 2024.xlsx', 'BCI 2024-Q1.xlsx']) {
+        const result = await window.processBrokerFile({ file: readFixtureFile('brokers', fileName), name: fileName, skipHistory: true });
+        result.data.forEach(record => {
+            assert.equal(window.coerceValue(record.Boekingsperiode, boekingsperiode).error, null, `${fileName}: ${record.Boekingsperiode}`);
+        });
+    }
+});
+
+test('without a template, Excel date serials in date fields become dd-mm-yyyy', () => {
+    const [record] = window.applyMappingToData(
+        [{ Van: 45366, Bedrag: 45366, Polis: 'P1' }],
+        { 'Periode van': 'Van', 'Bruto': 'Bedrag', 'Polisnr': 'Polis' }
+    );
+    assert.deepEqual(record, { 'Periode van': '15-03-2024', 'Bruto': 45366, 'Polisnr': 'P1' });
+
+    window.borderellenTemplate = loadShippedTemplate();
+    try {
+        const [typed] = window.applyMappingToData([{ Van: 45366 }], { 'Periode van': 'Van' });
+        assert.equal(typed['Periode van'], 45366);
+        assert.equal(window.normalizeRecords([typed], window.borderellenTemplate.columns)[0]['Periode van'], '15-03-2024');
+    } finally {
+        window.borderellenTemplate = null;
+    }
+});